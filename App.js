@@ -3,7 +3,7 @@ import React, { useEffect, useRef, useState } from 'react';
 import { LogBox, Modal, View, Text, TouchableOpacity, StyleSheet, Alert } from 'react-native';
 import { enableScreens } from 'react-native-screens';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
-import { configure } from 'mobx';
+import { configure, reaction } from 'mobx';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import AppNavigator from './navigation/AppNavigator';
@@ -11,6 +11,15 @@ import { StoreContext, rootStore } from './stores/RootStore';
 import { stopLocationTracking } from './services/locationTracker';
 import { initAutoLogout, stopAutoLogout, recordActivity } from './services/autoLogout';
 import updateChecker from './services/updateChecker';
+import { installConsoleCapture, initLogger } from './services/logger';
+import { loadEnvironment } from './services/environment';
+
+// Redact console output and keep a persisted ring buffer of recent logs for diagnostics
+installConsoleCapture();
+initLogger();
+
+// Apply a tester's saved API environment override before any requests go out
+loadEnvironment();
 
 // Suppress known MobX-React Navigation compatibility warnings
 LogBox.ignoreLogs([
@@ -107,6 +116,7 @@ export default function App() {
     
     // Initialize offline store
     let unsubscribe;
+    let disposeTileUpkeep;
     
     const init = async () => {
       try {
@@ -171,6 +181,29 @@ export default function App() {
         
         unsubscribe = await rootStore.offlineStore.initialize();
         console.log('[App] Offline store initialized');
+
+        // Check the offline tiles are still there and within their limit, then carry on
+        // with a map download the app was closed during
+        const { settingsStore, offlineStore } = rootStore;
+        settingsStore.maintainTileCache({ online: offlineStore.isOnline })
+          .catch((error) => {
+            console.warn('[App] Offline tile upkeep failed:', error?.message || error);
+          })
+          .then(() => settingsStore.resumeSavedMapDownload())
+          .catch((error) => {
+            console.warn('[App] Could not resume the map download:', error?.message || error);
+          });
+
+        // Expired tiles are refreshed when the connection comes back
+        disposeTileUpkeep = reaction(
+          () => offlineStore.isOnline,
+          (isOnline) => {
+            if (!isOnline) return;
+            settingsStore.maintainTileCache({ online: true }).catch((error) => {
+              console.warn('[App] Offline tile upkeep failed:', error?.message || error);
+            });
+          }
+        );
       } catch (error) {
         console.error('[App] Error initializing offline store:', error);
       }
@@ -182,6 +215,9 @@ export default function App() {
       if (unsubscribe) {
         unsubscribe();
       }
+      if (disposeTileUpkeep) {
+        disposeTileUpkeep();
+      }
       rootStore.offlineStore.cleanup();
       stopAutoLogout();
     };
@@ -0,0 +1,28 @@
+import {
+  LEAFLET_VERSION,
+  LEAFLET_LIBRARIES,
+  LEAFLET_CSS,
+  LEAFLET_JS,
+  LEAFLET_MARKER_ICONS,
+} from '../../assets/leaflet/leafletAssets';
+import packageJson from '../../package.json';
+import installedLeaflet from 'leaflet/package.json';
+
+describe('leafletAssets', () => {
+  it('bundles the Leaflet version pinned in package.json', () => {
+    expect(LEAFLET_VERSION).toBe(packageJson.devDependencies.leaflet);
+    expect(LEAFLET_VERSION).toBe(installedLeaflet.version);
+    expect(LEAFLET_LIBRARIES).toContainEqual({ name: 'leaflet', version: LEAFLET_VERSION });
+  });
+
+  it('loads nothing from the network', () => {
+    const urls = LEAFLET_CSS.match(/url\([^)]*\)/g) || [];
+    expect(urls.filter((url) => !/^url\((['"]?)(data:|#)/.test(url))).toEqual([]);
+    Object.values(LEAFLET_MARKER_ICONS).forEach((icon) => expect(icon).toMatch(/^data:image\/png;base64,/));
+  });
+
+  it('can be pasted into a script tag', () => {
+    expect(LEAFLET_JS).toContain(`.version="${LEAFLET_VERSION}"`);
+    expect(LEAFLET_JS).not.toMatch(/<\/script/i);
+  });
+});
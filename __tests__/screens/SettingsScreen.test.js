@@ -0,0 +1,139 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import renderer, { act } from 'react-test-renderer';
+import SettingsScreen from '../../screens/SettingsScreen';
+import MapStore from '../../stores/MapStore';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getMapZipUrl, getEnvironmentName, setEnvironment } from '../../services/environment';
+import { addToQueue } from '../../services/offlineQueue';
+
+jest.mock('react-native-version-check', () => ({
+  getCurrentVersion: () => '1.0.8',
+  getCurrentBuildNumber: () => 8,
+}));
+
+jest.mock('expo-constants', () => ({
+  __esModule: true,
+  default: {
+    expoConfig: {
+      version: '1.0.8',
+      extra: {
+        environment: 'development',
+        environments: {
+          development: { label: 'Development', apiBaseUrl: 'https://dev-api.example.com', mapZipUrl: 'https://example.com/map.zip' },
+          production: { label: 'Production', apiBaseUrl: 'https://api.example.com', mapZipUrl: 'https://example.com/map.zip' },
+        },
+      },
+    },
+  },
+}));
+
+jest.mock('@react-navigation/native', () => ({
+  useFocusEffect: jest.fn(),
+}));
+
+jest.mock('react-native-safe-area-context', () => ({
+  useSafeAreaInsets: () => ({ top: 0, bottom: 0, left: 0, right: 0 }),
+}));
+
+jest.mock('../../services/locationTracker', () => ({
+  stopLocationTracking: jest.fn(),
+}));
+
+jest.mock('../../services/gisCustomerInterceptor', () => ({
+  getCustomerCount: jest.fn(async () => 0),
+}));
+
+jest.mock('../../stores/MapStore', () => ({
+  isReady: false,
+  isDownloading: false,
+  isUnzipping: false,
+  downloadProgress: 0,
+  statusMessage: '',
+  initializeMap: jest.fn(),
+  clearMapData: jest.fn(),
+  setMaxAgeDays: jest.fn(),
+}));
+
+// The element whose onPress handles a tap on the given text
+const pressableWithText = (tree, text) => tree.root.find(
+  (node) => typeof node.props.onPress === 'function'
+    && node.findAll((child) => child.props.children === text).length > 0
+    && node.type !== 'Text'
+);
+
+describe('SettingsScreen', () => {
+  let tree;
+  const navigation = { navigate: jest.fn(), reset: jest.fn() };
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    await act(async () => {
+      tree = renderer.create(<SettingsScreen navigation={navigation} />);
+    });
+  });
+
+  afterEach(async () => {
+    await act(async () => {
+      tree.unmount();
+    });
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('downloads the map package from the active environment', async () => {
+    await act(async () => {
+      pressableWithText(tree, 'Download Map').props.onPress();
+    });
+
+    const buttons = Alert.alert.mock.calls.find(([title]) => title === 'Download Map')[2];
+    await act(async () => {
+      await buttons.find((button) => button.text === 'Download').onPress();
+    });
+
+    expect(MapStore.initializeMap).toHaveBeenCalledWith(getMapZipUrl());
+  });
+
+  describe('switching environments', () => {
+    const switchToProduction = async () => {
+      for (let i = 0; i < 7; i++) {
+        await act(async () => {
+          pressableWithText(tree, 'App Version').props.onPress();
+        });
+      }
+      await act(async () => {
+        await pressableWithText(tree, 'Production').props.onPress();
+      });
+    };
+
+    afterEach(async () => {
+      await setEnvironment('development');
+    });
+
+    it('refuses while the offline queue has items', async () => {
+      await addToQueue({ type: 'leak_report', data: { refNo: 'LD-1' } });
+
+      await switchToProduction();
+
+      expect(Alert.alert).toHaveBeenLastCalledWith('Offline Queue Not Empty', expect.stringContaining('1 item(s)'));
+      expect(getEnvironmentName()).toBe('development');
+    });
+
+    it('drops the cached catalogs and DMA codes of the old server', async () => {
+      await AsyncStorage.multiSet([['leakCatalogs', '{}'], ['dmaCodes', '["DMA-01"]'], ['leakReportHistory', '[]']]);
+
+      await switchToProduction();
+      const buttons = Alert.alert.mock.calls.find(([title]) => title === 'Switch Environment')[2];
+      await act(async () => {
+        await buttons.find((button) => button.text === 'Switch').onPress();
+      });
+
+      expect(getEnvironmentName()).toBe('production');
+      expect(await AsyncStorage.multiGet(['leakCatalogs', 'dmaCodes', 'leakReportHistory'])).toEqual([
+        ['leakCatalogs', null], ['dmaCodes', null], ['leakReportHistory', null],
+      ]);
+      expect(navigation.reset).toHaveBeenCalledWith({ index: 0, routes: [{ name: 'Splash' }] });
+    });
+  });
+});
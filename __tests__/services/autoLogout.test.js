@@ -0,0 +1,125 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import {
+  initAutoLogout,
+  stopAutoLogout,
+  recordActivity,
+  performAutoLogout,
+  handleSessionExpiry,
+} from '../../services/autoLogout';
+import { saveFormBeforeLogout } from '../../services/draftService';
+
+jest.mock('../../services/draftService', () => ({
+  saveFormBeforeLogout: jest.fn(async () => false),
+}));
+
+const HOUR = 60 * 60 * 1000;
+
+const signIn = () => AsyncStorage.multiSet([
+  ['token', 'access'],
+  ['refresh_token', 'refresh'],
+  ['userData', JSON.stringify({ empId: '10001' })],
+]);
+
+describe('autoLogout', () => {
+  let appStateListener;
+
+  beforeEach(async () => {
+    saveFormBeforeLogout.mockClear();
+    appStateListener = null;
+    jest.spyOn(AppState, 'addEventListener').mockImplementation((event, listener) => {
+      appStateListener = listener;
+      return { remove: jest.fn() };
+    });
+    await signIn();
+  });
+
+  afterEach(async () => {
+    await stopAutoLogout();
+    AppState.addEventListener.mockRestore();
+    if (jest.isMockFunction(Date.now)) Date.now.mockRestore();
+  });
+
+  it('records the first activity on start', async () => {
+    const onLogout = jest.fn();
+    await initAutoLogout(onLogout);
+
+    expect(await AsyncStorage.getItem('lastActivityTime')).toEqual(expect.any(String));
+    expect(onLogout).not.toHaveBeenCalled();
+    expect(await AsyncStorage.getItem('token')).toBe('access');
+  });
+
+  it('logs out on start when the last activity is older than five hours', async () => {
+    await AsyncStorage.setItem('lastActivityTime', String(Date.now() - 6 * HOUR));
+    const onLogout = jest.fn();
+
+    await initAutoLogout(onLogout);
+
+    expect(onLogout).toHaveBeenCalledWith('idle_timeout_5h');
+    expect(saveFormBeforeLogout).toHaveBeenCalled();
+    expect(await AsyncStorage.multiGet(['token', 'refresh_token', 'userData', 'lastActivityTime']))
+      .toEqual([['token', null], ['refresh_token', null], ['userData', null], ['lastActivityTime', null]]);
+  });
+
+  it('stays signed in when returning to the app within the timeout', async () => {
+    const onLogout = jest.fn();
+    await initAutoLogout(onLogout);
+
+    await appStateListener('active');
+
+    expect(onLogout).not.toHaveBeenCalled();
+  });
+
+  it('logs out when the app returns to the foreground after the timeout', async () => {
+    const onLogout = jest.fn();
+    await initAutoLogout(onLogout);
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 5 * HOUR + 1000);
+
+    await appStateListener('active');
+
+    expect(onLogout).toHaveBeenCalledWith('idle_timeout_5h');
+    expect(await AsyncStorage.getItem('token')).toBeNull();
+  });
+
+  it('resets the idle timer on activity', async () => {
+    const onLogout = jest.fn();
+    await initAutoLogout(onLogout);
+    const now = Date.now();
+
+    jest.spyOn(Date, 'now').mockReturnValue(now + 4 * HOUR);
+    await recordActivity();
+    Date.now.mockReturnValue(now + 8 * HOUR);
+    await appStateListener('active');
+
+    expect(onLogout).not.toHaveBeenCalled();
+  });
+
+  it('saves the in-progress form before clearing the session', async () => {
+    const order = [];
+    saveFormBeforeLogout.mockImplementationOnce(async () => {
+      order.push(['draft', await AsyncStorage.getItem('token')]);
+      return true;
+    });
+    await initAutoLogout(() => order.push(['logout']));
+
+    await performAutoLogout('manual');
+
+    expect(order).toEqual([['draft', 'access'], ['logout']]);
+  });
+
+  it('logs out with session_expired on a 401', async () => {
+    const onLogout = jest.fn();
+    await initAutoLogout(onLogout);
+
+    await handleSessionExpiry();
+
+    expect(onLogout).toHaveBeenCalledWith('session_expired');
+  });
+
+  it('forgets the last activity when stopped', async () => {
+    await initAutoLogout(jest.fn());
+    await stopAutoLogout();
+    expect(await AsyncStorage.getItem('lastActivityTime')).toBeNull();
+  });
+});
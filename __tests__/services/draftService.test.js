@@ -0,0 +1,93 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  setFormActive,
+  isFormActive,
+  saveCurrentFormData,
+  getCurrentFormData,
+  clearCurrentFormData,
+  saveToDrafts,
+  saveFormBeforeLogout,
+} from '../../services/draftService';
+
+const getDrafts = async () => JSON.parse((await AsyncStorage.getItem('leak_report_drafts')) || '[]');
+
+describe('draftService', () => {
+  it('tracks whether the form is active', async () => {
+    expect(await isFormActive()).toBe(false);
+    await setFormActive(true);
+    expect(await isFormActive()).toBe(true);
+    await setFormActive(false);
+    expect(await isFormActive()).toBe(false);
+  });
+
+  it('only auto-saves while the form is active', async () => {
+    await saveCurrentFormData({ leakType: 'Mainline' });
+    expect(await getCurrentFormData()).toBeNull();
+
+    await setFormActive(true);
+    await saveCurrentFormData({ leakType: 'Mainline' });
+    expect(await getCurrentFormData()).toMatchObject({ leakType: 'Mainline', savedAt: expect.any(String) });
+  });
+
+  it('clears the auto-saved form', async () => {
+    await setFormActive(true);
+    await saveCurrentFormData({ leakType: 'Mainline' });
+    await clearCurrentFormData();
+    expect(await getCurrentFormData()).toBeNull();
+  });
+
+  it('puts new drafts first and clears the auto-saved form', async () => {
+    await setFormActive(true);
+    await saveCurrentFormData({ leakType: 'Valve' });
+
+    const firstId = await saveToDrafts({ refNo: 'LD-1', leakType: 'Mainline' });
+    await new Promise((resolve) => setTimeout(resolve, 2));
+    const secondId = await saveToDrafts({ refNo: 'LD-2', leakType: 'Valve' }, { offlineSaved: true });
+
+    const drafts = await getDrafts();
+    expect(drafts.map((draft) => draft.id)).toEqual([secondId, firstId]);
+    expect(drafts[0]).toMatchObject({ refNo: 'LD-2', offlineSaved: true, autoSaved: false });
+    expect(drafts[1]).toMatchObject({ refNo: 'LD-1', offlineSaved: false });
+    expect(await getCurrentFormData()).toBeNull();
+  });
+
+  it('keeps photo details with the draft', async () => {
+    await saveToDrafts({
+      leakPhotos: ['file:///a.jpg', 'file:///b.jpg'],
+      leakPhotoDetails: [{ category: 'wide', caption: '' }, { category: 'closeup', caption: 'Crack' }],
+    });
+    const [draft] = await getDrafts();
+    expect(draft.leakPhotoDetails[1]).toEqual({ category: 'closeup', caption: 'Crack' });
+  });
+
+  describe('saveFormBeforeLogout', () => {
+    it('saves an active form with data as an auto-saved draft', async () => {
+      await setFormActive(true);
+      await saveCurrentFormData({ refNo: 'LD-9', leakPhotos: ['file:///a.jpg'] });
+
+      expect(await saveFormBeforeLogout()).toBe(true);
+
+      const [draft] = await getDrafts();
+      expect(draft).toMatchObject({ refNo: 'LD-9', autoSaved: true });
+      expect(await isFormActive()).toBe(false);
+      expect(await getCurrentFormData()).toBeNull();
+    });
+
+    it('ignores a form without meaningful data', async () => {
+      await setFormActive(true);
+      await saveCurrentFormData({ refNo: 'LD-9', leakPhotos: [] });
+
+      expect(await saveFormBeforeLogout()).toBe(false);
+      expect(await getDrafts()).toEqual([]);
+    });
+
+    it('ignores saved data once the user has left the form', async () => {
+      await setFormActive(true);
+      await saveCurrentFormData({ leakType: 'Mainline' });
+      await setFormActive(false);
+
+      expect(await saveFormBeforeLogout()).toBe(false);
+      expect(await getDrafts()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  distanceMeters,
+  findNearbyOpenReports,
+  findDuplicateCandidates,
+  getDuplicateCheckSettings,
+  saveDuplicateCheckSettings,
+} from '../../services/duplicateCheck';
+import { fetchNearbyLeakReports } from '../../services/interceptor';
+
+jest.mock('../../services/interceptor', () => ({
+  fetchNearbyLeakReports: jest.fn(),
+}));
+
+const NOW = new Date('2026-10-19T08:00:00Z');
+const LEAK = { latitude: 7.0731, longitude: 125.6128 };
+
+// A report `metres` north of LEAK, reported `daysAgo` days before NOW
+const report = (refNo, { metres = 10, daysAgo = 1, dispatchStat = 0, ...overrides } = {}) => ({
+  refNo,
+  dispatchStat,
+  latitude: LEAK.latitude + metres / 111320,
+  longitude: LEAK.longitude,
+  dtReported: new Date(NOW.getTime() - daysAgo * 24 * 60 * 60 * 1000).toISOString(),
+  ...overrides,
+});
+
+const refNos = (candidates) => candidates.map((candidate) => candidate.refNo);
+
+describe('duplicateCheck', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    fetchNearbyLeakReports.mockReset();
+  });
+
+  it('measures distances in metres', () => {
+    expect(distanceMeters(LEAK, { latitude: LEAK.latitude + 100 / 111320, longitude: LEAK.longitude })).toBeCloseTo(100, 0);
+  });
+
+  describe('findNearbyOpenReports', () => {
+    it('keeps open reports inside the radius and window, nearest first', () => {
+      const candidates = findNearbyOpenReports([
+        report('FAR', { metres: 80 }),
+        report('NEAR', { metres: 5 }),
+        report('OLD', { daysAgo: 10 }),
+        report('MID', { metres: 30, dispatchStat: 2 }),
+      ], LEAK, { radiusMeters: 50, windowDays: 7, now: NOW });
+
+      expect(refNos(candidates)).toEqual(['NEAR', 'MID']);
+      expect(candidates[0]).toMatchObject({ distance: 5, status: { label: 'Reported' } });
+    });
+
+    it('skips closed, withdrawn and unlocated reports', () => {
+      const candidates = findNearbyOpenReports([
+        report('REPAIRED', { dispatchStat: 3 }),
+        report('NOT-FOUND', { dispatchStat: 4 }),
+        report('WITHDRAWN', { withdrawn: true }),
+        report('NO-GPS', { latitude: null, longitude: null }),
+        report('GEOM', { latitude: null, longitude: null, geom: `${LEAK.longitude}, ${LEAK.latitude}` }),
+      ], LEAK, { now: NOW });
+
+      expect(refNos(candidates)).toEqual(['GEOM']);
+    });
+
+    it('leaves out the report being sent and repeated RefNos', () => {
+      const candidates = findNearbyOpenReports([
+        report('SELF'),
+        report('LD-1', { metres: 5 }),
+        report('LD-1', { metres: 5, dispatchStat: 3 }),
+      ], LEAK, { excludeRefNo: 'SELF', now: NOW });
+
+      expect(candidates).toHaveLength(1);
+      expect(candidates[0].status.key).toBe('reported');
+    });
+  });
+
+  describe('findDuplicateCandidates', () => {
+    it('combines the nearby query with the cached reports when online', async () => {
+      fetchNearbyLeakReports.mockResolvedValueOnce([report('OTHER-INSPECTOR', { metres: 20, dtReported: new Date().toISOString() })]);
+
+      const candidates = await findDuplicateCandidates(LEAK, [report('MINE', { metres: 10, dtReported: new Date().toISOString() })], { isOnline: true });
+
+      expect(refNos(candidates)).toEqual(['MINE', 'OTHER-INSPECTOR']);
+      expect(fetchNearbyLeakReports).toHaveBeenCalledWith(LEAK, expect.objectContaining({ radiusMeters: 50 }));
+    });
+
+    it('uses the saved radius and falls back to the cache when the query fails', async () => {
+      await saveDuplicateCheckSettings({ radiusMeters: 200 });
+      fetchNearbyLeakReports.mockRejectedValueOnce(new Error('Network Error'));
+
+      const candidates = await findDuplicateCandidates(LEAK, [report('MINE', { metres: 150, dtReported: new Date().toISOString() })], { isOnline: true });
+
+      expect(refNos(candidates)).toEqual(['MINE']);
+      expect(fetchNearbyLeakReports).toHaveBeenCalledWith(LEAK, expect.objectContaining({ radiusMeters: 200 }));
+    });
+
+    it('checks only the cache when offline', async () => {
+      await findDuplicateCandidates(LEAK, [], { isOnline: false });
+      expect(fetchNearbyLeakReports).not.toHaveBeenCalled();
+    });
+  });
+
+  it('ignores saved settings that are not one of the options', async () => {
+    await AsyncStorage.setItem('duplicate_check_settings', JSON.stringify({ radiusMeters: 5000, windowDays: 3 }));
+    expect(await getDuplicateCheckSettings()).toEqual({ radiusMeters: 50, windowDays: 3 });
+  });
+});
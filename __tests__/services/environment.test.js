@@ -0,0 +1,21 @@
+import { getApiBaseUrl, isApiUrl } from '../../services/environment';
+
+describe('environment', () => {
+  it('uses the development API by default', () => {
+    expect(getApiBaseUrl()).toBe('https://dev-api.davao-water.gov.ph/dcwd-gis/api/v1');
+  });
+
+  it('recognises URLs on the API server', () => {
+    expect(isApiUrl('https://dev-api.davao-water.gov.ph/dcwd-gis/uploads/LD-1.jpg')).toBe(true);
+    expect(isApiUrl('HTTPS://DEV-API.davao-water.gov.ph/photo.jpg')).toBe(true);
+  });
+
+  it('does not take other hosts, ports or schemes for the API server', () => {
+    expect(isApiUrl('https://cdn.example.com/photo.jpg')).toBe(false);
+    expect(isApiUrl('https://dev-api.davao-water.gov.ph.example.com/photo.jpg')).toBe(false);
+    expect(isApiUrl('https://dev-api.davao-water.gov.ph:8443/photo.jpg')).toBe(false);
+    expect(isApiUrl('http://dev-api.davao-water.gov.ph/photo.jpg')).toBe(false);
+    expect(isApiUrl('file:///data/photo.jpg')).toBe(false);
+    expect(isApiUrl(undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,202 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import GisCustomerInterceptor from '../../services/gisCustomerInterceptor';
+import { devApi } from '../../services/interceptor';
+
+jest.mock('../../services/interceptor', () => ({
+  devApi: { get: jest.fn() },
+}));
+
+const CUSTOMER_DIR = `${FileSystem.documentDirectory}customer_data/`;
+
+const customer = (id, latitude, longitude, overrides = {}) => ({
+  id,
+  accountNumber: `100-00-${String(id).padStart(6, '0')}`,
+  meterNumber: `M${String(id).padStart(8, '0')}`,
+  name: `Customer ${id}`,
+  address: `${id} Rizal St., Poblacion`,
+  latitude,
+  longitude,
+  ...overrides,
+});
+
+// Write chunks the way downloadAndSaveCustomers does (names encrypted)
+const seedChunks = async (chunks) => {
+  await GisCustomerInterceptor.ensureDirectory();
+  for (let i = 0; i < chunks.length; i++) {
+    const encrypted = chunks[i].map((row) => ({
+      ...row,
+      name: GisCustomerInterceptor.stringToHex(GisCustomerInterceptor.processData(row.name, true)),
+    }));
+    await GisCustomerInterceptor.saveChunk(encrypted, i);
+  }
+};
+
+describe('GisCustomerInterceptor', () => {
+  describe('name encryption', () => {
+    const encrypt = (value) => GisCustomerInterceptor.stringToHex(GisCustomerInterceptor.processData(value, true));
+    const decrypt = (hex) => GisCustomerInterceptor.processData(GisCustomerInterceptor.hexToString(hex), false);
+
+    it.each([
+      'Juan Dela Cruz',
+      'Señora Ñino-Peñafiel',
+      '',
+      'A very long customer name that is longer than the encryption key itself',
+    ])('round-trips %p', (name) => {
+      expect(decrypt(encrypt(name))).toBe(name);
+    });
+
+    it('does not store the name in clear text', () => {
+      const hex = encrypt('Juan Dela Cruz');
+      expect(hex).toMatch(/^[0-9a-f]+$/);
+      expect(GisCustomerInterceptor.hexToString(hex)).not.toContain('Juan');
+    });
+  });
+
+  describe('spatial index', () => {
+    it('indexes every row with coordinates', async () => {
+      await seedChunks([
+        [customer(1, 7.07, 125.61), customer(2, '7.08', '125.62'), customer(3, null, null)],
+        [{ ...customer(4), latitude: undefined, longitude: undefined, Latitude: 7.09, Longitude: 125.63 }],
+      ]);
+
+      await GisCustomerInterceptor.buildSpatialIndex();
+
+      const index = JSON.parse(await FileSystem.readAsStringAsync(`${CUSTOMER_DIR}geo_index.json`));
+      expect(index).toEqual([
+        [7.07, 125.61, 0, 0],
+        [7.08, 125.62, 0, 1],
+        [7.09, 125.63, 1, 0],
+      ]);
+    });
+
+    it('returns the nearest meters with names decrypted', async () => {
+      await seedChunks([
+        [customer(1, 7.0700, 125.6100), customer(2, 7.0750, 125.6150)],
+        [customer(3, 7.0702, 125.6101), customer(4, 7.5000, 125.9000)],
+      ]);
+
+      const results = await GisCustomerInterceptor.findNearestMeters(7.0701, 125.6100, 2);
+
+      expect(results.map((row) => row.id)).toEqual([1, 3]);
+      expect(results[0].name).toBe('Customer 1');
+      expect(results[0].distance).toBeLessThan(results[1].distance);
+      expect(results[0]).toMatchObject({ latitude: 7.07, longitude: 125.61 });
+    });
+
+    it('builds the index on first use', async () => {
+      await seedChunks([[customer(1, 7.07, 125.61)]]);
+      expect((await FileSystem.getInfoAsync(`${CUSTOMER_DIR}geo_index.json`)).exists).toBe(false);
+
+      const results = await GisCustomerInterceptor.findNearestMeters(7.07, 125.61, 3);
+
+      expect(results).toHaveLength(1);
+      expect((await FileSystem.getInfoAsync(`${CUSTOMER_DIR}geo_index.json`)).exists).toBe(true);
+    });
+
+    it('ignores meters further than the search box', async () => {
+      await seedChunks([[customer(1, 7.2, 125.61)]]);
+      expect(await GisCustomerInterceptor.findNearestMeters(7.07, 125.61, 3)).toEqual([]);
+    });
+
+    it('drops a corrupt index so it is rebuilt next time', async () => {
+      await seedChunks([[customer(1, 7.07, 125.61)]]);
+      await FileSystem.writeAsStringAsync(`${CUSTOMER_DIR}geo_index.json`, '{broken');
+
+      expect(await GisCustomerInterceptor.findNearestMeters(7.07, 125.61, 3)).toEqual([]);
+      expect((await FileSystem.getInfoAsync(`${CUSTOMER_DIR}geo_index.json`)).exists).toBe(false);
+    });
+  });
+
+  describe('searchCustomers', () => {
+    beforeEach(async () => {
+      await seedChunks([
+        [customer(1, 7.07, 125.61), customer(2, 7.08, 125.62, { address: '5 Quirino Ave., Matina' })],
+        [customer(3, 7.09, 125.63)],
+      ]);
+    });
+
+    it('needs at least five characters', async () => {
+      expect(await GisCustomerInterceptor.searchCustomers('M000')).toEqual([]);
+    });
+
+    it('matches account numbers, meter numbers and addresses across chunks', async () => {
+      expect((await GisCustomerInterceptor.searchCustomers('100-00-000003')).map((row) => row.id)).toEqual([3]);
+      expect((await GisCustomerInterceptor.searchCustomers('m00000002')).map((row) => row.id)).toEqual([2]);
+      expect((await GisCustomerInterceptor.searchCustomers('quirino')).map((row) => row.id)).toEqual([2]);
+    });
+
+    it('decrypts names in the results', async () => {
+      const [row] = await GisCustomerInterceptor.searchCustomers('100-00-000001');
+      expect(row.name).toBe('Customer 1');
+    });
+
+    it('does not search the encrypted name', async () => {
+      expect(await GisCustomerInterceptor.searchCustomers('Customer')).toEqual([]);
+    });
+
+    it('caps results at 20', async () => {
+      await seedChunks([Array.from({ length: 30 }, (_, i) => customer(i + 1, 7.07, 125.61))]);
+      expect(await GisCustomerInterceptor.searchCustomers('Rizal St.')).toHaveLength(20);
+    });
+  });
+
+  describe('downloadAndSaveCustomers', () => {
+    beforeEach(() => {
+      devApi.get.mockReset();
+    });
+
+    it('requires a signed-in user', async () => {
+      const result = await GisCustomerInterceptor.downloadAndSaveCustomers();
+      expect(result).toMatchObject({ success: false, error: 'User not authenticated' });
+      expect(devApi.get).not.toHaveBeenCalled();
+    });
+
+    it('downloads every page, encrypts names and builds the index', async () => {
+      await AsyncStorage.setItem('token', 'access');
+      const all = Array.from({ length: 2500 }, (_, i) => customer(i + 1, 7 + i / 100000, 125.6));
+      devApi.get.mockImplementation(async (url, { params }) => {
+        if (params.pageSize === 1) return { data: { data: { count: all.length } } };
+        const start = (params.pageIndex - 1) * params.pageSize;
+        return { data: { data: { data: all.slice(start, start + params.pageSize) } } };
+      });
+      const onProgress = jest.fn();
+
+      const result = await GisCustomerInterceptor.downloadAndSaveCustomers(onProgress);
+
+      expect(result).toEqual({ success: true, count: 2500 });
+      expect(await GisCustomerInterceptor.getCustomerCount()).toBe(2500);
+      expect(onProgress).toHaveBeenLastCalledWith(100, 2, 2500, 'indexing');
+
+      const chunk = JSON.parse(await FileSystem.readAsStringAsync(`${CUSTOMER_DIR}chunk_0.json`));
+      expect(chunk).toHaveLength(2000);
+      expect(chunk[0].name).not.toBe('Customer 1');
+      expect((await GisCustomerInterceptor.searchCustomers('100-00-002500'))[0].name).toBe('Customer 2500');
+
+      const index = JSON.parse(await FileSystem.readAsStringAsync(`${CUSTOMER_DIR}geo_index.json`));
+      expect(index).toHaveLength(2500);
+    });
+
+    it('fails instead of saving an incomplete dataset when a page cannot be fetched', async () => {
+      await AsyncStorage.setItem('token', 'access');
+      devApi.get.mockImplementation(async (url, { params }) => {
+        if (params.pageSize === 1) return { data: { data: { count: 4000 } } };
+        if (params.pageIndex === 2) throw new Error('Network Error');
+        return { data: { data: { data: [customer(1, 7.07, 125.61)] } } };
+      });
+
+      const result = await GisCustomerInterceptor.downloadAndSaveCustomers();
+
+      expect(result).toMatchObject({ success: false, error: expect.stringContaining('page 2 of 2') });
+      expect(devApi.get).toHaveBeenCalledWith('/admin/Customer/paginate', expect.objectContaining({ retry: expect.any(Object) }));
+      expect(await GisCustomerInterceptor.getCustomerCount()).toBe(0);
+    });
+
+    it('returns an empty result when the server has no customers', async () => {
+      await AsyncStorage.setItem('token', 'access');
+      devApi.get.mockResolvedValue({ data: { data: { count: 0 } } });
+
+      expect(await GisCustomerInterceptor.downloadAndSaveCustomers()).toEqual({ success: true, count: 0 });
+    });
+  });
+});
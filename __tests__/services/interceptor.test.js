@@ -0,0 +1,458 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  devApi,
+  submitLeakReport,
+  findLeakReportByRefNo,
+  fetchLeakReports,
+  fetchLeakReportsPage,
+  fetchAllLeakReports,
+  fetchNearbyLeakReports,
+  amendLeakReport,
+  withdrawLeakReport,
+  isReportNotPendingError,
+  login,
+  logout,
+} from '../../services/interceptor';
+import { getRecentLogs, clearLogs } from '../../services/logger';
+import { DEFAULT_REPORT_FILTERS } from '../../services/reportQuery';
+
+const USER = { empId: '10001', fName: 'Juan', mName: 'Santos', lName: 'Dela Cruz' };
+
+const report = (overrides = {}) => ({
+  refNo: '202510ABCD1234501',
+  leakType: 'Mainline',
+  location: 'Surface',
+  covering: 'Asphalt',
+  dma: 'DMA-01',
+  contactNumber: '09171234567',
+  landmark: 'Near the chapel',
+  meterData: { meterNumber: 'M00012345', accountNumber: '123-45-678901', address: '12 Rizal St.' },
+  coordinates: { latitude: 7.0731, longitude: 125.6128 },
+  leakPhotos: [],
+  leakPhotoDetails: [],
+  ...overrides,
+});
+
+// FormData parts as [name, value] pairs
+const postedParts = () => devApi.post.mock.calls[devApi.post.mock.calls.length - 1][1]._parts;
+const field = (name) => postedParts().find(([key]) => key === name)?.[1];
+
+describe('interceptor', () => {
+  beforeEach(async () => {
+    jest.spyOn(devApi, 'post').mockResolvedValue({ data: { statusCode: 200, message: 'Success' } });
+    jest.spyOn(devApi, 'get').mockResolvedValue({ data: { data: { reports: [] } } });
+    await AsyncStorage.setItem('userData', JSON.stringify(USER));
+  });
+
+  afterEach(() => {
+    devApi.post.mockRestore();
+    devApi.get.mockRestore();
+  });
+
+  describe('submitLeakReport mapping', () => {
+    it('posts the report as multipart form data to the leak report endpoint', async () => {
+      const result = await submitLeakReport(report());
+
+      expect(devApi.post).toHaveBeenCalledWith(
+        '/admin/LeakDetection/LeakDetectionReport',
+        expect.any(FormData),
+        expect.objectContaining({ headers: { 'Content-Type': 'multipart/form-data' } })
+      );
+      expect(result).toMatchObject({ statusCode: 200, refNo: '202510ABCD1234501' });
+    });
+
+    it('maps form fields onto the backend model', async () => {
+      await submitLeakReport(report());
+
+      expect(field('RefNo')).toBe('202510ABCD1234501');
+      expect(field('ReportedLocation')).toBe('12 Rizal St.');
+      expect(field('ReportedLandmark')).toBe('Near the chapel');
+      expect(field('ReferenceMtr')).toBe('M00012345');
+      expect(field('ReportedNumber')).toBe('09171234567');
+      expect(field('ReferenceRecaddrs')).toBe('678901');
+      expect(field('DmaCode')).toBe('DMA-01');
+      expect(field('ReporterName')).toBe('Juan Santos Dela Cruz');
+      expect(field('ReportedBy')).toBe('10001');
+      expect(field('Geom')).toBe('125.6128, 7.0731');
+      expect(field('DispatchStat')).toBe(0);
+      expect(field('LeakLocation')).toBe(1);
+    });
+
+    it('resolves leak type and covering ids from the catalog', async () => {
+      await submitLeakReport(report({ leakType: 'Serviceline', covering: 'Gravel', location: 'Non-Surface' }));
+
+      expect(field('LeakTypeId')).toBe(38);
+      expect(field('JmsCode')).toBe('0100');
+      expect(field('ReportType')).toBe(54);
+      expect(field('LeakCovering')).toBe(4);
+      expect(field('LeakLocation')).toBe(2);
+    });
+
+    it('maps legacy leak type names from old drafts', async () => {
+      await submitLeakReport(report({ leakType: 'Service Line' }));
+      expect(field('LeakTypeId')).toBe(38);
+    });
+
+    it('sends the first two photos as LeakImage1/2 and the rest as attachments', async () => {
+      await submitLeakReport(report({
+        leakPhotos: ['file:///p/one.jpg', 'file:///p/two.png', 'file:///p/three.jpg'],
+        leakPhotoDetails: [
+          { category: 'wide', caption: 'Street view' },
+          { category: 'closeup', caption: '' },
+          { category: 'meter', caption: 'Meter box' },
+        ],
+        landmarkPhoto: 'file:///p/landmark.jpg',
+      }));
+
+      expect(field('LeakImage1')).toEqual({ uri: 'file:///p/one.jpg', name: 'one.jpg', type: 'image/jpeg' });
+      expect(field('LeakImage2')).toEqual({ uri: 'file:///p/two.png', name: 'two.png', type: 'image/png' });
+      expect(field('Attachments[0].Field')).toBe('LeakImage1');
+      expect(field('Attachments[1].Field')).toBe('LeakImage2');
+      expect(field('Attachments[2].File')).toEqual({ uri: 'file:///p/three.jpg', name: 'three.jpg', type: 'image/jpeg' });
+      expect(field('Attachments[0].Category')).toBe('wide');
+      expect(field('Attachments[0].Caption')).toBe('Street view');
+      expect(field('Attachments[2].Caption')).toBe('Meter box');
+      expect(field('LandmarkImage')).toEqual(expect.objectContaining({ uri: 'file:///p/landmark.jpg' }));
+    });
+
+    it('keeps photo details aligned when a photo slot is empty', async () => {
+      await submitLeakReport(report({
+        leakPhotos: [null, 'file:///p/two.jpg'],
+        leakPhotoDetails: [{ category: 'wide', caption: '' }, { category: 'closeup', caption: 'Crack' }],
+      }));
+
+      expect(field('LeakImage1')).toEqual(expect.objectContaining({ uri: 'file:///p/two.jpg' }));
+      expect(field('Attachments[0].Category')).toBe('closeup');
+      expect(field('Attachments[0].Caption')).toBe('Crack');
+      expect(field('LeakImage2')).toBeUndefined();
+    });
+
+    it('sends LinkedRefNo only for a report linked to an existing one', async () => {
+      await submitLeakReport(report());
+      expect(field('LinkedRefNo')).toBeUndefined();
+
+      await submitLeakReport(report({ linkedRefNo: 'LD-9' }));
+      expect(field('LinkedRefNo')).toBe('LD-9');
+    });
+
+    it('sends the Priority scored from the severity assessment', async () => {
+      await submitLeakReport(report({
+        pressure: 'High',
+        severity: { flow: 'gushing', traffic: 'blocked' },
+      }));
+
+      expect(field('Priority')).toBe(1);
+      expect(field('Pressure')).toBe('High');
+      expect(field('SeverityScore')).toBe(9);
+      expect(JSON.parse(field('SeverityAssessment'))).toEqual({ flow: 'gushing', pressure: 'High', traffic: 'blocked' });
+    });
+
+    it('falls back to the default Priority for reports queued without an assessment', async () => {
+      await submitLeakReport(report({ pressure: 'High' }));
+
+      expect(field('Priority')).toBe(2);
+      expect(field('SeverityScore')).toBeUndefined();
+      expect(field('SeverityAssessment')).toBeUndefined();
+    });
+
+    it('generates a RefNo when the report has none', async () => {
+      const result = await submitLeakReport(report({ refNo: undefined }));
+      expect(field('RefNo')).toMatch(/^\d{6}[A-Z0-9]{11}$/);
+      expect(result.refNo).toBe(field('RefNo'));
+    });
+  });
+
+  describe('duplicate handling', () => {
+    it('treats a 409 for the RefNo as already submitted', async () => {
+      devApi.post.mockRejectedValueOnce({ response: { status: 409, data: { message: 'RefNo already exists' } } });
+      const result = await submitLeakReport(report());
+      expect(result).toMatchObject({ duplicate: true, refNo: '202510ABCD1234501' });
+    });
+
+    it('does not take other conflicts for an accepted report', async () => {
+      const conflict = { response: { status: 409, data: { message: 'Meter 12345 has a duplicate open report' } } };
+      devApi.post.mockRejectedValueOnce(conflict);
+      await expect(submitLeakReport(report())).rejects.toBe(conflict);
+
+      devApi.post.mockResolvedValueOnce({ data: { statusCode: 422, message: 'DMA already exists in another zone' } });
+      expect((await submitLeakReport(report())).duplicate).toBeUndefined();
+    });
+
+    it('rethrows other server errors', async () => {
+      const error = { response: { status: 500, data: { message: 'Internal error' } } };
+      devApi.post.mockRejectedValueOnce(error);
+      await expect(submitLeakReport(report())).rejects.toBe(error);
+    });
+
+    it('skips the upload when verifyExisting finds the RefNo on the server', async () => {
+      devApi.get.mockResolvedValueOnce({ data: { data: { reports: [{ refNo: '202510ABCD1234501', id: 7 }] } } });
+
+      const result = await submitLeakReport(report(), { verifyExisting: true });
+
+      expect(result).toMatchObject({ duplicate: true, data: { id: 7 } });
+      expect(devApi.post).not.toHaveBeenCalled();
+    });
+
+    it('does not resubmit when the RefNo lookup fails', async () => {
+      const error = { response: { status: 503, data: { message: 'Unavailable' } } };
+      devApi.get.mockRejectedValueOnce(error);
+
+      await expect(submitLeakReport(report(), { verifyExisting: true })).rejects.toBe(error);
+      expect(devApi.post).not.toHaveBeenCalled();
+    });
+
+    it('finds reports by RefNo for the signed-in user', async () => {
+      devApi.get.mockResolvedValueOnce({ data: { data: { reports: [{ refNo: 'OTHER' }, { RefNo: 'LD-1', id: 3 }] } } });
+      expect(await findLeakReportByRefNo('LD-1')).toMatchObject({ id: 3 });
+      expect(devApi.get).toHaveBeenCalledWith('/admin/GetLeakReports/mobile/user/10001', expect.any(Object));
+    });
+  });
+
+  it('fetches the dashboard reports of the signed-in user when no empId is given', async () => {
+    devApi.get.mockResolvedValueOnce({ data: { data: { reports: [] } } });
+    await fetchLeakReports();
+    expect(devApi.get).toHaveBeenCalledWith('/admin/GetLeakReports/mobile/user/10001', expect.any(Object));
+  });
+
+  describe('fetchLeakReportsPage', () => {
+    it('sends the filters and reads a paged response', async () => {
+      devApi.get.mockResolvedValueOnce({ data: { data: {
+        reports: [{ refNo: 'LD-21' }], page: 2, pageSize: 20, filteredCount: 21, totalCount: 80, hasMore: false,
+      } } });
+
+      const result = await fetchLeakReportsPage({ search: 'LD', status: 'reported', dma: 'DMA-01', dateRange: 'all', sort: 'oldest' }, { page: 2 });
+
+      expect(devApi.get).toHaveBeenCalledWith('/admin/GetLeakReports/mobile/user/10001', expect.objectContaining({
+        params: expect.objectContaining({ page: 2, pageSize: 20, search: 'LD', status: 0, dmaCode: 'DMA-01', sortOrder: 'asc' }),
+      }));
+      expect(result).toEqual({ reports: [{ refNo: 'LD-21' }], page: 2, pageSize: 20, totalCount: 21, hasMore: false });
+    });
+
+    it('filters and pages locally when the server ignores paging', async () => {
+      const reports = Array.from({ length: 25 }, (_, i) => ({ refNo: `LD-${i}`, dispatchStat: i % 2, dtReported: new Date(2026, 0, i + 1).toISOString() }));
+      devApi.get.mockResolvedValueOnce({ data: { data: { reports } } });
+
+      const result = await fetchLeakReportsPage({ status: 'scheduled', sort: 'newest' });
+
+      expect(result).toMatchObject({ page: 1, totalCount: 12, hasMore: false });
+      expect(result.reports[0].refNo).toBe('LD-23');
+    });
+
+    it('gets the whole list once from a server that only understands limit', async () => {
+      const all = Array.from({ length: 150 }, (_, i) => ({ refNo: `LD-${i}`, dispatchStat: 0, dtReported: new Date(2026, 0, 1, 0, i).toISOString() }));
+      // Ignores page and pageSize, cuts the list at limit and sends no paging fields
+      devApi.get.mockImplementation(async (url, { params }) => ({
+        data: { data: { reports: all.slice(0, params.limit || all.length) } },
+      }));
+
+      await fetchLeakReportsPage(DEFAULT_REPORT_FILTERS, { page: 1 });
+      const page2 = await fetchLeakReportsPage(DEFAULT_REPORT_FILTERS, { page: 2 });
+      expect(page2).toMatchObject({ page: 2, totalCount: 150, hasMore: true });
+      expect(devApi.get).toHaveBeenCalledTimes(1);
+
+      devApi.get.mockClear();
+      expect(await fetchAllLeakReports()).toHaveLength(150);
+      expect(devApi.get).toHaveBeenCalledTimes(1);
+      expect(devApi.get.mock.calls[0][1].params).not.toHaveProperty('limit');
+    });
+
+    it('pages through every matching report for fetchAllLeakReports', async () => {
+      devApi.get
+        .mockResolvedValueOnce({ data: { data: { reports: [{ refNo: 'LD-1' }], page: 1, hasMore: true } } })
+        .mockResolvedValueOnce({ data: { data: { reports: [{ refNo: 'LD-2' }], page: 2, hasMore: false } } });
+
+      const reports = await fetchAllLeakReports({ status: 'repaired' });
+
+      expect(reports.map((item) => item.refNo)).toEqual(['LD-1', 'LD-2']);
+      expect(devApi.get).toHaveBeenLastCalledWith(expect.any(String), expect.objectContaining({
+        params: expect.objectContaining({ page: 2, pageSize: 100, status: 3 }),
+      }));
+    });
+
+    it('treats a 404 as no reports', async () => {
+      devApi.get.mockRejectedValueOnce(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+      expect(await fetchLeakReportsPage()).toMatchObject({ reports: [], totalCount: 0, hasMore: false });
+    });
+  });
+
+  describe('fetchNearbyLeakReports', () => {
+    it('asks for every report within the radius since the date', async () => {
+      devApi.get.mockResolvedValueOnce({ data: { data: [{ refNo: 'LD-5' }] } });
+
+      const reports = await fetchNearbyLeakReports({ latitude: 7.07, longitude: 125.61 }, { radiusMeters: 100, dateFrom: '2026-10-01T00:00:00.000Z' });
+
+      expect(reports).toEqual([{ refNo: 'LD-5' }]);
+      expect(devApi.get).toHaveBeenCalledWith('/admin/GetLeakReports/nearby', expect.objectContaining({
+        params: { lat: 7.07, lng: 125.61, radius: 100, dateFrom: '2026-10-01T00:00:00.000Z' },
+      }));
+    });
+
+    it('neither retries nor counts against the circuit breaker', async () => {
+      await fetchNearbyLeakReports({ latitude: 7.07, longitude: 125.61 });
+
+      expect(devApi.get).toHaveBeenCalledWith('/admin/GetLeakReports/nearby', expect.objectContaining({
+        retry: false,
+        circuitBreaker: false,
+      }));
+    });
+
+    it('treats a 404 as nothing nearby and rethrows other errors', async () => {
+      devApi.get.mockRejectedValueOnce(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+      expect(await fetchNearbyLeakReports({ latitude: 7.07, longitude: 125.61 })).toEqual([]);
+
+      devApi.get.mockRejectedValueOnce(new Error('Network Error'));
+      await expect(fetchNearbyLeakReports({ latitude: 7.07, longitude: 125.61 })).rejects.toThrow('Network Error');
+    });
+  });
+
+  it('cancels before posting when the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(submitLeakReport(report(), { signal: controller.signal })).rejects.toMatchObject({ code: 'ERR_CANCELED' });
+    expect(devApi.post).not.toHaveBeenCalled();
+  });
+
+  describe('amending and withdrawing', () => {
+    const putParts = () => devApi.put.mock.calls[0][1]._parts;
+    const putField = (name) => putParts().find(([key]) => key === name)?.[1];
+
+    beforeEach(() => {
+      jest.spyOn(devApi, 'put').mockResolvedValue({ data: { statusCode: 200, message: 'Leak report updated' } });
+    });
+
+    afterEach(() => {
+      devApi.put.mockRestore();
+    });
+
+    it('puts the amended fields to the report by RefNo', async () => {
+      const result = await amendLeakReport(report({ leakType: 'Serviceline', covering: 'Gravel' }));
+
+      expect(devApi.put).toHaveBeenCalledWith(
+        '/admin/LeakDetection/LeakDetectionReport/202510ABCD1234501',
+        expect.any(FormData),
+        expect.objectContaining({ headers: { 'Content-Type': 'multipart/form-data' } })
+      );
+      expect(putField('LeakTypeId')).toBe(38);
+      expect(putField('LeakCovering')).toBe(4);
+      expect(putField('Geom')).toBe('125.6128, 7.0731');
+      expect(putField('AmendedBy')).toBe('10001');
+      // Status and report date stay as the server has them
+      expect(putField('DispatchStat')).toBeUndefined();
+      expect(putField('DtReported')).toBeUndefined();
+      expect(result).toMatchObject({ amended: true, refNo: '202510ABCD1234501' });
+    });
+
+    it('re-scores the Priority from the amended assessment', async () => {
+      await amendLeakReport(report({ pressure: 'Low', severity: { flow: 'trickle', propertyRisk: 'possible' } }));
+
+      expect(putField('Priority')).toBe(3);
+      expect(putField('Pressure')).toBe('Low');
+      expect(putField('SeverityScore')).toBe(2);
+    });
+
+    it('keeps server photos and uploads only new ones', async () => {
+      await amendLeakReport(report({
+        leakPhotos: ['https://api.test/uploads/1.jpg', 'file:///leak_photos/new.jpg'],
+        leakPhotoDetails: [{ category: 'wide' }, { category: 'closeup', caption: 'Crack' }],
+        landmarkPhoto: 'https://api.test/uploads/landmark.jpg',
+      }));
+
+      expect(putField('RetainedPhotos[0]')).toBe('https://api.test/uploads/1.jpg');
+      expect(putField('RetainedPhotos[1]')).toBe('https://api.test/uploads/landmark.jpg');
+      expect(putField('Attachments[0].File')).toMatchObject({ uri: 'file:///leak_photos/new.jpg', name: 'new.jpg' });
+      expect(putField('Attachments[0].Category')).toBe('closeup');
+      expect(putField('Attachments[0].Caption')).toBe('Crack');
+      expect(putField('LeakImage1')).toBeUndefined();
+      expect(putField('LandmarkImage')).toBeUndefined();
+    });
+
+    it('flags a report that is no longer pending', async () => {
+      devApi.put.mockRejectedValueOnce({ response: { status: 409, data: { message: 'Report is not pending' } } });
+
+      const error = await amendLeakReport(report()).catch((e) => e);
+
+      expect(isReportNotPendingError(error)).toBe(true);
+      expect(error.message).toBe('Report is not pending');
+    });
+
+    it('does not take other conflicts or validation errors for a report that left Pending', async () => {
+      const invalid = { response: { status: 422, data: { message: 'LeakTypeId is required' } } };
+      devApi.put.mockRejectedValueOnce(invalid);
+      await expect(amendLeakReport(report())).rejects.toBe(invalid);
+
+      const conflict = { response: { status: 409, data: { message: 'Report was modified by another user' } } };
+      devApi.post.mockRejectedValueOnce(conflict);
+      const error = await withdrawLeakReport('LD-1').catch((e) => e);
+      expect(isReportNotPendingError(error)).toBe(false);
+    });
+
+    it('rethrows other amendment errors unchanged', async () => {
+      const error = { response: { status: 500, data: { message: 'Internal error' } } };
+      devApi.put.mockRejectedValueOnce(error);
+      await expect(amendLeakReport(report())).rejects.toBe(error);
+    });
+
+    it('withdraws a report with the reason', async () => {
+      const result = await withdrawLeakReport('LD-1', { reason: 'Duplicate' });
+
+      expect(devApi.post).toHaveBeenCalledWith(
+        '/admin/LeakDetection/LeakDetectionReport/LD-1/withdraw',
+        expect.objectContaining({ RefNo: 'LD-1', Reason: 'Duplicate', WithdrawnBy: '10001' }),
+        { retry: { idempotent: true } }
+      );
+      expect(result).toMatchObject({ withdrawn: true, refNo: 'LD-1' });
+    });
+
+    it('treats an already withdrawn report as done', async () => {
+      devApi.post.mockRejectedValueOnce({ response: { status: 409, data: { message: 'Report LD-1 was already withdrawn' } } });
+      await expect(withdrawLeakReport('LD-1')).resolves.toMatchObject({ withdrawn: true, duplicate: true });
+    });
+
+    it('refuses to withdraw a dispatched report', async () => {
+      devApi.post.mockRejectedValueOnce({ response: { status: 409, data: { message: 'Report LD-1 is not pending' } } });
+      await expect(withdrawLeakReport('LD-1')).rejects.toMatchObject({ code: 'ERR_REPORT_NOT_PENDING' });
+    });
+  });
+
+  describe('login', () => {
+    it('stores tokens and user data on success', async () => {
+      devApi.post.mockResolvedValueOnce({
+        data: { statusCode: 200, data: { ...USER, token: 'access', refreshToken: 'refresh' } },
+      });
+
+      const user = await login(' demo ', 'demo123');
+
+      expect(devApi.post).toHaveBeenCalledWith('/admin/userlogin/login', { username: 'demo', password: 'demo123' });
+      expect(user.empId).toBe('10001');
+      expect(await AsyncStorage.getItem('token')).toBe('access');
+      expect(await AsyncStorage.getItem('refresh_token')).toBe('refresh');
+    });
+
+    it('keeps the user\'s names and tokens out of the logs', async () => {
+      await clearLogs();
+      devApi.post.mockResolvedValueOnce({
+        data: { statusCode: 200, data: { ...USER, token: 'access-token', refreshToken: 'refresh-token' } },
+      });
+
+      await login('demo', 'demo123');
+
+      const logs = JSON.stringify(await getRecentLogs());
+      expect(logs).toMatch(/Login successful/);
+      expect(logs).toMatch(/Login response received/);
+      expect(logs).not.toMatch(/Juan|Santos|Dela Cruz|access-token|refresh-token|demo123/);
+    });
+
+    it('throws the server message on failure', async () => {
+      devApi.post.mockResolvedValueOnce({ data: { statusCode: 401, message: 'Invalid username or password' } });
+      await expect(login('demo', 'wrong')).rejects.toThrow('Invalid username or password');
+      expect(await AsyncStorage.getItem('token')).toBeNull();
+    });
+
+    it('logout keeps the customer cache', async () => {
+      await AsyncStorage.multiSet([['token', 'access'], ['allCustomers_count', '10']]);
+      await logout();
+      expect(await AsyncStorage.getItem('token')).toBeNull();
+      expect(await AsyncStorage.getItem('allCustomers_count')).toBe('10');
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import * as Location from 'expo-location';
+import {
+  isWithinAllowedArea,
+  getCurrentLocationForGuard,
+  verifyLocationAccess,
+  getAllowedAreaName,
+} from '../../services/locationGuard';
+
+const setPosition = (latitude, longitude) => {
+  Location.getCurrentPositionAsync.mockResolvedValueOnce({ coords: { latitude, longitude }, timestamp: Date.now() });
+};
+
+describe('locationGuard', () => {
+  beforeEach(() => {
+    Location.hasServicesEnabledAsync.mockClear().mockResolvedValue(true);
+    Location.getForegroundPermissionsAsync.mockClear().mockResolvedValue({ status: 'granted' });
+    Location.requestForegroundPermissionsAsync.mockClear().mockResolvedValue({ status: 'granted' });
+  });
+
+  describe('isWithinAllowedArea', () => {
+    it('accepts points inside Davao City', () => {
+      expect(isWithinAllowedArea(7.0731, 125.6128)).toBe(true);
+    });
+
+    it('includes the boundary', () => {
+      expect(isWithinAllowedArea(6.9679, 125.2244)).toBe(true);
+      expect(isWithinAllowedArea(7.4135, 125.6862)).toBe(true);
+    });
+
+    it('rejects points outside', () => {
+      expect(isWithinAllowedArea(14.5995, 120.9842)).toBe(false); // Manila
+      expect(isWithinAllowedArea(7.0731, 125.7)).toBe(false);
+      expect(isWithinAllowedArea(6.9, 125.6)).toBe(false);
+    });
+  });
+
+  it('reports disabled location services', async () => {
+    Location.hasServicesEnabledAsync.mockResolvedValueOnce(false);
+    const result = await getCurrentLocationForGuard();
+    expect(result).toMatchObject({ success: false, errorType: 'SERVICE_DISABLED' });
+    expect(Location.getCurrentPositionAsync).not.toHaveBeenCalledWith(expect.anything());
+  });
+
+  it('asks for permission when not yet granted', async () => {
+    Location.getForegroundPermissionsAsync.mockResolvedValueOnce({ status: 'undetermined' });
+    setPosition(7.07, 125.61);
+
+    const result = await getCurrentLocationForGuard();
+
+    expect(Location.requestForegroundPermissionsAsync).toHaveBeenCalled();
+    expect(result).toEqual({ success: true, location: { latitude: 7.07, longitude: 125.61 } });
+  });
+
+  it('reports a denied permission', async () => {
+    Location.getForegroundPermissionsAsync.mockResolvedValueOnce({ status: 'denied' });
+    Location.requestForegroundPermissionsAsync.mockResolvedValueOnce({ status: 'denied' });
+
+    const result = await getCurrentLocationForGuard();
+
+    expect(result).toMatchObject({ success: false, errorType: 'PERMISSION_DENIED' });
+  });
+
+  it('reports GPS errors', async () => {
+    Location.getCurrentPositionAsync.mockRejectedValueOnce(new Error('Location request timed out'));
+    const result = await getCurrentLocationForGuard();
+    expect(result).toMatchObject({ success: false, errorType: 'LOCATION_ERROR' });
+  });
+
+  describe('verifyLocationAccess', () => {
+    it('allows users inside the service area', async () => {
+      setPosition(7.1, 125.6);
+      expect(await verifyLocationAccess()).toEqual({ allowed: true, location: { latitude: 7.1, longitude: 125.6 } });
+    });
+
+    it('blocks users outside the service area', async () => {
+      setPosition(8.48, 124.65);
+      const result = await verifyLocationAccess();
+      expect(result).toMatchObject({ allowed: false, errorType: 'OUTSIDE_AREA', location: { latitude: 8.48, longitude: 124.65 } });
+      expect(result.message).toContain(getAllowedAreaName());
+    });
+
+    it('passes through location errors', async () => {
+      Location.hasServicesEnabledAsync.mockResolvedValueOnce(false);
+      const result = await verifyLocationAccess();
+      expect(result).toMatchObject({ allowed: false, errorType: 'SERVICE_DISABLED' });
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { saveLocationToAPI } from '../../services/locationTracker';
+import { devApi } from '../../services/interceptor';
+
+jest.mock('expo-task-manager', () => ({
+  defineTask: jest.fn(),
+  isTaskRegisteredAsync: jest.fn(async () => false),
+}));
+
+jest.mock('expo-device', () => ({
+  modelName: 'Pixel 7',
+  osName: 'Android',
+}));
+
+jest.mock('../../services/interceptor', () => ({
+  devApi: { post: jest.fn() },
+}));
+
+const point = (id) => ({ ID: id, DeviceId: 'device', Location: '7.07,125.61', TransactionDatetime: '2026-10-19T00:00:00.000Z' });
+const location = { coords: { latitude: 7.0731, longitude: 125.6128 }, timestamp: Date.UTC(2026, 9, 19) };
+const pendingIds = async () => JSON.parse(await AsyncStorage.getItem('pendingLocations')).map((payload) => payload.ID);
+
+describe('locationTracker', () => {
+  beforeEach(async () => {
+    devApi.post.mockReset();
+    await AsyncStorage.setItem('userData', JSON.stringify({ empId: '10001' }));
+  });
+
+  it('sends the points kept while offline after the next saved location', async () => {
+    await AsyncStorage.setItem('pendingLocations', JSON.stringify([point('p1'), point('p2')]));
+    devApi.post.mockResolvedValue({ data: {} });
+
+    await saveLocationToAPI(location);
+
+    expect(devApi.post).toHaveBeenCalledTimes(3);
+    expect(await pendingIds()).toEqual([]);
+  });
+
+  it('removes exactly the sent points when the buffer is trimmed during the flush', async () => {
+    const pending = Array.from({ length: 200 }, (_, i) => point(`p${i}`));
+    await AsyncStorage.setItem('pendingLocations', JSON.stringify(pending));
+    devApi.post
+      .mockResolvedValueOnce({ data: {} }) // the new location
+      .mockImplementationOnce(async () => {
+        // Another point fails while p0 is being sent and pushes p0 out of the full buffer
+        await AsyncStorage.setItem('pendingLocations', JSON.stringify([...pending.slice(1), point('late')]));
+        return { data: {} };
+      })
+      .mockRejectedValue(new Error('Network Error'));
+
+    await saveLocationToAPI(location);
+
+    expect(await pendingIds()).toEqual([...pending.slice(1).map((payload) => payload.ID), 'late']);
+  });
+});
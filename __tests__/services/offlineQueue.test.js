@@ -0,0 +1,117 @@
+import NetInfo from '@react-native-community/netinfo';
+import {
+  getQueue,
+  addToQueue,
+  updateQueueItem,
+  removeFromQueue,
+  clearQueue,
+  getPendingCount,
+  checkOnlineStatus,
+  saveSyncStatus,
+  getSyncStatus,
+  getFailedItems,
+  retryFailedItem,
+} from '../../services/offlineQueue';
+
+describe('offlineQueue', () => {
+  it('starts empty', async () => {
+    expect(await getQueue()).toEqual([]);
+    expect(await getPendingCount()).toBe(0);
+  });
+
+  it('adds items as pending with an id and timestamp', async () => {
+    const id = await addToQueue({ type: 'leak_report', data: { refNo: 'LD-1' } });
+
+    const queue = await getQueue();
+    expect(queue).toHaveLength(1);
+    expect(queue[0]).toMatchObject({
+      id,
+      type: 'leak_report',
+      status: 'pending',
+      retryCount: 0,
+      data: { refNo: 'LD-1' },
+    });
+    expect(new Date(queue[0].timestamp).toString()).not.toBe('Invalid Date');
+  });
+
+  it('keeps extra fields passed with the action', async () => {
+    await addToQueue({ type: 'leak_report', data: {}, lastAttemptAt: '2025-01-01T00:00:00.000Z' });
+    const [item] = await getQueue();
+    expect(item.lastAttemptAt).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  it('updates and removes a single item', async () => {
+    const first = await addToQueue({ type: 'leak_report', data: { refNo: 'LD-1' } });
+    const second = await addToQueue({ type: 'leak_report', data: { refNo: 'LD-2' } });
+
+    await updateQueueItem(first, { status: 'failed', lastError: 'Network Error' });
+    let queue = await getQueue();
+    expect(queue.find((item) => item.id === first)).toMatchObject({ status: 'failed', lastError: 'Network Error' });
+    expect(queue.find((item) => item.id === second).status).toBe('pending');
+
+    await removeFromQueue(first);
+    queue = await getQueue();
+    expect(queue.map((item) => item.id)).toEqual([second]);
+  });
+
+  it('counts pending and lists failed items', async () => {
+    const a = await addToQueue({ type: 'leak_report', data: {} });
+    await addToQueue({ type: 'leak_report', data: {} });
+    await updateQueueItem(a, { status: 'failed', retryCount: 3 });
+
+    expect(await getPendingCount()).toBe(1);
+    const failed = await getFailedItems();
+    expect(failed.map((item) => item.id)).toEqual([a]);
+  });
+
+  it('resets a failed item for retry', async () => {
+    const id = await addToQueue({ type: 'leak_report', data: {} });
+    await updateQueueItem(id, { status: 'failed', retryCount: 3, lastError: 'Timeout' });
+
+    await retryFailedItem(id);
+
+    const [item] = await getQueue();
+    expect(item).toMatchObject({ status: 'pending', retryCount: 0, lastError: null });
+  });
+
+  it('clears the queue', async () => {
+    await addToQueue({ type: 'leak_report', data: {} });
+    await clearQueue();
+    expect(await getQueue()).toEqual([]);
+  });
+
+  it('returns an empty queue when storage holds invalid JSON', async () => {
+    const AsyncStorage = require('@react-native-async-storage/async-storage');
+    await AsyncStorage.setItem('offline_queue', '{not json');
+    expect(await getQueue()).toEqual([]);
+  });
+
+  describe('checkOnlineStatus', () => {
+    it('is online when connected and reachable', async () => {
+      NetInfo.fetch.mockResolvedValueOnce({ isConnected: true, isInternetReachable: true });
+      expect(await checkOnlineStatus()).toBe(true);
+    });
+
+    it('treats unknown reachability as online', async () => {
+      NetInfo.fetch.mockResolvedValueOnce({ isConnected: true, isInternetReachable: null });
+      expect(await checkOnlineStatus()).toBe(true);
+    });
+
+    it('is offline when the internet is unreachable', async () => {
+      NetInfo.fetch.mockResolvedValueOnce({ isConnected: true, isInternetReachable: false });
+      expect(await checkOnlineStatus()).toBe(false);
+    });
+
+    it('is offline when NetInfo fails', async () => {
+      NetInfo.fetch.mockRejectedValueOnce(new Error('native module missing'));
+      expect(await checkOnlineStatus()).toBe(false);
+    });
+  });
+
+  it('saves the last sync status with a timestamp', async () => {
+    await saveSyncStatus({ synced: 2, failed: 1 });
+    const status = await getSyncStatus();
+    expect(status).toMatchObject({ synced: 2, failed: 1 });
+    expect(status.lastSync).toEqual(expect.any(String));
+  });
+});
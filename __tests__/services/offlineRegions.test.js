@@ -0,0 +1,155 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import GisCustomerInterceptor from '../../services/gisCustomerInterceptor';
+import {
+  getOfflineRegions,
+  validateRegion,
+  estimateRegion,
+  buildDmaArea,
+  saveOfflineRegion,
+  deleteOfflineRegion,
+  getOfflineRegionsWithStats,
+  downloadOfflineRegion,
+} from '../../services/offlineRegions';
+import { CITY_REGION, getTileUri } from '../../services/offlineTileManager';
+import { putTiles, addRegionTiles, hasTile, getTileStats, deleteTileStore } from '../../services/tileStore';
+import { createTileDownloadJob, saveTileDownloadJob, getTileDownloadJob } from '../../services/tileDownloadJob';
+
+jest.mock('../../services/interceptor', () => ({
+  devApi: { get: jest.fn() },
+}));
+
+const PNG = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// A few streets around City Hall, zoom 16 only - a handful of tiles
+const poblacion = {
+  name: 'Poblacion',
+  type: 'polygon',
+  points: [[7.0760, 125.6100], [7.0760, 125.6160], [7.0700, 125.6160], [7.0700, 125.6100]],
+  minZoom: 16,
+  maxZoom: 16,
+};
+
+describe('offlineRegions', () => {
+  beforeEach(async () => {
+    await deleteTileStore();
+    global.fetch = jest.fn(async () => ({ ok: true, arrayBuffer: async () => PNG.buffer }));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  describe('getOfflineRegions', () => {
+    it('keeps tiles downloaded before regions existed as the Davao City region', async () => {
+      await putTiles([{ z: 10, x: 869, y: 491, data: PNG }, { z: 10, x: 870, y: 491, data: PNG }]);
+
+      const regions = await getOfflineRegions();
+
+      expect(regions).toEqual([expect.objectContaining({ id: CITY_REGION.id, name: 'Davao City', minZoom: 10, maxZoom: 18 })]);
+      expect((await getOfflineRegionsWithStats())[0]).toMatchObject({ storedTiles: 2, bytes: 16 });
+    });
+
+    it('starts with no regions when nothing was downloaded', async () => {
+      expect(await getOfflineRegions()).toEqual([]);
+      expect(JSON.parse(await AsyncStorage.getItem('offline_regions'))).toEqual([]);
+    });
+  });
+
+  describe('validateRegion', () => {
+    it.each([
+      [{ ...poblacion, name: ' ' }, /name/],
+      [{ ...poblacion, minZoom: 17, maxZoom: 16 }, /zoom range/],
+      [{ ...poblacion, maxZoom: 19 }, /zoom range/],
+      [{ ...poblacion, points: poblacion.points.slice(0, 2) }, /three points/],
+      [{ ...poblacion, type: 'route', bufferMeters: 100, points: poblacion.points.slice(0, 1) }, /two points/],
+      [{ ...poblacion, type: 'route', bufferMeters: 0 }, /either side/],
+      [{ ...poblacion, type: 'rectangle', bounds: { minLat: 7.1, maxLat: 7.0, minLon: 125.6, maxLon: 125.7 } }, /corners/],
+      [{ ...poblacion, type: 'dma', points: [] }, /Pick a DMA/],
+      [{ ...poblacion, type: 'dma', dmaCode: 'DMA-01', points: [] }, /customer data/],
+    ])('rejects %#', (region, message) => {
+      expect(validateRegion(region)).toMatch(message);
+    });
+
+    it('accepts a complete region', () => {
+      expect(validateRegion(poblacion)).toBeNull();
+      expect(validateRegion({ ...CITY_REGION })).toBeNull();
+    });
+  });
+
+  it('estimates size from the tile count before anything is measured', async () => {
+    const { tileCount, bytes } = await estimateRegion(poblacion);
+
+    expect(tileCount).toBeGreaterThan(0);
+    expect(bytes).toBe(tileCount * 15 * 1024);
+  });
+
+  it('builds a DMA area around its customers inside the city', async () => {
+    jest.spyOn(GisCustomerInterceptor, 'getDmaCoordinates').mockResolvedValue([
+      [7.05, 125.58], [7.07, 125.58], [7.07, 125.60], [7.05, 125.60], [7.06, 125.59], [0, 0],
+    ]);
+
+    const area = await buildDmaArea('DMA-02');
+
+    expect(GisCustomerInterceptor.getDmaCoordinates).toHaveBeenCalledWith('DMA-02');
+    expect(area).toMatchObject({ type: 'dma', dmaCode: 'DMA-02', customerCount: 5, bufferMeters: 150 });
+    expect(area.points).toHaveLength(4);
+    expect(area.points).not.toContainEqual([0, 0]);
+  });
+
+  describe('saveOfflineRegion', () => {
+    it('adds a region with its tile count', async () => {
+      const saved = await saveOfflineRegion({ ...poblacion, name: ' Poblacion ' });
+
+      expect(saved).toMatchObject({ id: expect.stringMatching(/^region_/), name: 'Poblacion', tileCount: expect.any(Number) });
+      expect(await getOfflineRegions()).toEqual([saved]);
+    });
+
+    it('replaces a region saved with the same id', async () => {
+      const saved = await saveOfflineRegion(poblacion);
+
+      const updated = await saveOfflineRegion({ ...saved, maxZoom: 17 });
+
+      expect(updated.createdAt).toBe(saved.createdAt);
+      expect(updated.tileCount).toBeGreaterThan(saved.tileCount);
+      expect(await getOfflineRegions()).toEqual([updated]);
+    });
+
+    it('refuses an incomplete region', async () => {
+      await expect(saveOfflineRegion({ ...poblacion, points: [] })).rejects.toThrow(/three points/);
+    });
+  });
+
+  it('downloads a region and sizes it from its own tiles', async () => {
+    const region = await saveOfflineRegion(poblacion);
+
+    const result = await downloadOfflineRegion(region);
+
+    expect(result).toMatchObject({ total: region.tileCount, success: region.tileCount, failed: 0 });
+    expect(global.fetch).toHaveBeenCalledTimes(region.tileCount);
+    expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/^https:\/\/tile\.openstreetmap\.org\/16\//));
+    const [stats] = await getOfflineRegionsWithStats();
+    expect(stats).toMatchObject({ storedTiles: region.tileCount, bytes: region.tileCount * PNG.length, downloadedAt: expect.any(String) });
+  });
+
+  it('deletes a region without the tiles another region still uses', async () => {
+    const shared = { z: 16, x: 55634, y: 31477 };
+    const own = { z: 16, x: 55635, y: 31477 };
+    await AsyncStorage.setItem('offline_regions', JSON.stringify([{ id: 'a' }, { id: 'b' }]));
+    await AsyncStorage.setItem('offline_tiles_metadata', JSON.stringify({ totalTiles: 2 }));
+    await putTiles([shared, own].map((tile) => ({ ...tile, data: PNG })));
+    await addRegionTiles('a', [shared, own]);
+    await addRegionTiles('b', [shared]);
+    await saveTileDownloadJob(createTileDownloadJob({ ...poblacion, id: 'a' }, 2));
+    const served = await getTileUri(own.z, own.x, own.y);
+
+    expect(await deleteOfflineRegion('a')).toBe(1);
+
+    expect(await hasTile(own.z, own.x, own.y)).toBe(false);
+    expect((await FileSystem.getInfoAsync(served)).exists).toBe(false); // OfflineTile does not keep showing it
+    expect(await hasTile(shared.z, shared.x, shared.y)).toBe(true);
+    expect(await getOfflineRegions()).toEqual([{ id: 'b' }]);
+    expect(await getTileDownloadJob()).toBeNull(); // not resumed on the next start
+    expect(JSON.parse(await AsyncStorage.getItem('offline_tiles_metadata')).totalTiles).toBe((await getTileStats()).count);
+  });
+});
@@ -0,0 +1,381 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import {
+  downloadTilesForArea,
+  migrateLegacyTileCache,
+  getTileUri,
+  getServedTileTemplate,
+  serveTilesForRegion,
+  getCachedTileCount,
+  calculateStorageUsed,
+  clearTileCache,
+  hasOfflineTiles,
+  calculateTileCount,
+  refreshStaleTiles,
+  checkTileCacheHealth,
+  clearServedTiles,
+  CITY_REGION,
+} from '../../services/offlineTileManager';
+import {
+  putTile,
+  getTile,
+  hasTile,
+  getTileStats,
+  getRegionTileStats,
+  deleteTileStore,
+  bytesToBase64,
+} from '../../services/tileStore';
+import { getTileDownloadJob, createTileDownloadJob, saveTileDownloadJob } from '../../services/tileDownloadJob';
+import { __databases } from '../../jest/sqliteMock';
+
+const PNG = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+const LEGACY_DIR = `${FileSystem.cacheDirectory}map_tiles`;
+
+// XYZ tile containing a point, as the maps number them
+const tileAt = (lat, lon, z) => ({
+  z,
+  x: Math.floor(((lon + 180) / 360) * 2 ** z),
+  y: Math.floor(((1 - Math.log(Math.tan((lat * Math.PI) / 180) + 1 / Math.cos((lat * Math.PI) / 180)) / Math.PI) / 2) * 2 ** z),
+});
+
+const writeLegacyTile = async ({ z, x, y }, data = PNG, source = 'osm') => {
+  await FileSystem.makeDirectoryAsync(`${LEGACY_DIR}/${source}/${z}/${x}`, { intermediates: true });
+  await FileSystem.writeAsStringAsync(`${LEGACY_DIR}/${source}/${z}/${x}/${y}.png`, bytesToBase64(data), {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+};
+
+describe('offlineTileManager', () => {
+  beforeEach(async () => {
+    await deleteTileStore();
+    global.fetch = jest.fn(async () => ({ ok: true, arrayBuffer: async () => PNG.buffer }));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  describe('downloadTilesForArea', () => {
+    // Stop after the first batch (zoom 10) - the whole city is hundreds of thousands of tiles
+    const downloadFirstBatch = async () => {
+      let batches = 0;
+      const result = await downloadTilesForArea(() => { batches++; }, null, () => batches > 0);
+      return result;
+    };
+
+    it('stores downloaded tiles in the tile store', async () => {
+      const result = await downloadFirstBatch();
+
+      expect(result.cancelled).toBe(true);
+      expect(result.success).toBeGreaterThan(0);
+      expect((await getTileStats()).count).toBe(result.success);
+      expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/^https:\/\/tile\.openstreetmap\.org\/10\/\d+\/\d+\.png$/));
+    });
+
+    it('does not download tiles the store already has', async () => {
+      const stored = tileAt(7.4135, 125.2244, 10); // north-west corner - the first tile of the batch
+      await putTile(stored.z, stored.x, stored.y, PNG);
+
+      await downloadFirstBatch();
+
+      expect(global.fetch).not.toHaveBeenCalledWith(`https://tile.openstreetmap.org/10/${stored.x}/${stored.y}.png`);
+    });
+
+    it('downloads only the tiles of the region and zoom range it is given', async () => {
+      const region = {
+        id: 'poblacion',
+        type: 'rectangle',
+        bounds: { minLat: 7.0700, maxLat: 7.0760, minLon: 125.6100, maxLon: 125.6160 },
+        minZoom: 15,
+        maxZoom: 16,
+      };
+
+      const result = await downloadTilesForArea(null, null, null, region);
+
+      expect(result).toEqual({ total: calculateTileCount(region), success: calculateTileCount(region), failed: 0 });
+      expect(global.fetch.mock.calls.every(([url]) => /\/1[56]\//.test(url))).toBe(true);
+      expect(await getRegionTileStats('poblacion')).toMatchObject({ count: result.total });
+      expect(JSON.parse(await AsyncStorage.getItem('offline_tiles_metadata'))).toMatchObject({ regionId: 'poblacion', downloadComplete: true });
+    });
+
+    it('fetches stored tiles again when refreshing and keeps them when the fetch fails', async () => {
+      const region = { id: 'one', type: 'rectangle', bounds: { minLat: 7.0730, maxLat: 7.0731, minLon: 125.6127, maxLon: 125.6128 }, minZoom: 16, maxZoom: 16 };
+      await downloadTilesForArea(null, null, null, region);
+      global.fetch.mockClear();
+      global.fetch.mockResolvedValue({ ok: false, status: 503 });
+
+      const result = await downloadTilesForArea(null, null, null, region, { refresh: true });
+
+      expect(global.fetch).toHaveBeenCalledTimes(result.total);
+      expect(result).toMatchObject({ success: result.total, failed: 0 });
+      expect((await getTileStats()).count).toBe(result.total);
+    });
+
+    describe('saved download job', () => {
+      // About 1,200 tiles across zoom 10-18 - three batches at zoom 18
+      const district = {
+        id: 'district',
+        type: 'rectangle',
+        bounds: { minLat: 7.0500, maxLat: 7.0900, minLon: 125.5900, maxLon: 125.6300 },
+        minZoom: 10,
+        maxZoom: 18,
+      };
+
+      // Runs until progress passes `after` tiles, then stops like the app being killed - no cancel
+      const downloadUntilKilled = (after, options) => downloadTilesForArea((progress) => {
+        if (progress.current >= after) throw new Error('killed');
+      }, null, null, district, options).catch(() => {});
+
+      it('carries on from the tiles done before the app was killed', async () => {
+        await downloadUntilKilled(400, { refresh: true });
+        const saved = await getTileDownloadJob();
+        expect(saved).toMatchObject({ regionId: 'district', refresh: true, status: 'running', total: calculateTileCount(district) });
+        expect(saved.doneCount).toBeGreaterThanOrEqual(400);
+        global.fetch.mockClear();
+
+        const progress = [];
+        const result = await downloadTilesForArea((update) => progress.push(update), null, null, district, { refresh: true });
+
+        // Refreshing fetches stored tiles too, so only the saved job can skip the ones already done
+        expect(global.fetch).toHaveBeenCalledTimes(result.total - saved.doneCount);
+        expect(result).toEqual({ total: saved.total, success: saved.total, failed: 0 });
+        expect(progress[0]).toMatchObject({ startCount: saved.doneCount, total: saved.total });
+        expect(progress[0].current).toBeGreaterThan(saved.doneCount);
+        expect(progress[progress.length - 1]).toMatchObject({ current: saved.total, percentage: 100, etaSeconds: 0 });
+        expect(await getTileDownloadJob()).toBeNull();
+      });
+
+      it('starts over when the region changed since', async () => {
+        await downloadUntilKilled(400, { refresh: true });
+        global.fetch.mockClear();
+
+        const changed = { ...district, maxZoom: 17 };
+        const result = await downloadTilesForArea(null, null, null, changed, { refresh: true });
+
+        expect(global.fetch).toHaveBeenCalledTimes(result.total);
+      });
+
+      it('saves a pause and drops the job when cancelled', async () => {
+        let paused = false;
+        let cancelled = false;
+        const download = downloadTilesForArea((progress) => {
+          if (progress.current >= 10) paused = true;
+        }, () => paused, () => cancelled, district);
+
+        while (!((await getTileDownloadJob())?.status === 'paused')) {
+          await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+        cancelled = true;
+
+        expect(await download).toMatchObject({ cancelled: true });
+        expect(await getTileDownloadJob()).toBeNull();
+      });
+
+      it('retries failed tiles after a delay', async () => {
+        jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+        const region = { ...district, minZoom: 16, maxZoom: 16 };
+        const column = `/16/${tileAt(7.07, 125.61, 16).x}/`;
+        const flaky = new Set();
+        global.fetch.mockImplementation(async (url) => {
+          // Every tile of one column fails the first time it is asked for
+          if (url.includes(column) && !flaky.has(url)) {
+            flaky.add(url);
+            return { ok: false, status: 503 };
+          }
+          return { ok: true, arrayBuffer: async () => PNG.buffer };
+        });
+
+        try {
+          let firstPass;
+          const download = downloadTilesForArea((progress) => {
+            if (!progress.retrying) firstPass = progress;
+          }, null, null, region);
+          await jest.advanceTimersByTimeAsync(20000);
+          const result = await download;
+
+          expect(flaky.size).toBeGreaterThan(0);
+          expect(firstPass.failCount).toBe(flaky.size);
+          expect(result).toEqual({ total: calculateTileCount(region), success: calculateTileCount(region), failed: 0 });
+        } finally {
+          jest.useRealTimers();
+        }
+      });
+    });
+
+    it('counts failed downloads without storing them', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 429 });
+
+      let failed = 0;
+      await downloadTilesForArea((progress) => { failed = progress.failCount; }, null, () => failed > 0);
+
+      expect(failed).toBeGreaterThan(0);
+      expect((await getTileStats()).count).toBe(0);
+    });
+  });
+
+  describe('migrateLegacyTileCache', () => {
+    it('moves tile files into the store and removes the directory cache', async () => {
+      await writeLegacyTile({ z: 16, x: 55634, y: 31477 });
+      await writeLegacyTile({ z: 16, x: 55634, y: 31478 });
+      await writeLegacyTile({ z: 17, x: 111268, y: 62955 });
+      await AsyncStorage.setItem('offline_tiles_metadata', JSON.stringify({ totalTiles: 99, downloadComplete: false }));
+
+      const migrated = await migrateLegacyTileCache();
+
+      expect(migrated).toBe(3);
+      expect(Array.from(await getTile(16, 55634, 31478))).toEqual(Array.from(PNG));
+      expect(await hasTile(17, 111268, 62955)).toBe(true);
+      expect((await FileSystem.getInfoAsync(LEGACY_DIR)).exists).toBe(false);
+      expect(JSON.parse(await AsyncStorage.getItem('offline_tiles_metadata'))).toMatchObject({ totalTiles: 3, downloadComplete: false });
+      // The old cache was a whole-city download
+      expect(await getRegionTileStats(CITY_REGION.id)).toMatchObject({ count: 3 });
+    });
+
+    it('does nothing without a directory cache', async () => {
+      expect(await migrateLegacyTileCache()).toBe(0);
+      expect(await AsyncStorage.getItem('offline_tiles_metadata')).toBeNull();
+    });
+  });
+
+  describe('serving tiles to the maps', () => {
+    it('writes a stored tile out as a file and falls back to the online URL', async () => {
+      await putTile(16, 55634, 31477, PNG);
+
+      const uri = await getTileUri(16, 55634, 31477);
+
+      expect(uri).toBe(getServedTileTemplate().replace('{z}', 16).replace('{x}', 55634).replace('{y}', 31477));
+      expect(await FileSystem.readAsStringAsync(uri)).toBe(bytesToBase64(PNG));
+      expect(await getTileUri(16, 55634, 1)).toBe('https://tile.openstreetmap.org/16/55634/1.png');
+    });
+
+    it('writes out the stored tiles around a region', async () => {
+      const region = { latitude: 7.0731, longitude: 125.6128, latitudeDelta: 0.005, longitudeDelta: 0.005 };
+      const center = tileAt(region.latitude, region.longitude, 16);
+      await putTile(center.z, center.x, center.y, PNG);
+      await putTile(17, center.x * 2, center.y * 2, PNG);
+      await putTile(12, 1, 1, PNG); // far away and at another zoom
+
+      expect(await serveTilesForRegion(region)).toBe(2);
+      const served = getServedTileTemplate().replace('{z}', 16).replace('{x}', center.x).replace('{y}', center.y);
+      expect((await FileSystem.getInfoAsync(served)).exists).toBe(true);
+    });
+  });
+
+  describe('served copies', () => {
+    const HOUR = 60 * 60 * 1000;
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('marks a tile shown from its copy as used', async () => {
+      const now = Date.now();
+      const dateNow = jest.spyOn(Date, 'now').mockReturnValue(now - 3 * HOUR);
+      await putTile(16, 55634, 31477, PNG);
+      await getTileUri(16, 55634, 31477);
+      dateNow.mockReturnValue(now);
+
+      await getTileUri(16, 55634, 31477);
+
+      const row = (2 ** 16) - 1 - 31477;
+      expect(__databases.get('tiles_osm.mbtiles').tileInfo.get(`16/55634/${row}`).usedAt).toBe(now);
+    });
+
+    it('serves a refreshed tile instead of the old copy', async () => {
+      const now = Date.now();
+      const dateNow = jest.spyOn(Date, 'now').mockReturnValue(now - 40 * 24 * HOUR);
+      await putTile(16, 55634, 31477, PNG);
+      const uri = await getTileUri(16, 55634, 31477);
+      dateNow.mockReturnValue(now);
+      const fresh = new Uint8Array([1, 2, 3]);
+      global.fetch.mockImplementation(async () => ({ ok: true, arrayBuffer: async () => fresh.buffer }));
+
+      await refreshStaleTiles(30 * 24 * HOUR);
+
+      expect(await getTileUri(16, 55634, 31477)).toBe(uri);
+      expect(await FileSystem.readAsStringAsync(uri)).toBe(bytesToBase64(fresh));
+    });
+
+    it('drops every copy', async () => {
+      await putTile(16, 55634, 31477, PNG);
+      const uri = await getTileUri(16, 55634, 31477);
+
+      await clearServedTiles();
+
+      expect((await FileSystem.getInfoAsync(uri)).exists).toBe(false);
+      expect(await hasTile(16, 55634, 31477)).toBe(true);
+    });
+  });
+
+  describe('tile upkeep', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('fetches expired tiles again and keeps the old copy when the fetch fails', async () => {
+      const now = Date.now();
+      const dateNow = jest.spyOn(Date, 'now').mockReturnValue(now - 40 * DAY);
+      await putTile(16, 55634, 31477, PNG);
+      await putTile(16, 55634, 31478, PNG);
+      dateNow.mockReturnValue(now - DAY);
+      await putTile(16, 55634, 31479, PNG);
+      dateNow.mockReturnValue(now);
+
+      const fresh = new Uint8Array([1, 2, 3]);
+      global.fetch.mockImplementation(async (url) => (url.endsWith('/31477.png')
+        ? { ok: true, arrayBuffer: async () => fresh.buffer }
+        : { ok: false, status: 503 }));
+
+      expect(await refreshStaleTiles(30 * DAY)).toEqual({ checked: 2, refreshed: 1 });
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(Array.from(await getTile(16, 55634, 31477))).toEqual([1, 2, 3]);
+      expect(Array.from(await getTile(16, 55634, 31478))).toEqual(Array.from(PNG));
+      // Fetched again, so not expired any more
+      expect(await refreshStaleTiles(30 * DAY)).toEqual({ checked: 1, refreshed: 0 });
+    });
+
+    it('notices offline tiles removed behind the app and resets what pointed at them', async () => {
+      await AsyncStorage.setItem('offline_tiles_metadata', JSON.stringify({ totalTiles: 120, downloadComplete: true }));
+      await saveTileDownloadJob(createTileDownloadJob(CITY_REGION, 10));
+
+      expect(await checkTileCacheHealth()).toEqual({ purged: true, lostTiles: 120 });
+
+      expect(JSON.parse(await AsyncStorage.getItem('offline_tiles_metadata'))).toMatchObject({ totalTiles: 0, downloadComplete: false });
+      expect(await getTileDownloadJob()).toBeNull();
+      expect(await checkTileCacheHealth()).toEqual({ purged: false, lostTiles: 0 });
+    });
+
+    it('leaves a store that still has its tiles alone', async () => {
+      await putTile(16, 55634, 31477, PNG);
+      await AsyncStorage.setItem('offline_tiles_metadata', JSON.stringify({ totalTiles: 1, downloadComplete: true }));
+
+      expect(await checkTileCacheHealth()).toEqual({ purged: false, lostTiles: 0 });
+      expect(JSON.parse(await AsyncStorage.getItem('offline_tiles_metadata'))).toMatchObject({ downloadComplete: true });
+    });
+  });
+
+  it('reports the tile count and size from the store', async () => {
+    await putTile(10, 869, 491, new Uint8Array(1024 * 1024));
+    await putTile(10, 870, 491, new Uint8Array(1024 * 1024));
+
+    expect(await getCachedTileCount()).toBe(2);
+    expect(await calculateStorageUsed()).toBe(2);
+  });
+
+  it('clears the store, served files, leftover directory cache and metadata', async () => {
+    await putTile(16, 55634, 31477, PNG);
+    await getTileUri(16, 55634, 31477);
+    await writeLegacyTile({ z: 16, x: 1, y: 1 });
+    await AsyncStorage.setItem('offline_tiles_metadata', JSON.stringify({ totalTiles: 1 }));
+
+    expect(await clearTileCache()).toBe(true);
+
+    expect(await getCachedTileCount()).toBe(0);
+    expect(await hasOfflineTiles()).toBe(false);
+    expect((await FileSystem.getInfoAsync(LEGACY_DIR)).exists).toBe(false);
+    expect((await FileSystem.getInfoAsync(`${FileSystem.cacheDirectory}map_tiles_serve`)).exists).toBe(false);
+  });
+});
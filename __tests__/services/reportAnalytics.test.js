@@ -0,0 +1,128 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  toAnalyticsRecord,
+  getCachedReportHistory,
+  syncReportHistory,
+  getWeeklyCounts,
+  getBreakdown,
+  getAverageRepairDays,
+  getRepairRate,
+  buildReportAnalytics,
+} from '../../services/reportAnalytics';
+import { fetchAllLeakReports } from '../../services/interceptor';
+import { DEFAULT_CATALOG } from '../../services/catalogService';
+
+jest.mock('../../services/interceptor', () => ({
+  fetchAllLeakReports: jest.fn(),
+}));
+
+// Wednesday
+const NOW = new Date(2026, 9, 14, 12, 0, 0);
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const record = (overrides = {}) => ({
+  refNo: 'LD-1', status: 'reported', leakTypeId: 39, dmaCode: 'DMA-01', dtReported: daysAgo(1), dtRepaired: null, ...overrides,
+});
+
+describe('reportAnalytics', () => {
+  beforeEach(() => {
+    fetchAllLeakReports.mockReset();
+  });
+
+  it('slims a server report to the fields the charts use', () => {
+    expect(toAnalyticsRecord({
+      refNo: 'LD-7',
+      dispatchStat: 3,
+      leakTypeId: '38',
+      dmaCode: 'DMA-02',
+      dtReported: '2026-10-01T08:00:00Z',
+      dtRepaired: '2026-10-03T08:00:00Z',
+      reporterName: 'Jose Santos',
+    })).toEqual({
+      refNo: 'LD-7', status: 'repaired', leakTypeId: 38, dmaCode: 'DMA-02', dtReported: '2026-10-01T08:00:00Z', dtRepaired: '2026-10-03T08:00:00Z',
+    });
+  });
+
+  describe('syncReportHistory', () => {
+    it('downloads every report and caches it for the user', async () => {
+      fetchAllLeakReports.mockResolvedValueOnce([{ refNo: 'LD-1', dispatchStat: 0 }, { refNo: 'LD-2', dispatchStat: 3 }]);
+
+      const history = await syncReportHistory('10001');
+
+      expect(fetchAllLeakReports).toHaveBeenCalledWith(expect.objectContaining({ status: null }), { empId: '10001' });
+      expect(history.records.map((item) => item.status)).toEqual(['reported', 'repaired']);
+      expect((await getCachedReportHistory('10001')).records).toHaveLength(2);
+      expect(await getCachedReportHistory('10002')).toBeNull();
+    });
+
+    it('uses a fresh cache without downloading', async () => {
+      await AsyncStorage.setItem('leakReportHistory', JSON.stringify({ empId: '10001', savedAt: new Date().toISOString(), records: [record()] }));
+
+      const history = await syncReportHistory('10001');
+
+      expect(fetchAllLeakReports).not.toHaveBeenCalled();
+      expect(history.records).toHaveLength(1);
+    });
+
+    it('falls back to the cache when the download fails', async () => {
+      await AsyncStorage.setItem('leakReportHistory', JSON.stringify({ empId: '10001', savedAt: '2026-01-01T00:00:00Z', records: [record()] }));
+      fetchAllLeakReports.mockRejectedValueOnce(new Error('Network Error'));
+
+      const history = await syncReportHistory('10001');
+
+      expect(history.savedAt).toBe('2026-01-01T00:00:00Z');
+      expect(history.records).toHaveLength(1);
+    });
+  });
+
+  it('counts reports per week, Monday to Sunday, oldest first', () => {
+    const weekly = getWeeklyCounts([
+      record({ dtReported: daysAgo(0) }),
+      record({ dtReported: daysAgo(2) }), // Monday of this week
+      record({ dtReported: daysAgo(3) }), // Sunday of last week
+      record({ dtReported: daysAgo(100) }),
+      record({ dtReported: null }),
+    ], { weeks: 4, now: NOW });
+
+    expect(weekly.map((week) => week.count)).toEqual([0, 0, 1, 2]);
+    expect(weekly[3].weekStart).toBe(new Date(2026, 9, 12).toISOString());
+  });
+
+  it('folds small groups into Other', () => {
+    const records = ['A', 'A', 'A', 'B', 'B', 'C', 'D', null].map((dmaCode) => record({ dmaCode }));
+    expect(getBreakdown(records, (item) => item.dmaCode, (key) => key, 3)).toEqual([
+      { key: 'A', label: 'A', count: 3 },
+      { key: 'B', label: 'B', count: 2 },
+      { key: 'other', label: 'Other', count: 3 },
+    ]);
+    expect(getBreakdown([record({ dmaCode: null })], (item) => item.dmaCode)[0].label).toBe('Unknown');
+  });
+
+  it('averages days from reported to repaired', () => {
+    expect(getAverageRepairDays([
+      record({ status: 'repaired', dtReported: daysAgo(5), dtRepaired: daysAgo(3) }),
+      record({ status: 'after', dtReported: daysAgo(10), dtRepaired: daysAgo(5) }),
+      record({ status: 'repaired', dtReported: daysAgo(5) }), // no repair date
+      record({ status: 'dispatched', dtReported: daysAgo(5), dtRepaired: daysAgo(1) }),
+    ])).toEqual({ averageDays: 3.5, sampleSize: 2 });
+    expect(getAverageRepairDays([])).toEqual({ averageDays: null, sampleSize: 0 });
+  });
+
+  it('rates repairs against all reports', () => {
+    expect(getRepairRate([record({ status: 'repaired' }), record({ status: 'turnover' }), record(), record({ status: 'notFound' })]))
+      .toEqual({ repaired: 2, total: 4, rate: 0.5 });
+  });
+
+  it('leaves withdrawn reports out and labels leak types from the catalog', () => {
+    const analytics = buildReportAnalytics([
+      record({ leakTypeId: 38 }),
+      record({ leakTypeId: 38, status: 'repaired' }),
+      record({ leakTypeId: 39, status: 'withdrawn' }),
+    ], DEFAULT_CATALOG, NOW);
+
+    expect(analytics.totalReports).toBe(2);
+    expect(analytics.byLeakType).toEqual([{ key: 38, label: 'Service Line', count: 2 }]);
+    expect(analytics.repairRate.rate).toBe(0.5);
+    expect(analytics.weekly).toHaveLength(8);
+  });
+});
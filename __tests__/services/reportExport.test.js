@@ -0,0 +1,99 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import {
+  toExportRow,
+  toCsv,
+  toGeoJson,
+  toKml,
+  exportReports,
+} from '../../services/reportExport';
+import { DEFAULT_CATALOG } from '../../services/catalogService';
+
+jest.mock('expo-sharing', () => ({
+  isAvailableAsync: jest.fn(async () => true),
+  shareAsync: jest.fn(async () => {}),
+}));
+
+const REPORT = {
+  refNo: 'LD-1',
+  dispatchStat: 3,
+  leakTypeId: 38,
+  dmaCode: 'DMA-01',
+  referenceMtr: 'M0001',
+  referenceRecaddrs: '123-45-678901',
+  reportedLocation: '12 Rizal St., Poblacion',
+  reportedLandmark: 'Near the "big" chapel',
+  reporterName: 'Jose Santos',
+  reportedNumber: '09171234567',
+  dtReported: '2026-10-01T08:00:00Z',
+  dtRepaired: '2026-10-03T08:00:00Z',
+  geom: '125.6128, 7.0731',
+};
+
+const rowFor = (overrides = {}) => toExportRow({ ...REPORT, ...overrides }, DEFAULT_CATALOG);
+
+describe('reportExport', () => {
+  beforeEach(() => {
+    FileSystem.__reset();
+    Sharing.shareAsync.mockClear();
+  });
+
+  it('flattens a report with its position, status and leak type', () => {
+    const row = rowFor();
+    expect(row).toMatchObject({
+      refNo: 'LD-1',
+      status: 'Repaired',
+      leakType: 'Service Line',
+      dma: 'DMA-01',
+      dtRepaired: '2026-10-03T08:00:00Z',
+      latitude: 7.0731,
+      longitude: 125.6128,
+    });
+    expect(Object.values(row)).not.toContain('Jose Santos');
+    expect(Object.values(row)).not.toContain('09171234567');
+  });
+
+  it('quotes CSV cells with commas and quotes', () => {
+    const [header, line] = toCsv([rowFor()]).split('\r\n');
+    expect(header.startsWith('Reference No.,Status,Leak Type,DMA')).toBe(true);
+    expect(line).toContain('"12 Rizal St., Poblacion"');
+    expect(line).toContain('"Near the ""big"" chapel"');
+    expect(line.endsWith(',7.0731,125.6128')).toBe(true);
+  });
+
+  it('keeps CSV cells that look like formulas as text', () => {
+    const row = { ...rowFor(), address: '=HYPERLINK("http://evil.example","x")', landmark: '@SUM(A1)', dma: '+1', longitude: -122.4 };
+    const line = toCsv([row]).split('\r\n')[1];
+    expect(line).toContain('"\'=HYPERLINK(""http://evil.example"",""x"")"');
+    expect(line).toContain('"\'@SUM(A1)"');
+    expect(line).toContain('"\'+1"');
+    expect(line.endsWith(',-122.4')).toBe(true);
+  });
+
+  it('writes GeoJSON points in lng/lat order and keeps reports without a position', () => {
+    const collection = JSON.parse(toGeoJson([rowFor(), rowFor({ refNo: 'LD-2', geom: null })]));
+    expect(collection.features[0].geometry).toEqual({ type: 'Point', coordinates: [125.6128, 7.0731] });
+    expect(collection.features[0].properties).toMatchObject({ refNo: 'LD-1', status: 'Repaired' });
+    expect(collection.features[1]).toMatchObject({ geometry: null, properties: { refNo: 'LD-2' } });
+  });
+
+  it('writes escaped KML placemarks for reports with a position', () => {
+    const kml = toKml([rowFor(), rowFor({ refNo: 'LD-2', geom: null })]);
+    expect(kml).toContain('<coordinates>125.6128,7.0731,0</coordinates>');
+    expect(kml).toContain('Near the &quot;big&quot; chapel');
+    expect(kml.match(/<Placemark>/g)).toHaveLength(1);
+  });
+
+  it('writes the file to exports/ and shares it', async () => {
+    const { fileUri, count } = await exportReports([REPORT], 'geojson');
+
+    expect(count).toBe(1);
+    expect(fileUri).toMatch(/exports\/leak-reports-.*\.geojson$/);
+    expect(JSON.parse(await FileSystem.readAsStringAsync(fileUri)).features).toHaveLength(1);
+    expect(Sharing.shareAsync).toHaveBeenCalledWith(fileUri, expect.objectContaining({ mimeType: 'application/geo+json' }));
+  });
+
+  it('rejects unknown formats', async () => {
+    await expect(exportReports([REPORT], 'xlsx')).rejects.toThrow('Unknown export format');
+  });
+});
@@ -0,0 +1,101 @@
+import {
+  DEFAULT_REPORT_FILTERS,
+  countActiveFilters,
+  getDateRangeBounds,
+  getLeakTypeFilterOptions,
+  toReportQueryParams,
+  applyReportQuery,
+} from '../../services/reportQuery';
+import { DEFAULT_CATALOG } from '../../services/catalogService';
+
+const NOW = new Date(2026, 9, 15, 12, 0, 0);
+const filters = (overrides = {}) => ({ ...DEFAULT_REPORT_FILTERS, ...overrides });
+
+const REPORTS = [
+  { refNo: 'LD-1', dispatchStat: 0, leakTypeId: 39, dmaCode: 'DMA-01', referenceMtr: 'M0001', reportedLocation: '12 Rizal St.', dtReported: '2026-10-14T08:00:00Z' },
+  { refNo: 'LD-2', dispatchStat: 3, leakTypeId: 38, dmaCode: 'DMA-02', referenceMtr: 'M0002', reportedLocation: '4 Roxas Ave.', dtReported: '2026-09-01T08:00:00Z' },
+  { refNo: 'LD-3', dispatchStat: 0, withdrawn: true, leakTypeId: 39, dmaCode: 'DMA-01', reportedLocation: '9 Rizal St.', dtReported: '2026-10-10T08:00:00Z' },
+  { refNo: 'LD-4', dispatchStat: 2, leakTypeId: 61, dmaCode: 'DMA-03', reportedLocation: 'Quirino Ave.', dtReported: '2025-12-30T08:00:00Z' },
+];
+
+const refNos = (result) => result.reports.map((report) => report.refNo);
+
+describe('reportQuery', () => {
+  it('counts narrowing filters only', () => {
+    expect(countActiveFilters(DEFAULT_REPORT_FILTERS)).toBe(0);
+    expect(countActiveFilters(filters({ search: 'LD', sort: 'oldest' }))).toBe(0);
+    expect(countActiveFilters(filters({ status: 'reported', dma: 'DMA-01', dateRange: '7d' }))).toBe(3);
+  });
+
+  it('gives one leak type option per backend id', () => {
+    const options = getLeakTypeFilterOptions(DEFAULT_CATALOG);
+    expect(options[0]).toEqual({ value: 40, label: 'Unidentified' });
+    expect(options.filter((option) => option.value === 66)).toEqual([{ value: 66, label: 'Air Release' }]);
+  });
+
+  describe('getDateRangeBounds', () => {
+    it('is unbounded for all time', () => {
+      expect(getDateRangeBounds('all', NOW)).toEqual({ dateFrom: null, dateTo: null });
+    });
+
+    it('starts presets at local midnight', () => {
+      expect(getDateRangeBounds('7d', NOW).dateFrom).toBe(new Date(2026, 9, 9).toISOString());
+      expect(getDateRangeBounds('year', NOW)).toEqual({ dateFrom: new Date(2026, 0, 1).toISOString(), dateTo: NOW.toISOString() });
+    });
+  });
+
+  describe('toReportQueryParams', () => {
+    it('sends paging and the default sort', () => {
+      expect(toReportQueryParams(DEFAULT_REPORT_FILTERS, { page: 2 }, NOW)).toEqual({
+        page: 2, pageSize: 20, sortBy: 'dtReported', sortOrder: 'desc',
+      });
+    });
+
+    it('maps filters to backend params', () => {
+      const params = toReportQueryParams(filters({
+        search: ' M0001 ', status: 'dispatched', leakTypeId: 39, dma: 'DMA-01', dateRange: '30d', sort: 'refNo',
+      }), {}, NOW);
+
+      expect(params).toMatchObject({
+        search: 'M0001', status: 2, leakTypeId: 39, dmaCode: 'DMA-01', sortBy: 'refNo', sortOrder: 'asc', dateTo: NOW.toISOString(),
+      });
+      expect(params.dateFrom).toBeDefined();
+    });
+
+    it('asks for withdrawn reports by flag', () => {
+      const params = toReportQueryParams(filters({ status: 'withdrawn' }), {}, NOW);
+      expect(params.withdrawn).toBe(true);
+      expect(params.status).toBeUndefined();
+    });
+  });
+
+  describe('applyReportQuery', () => {
+    it('pages newest first', () => {
+      const first = applyReportQuery(REPORTS, DEFAULT_REPORT_FILTERS, { pageSize: 3 }, NOW);
+      expect(first).toMatchObject({ page: 1, totalCount: 4, hasMore: true });
+      expect(refNos(first)).toEqual(['LD-1', 'LD-3', 'LD-2']);
+
+      const second = applyReportQuery(REPORTS, DEFAULT_REPORT_FILTERS, { page: 2, pageSize: 3 }, NOW);
+      expect(refNos(second)).toEqual(['LD-4']);
+      expect(second.hasMore).toBe(false);
+    });
+
+    it('searches RefNo, meter and address', () => {
+      expect(refNos(applyReportQuery(REPORTS, filters({ search: 'rizal' }), {}, NOW))).toEqual(['LD-1', 'LD-3']);
+      expect(refNos(applyReportQuery(REPORTS, filters({ search: 'm0002' }), {}, NOW))).toEqual(['LD-2']);
+    });
+
+    it('filters by status, leak type, DMA and date', () => {
+      expect(refNos(applyReportQuery(REPORTS, filters({ status: 'reported' }), {}, NOW))).toEqual(['LD-1']);
+      expect(refNos(applyReportQuery(REPORTS, filters({ status: 'withdrawn' }), {}, NOW))).toEqual(['LD-3']);
+      expect(refNos(applyReportQuery(REPORTS, filters({ leakTypeId: 39, dma: 'DMA-01' }), {}, NOW))).toEqual(['LD-1', 'LD-3']);
+      expect(refNos(applyReportQuery(REPORTS, filters({ dateRange: '7d' }), {}, NOW))).toEqual(['LD-1', 'LD-3']);
+      expect(refNos(applyReportQuery(REPORTS, filters({ dateRange: 'year' }), {}, NOW))).toEqual(['LD-1', 'LD-3', 'LD-2']);
+    });
+
+    it('sorts by the chosen option', () => {
+      expect(refNos(applyReportQuery(REPORTS, filters({ sort: 'oldest' }), {}, NOW))).toEqual(['LD-4', 'LD-2', 'LD-3', 'LD-1']);
+      expect(refNos(applyReportQuery(REPORTS, filters({ sort: 'status' }), {}, NOW))).toEqual(['LD-1', 'LD-4', 'LD-2', 'LD-3']);
+    });
+  });
+});
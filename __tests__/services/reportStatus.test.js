@@ -0,0 +1,214 @@
+import {
+  getReportStatus,
+  buildStatusTimeline,
+  getReportCoordinates,
+  getReportPhotos,
+  getReportCrew,
+  resolvePhotoUrl,
+  isReportEditable,
+  getReportFormValues,
+} from '../../services/reportStatus';
+import { DEFAULT_CATALOG } from '../../services/catalogService';
+import { getApiBaseUrl } from '../../services/environment';
+
+const stepKeys = (timeline) => timeline.map((step) => step.key);
+const reachedKeys = (timeline) => timeline.filter((step) => step.reached).map((step) => step.key);
+
+describe('reportStatus', () => {
+  describe('getReportStatus', () => {
+    it.each([
+      [0, 'Reported'],
+      [1, 'Scheduled'],
+      [2, 'Dispatched'],
+      [3, 'Repaired'],
+      [4, 'Not Found'],
+      [5, 'Turnover'],
+      [6, 'After'],
+    ])('maps dispatchStat %p to %p', (code, label) => {
+      expect(getReportStatus({ dispatchStat: code }).label).toBe(label);
+    });
+
+    it('accepts status names and codes as strings', () => {
+      expect(getReportStatus('NOT_FOUND').key).toBe('notFound');
+      expect(getReportStatus({ status: '3' }).key).toBe('repaired');
+    });
+
+    it('shows withdrawn reports as withdrawn whatever their code', () => {
+      expect(getReportStatus({ dispatchStat: 0, withdrawn: true }).key).toBe('withdrawn');
+      expect(getReportStatus({ dispatchStat: 0, dtWithdrawn: '2026-10-02T08:00:00Z' }).label).toBe('Withdrawn');
+    });
+
+    it('falls back to unknown', () => {
+      expect(getReportStatus({ dispatchStat: 42 })).toMatchObject({ key: 'unknown', label: 'Unknown' });
+      expect(getReportStatus({})).toMatchObject({ key: 'unknown' });
+    });
+  });
+
+  describe('buildStatusTimeline', () => {
+    it('lists the full lifecycle with steps up to the current one reached', () => {
+      const timeline = buildStatusTimeline({ dispatchStat: 1, dtReported: '2026-10-01T08:00:00Z' });
+
+      expect(stepKeys(timeline)).toEqual(['reported', 'dispatched', 'scheduled', 'repaired', 'turnover', 'after']);
+      expect(reachedKeys(timeline)).toEqual(['reported', 'dispatched', 'scheduled']);
+      expect(timeline.find((step) => step.current).key).toBe('scheduled');
+      expect(timeline[0].timestamp).toBe('2026-10-01T08:00:00Z');
+    });
+
+    it('uses timestamps from the report fields', () => {
+      const timeline = buildStatusTimeline({
+        dispatchStat: 3,
+        dtReported: '2026-10-01T08:00:00Z',
+        dtDispatched: '2026-10-01T10:00:00Z',
+        repairedAt: '2026-10-02T15:00:00Z',
+      });
+
+      const byKey = Object.fromEntries(timeline.map((step) => [step.key, step]));
+      expect(byKey.dispatched.timestamp).toBe('2026-10-01T10:00:00Z');
+      expect(byKey.scheduled).toMatchObject({ reached: true, timestamp: null });
+      expect(byKey.repaired).toMatchObject({ reached: true, current: true, timestamp: '2026-10-02T15:00:00Z' });
+      expect(byKey.turnover.reached).toBe(false);
+    });
+
+    it('merges notes and crews from the status history', () => {
+      const timeline = buildStatusTimeline({
+        dispatchStat: 2,
+        statusHistory: [
+          { dispatchStat: 2, date: '2026-10-01T10:00:00Z', remarks: 'Sent crew', crew: 'Crew 3' },
+          { status: 'Scheduled', timestamp: '2026-10-01T09:00:00Z' },
+        ],
+      });
+
+      const dispatched = timeline.find((step) => step.key === 'dispatched');
+      expect(dispatched).toMatchObject({ timestamp: '2026-10-01T10:00:00Z', note: 'Sent crew', crew: 'Crew 3' });
+      expect(timeline.find((step) => step.key === 'scheduled').timestamp).toBe('2026-10-01T09:00:00Z');
+    });
+
+    it('ends a not-found report at the steps it went through', () => {
+      const timeline = buildStatusTimeline({
+        dispatchStat: 4,
+        dtReported: '2026-10-01T08:00:00Z',
+        dtDispatched: '2026-10-01T10:00:00Z',
+        dtNotFound: '2026-10-01T12:00:00Z',
+      });
+
+      expect(stepKeys(timeline)).toEqual(['reported', 'dispatched', 'notFound']);
+      expect(timeline[2]).toMatchObject({ current: true, timestamp: '2026-10-01T12:00:00Z' });
+    });
+
+    it('ends a withdrawn report at the withdrawal', () => {
+      const timeline = buildStatusTimeline({ dispatchStat: 0, dtReported: '2026-10-01T08:00:00Z', dtWithdrawn: '2026-10-01T09:00:00Z' });
+      expect(stepKeys(timeline)).toEqual(['reported', 'withdrawn']);
+      expect(timeline[1]).toMatchObject({ current: true, timestamp: '2026-10-01T09:00:00Z' });
+    });
+  });
+
+  describe('isReportEditable', () => {
+    it('allows changes only while the report is pending', () => {
+      expect(isReportEditable({ dispatchStat: 0 })).toBe(true);
+      expect(isReportEditable({ dispatchStat: 2 })).toBe(false);
+      expect(isReportEditable({ dispatchStat: 0, withdrawn: true })).toBe(false);
+      expect(isReportEditable({})).toBe(false);
+    });
+  });
+
+  describe('getReportFormValues', () => {
+    it('maps a server record back onto the leak report form', () => {
+      const values = getReportFormValues({
+        refNo: 'LD-7',
+        leakTypeId: 66,
+        jmsCode: '0115',
+        leakCovering: 2,
+        leakLocation: 1,
+        reportedLocation: '12 Rizal St.',
+        referenceMtr: 'M0001',
+        referenceRecaddrs: '678901',
+        reportedNumber: '0917',
+        dmaCode: 'DMA-01',
+        Geom: '125.61, 7.07',
+        attachments: [{ url: 'https://cdn.test/2.jpg', category: 'closeup', caption: 'Crack' }],
+        landmarkImage: 'https://cdn.test/landmark.jpg',
+        pressure: 'High',
+        severityAssessment: '{"flow":"steady","traffic":"partial"}',
+      }, DEFAULT_CATALOG);
+
+      expect(values).toMatchObject({
+        refNo: 'LD-7',
+        leakType: 'Airrelease',
+        covering: 'Asphalt',
+        location: 'Surface',
+        contactNumber: '0917',
+        dma: 'DMA-01',
+        leakPhotos: ['https://cdn.test/2.jpg'],
+        leakPhotoDetails: [{ category: 'closeup', caption: 'Crack' }],
+        landmarkPhoto: 'https://cdn.test/landmark.jpg',
+        meterData: { meterNumber: 'M0001', accountNumber: '678901', address: '12 Rizal St.', dma: 'DMA-01' },
+        coordinates: { latitude: 7.07, longitude: 125.61 },
+        pressure: 'High',
+        severity: { flow: 'steady', traffic: 'partial' },
+      });
+    });
+
+    it('leaves unknown lookups blank for the inspector to pick', () => {
+      const values = getReportFormValues({ refNo: 'LD-8', leakTypeId: 999 }, DEFAULT_CATALOG);
+      expect(values).toMatchObject({ leakType: '', covering: '', location: '', leakPhotos: [], landmarkPhoto: null, pressure: 'Low', severity: {} });
+    });
+  });
+
+  describe('getReportCoordinates', () => {
+    it('reads latitude/longitude fields', () => {
+      expect(getReportCoordinates({ Latitude: '7.07', Longitude: '125.61' })).toEqual({ latitude: 7.07, longitude: 125.61 });
+    });
+
+    it('parses the submitted Geom and WKT points', () => {
+      expect(getReportCoordinates({ geom: '125.6128, 7.0731' })).toEqual({ latitude: 7.0731, longitude: 125.6128 });
+      expect(getReportCoordinates({ Geom: 'POINT(125.6 7.1)' })).toEqual({ latitude: 7.1, longitude: 125.6 });
+    });
+
+    it('returns null without a position', () => {
+      expect(getReportCoordinates({ latitude: null, longitude: null })).toBeNull();
+    });
+  });
+
+  describe('getReportPhotos', () => {
+    it('resolves server paths against the API host', () => {
+      const base = getApiBaseUrl().replace(/\/+$/, '');
+      const origin = /^https?:\/\/[^/]+/.exec(base)[0];
+      expect(resolvePhotoUrl('/uploads/a.jpg')).toBe(`${origin}/uploads/a.jpg`);
+      expect(resolvePhotoUrl('uploads/a.jpg')).toBe(`${base}/uploads/a.jpg`);
+      expect(resolvePhotoUrl('https://cdn.test/a.jpg')).toBe('https://cdn.test/a.jpg');
+    });
+
+    it('collects leak images, attachments and the landmark without duplicates', () => {
+      const photos = getReportPhotos({
+        leakImage1: 'https://cdn.test/1.jpg',
+        attachments: [
+          { url: 'https://cdn.test/1.jpg', category: 'wide' },
+          { fileUrl: 'https://cdn.test/3.jpg', category: 'meter', caption: 'Meter box' },
+          { filename: 'no-path.jpg' },
+        ],
+        landmarkImage: 'https://cdn.test/landmark.jpg',
+      });
+
+      expect(photos).toEqual([
+        { uri: 'https://cdn.test/1.jpg', label: 'Leak photo 1', caption: '' },
+        { uri: 'https://cdn.test/3.jpg', label: 'meter', caption: 'Meter box' },
+        { uri: 'https://cdn.test/landmark.jpg', label: 'Landmark', caption: '' },
+      ]);
+    });
+  });
+
+  describe('getReportCrew', () => {
+    it('reads a crew object', () => {
+      expect(getReportCrew({ crew: { name: 'Crew 3', leader: 'R. Santos', members: ['A', { name: 'B' }] } }))
+        .toEqual({ name: 'Crew 3', leader: 'R. Santos', contact: null, members: ['A', 'B'] });
+    });
+
+    it('reads flat crew fields', () => {
+      expect(getReportCrew({ crewName: 'Crew 7', crewContact: '0917' })).toMatchObject({ name: 'Crew 7', contact: '0917' });
+    });
+
+    it('returns null when the API has no crew', () => {
+      expect(getReportCrew({ refNo: 'LD-1' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,250 @@
+import axios from 'axios';
+import NetInfo from '@react-native-community/netinfo';
+import {
+  applyRetryPolicy,
+  configureCircuitBreaker,
+  getCircuitState,
+  getRetryDelay,
+  isCircuitOpenError,
+  isIdempotentRequest,
+  resetCircuitBreaker,
+  resolvePolicy,
+  CIRCUIT_OPEN_CODE,
+  DEFAULT_RETRY_POLICY,
+} from '../../services/retryPolicy';
+
+const BASE_URL = 'http://api.test';
+const FAST = { baseDelay: 1, maxDelay: 5, jitter: false };
+
+const ok = (config) => Promise.resolve({ data: { url: config.url }, status: 200, statusText: 'OK', headers: {}, config });
+const failWith = (status, headers = {}) => (config) => Promise.reject(Object.assign(new Error(`Request failed with status code ${status}`), {
+  config,
+  response: { status, data: {}, headers },
+}));
+const networkError = (config) => Promise.reject(Object.assign(new Error('Network Error'), { config, code: 'ERR_NETWORK' }));
+const timeout = (config) => Promise.reject(Object.assign(new Error('timeout of 1000ms exceeded'), { config, code: 'ECONNABORTED' }));
+
+describe('retryPolicy', () => {
+  let api;
+  let adapter;
+
+  beforeEach(() => {
+    resetCircuitBreaker();
+    adapter = jest.fn(ok);
+    api = applyRetryPolicy(axios.create({ baseURL: BASE_URL, adapter }));
+  });
+
+  describe('helpers', () => {
+    it('grows the delay exponentially up to the cap', () => {
+      const policy = resolvePolicy({ jitter: false, baseDelay: 1000, maxDelay: 5000 });
+      expect([1, 2, 3, 4].map((attempt) => getRetryDelay(attempt, policy))).toEqual([1000, 2000, 4000, 5000]);
+    });
+
+    it('keeps jittered delays between half and the full delay', () => {
+      for (let i = 0; i < 20; i++) {
+        const delay = getRetryDelay(3, DEFAULT_RETRY_POLICY);
+        expect(delay).toBeGreaterThanOrEqual(2000);
+        expect(delay).toBeLessThanOrEqual(4000);
+      }
+    });
+
+    it('treats reads as idempotent and POSTs only when marked', () => {
+      expect(isIdempotentRequest({ method: 'get' })).toBe(true);
+      expect(isIdempotentRequest({ method: 'delete' })).toBe(true);
+      expect(isIdempotentRequest({ method: 'post' })).toBe(false);
+      expect(isIdempotentRequest({ method: 'post', retry: { idempotent: true } })).toBe(true);
+      expect(isIdempotentRequest({ method: 'get', retry: { idempotent: false } })).toBe(false);
+    });
+  });
+
+  describe('retries', () => {
+    it('retries a GET after server errors until it succeeds', async () => {
+      adapter.mockImplementationOnce(failWith(503)).mockImplementationOnce(networkError);
+
+      const response = await api.get('/a', { retry: FAST });
+
+      expect(response.data).toEqual({ url: '/a' });
+      expect(adapter).toHaveBeenCalledTimes(3);
+    });
+
+    it('gives up after the configured number of retries', async () => {
+      adapter.mockImplementation(failWith(500));
+      await expect(api.get('/a', { retry: { ...FAST, retries: 2 } })).rejects.toMatchObject({ response: { status: 500 } });
+      expect(adapter).toHaveBeenCalledTimes(3);
+    });
+
+    it('does not retry client errors', async () => {
+      adapter.mockImplementation(failWith(404));
+      await expect(api.get('/a', { retry: FAST })).rejects.toMatchObject({ response: { status: 404 } });
+      expect(adapter).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not retry a POST unless it is marked idempotent', async () => {
+      adapter.mockImplementationOnce(failWith(502));
+      await expect(api.post('/a', {}, { retry: FAST })).rejects.toMatchObject({ response: { status: 502 } });
+      expect(adapter).toHaveBeenCalledTimes(1);
+
+      adapter.mockImplementationOnce(failWith(502));
+      await expect(api.post('/a', {}, { retry: { ...FAST, idempotent: true } })).resolves.toMatchObject({ status: 200 });
+    });
+
+    it('can be switched off per call', async () => {
+      adapter.mockImplementation(failWith(503));
+      await expect(api.get('/a', { retry: false })).rejects.toBeDefined();
+      expect(adapter).toHaveBeenCalledTimes(1);
+    });
+
+    it('honours Retry-After up to the maximum delay', async () => {
+      jest.useFakeTimers();
+      try {
+        adapter.mockImplementationOnce(failWith(429, { 'retry-after': '2' }));
+        const request = api.get('/a', { retry: { maxDelay: 60000 } });
+
+        await jest.advanceTimersByTimeAsync(1500);
+        expect(adapter).toHaveBeenCalledTimes(1);
+        await jest.advanceTimersByTimeAsync(600);
+
+        await expect(request).resolves.toMatchObject({ status: 200 });
+        expect(adapter).toHaveBeenCalledTimes(2);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('stops waiting when the request is cancelled', async () => {
+      adapter.mockImplementation(networkError);
+      const controller = new AbortController();
+
+      const request = api.get('/a', { retry: { baseDelay: 10000, jitter: false }, signal: controller.signal });
+      await new Promise((resolve) => setImmediate(resolve));
+      controller.abort();
+
+      expect(axios.isCancel(await request.catch((error) => error))).toBe(true);
+      expect(adapter).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    beforeEach(() => {
+      configureCircuitBreaker({ failureThreshold: 3, cooldown: 1000 });
+    });
+
+    const failTimes = async (count) => {
+      for (let i = 0; i < count; i++) {
+        await api.get('/a', { retry: false }).catch(() => {});
+      }
+    };
+
+    it('opens after consecutive server failures and fails fast', async () => {
+      adapter.mockImplementation(failWith(500));
+      await failTimes(3);
+      adapter.mockClear();
+
+      const error = await api.get('/a').catch((e) => e);
+
+      expect(isCircuitOpenError(error)).toBe(true);
+      expect(error.code).toBe(CIRCUIT_OPEN_CODE);
+      expect(error.retryIn).toBeGreaterThan(0);
+      expect(adapter).not.toHaveBeenCalled();
+      expect(getCircuitState(BASE_URL)).toMatchObject({ state: 'open', failures: 3 });
+    });
+
+    it('is not tripped by client errors', async () => {
+      adapter.mockImplementation(failWith(400));
+      await failTimes(5);
+      expect(getCircuitState(BASE_URL).state).toBe('closed');
+    });
+
+    it('does not count failures while the device is offline', async () => {
+      NetInfo.fetch.mockResolvedValue({ type: 'none', isConnected: false, isInternetReachable: false });
+      adapter.mockImplementation(networkError);
+      await failTimes(5);
+      expect(getCircuitState(BASE_URL)).toMatchObject({ state: 'closed', failures: 0 });
+
+      // Back online, the server answers
+      NetInfo.fetch.mockResolvedValue({ type: 'wifi', isConnected: true, isInternetReachable: true });
+      adapter.mockImplementation(ok);
+      await expect(api.post('/reports', {}, { retry: false })).resolves.toMatchObject({ status: 200 });
+    });
+
+    it('does not count upload timeouts, but counts other timeouts', async () => {
+      adapter.mockImplementation(timeout);
+      for (let i = 0; i < 5; i++) {
+        await api.post('/upload', {}, { retry: false, headers: { 'Content-Type': 'multipart/form-data' } }).catch(() => {});
+      }
+      expect(getCircuitState(BASE_URL).state).toBe('closed');
+
+      await failTimes(3);
+      expect(getCircuitState(BASE_URL).state).toBe('open');
+    });
+
+    it('resets the failure count on success', async () => {
+      adapter.mockImplementation(failWith(500));
+      await failTimes(2);
+      adapter.mockImplementation(ok);
+      await api.get('/a');
+      adapter.mockImplementation(failWith(500));
+      await failTimes(2);
+
+      expect(getCircuitState(BASE_URL)).toMatchObject({ state: 'closed', failures: 2 });
+    });
+
+    it('lets one trial through after the cooldown and closes on success', async () => {
+      const now = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+      try {
+        adapter.mockImplementation(failWith(500));
+        await failTimes(3);
+
+        clock.mockReturnValue(now + 1500);
+        let finishTrial;
+        adapter.mockImplementation((config) => new Promise((resolve) => { finishTrial = () => resolve(ok(config)); }));
+
+        const trial = api.get('/a');
+        await new Promise((resolve) => setImmediate(resolve));
+        await expect(api.get('/b')).rejects.toMatchObject({ code: CIRCUIT_OPEN_CODE });
+
+        finishTrial();
+        await trial;
+        expect(getCircuitState(BASE_URL).state).toBe('closed');
+      } finally {
+        clock.mockRestore();
+      }
+    });
+
+    it('re-opens when the trial fails', async () => {
+      const now = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+      try {
+        adapter.mockImplementation(failWith(500));
+        await failTimes(3);
+        clock.mockReturnValue(now + 1500);
+
+        await failTimes(1);
+
+        expect(getCircuitState(BASE_URL)).toMatchObject({ state: 'open', retryIn: 1000 });
+      } finally {
+        clock.mockRestore();
+      }
+    });
+
+    it('tracks each host separately', async () => {
+      adapter.mockImplementation(failWith(500));
+      await failTimes(3);
+
+      adapter.mockImplementation(ok);
+
+      await expect(api.get('http://customers.test/all')).resolves.toMatchObject({ status: 200 });
+      expect(getCircuitState('http://customers.test').state).toBe('closed');
+      expect(getCircuitState(BASE_URL).state).toBe('open');
+    });
+
+    it('can be bypassed per call', async () => {
+      adapter.mockImplementation(failWith(500));
+      await failTimes(3);
+      adapter.mockImplementation(ok);
+
+      await expect(api.get('/health', { circuitBreaker: false })).resolves.toMatchObject({ status: 200 });
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import {
+  DEFAULT_SEVERITY_RULES,
+  normalizeSeverityRules,
+  getSeverityRules,
+  scoreSeverity,
+  getMissingSeverityFactors,
+  parseSeverityAnswers,
+} from '../../services/severity';
+
+describe('severity', () => {
+  describe('scoreSeverity', () => {
+    it.each([
+      [{ flow: 'seeping', pressure: 'Low' }, 0, 3],
+      [{ flow: 'steady', pressure: 'Low', propertyRisk: 'possible' }, 3, 2],
+      [{ flow: 'gushing', pressure: 'High', traffic: 'blocked' }, 9, 1],
+    ])('scores %p as %p points, priority %p', (answers, score, priority) => {
+      expect(scoreSeverity(DEFAULT_SEVERITY_RULES, answers)).toMatchObject({ assessed: true, score, priority });
+    });
+
+    it('ignores answers that are not options of a factor', () => {
+      const result = scoreSeverity(DEFAULT_SEVERITY_RULES, { flow: 'trickle', traffic: 'jammed', colour: 'brown' });
+      expect(result.answers).toEqual({ flow: 'trickle' });
+      expect(result.score).toBe(1);
+    });
+
+    it('gives unassessed reports the default priority', () => {
+      expect(scoreSeverity(DEFAULT_SEVERITY_RULES, {})).toMatchObject({ assessed: false, score: null, priority: 2, label: 'Normal' });
+    });
+  });
+
+  it('lists the required factors still unanswered', () => {
+    const missing = getMissingSeverityFactors(DEFAULT_SEVERITY_RULES, { pressure: 'High', flow: 'unknown' });
+    expect(missing.map((factor) => factor.key)).toEqual(['flow']);
+  });
+
+  describe('normalizeSeverityRules', () => {
+    it('reads server rules and orders the priorities by score', () => {
+      const rules = normalizeSeverityRules({
+        factors: [{ key: 'flow', options: [{ value: 'big', points: '5' }, { label: 'No value' }] }],
+        priorities: [
+          { priority: '2', label: 'Normal', minScore: 0 },
+          { priority: '1', label: 'Urgent', minScore: 5 },
+        ],
+        defaultPriority: '1',
+      });
+
+      expect(rules.factors).toEqual([{ key: 'flow', label: 'flow', hint: '', required: false, options: [{ value: 'big', label: 'big', points: 5 }] }]);
+      expect(rules.priorities.map((level) => level.priority)).toEqual([1, 2]);
+      expect(rules.defaultPriority).toBe(1);
+      expect(scoreSeverity(rules, { flow: 'big' }).priority).toBe(1);
+    });
+
+    it('keeps the defaults for anything unusable', () => {
+      expect(normalizeSeverityRules({ factors: 'nope', priorities: [{ label: 'No number' }] })).toEqual(DEFAULT_SEVERITY_RULES);
+    });
+  });
+
+  it('uses the default rules for catalogs cached before severity rules existed', () => {
+    expect(getSeverityRules({ leakTypes: [] })).toBe(DEFAULT_SEVERITY_RULES);
+  });
+
+  it('parses assessments stored as JSON or objects', () => {
+    expect(parseSeverityAnswers('{"flow":"steady"}')).toEqual({ flow: 'steady' });
+    expect(parseSeverityAnswers({ traffic: 'none' })).toEqual({ traffic: 'none' });
+    expect(parseSeverityAnswers('not json')).toEqual({});
+    expect(parseSeverityAnswers(null)).toEqual({});
+  });
+});
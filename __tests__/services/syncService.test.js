@@ -0,0 +1,251 @@
+import NetInfo from '@react-native-community/netinfo';
+import { addToQueue, getQueue, updateQueueItem, getSyncStatus } from '../../services/offlineQueue';
+import { syncOfflineQueue, startAutoSync, stopAutoSync } from '../../services/syncService';
+import { submitLeakReport, amendLeakReport, withdrawLeakReport } from '../../services/interceptor';
+import { cleanupReportPhotos } from '../../services/photoPipeline';
+
+jest.mock('../../services/interceptor', () => ({
+  submitLeakReport: jest.fn(),
+  amendLeakReport: jest.fn(),
+  withdrawLeakReport: jest.fn(),
+  isReportNotPendingError: (error) => error?.code === 'ERR_REPORT_NOT_PENDING',
+}));
+
+jest.mock('../../services/photoPipeline', () => ({
+  cleanupReportPhotos: jest.fn(),
+}));
+
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+const queueReport = (refNo, extra = {}) => addToQueue({ type: 'leak_report', data: { refNo }, ...extra });
+
+describe('syncService', () => {
+  beforeEach(() => {
+    submitLeakReport.mockReset().mockResolvedValue({ statusCode: 200 });
+    amendLeakReport.mockReset().mockResolvedValue({ statusCode: 200 });
+    withdrawLeakReport.mockReset().mockResolvedValue({ statusCode: 200 });
+    cleanupReportPhotos.mockReset().mockResolvedValue(undefined);
+  });
+
+  describe('syncOfflineQueue', () => {
+    it('skips the sync while offline', async () => {
+      NetInfo.fetch.mockResolvedValue({ isConnected: false, isInternetReachable: false });
+      await queueReport('LD-1');
+
+      const result = await syncOfflineQueue();
+
+      expect(result).toMatchObject({ success: false, message: 'Device is offline', synced: 0 });
+      expect(submitLeakReport).not.toHaveBeenCalled();
+      expect(await getQueue()).toHaveLength(1);
+    });
+
+    it('reports nothing to do for an empty queue', async () => {
+      const result = await syncOfflineQueue();
+      expect(result).toMatchObject({ success: true, synced: 0, failed: 0 });
+    });
+
+    it('submits pending reports, removes them and cleans up their photos', async () => {
+      await queueReport('LD-1');
+      await queueReport('LD-2');
+      const onProgress = jest.fn();
+
+      const result = await syncOfflineQueue(onProgress);
+
+      expect(result).toMatchObject({ success: true, synced: 2, failed: 0, pending: 0 });
+      expect(submitLeakReport).toHaveBeenCalledTimes(2);
+      expect(submitLeakReport.mock.calls[0][0]).toEqual({ refNo: 'LD-1' });
+      expect(cleanupReportPhotos).toHaveBeenCalledWith({ refNo: 'LD-2' });
+      expect(await getQueue()).toEqual([]);
+      expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ current: 2, total: 2, percentage: 100 }));
+      expect(await getSyncStatus()).toMatchObject({ synced: 2, failed: 0, itemsProcessed: 2 });
+    });
+
+    it('only verifies against the server when an earlier attempt was made', async () => {
+      await queueReport('LD-NEW');
+      await queueReport('LD-RETRY', { lastAttemptAt: '2025-01-01T00:00:00.000Z' });
+
+      await syncOfflineQueue();
+
+      expect(submitLeakReport).toHaveBeenCalledWith({ refNo: 'LD-NEW' }, { verifyExisting: false });
+      expect(submitLeakReport).toHaveBeenCalledWith({ refNo: 'LD-RETRY' }, { verifyExisting: true });
+    });
+
+    it('shares one run between overlapping calls so no report is sent twice', async () => {
+      await queueReport('LD-1');
+      let finishUpload;
+      submitLeakReport.mockImplementationOnce(() => new Promise((resolve) => { finishUpload = resolve; }));
+      const autoProgress = jest.fn();
+      const manualProgress = jest.fn();
+
+      const auto = syncOfflineQueue(autoProgress);
+      await flushPromises();
+      const manual = syncOfflineQueue(manualProgress);
+      finishUpload({ statusCode: 200 });
+      const [autoResult, manualResult] = await Promise.all([auto, manual]);
+
+      expect(submitLeakReport).toHaveBeenCalledTimes(1);
+      expect(manualResult).toBe(autoResult);
+      expect(autoResult).toMatchObject({ synced: 1 });
+      expect(autoProgress).toHaveBeenCalled();
+
+      // The next call starts a new run
+      await queueReport('LD-2');
+      expect(await syncOfflineQueue()).toMatchObject({ synced: 1 });
+    });
+
+    it('retries items left in syncing by an interrupted run', async () => {
+      const id = await queueReport('LD-1');
+      await updateQueueItem(id, { status: 'syncing' });
+
+      const result = await syncOfflineQueue();
+
+      expect(result.synced).toBe(1);
+      expect(await getQueue()).toEqual([]);
+    });
+
+    it('does not pick up failed items', async () => {
+      const id = await queueReport('LD-1');
+      await updateQueueItem(id, { status: 'failed', retryCount: 3 });
+
+      const result = await syncOfflineQueue();
+
+      expect(result.synced).toBe(0);
+      expect(submitLeakReport).not.toHaveBeenCalled();
+    });
+
+    it('keeps a failed report pending until it runs out of retries', async () => {
+      submitLeakReport.mockRejectedValue(new Error('Network Error'));
+      await queueReport('LD-1');
+
+      let result = await syncOfflineQueue();
+      let [item] = await getQueue();
+      expect(result).toMatchObject({ synced: 0, failed: 0, pending: 1 });
+      expect(item).toMatchObject({ status: 'pending', retryCount: 1, lastError: 'Network Error' });
+      expect(item.lastAttemptAt).toEqual(expect.any(String));
+
+      await syncOfflineQueue();
+      result = await syncOfflineQueue();
+      [item] = await getQueue();
+      expect(result).toMatchObject({ success: false, failed: 1 });
+      expect(item).toMatchObject({ status: 'failed', retryCount: 3 });
+      expect(cleanupReportPhotos).not.toHaveBeenCalled();
+    });
+
+    it('marks unknown action types as failed', async () => {
+      await addToQueue({ type: 'update_profile', data: {} });
+
+      const result = await syncOfflineQueue();
+
+      const [item] = await getQueue();
+      expect(result.failed).toBe(1);
+      expect(item).toMatchObject({ status: 'failed', retryCount: 1 });
+    });
+
+    it('carries on with the rest of the queue after a failure', async () => {
+      submitLeakReport.mockImplementation(async (data) => {
+        if (data.refNo === 'LD-BAD') throw new Error('500');
+        return {};
+      });
+      await queueReport('LD-BAD');
+      await queueReport('LD-GOOD');
+
+      const result = await syncOfflineQueue();
+
+      expect(result.synced).toBe(1);
+      const queue = await getQueue();
+      expect(queue.map((item) => item.data.refNo)).toEqual(['LD-BAD']);
+    });
+
+    it('sends queued amendments and withdrawals in order', async () => {
+      await addToQueue({ type: 'leak_report_amendment', data: { refNo: 'LD-1', leakType: 'Mainline' } });
+      await addToQueue({ type: 'leak_report_withdrawal', data: { refNo: 'LD-2', reason: 'Duplicate' } });
+
+      const result = await syncOfflineQueue();
+
+      expect(result).toMatchObject({ success: true, synced: 2 });
+      expect(amendLeakReport).toHaveBeenCalledWith({ refNo: 'LD-1', leakType: 'Mainline' });
+      expect(cleanupReportPhotos).toHaveBeenCalledWith({ refNo: 'LD-1', leakType: 'Mainline' });
+      expect(withdrawLeakReport).toHaveBeenCalledWith('LD-2', { reason: 'Duplicate' });
+      expect(await getQueue()).toEqual([]);
+    });
+
+    it('fails a change straight away once the report is no longer pending', async () => {
+      amendLeakReport.mockRejectedValue(Object.assign(new Error('not pending'), { code: 'ERR_REPORT_NOT_PENDING' }));
+      await addToQueue({ type: 'leak_report_amendment', data: { refNo: 'LD-1' } });
+
+      const result = await syncOfflineQueue();
+
+      const [item] = await getQueue();
+      expect(result).toMatchObject({ success: false, failed: 1, pending: 0 });
+      expect(item).toMatchObject({ status: 'failed', retryCount: 1 });
+      expect(item.lastError).toMatch(/no longer pending/);
+    });
+
+    it('pauses without using up retries while the server circuit is open', async () => {
+      submitLeakReport.mockRejectedValue(Object.assign(new Error('Server unavailable'), { code: 'ERR_CIRCUIT_OPEN', retryIn: 5000 }));
+      await queueReport('LD-1');
+      await queueReport('LD-2');
+
+      const result = await syncOfflineQueue();
+
+      expect(result).toMatchObject({ success: false, paused: true, retryIn: 5000, pending: 2 });
+      expect(submitLeakReport).toHaveBeenCalledTimes(1);
+      const queue = await getQueue();
+      expect(queue.map((item) => [item.status, item.retryCount])).toEqual([['pending', 0], ['pending', 0]]);
+    });
+  });
+
+  describe('startAutoSync', () => {
+    afterEach(() => stopAutoSync());
+
+    it('syncs queued items on start when already online', async () => {
+      await queueReport('LD-1');
+      const onComplete = jest.fn();
+
+      startAutoSync(onComplete);
+      await flushPromises();
+      await flushPromises();
+
+      expect(onComplete).toHaveBeenCalledWith(expect.objectContaining({ synced: 1 }));
+      expect(await getQueue()).toEqual([]);
+    });
+
+    it('syncs when the connection comes back', async () => {
+      NetInfo.fetch.mockResolvedValue({ isConnected: false, isInternetReachable: false });
+      await queueReport('LD-1');
+      const onComplete = jest.fn();
+
+      startAutoSync(onComplete);
+      await flushPromises();
+      expect(submitLeakReport).not.toHaveBeenCalled();
+
+      const listener = NetInfo.addEventListener.mock.calls[NetInfo.addEventListener.mock.calls.length - 1][0];
+      NetInfo.fetch.mockResolvedValue({ isConnected: true, isInternetReachable: true });
+      await listener({ isConnected: true, isInternetReachable: true });
+
+      expect(onComplete).toHaveBeenCalledWith(expect.objectContaining({ synced: 1 }));
+    });
+
+    it('retries with backoff while items stay pending', async () => {
+      jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+      try {
+        submitLeakReport.mockRejectedValueOnce(new Error('503'));
+        await queueReport('LD-1');
+        const onComplete = jest.fn();
+
+        startAutoSync(onComplete);
+        await flushPromises();
+        await flushPromises();
+        expect(onComplete).toHaveBeenLastCalledWith(expect.objectContaining({ synced: 0, pending: 1 }));
+
+        await jest.advanceTimersByTimeAsync(30000);
+        await flushPromises();
+
+        expect(onComplete).toHaveBeenLastCalledWith(expect.objectContaining({ synced: 1 }));
+        expect(await getQueue()).toEqual([]);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import {
+  getTileCacheSettings,
+  saveTileCacheSettings,
+  enforceTileBudget,
+  runTileCacheMaintenance,
+} from '../../services/tileCache';
+import { saveOfflineRegion } from '../../services/offlineRegions';
+import { getTileUri, getServedTileTemplate } from '../../services/offlineTileManager';
+import { putTile, putTiles, hasTile, addRegionTiles, getTile, getTileStats, deleteTileStore } from '../../services/tileStore';
+
+jest.mock('../../services/interceptor', () => ({
+  devApi: { get: jest.fn() },
+}));
+
+const MB = 1024 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
+const PNG = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+// One buffer for every large tile - the store only needs its length
+const BIG = new Uint8Array(100 * MB);
+
+const region = {
+  id: 'poblacion',
+  name: 'Poblacion',
+  type: 'rectangle',
+  bounds: { minLat: 7.0700, maxLat: 7.0760, minLon: 125.6100, maxLon: 125.6160 },
+  minZoom: 16,
+  maxZoom: 16,
+};
+
+const tiles = [3477, 3478, 3479, 3480].map((x) => ({ z: 12, x, y: 1967 }));
+
+describe('tileCache', () => {
+  beforeEach(async () => {
+    await deleteTileStore();
+    global.fetch = jest.fn(async () => ({ ok: true, arrayBuffer: async () => PNG.buffer }));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  it('keeps its settings and ignores values it does not offer', async () => {
+    expect(await getTileCacheSettings()).toEqual({ maxAgeDays: 30, budgetMB: 0 });
+
+    await saveTileCacheSettings({ budgetMB: 500 });
+    expect(await getTileCacheSettings()).toEqual({ maxAgeDays: 30, budgetMB: 500 });
+
+    await AsyncStorage.setItem('tile_cache_settings', JSON.stringify({ maxAgeDays: 12, budgetMB: 1024 }));
+    expect(await getTileCacheSettings()).toEqual({ maxAgeDays: 30, budgetMB: 1024 });
+  });
+
+  describe('enforceTileBudget', () => {
+    beforeEach(async () => {
+      // 400 MB, one tile in a pinned region
+      await putTiles(tiles.map((tile) => ({ ...tile, data: BIG })));
+      await saveOfflineRegion({ ...region, pinned: true });
+      await addRegionTiles(region.id, [tiles[0]]);
+    });
+
+    it('evicts the least recently shown tiles outside pinned regions', async () => {
+      await AsyncStorage.setItem('offline_tiles_metadata', JSON.stringify({ totalTiles: 4, downloadComplete: true }));
+      // A served copy written out before - not from the 100 MB tile itself
+      const served = getServedTileTemplate().replace('{z}', 12).replace('{x}', 3478).replace('{y}', 1967);
+      await FileSystem.makeDirectoryAsync(served.slice(0, served.lastIndexOf('/')), { intermediates: true });
+      await FileSystem.writeAsStringAsync(served, 'old');
+
+      expect(await enforceTileBudget(250)).toEqual({ count: 2, bytes: 200 * MB, overBudget: false });
+      expect((await FileSystem.getInfoAsync(served)).exists).toBe(false);
+
+      expect(await hasTile(12, 3477, 1967)).toBe(true);
+      expect((await getTileStats()).count).toBe(2);
+      expect(JSON.parse(await AsyncStorage.getItem('offline_tiles_metadata'))).toMatchObject({ totalTiles: 2 });
+    });
+
+    it('does nothing without a limit or within it', async () => {
+      expect(await enforceTileBudget(0)).toEqual({ count: 0, bytes: 0, overBudget: false });
+      expect(await enforceTileBudget(500)).toEqual({ count: 0, bytes: 0, overBudget: false });
+      expect(await hasTile(12, 3480, 1967)).toBe(true);
+    });
+
+    it('reports when pinned regions alone are over the limit', async () => {
+      await addRegionTiles(region.id, tiles.slice(1, 3));
+
+      expect(await enforceTileBudget(250)).toEqual({ count: 1, bytes: 100 * MB, overBudget: true });
+      expect(await hasTile(12, 3480, 1967)).toBe(false);
+    });
+  });
+
+  describe('runTileCacheMaintenance', () => {
+    it('refreshes expired tiles when online, at most once an hour', async () => {
+      const now = Date.now();
+      const dateNow = jest.spyOn(Date, 'now').mockReturnValue(now - 40 * DAY);
+      await putTile(12, 3477, 1967, new Uint8Array([1]));
+      dateNow.mockReturnValue(now);
+
+      expect(await runTileCacheMaintenance({ online: false })).toMatchObject({ refreshed: 0 });
+      expect(global.fetch).not.toHaveBeenCalled();
+
+      expect(await runTileCacheMaintenance({ online: true })).toMatchObject({ purged: false, refreshed: 1 });
+      expect(Array.from(await getTile(12, 3477, 1967))).toEqual(Array.from(PNG));
+
+      await saveTileCacheSettings({ maxAgeDays: 7 });
+      dateNow.mockReturnValue(now + 30 * 60 * 1000);
+      await runTileCacheMaintenance({ online: true });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not refresh tiles when set to never', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() - 400 * DAY);
+      await putTile(12, 3477, 1967, PNG);
+      jest.restoreAllMocks();
+      await saveTileCacheSettings({ maxAgeDays: 0 });
+
+      expect(await runTileCacheMaintenance({ online: true })).toMatchObject({ refreshed: 0 });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('drops the tile files served to OfflineTile', async () => {
+      await putTile(12, 3477, 1967, PNG);
+      const served = await getTileUri(12, 3477, 1967);
+
+      await runTileCacheMaintenance();
+
+      expect((await FileSystem.getInfoAsync(served)).exists).toBe(false);
+    });
+
+        it('reports offline tiles the system removed', async () => {
+      await AsyncStorage.setItem('offline_tiles_metadata', JSON.stringify({ totalTiles: 50, downloadComplete: true }));
+
+      expect(await runTileCacheMaintenance({ online: true })).toEqual({
+        purged: true,
+        lostTiles: 50,
+        evicted: 0,
+        overBudget: false,
+        refreshed: 0,
+      });
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import {
+  createTileDownloadJob,
+  isJobForRegion,
+  isTileDone,
+  markTileDone,
+  getTileDownloadJob,
+  saveTileDownloadJob,
+  clearTileDownloadJob,
+  getJobEta,
+} from '../../services/tileDownloadJob';
+
+const region = {
+  id: 'poblacion',
+  type: 'rectangle',
+  bounds: { minLat: 7.0700, maxLat: 7.0760, minLon: 125.6100, maxLon: 125.6160 },
+  minZoom: 15,
+  maxZoom: 16,
+};
+
+describe('tileDownloadJob', () => {
+  it('keeps the done tiles across a save and load', async () => {
+    const job = createTileDownloadJob(region, 20, { refresh: true });
+    markTileDone(job, 0);
+    markTileDone(job, 9);
+    markTileDone(job, 19);
+    markTileDone(job, 19);
+
+    await saveTileDownloadJob(job);
+    const loaded = await getTileDownloadJob();
+
+    expect(loaded).toMatchObject({ regionId: 'poblacion', total: 20, doneCount: 3, refresh: true, status: 'running' });
+    expect([0, 8, 9, 18, 19].map((index) => isTileDone(loaded, index))).toEqual([true, false, true, false, true]);
+
+    await clearTileDownloadJob();
+    expect(await getTileDownloadJob()).toBeNull();
+  });
+
+  it('only resumes for the same tiles and options', () => {
+    const job = createTileDownloadJob(region, 20);
+
+    expect(isJobForRegion(job, { ...region, name: 'Renamed' }, 20)).toBe(true);
+    expect(isJobForRegion(job, { ...region, maxZoom: 17 }, 20)).toBe(false);
+    expect(isJobForRegion(job, region, 21)).toBe(false);
+    expect(isJobForRegion(job, region, 20, { refresh: true })).toBe(false);
+    expect(isJobForRegion(null, region, 20)).toBe(false);
+  });
+
+  it('estimates the time left from the rate so far', () => {
+    const job = createTileDownloadJob(region, 1000);
+    expect(getJobEta(job)).toBeNull();
+
+    job.doneCount = 200;
+    job.processed = 200;
+    job.activeMs = 20000; // 10 tiles/s
+
+    expect(getJobEta(job)).toBe(80);
+  });
+});
@@ -0,0 +1,85 @@
+import {
+  latLonToTile,
+  metersPerTile,
+  getRegionTilesAtZoom,
+  countRegionTiles,
+  convexHull,
+} from '../../services/tileGeometry';
+
+// [lat, lon] of a position given in tile coordinates at zoom
+const at = (x, y, z) => {
+  const n = Math.PI - (2 * Math.PI * y) / 2 ** z;
+  return [(180 / Math.PI) * Math.atan(Math.sinh(n)), (x / 2 ** z) * 360 - 180];
+};
+
+const keys = (tiles) => tiles.map(({ x, y }) => `${x}/${y}`).sort();
+
+const Z = 14;
+const X0 = 13900;
+const Y0 = 7860;
+
+describe('tileGeometry', () => {
+  it('finds the tile holding a position', () => {
+    expect(latLonToTile(7.0731, 125.6128, 15)).toEqual({ x: 27817, y: 15738, z: 15 });
+  });
+
+  it('covers every tile of a rectangle across its zoom range', () => {
+    const bounds = { minLat: 6.9679, maxLat: 7.4135, minLon: 125.2244, maxLon: 125.6862 };
+    const region = { type: 'rectangle', bounds, minZoom: 10, maxZoom: 12 };
+
+    const expected = [10, 11, 12].reduce((total, z) => {
+      const min = latLonToTile(bounds.maxLat, bounds.minLon, z);
+      const max = latLonToTile(bounds.minLat, bounds.maxLon, z);
+      return total + (max.x - min.x + 1) * (max.y - min.y + 1);
+    }, 0);
+    expect(countRegionTiles(region)).toBe(expected);
+    expect(getRegionTilesAtZoom(region, 10).every(({ z }) => z === 10)).toBe(true);
+  });
+
+  it('takes the tiles inside or crossed by a polygon and skips the rest of its bounding box', () => {
+    // Triangle over a 4x4 block of tiles, the long side running from the top-left to the bottom-right tile
+    const region = {
+      type: 'polygon',
+      points: [at(X0 + 0.5, Y0 + 0.5, Z), at(X0 + 3.5, Y0 + 3.2, Z), at(X0 + 0.5, Y0 + 3.5, Z)],
+      minZoom: Z,
+      maxZoom: Z,
+    };
+
+    const tiles = keys(getRegionTilesAtZoom(region, Z));
+
+    expect(tiles).toContain(`${X0}/${Y0 + 3}`); // inside
+    expect(tiles).toContain(`${X0 + 1}/${Y0}`); // crossed by the long side
+    expect(tiles).not.toContain(`${X0 + 3}/${Y0}`); // opposite corner of the bounding box
+    expect(tiles).toHaveLength(13);
+  });
+
+  it('follows a route within its buffer', () => {
+    const route = [at(X0 + 0.2, Y0 + 0.5, Z), at(X0 + 4.8, Y0 + 0.5, Z)];
+    const region = { type: 'route', points: route, bufferMeters: 0, minZoom: Z, maxZoom: Z };
+
+    expect(keys(getRegionTilesAtZoom(region, Z))).toEqual(keys([0, 1, 2, 3, 4].map((i) => ({ x: X0 + i, y: Y0 }))));
+
+    // A buffer of most of a tile reaches the rows either side and one tile past each end
+    const buffered = getRegionTilesAtZoom({ ...region, bufferMeters: metersPerTile(route[0][0], Z) * 0.75 }, Z);
+    expect(buffered).toHaveLength(7 * 3);
+  });
+
+  it('counts polygon tiles at every zoom of the range', () => {
+    const region = {
+      type: 'polygon',
+      points: [at(X0 + 0.3, Y0 + 0.3, Z), at(X0 + 1.3, Y0 + 0.3, Z), at(X0 + 1.3, Y0 + 1.3, Z), at(X0 + 0.3, Y0 + 1.3, Z)],
+      minZoom: Z,
+      maxZoom: Z + 1,
+    };
+
+    // 2x2 tiles at Z, 3x3 at the next zoom where each tile splits in four
+    expect(countRegionTiles(region)).toBe(4 + 9);
+  });
+
+  it('hulls a cloud of points', () => {
+    const hull = convexHull([[0, 0], [0, 2], [2, 2], [2, 0], [1, 1], [0.5, 1.5]]);
+
+    expect(hull).toHaveLength(4);
+    expect(hull).not.toContainEqual([1, 1]);
+  });
+});
@@ -0,0 +1,243 @@
+import {
+  flipY,
+  bytesToBase64,
+  base64ToBytes,
+  getTile,
+  getTileBase64,
+  hasTile,
+  filterMissingTiles,
+  putTile,
+  putTiles,
+  getTileStats,
+  getTileStoreSize,
+  getMetadata,
+  setMetadata,
+  addRegionTiles,
+  claimUnassignedTiles,
+  getRegionTileStats,
+  deleteRegionTiles,
+  getStaleTiles,
+  evictLeastRecentlyUsed,
+  deleteTileStore,
+} from '../../services/tileStore';
+import { __databases } from '../../jest/sqliteMock';
+
+const PNG = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+const HOUR = 60 * 60 * 1000;
+
+describe('tileStore', () => {
+  // Every test opens a fresh store, as on first launch
+  beforeEach(async () => {
+    await deleteTileStore();
+  });
+
+  it('flips XYZ y to the TMS rows MBTiles uses', () => {
+    expect(flipY(1, 0)).toBe(1);
+    expect(flipY(15, 15738)).toBe(17029);
+    expect(flipY(18, flipY(18, 123))).toBe(123);
+  });
+
+  it('converts tile bytes to and from base64', () => {
+    expect(bytesToBase64(new Uint8Array([0, 255, 1]))).toBe('AP8B');
+    expect(Array.from(base64ToBytes('AP8B'))).toEqual([0, 255, 1]);
+    expect(Array.from(base64ToBytes(bytesToBase64(PNG)))).toEqual(Array.from(PNG));
+  });
+
+  it('stores tiles by XYZ and keeps them in TMS rows', async () => {
+    await putTile(15, 27817, 15738, PNG);
+
+    expect(await getTile(15, 27817, 15738)).toBe(PNG);
+    expect(await hasTile(15, 27817, 15738)).toBe(true);
+    expect(await getTileBase64(15, 27817, 15738)).toBe(bytesToBase64(PNG));
+    expect(__databases.get('tiles_osm.mbtiles').tiles.has('15/27817/17029')).toBe(true);
+  });
+
+  it('answers null for tiles it does not have', async () => {
+    expect(await getTile(15, 1, 1)).toBeNull();
+    expect(await getTileBase64(15, 1, 1)).toBeNull();
+    expect(await hasTile(15, 1, 1)).toBe(false);
+  });
+
+  it('lists the tiles still missing', async () => {
+    await putTiles([
+      { z: 12, x: 3477, y: 1967, data: PNG },
+      { z: 12, x: 3478, y: 1967, data: PNG },
+    ]);
+
+    const missing = await filterMissingTiles([
+      { z: 12, x: 3477, y: 1967 },
+      { z: 12, x: 3477, y: 1968 },
+      { z: 12, x: 3478, y: 1967 },
+      { z: 13, x: 6955, y: 3934 },
+    ]);
+
+    expect(missing).toEqual([{ z: 12, x: 3477, y: 1968 }, { z: 13, x: 6955, y: 3934 }]);
+  });
+
+  it('counts tiles and bytes without walking files', async () => {
+    expect(await getTileStats()).toEqual({ count: 0, bytes: 0 });
+
+    await putTiles([{ z: 10, x: 869, y: 491, data: PNG }, { z: 10, x: 870, y: 491, data: new Uint8Array(4) }]);
+
+    expect(await getTileStats()).toEqual({ count: 2, bytes: 12 });
+  });
+
+  it('keeps MBTiles metadata', async () => {
+    await setMetadata({ minzoom: 10, maxzoom: 18 });
+
+    expect(await getMetadata()).toMatchObject({ name: 'osm', format: 'png', minzoom: '10', maxzoom: '18' });
+  });
+
+  it('keeps each tile source in its own store', async () => {
+    await putTile(10, 869, 491, PNG, 'osmde');
+
+    expect(await hasTile(10, 869, 491, 'osmde')).toBe(true);
+    expect(await hasTile(10, 869, 491)).toBe(false);
+  });
+
+  it('drops every tile by deleting the store and opens a fresh one after', async () => {
+    await putTile(10, 869, 491, PNG);
+
+    await deleteTileStore();
+
+    expect(await getTileStats()).toEqual({ count: 0, bytes: 0 });
+    await putTile(10, 869, 491, PNG);
+    expect(await hasTile(10, 869, 491)).toBe(true);
+  });
+
+  describe('regions', () => {
+    const shared = { z: 12, x: 3477, y: 1967 };
+    const ownA = { z: 12, x: 3478, y: 1967 };
+    const ownB = { z: 12, x: 3479, y: 1967 };
+
+    beforeEach(async () => {
+      await putTiles([shared, ownA, ownB].map((tile) => ({ ...tile, data: PNG })));
+      await addRegionTiles('a', [shared, ownA]);
+      await addRegionTiles('b', [shared, ownB]);
+    });
+
+    it('sizes each region from its own tiles', async () => {
+      expect(await getRegionTileStats('a')).toEqual({ count: 2, bytes: 16 });
+      expect(await getRegionTileStats('missing')).toEqual({ count: 0, bytes: 0 });
+    });
+
+    it('deletes only the tiles no other region uses', async () => {
+      expect(await deleteRegionTiles('a')).toBe(1);
+
+      expect(await hasTile(ownA.z, ownA.x, ownA.y)).toBe(false);
+      expect(await hasTile(shared.z, shared.x, shared.y)).toBe(true);
+      expect(await getRegionTileStats('b')).toEqual({ count: 2, bytes: 16 });
+    });
+
+    it('gives the space of deleted tiles back to the system', async () => {
+      await putTile(13, 6955, 3934, new Uint8Array(64 * 1024));
+      await addRegionTiles('a', [{ z: 13, x: 6955, y: 3934 }]);
+      const before = await getTileStoreSize();
+
+      await deleteRegionTiles('a');
+
+      expect(before - await getTileStoreSize()).toBe(64 * 1024);
+    });
+
+    it('gives tiles stored without a region to one', async () => {
+      const loose = { z: 13, x: 6955, y: 3934 };
+      await putTile(loose.z, loose.x, loose.y, PNG);
+
+      expect(await claimUnassignedTiles('city')).toBe(1);
+      expect(await getRegionTileStats('city')).toEqual({ count: 1, bytes: 8 });
+    });
+  });
+
+  describe('tile ages', () => {
+    const T0 = Date.UTC(2026, 0, 1);
+    let now;
+
+    beforeEach(() => {
+      now = T0;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const info = (z, x, y) => __databases.get('tiles_osm.mbtiles').tileInfo.get(`${z}/${x}/${flipY(z, y)}`);
+
+    it('records when a tile was fetched and last shown', async () => {
+      await putTile(12, 3477, 1967, PNG);
+      expect(info(12, 3477, 1967)).toEqual({ fetchedAt: T0, usedAt: T0 });
+
+      now = T0 + 2 * HOUR;
+      await getTile(12, 3477, 1967);
+      // Fetched again: the new copy keeps the time it was last shown
+      now = T0 + 3 * HOUR;
+      await putTile(12, 3477, 1967, PNG);
+
+      expect(info(12, 3477, 1967)).toEqual({ fetchedAt: T0 + 3 * HOUR, usedAt: T0 + 2 * HOUR });
+    });
+
+    it('lists tiles fetched before a time, the most recently shown first', async () => {
+      await putTiles([
+        { z: 12, x: 3477, y: 1967, data: PNG },
+        { z: 12, x: 3478, y: 1967, data: PNG },
+      ]);
+      now = T0 + 2 * HOUR;
+      await getTile(12, 3478, 1967);
+      await putTile(12, 3479, 1967, PNG);
+
+      expect(await getStaleTiles(T0 + HOUR, 10)).toEqual([
+        { z: 12, x: 3478, y: 1967 },
+        { z: 12, x: 3477, y: 1967 },
+      ]);
+      expect(await getStaleTiles(T0 + HOUR, 1)).toHaveLength(1);
+    });
+
+    it('evicts the least recently shown tiles, never those of kept regions', async () => {
+      const tiles = [3477, 3478, 3479, 3480].map((x) => ({ z: 12, x, y: 1967, data: PNG }));
+      await putTiles(tiles);
+      await addRegionTiles('pinned', [tiles[0]]);
+      now = T0 + 2 * HOUR;
+      await getTile(12, 3478, 1967);
+
+      expect(await evictLeastRecentlyUsed(16, ['pinned'])).toEqual({ count: 2, bytes: 16 });
+
+      expect(await hasTile(12, 3477, 1967)).toBe(true); // pinned
+      expect(await hasTile(12, 3478, 1967)).toBe(true); // shown since
+      expect(await hasTile(12, 3479, 1967)).toBe(false);
+      expect(await hasTile(12, 3480, 1967)).toBe(false);
+      expect(info(12, 3479, 1967)).toBeUndefined();
+      // Only kept tiles left
+      expect(await evictLeastRecentlyUsed(100, ['pinned'])).toEqual({ count: 1, bytes: 8 });
+    });
+
+    it('shrinks the file after evicting', async () => {
+      await putTiles([3477, 3478].map((x) => ({ z: 12, x, y: 1967, data: new Uint8Array(64 * 1024) })));
+      const before = await getTileStoreSize();
+
+      await evictLeastRecentlyUsed(1);
+
+      expect(before - await getTileStoreSize()).toBe(64 * 1024);
+    });
+
+    it('dates the tiles of a store written before tile ages were kept', async () => {
+      await deleteTileStore();
+      const state = __databases.get('tiles_osm.mbtiles');
+      state.tiles.set(`12/3477/${flipY(12, 1967)}`, PNG);
+
+      expect(await getStaleTiles(T0 + 1, 10)).toEqual([{ z: 12, x: 3477, y: 1967 }]);
+      expect(info(12, 3477, 1967)).toEqual({ fetchedAt: T0, usedAt: T0 });
+      expect(state.userVersion).toBe(2);
+    });
+
+    it('switches a store written before incremental vacuum over to it', async () => {
+      await deleteTileStore();
+      const state = __databases.get('tiles_osm.mbtiles');
+      Object.assign(state, { hasTables: true, userVersion: 1 });
+
+      await getTileStats();
+
+      expect(state.autoVacuum).toBe(2);
+      expect(state.userVersion).toBe(2);
+    });
+  });
+});
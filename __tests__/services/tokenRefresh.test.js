@@ -0,0 +1,134 @@
+import axios from 'axios';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { devApi, refreshAccessToken } from '../../services/interceptor';
+import { handleSessionExpiry } from '../../services/autoLogout';
+
+jest.mock('../../services/autoLogout', () => ({
+  handleSessionExpiry: jest.fn(async () => {}),
+}));
+
+const VALID = 'fresh-token';
+
+const unauthorized = (config, message = 'Token Expired') => Promise.reject(
+  Object.assign(new Error('Request failed with status code 401'), {
+    config,
+    response: { status: 401, data: { message } },
+  })
+);
+
+// Answers 200 only for requests carrying the renewed token
+const server = (config) => (
+  config.headers.Authorization === `Bearer ${VALID}`
+    ? Promise.resolve({ data: { url: config.url }, status: 200, statusText: 'OK', headers: {}, config })
+    : unauthorized(config)
+);
+const serverAdapter = jest.fn();
+
+const refreshResponse = (data) => ({ data, status: 200 });
+
+describe('token refresh', () => {
+  const originalAdapter = devApi.defaults.adapter;
+
+  beforeEach(async () => {
+    devApi.defaults.adapter = serverAdapter;
+    serverAdapter.mockReset().mockImplementation(server);
+    handleSessionExpiry.mockClear();
+    jest.spyOn(axios, 'post').mockResolvedValue(refreshResponse({ accessToken: VALID, refreshToken: 'rotated' }));
+    await AsyncStorage.multiSet([['token', 'expired'], ['refresh_token', 'refresh']]);
+  });
+
+  afterEach(() => {
+    devApi.defaults.adapter = originalAdapter;
+    axios.post.mockRestore();
+  });
+
+  it('renews the token and replays the request', async () => {
+    const response = await devApi.get('/admin/dmainlet/all');
+
+    expect(response.data).toEqual({ url: '/admin/dmainlet/all' });
+    expect(axios.post).toHaveBeenCalledWith(
+      expect.stringMatching(/\/auth\/refresh$/),
+      { token: 'refresh' },
+      expect.any(Object)
+    );
+    expect(await AsyncStorage.getItem('token')).toBe(VALID);
+    expect(await AsyncStorage.getItem('refresh_token')).toBe('rotated');
+    expect(handleSessionExpiry).not.toHaveBeenCalled();
+  });
+
+  it('renews on any 401, not only "Token Expired"', async () => {
+    serverAdapter.mockImplementationOnce((config) => unauthorized(config, 'Unauthorized'));
+    await expect(devApi.get('/admin/customer/paginate')).resolves.toMatchObject({ status: 200 });
+  });
+
+  it('shares one refresh between concurrent requests', async () => {
+    const responses = await Promise.all([
+      devApi.get('/a'),
+      devApi.get('/b'),
+      devApi.get('/c'),
+    ]);
+
+    expect(responses.map((response) => response.data.url)).toEqual(['/a', '/b', '/c']);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the refresh token when the server does not rotate it', async () => {
+    axios.post.mockResolvedValueOnce(refreshResponse({ token: VALID }));
+    await devApi.get('/a');
+    expect(await AsyncStorage.getItem('refresh_token')).toBe('refresh');
+  });
+
+  it('replays a request only once', async () => {
+    serverAdapter.mockImplementation((config) => unauthorized(config));
+
+    await expect(devApi.get('/a')).rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(serverAdapter).toHaveBeenCalledTimes(2);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(handleSessionExpiry).toHaveBeenCalledTimes(1);
+  });
+
+  it('expires the session when the refresh token is refused', async () => {
+    axios.post.mockRejectedValueOnce(Object.assign(new Error('401'), { response: { status: 401 } }));
+
+    await expect(devApi.get('/a')).rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(handleSessionExpiry).toHaveBeenCalledTimes(1);
+  });
+
+  it('expires the session when there is no refresh token', async () => {
+    await AsyncStorage.removeItem('refresh_token');
+
+    await expect(devApi.get('/a')).rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(handleSessionExpiry).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not expire the session when the refresh fails on the network', async () => {
+    axios.post.mockRejectedValueOnce(new Error('Network Error'));
+
+    await expect(devApi.get('/a')).rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(handleSessionExpiry).not.toHaveBeenCalled();
+    expect(await AsyncStorage.getItem('refresh_token')).toBe('refresh');
+  });
+
+  it('leaves the tokens for the logout flow to clear so drafts can be saved first', async () => {
+    axios.post.mockRejectedValueOnce(Object.assign(new Error('400'), { response: { status: 400 } }));
+    await expect(devApi.get('/a')).rejects.toBeDefined();
+    expect(await AsyncStorage.getItem('token')).toBe('expired');
+  });
+
+  it('never refreshes for a failed login', async () => {
+    await expect(devApi.post('/admin/userlogin/login', {})).rejects.toMatchObject({ response: { status: 401 } });
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(handleSessionExpiry).not.toHaveBeenCalled();
+  });
+
+  it('returns the same promise for overlapping refreshAccessToken calls', async () => {
+    const first = refreshAccessToken();
+    expect(refreshAccessToken()).toBe(first);
+    await expect(first).resolves.toBe(VALID);
+  });
+});
@@ -0,0 +1,228 @@
+import DashboardStore from '../../stores/DashboardStore';
+import { fetchLeakReports, fetchLeakReportsPage, fetchAllLeakReports, withdrawLeakReport } from '../../services/interceptor';
+import { exportReports } from '../../services/reportExport';
+
+jest.mock('../../services/interceptor', () => ({
+  fetchLeakReports: jest.fn(),
+  fetchLeakReportsPage: jest.fn(),
+  fetchAllLeakReports: jest.fn(),
+  withdrawLeakReport: jest.fn(),
+}));
+
+jest.mock('../../services/reportExport', () => ({
+  exportReports: jest.fn(async (reports) => ({ fileUri: 'file:///exports/x.csv', count: reports.length })),
+}));
+
+const page = (refNos, { page: pageNumber = 1, totalCount = refNos.length, hasMore = false } = {}) => ({
+  reports: refNos.map((refNo) => ({ refNo })),
+  page: pageNumber,
+  pageSize: 20,
+  totalCount,
+  hasMore,
+});
+
+const listed = (store) => store.reportList.map((report) => report.refNo);
+
+describe('DashboardStore report list', () => {
+  let store;
+
+  beforeEach(() => {
+    fetchLeakReportsPage.mockReset();
+    store = new DashboardStore();
+    store.userData = { empId: '10001' };
+  });
+
+  it('loads the first page for the current filters', async () => {
+    fetchLeakReportsPage.mockResolvedValueOnce(page(['LD-1', 'LD-2'], { totalCount: 30, hasMore: true }));
+
+    await store.loadReportList();
+
+    expect(fetchLeakReportsPage).toHaveBeenCalledWith(expect.objectContaining({ sort: 'newest' }), { page: 1, empId: '10001' });
+    expect(listed(store)).toEqual(['LD-1', 'LD-2']);
+    expect(store.reportListTotal).toBe(30);
+    expect(store.reportListHasMore).toBe(true);
+    expect(store.reportListLoading).toBe(false);
+  });
+
+  it('appends the next page without duplicates', async () => {
+    fetchLeakReportsPage
+      .mockResolvedValueOnce(page(['LD-1', 'LD-2'], { hasMore: true }))
+      .mockResolvedValueOnce(page(['LD-2', 'LD-3'], { page: 2 }));
+
+    await store.loadReportList();
+    await store.loadMoreReports();
+
+    expect(fetchLeakReportsPage).toHaveBeenLastCalledWith(expect.any(Object), { page: 2, empId: '10001' });
+    expect(listed(store)).toEqual(['LD-1', 'LD-2', 'LD-3']);
+    expect(store.reportListHasMore).toBe(false);
+
+    await store.loadMoreReports();
+    expect(fetchLeakReportsPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('reloads from the first page when filters change', async () => {
+    fetchLeakReportsPage.mockResolvedValue(page(['LD-9']));
+
+    await store.setReportFilters({ status: 'repaired', dma: 'DMA-02' });
+
+    expect(store.reportFilters).toMatchObject({ status: 'repaired', dma: 'DMA-02' });
+    expect(store.activeFilterCount).toBe(2);
+    expect(fetchLeakReportsPage).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'repaired' }), expect.objectContaining({ page: 1 }));
+
+    await store.setReportFilters({ search: 'LD-9', sort: 'oldest' });
+    await store.resetReportFilters();
+    expect(store.reportFilters).toMatchObject({ status: null, dma: null, search: 'LD-9', sort: 'oldest' });
+    expect(store.activeFilterCount).toBe(0);
+  });
+
+  it('drops a response for filters that have since changed', async () => {
+    let resolveStale;
+    fetchLeakReportsPage
+      .mockReturnValueOnce(new Promise((resolve) => { resolveStale = resolve; }))
+      .mockResolvedValueOnce(page(['LD-NEW']));
+
+    const stale = store.setReportFilters({ search: 'old' });
+    await store.setReportFilters({ search: 'new' });
+    resolveStale(page(['LD-OLD']));
+    await stale;
+
+    expect(listed(store)).toEqual(['LD-NEW']);
+  });
+
+  it('keeps the list and shows an error when loading fails', async () => {
+    fetchLeakReportsPage.mockRejectedValueOnce(new Error('Network Error'));
+
+    await store.loadReportList();
+
+    expect(store.reportListError).toBe('Network Error');
+    expect(store.reportListLoading).toBe(false);
+  });
+});
+
+describe('DashboardStore analytics', () => {
+  beforeEach(() => {
+    fetchAllLeakReports.mockReset();
+  });
+
+  it('charts the downloaded report history', async () => {
+    fetchAllLeakReports.mockResolvedValueOnce([{ refNo: 'LD-1' }, { refNo: 'LD-2' }]);
+    const store = new DashboardStore();
+    store.userData = { empId: '10001' };
+
+    await store.loadAnalytics(true);
+
+    expect(store.analytics.totalReports).toBe(2);
+    expect(store.analyticsUpdatedAt).not.toBeNull();
+    expect(store.analyticsLoading).toBe(false);
+  });
+
+  it('skips loading without a signed-in user', async () => {
+    const store = new DashboardStore();
+    await store.loadAnalytics();
+    expect(fetchAllLeakReports).not.toHaveBeenCalled();
+    expect(store.analytics.totalReports).toBe(0);
+  });
+});
+
+describe('DashboardStore export', () => {
+  let store;
+
+  beforeEach(() => {
+    fetchLeakReportsPage.mockReset();
+    fetchAllLeakReports.mockReset();
+    exportReports.mockClear();
+    store = new DashboardStore();
+    store.userData = { empId: '10001' };
+  });
+
+  it('exports every report matching the filters', async () => {
+    store.reportFilters = { ...store.reportFilters, dma: 'DMA-02' };
+    fetchAllLeakReports.mockResolvedValueOnce([{ refNo: 'LD-1' }, { refNo: 'LD-2' }]);
+
+    const result = await store.exportReportList('kml');
+
+    expect(fetchAllLeakReports).toHaveBeenCalledWith(expect.objectContaining({ dma: 'DMA-02' }), { empId: '10001' });
+    expect(exportReports).toHaveBeenCalledWith([{ refNo: 'LD-1' }, { refNo: 'LD-2' }], 'kml');
+    expect(result).toMatchObject({ count: 2, partial: false });
+    expect(store.exportingReports).toBe(false);
+  });
+
+  it('falls back to the loaded pages when offline', async () => {
+    fetchLeakReportsPage.mockResolvedValueOnce(page(['LD-1'], { hasMore: true }));
+    fetchAllLeakReports.mockRejectedValueOnce(new Error('Network Error'));
+    await store.loadReportList();
+
+    const result = await store.exportReportList('csv');
+
+    expect(exportReports).toHaveBeenCalledWith([{ refNo: 'LD-1' }], 'csv');
+    expect(result.partial).toBe(true);
+  });
+});
+
+describe('DashboardStore reports map', () => {
+  let store;
+
+  beforeEach(() => {
+    fetchLeakReportsPage.mockReset();
+    fetchAllLeakReports.mockReset();
+    store = new DashboardStore();
+    store.userData = { empId: '10001' };
+  });
+
+  it('loads every report, unfiltered', async () => {
+    store.reportFilters = { ...store.reportFilters, status: 'repaired' };
+    fetchAllLeakReports.mockResolvedValueOnce([{ refNo: 'LD-1' }, { refNo: 'LD-2' }]);
+
+    await store.loadFullReports();
+
+    expect(fetchAllLeakReports).toHaveBeenCalledWith(expect.objectContaining({ status: null }), { empId: '10001' });
+    expect(store.fullReports.map((report) => report.refNo)).toEqual(['LD-1', 'LD-2']);
+    expect(store.fullReportsLoading).toBe(false);
+  });
+
+  it('keeps the reports it has when the download fails', async () => {
+    fetchAllLeakReports.mockResolvedValueOnce([{ refNo: 'LD-1' }]);
+    await store.loadFullReports();
+    fetchAllLeakReports.mockRejectedValueOnce(new Error('Network Error'));
+
+    await store.loadFullReports();
+
+    expect(store.fullReports).toEqual([{ refNo: 'LD-1' }]);
+    expect(store.fullReportsLoading).toBe(false);
+  });
+
+  it('merges the full list into allReports without duplicates', async () => {
+    fetchLeakReportsPage.mockResolvedValueOnce(page(['LD-1', 'LD-2']));
+    await store.loadReportList();
+    fetchAllLeakReports.mockResolvedValueOnce([{ refNo: 'LD-2' }, { refNo: 'LD-3' }]);
+    await store.loadFullReports();
+    store.leakReportsData = { reports: [{ refNo: 'LD-3' }, { refNo: 'LD-4' }] };
+
+    expect(store.allReports.map((report) => report.refNo)).toEqual(['LD-1', 'LD-2', 'LD-3', 'LD-4']);
+  });
+});
+
+describe('DashboardStore withdrawReport', () => {
+  let store;
+
+  beforeEach(() => {
+    withdrawLeakReport.mockReset().mockResolvedValue({ withdrawn: true });
+    // The reload after withdrawing stays in flight, so the marked lists can be checked
+    fetchLeakReports.mockReset().mockReturnValue(new Promise(() => {}));
+    store = new DashboardStore();
+    store.userData = { empId: '10001' };
+  });
+
+  it('marks the report withdrawn in every list, whatever its RefNo key is cased as', async () => {
+    store.reportList = [{ refNo: 'LD-1' }, { refNo: 'LD-2' }];
+    store.fullReports = [{ RefNo: 'LD-1' }, { RefNo: 'LD-2' }];
+    store.leakReportsData = { reports: [{ RefNo: 'ld-1 ' }] };
+
+    await store.withdrawReport('LD-1', 'Duplicate');
+
+    expect(withdrawLeakReport).toHaveBeenCalledWith('LD-1', { reason: 'Duplicate' });
+    expect(store.reportList.map((report) => !!report.withdrawn)).toEqual([true, false]);
+    expect(store.fullReports.map((report) => !!report.withdrawn)).toEqual([true, false]);
+    expect(store.leakReportsData.reports[0]).toMatchObject({ withdrawn: true, dtWithdrawn: expect.any(String) });
+  });
+});
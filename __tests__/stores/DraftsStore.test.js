@@ -0,0 +1,76 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import DraftsStore from '../../stores/DraftsStore';
+import { saveToDrafts } from '../../services/draftService';
+
+const createStore = async () => {
+  const store = new DraftsStore();
+  await store.loadDrafts();
+  return store;
+};
+
+const storedDrafts = async () => JSON.parse((await AsyncStorage.getItem('leak_report_drafts')) || '[]');
+
+describe('DraftsStore', () => {
+  it('loads drafts saved by the draft service', async () => {
+    await saveToDrafts({ refNo: 'LD-1' }, { autoSaved: true });
+
+    const store = await createStore();
+
+    expect(store.draftCount).toBe(1);
+    expect(store.drafts[0]).toMatchObject({ refNo: 'LD-1', autoSaved: true });
+  });
+
+  it('saves new drafts first and persists them', async () => {
+    const store = await createStore();
+    const first = await store.saveDraft({ refNo: 'LD-1' });
+    await new Promise((resolve) => setTimeout(resolve, 2));
+    const second = await store.saveDraft({ refNo: 'LD-2' });
+
+    expect(store.drafts.map((draft) => draft.id)).toEqual([second, first]);
+    expect((await storedDrafts()).map((draft) => draft.refNo)).toEqual(['LD-2', 'LD-1']);
+  });
+
+  it('updates a draft in place', async () => {
+    const store = await createStore();
+    const id = await store.saveDraft({ refNo: 'LD-1', leakType: 'Valve' });
+
+    await store.updateDraft(id, { leakType: 'Mainline' });
+
+    expect(store.getDraftById(id)).toMatchObject({ refNo: 'LD-1', leakType: 'Mainline' });
+    expect((await storedDrafts())[0].leakType).toBe('Mainline');
+  });
+
+  it('saves an unknown draft as new', async () => {
+    const store = await createStore();
+    const id = await store.updateDraft('missing', { refNo: 'LD-1' });
+    expect(id).not.toBe('missing');
+    expect(store.draftCount).toBe(1);
+  });
+
+  it('deletes a draft and clears it as the current draft', async () => {
+    const store = await createStore();
+    const id = await store.saveDraft({ refNo: 'LD-1' });
+    store.setCurrentDraftId(id);
+
+    await store.deleteDraft(id);
+
+    expect(store.draftCount).toBe(0);
+    expect(store.currentDraftId).toBeNull();
+    expect(await storedDrafts()).toEqual([]);
+  });
+
+  it('clears all drafts', async () => {
+    const store = await createStore();
+    await store.saveDraft({ refNo: 'LD-1' });
+    await store.clearAllDrafts();
+    expect(store.draftCount).toBe(0);
+    expect(await AsyncStorage.getItem('leak_report_drafts')).toBeNull();
+  });
+
+  it('starts empty when stored drafts are unreadable', async () => {
+    await AsyncStorage.setItem('leak_report_drafts', 'not json');
+    const store = await createStore();
+    expect(store.drafts).toEqual([]);
+    expect(store.loading).toBe(false);
+  });
+});
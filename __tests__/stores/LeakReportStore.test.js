@@ -0,0 +1,326 @@
+import NetInfo from '@react-native-community/netinfo';
+import LeakReportStore, { MAX_LEAK_PHOTOS } from '../../stores/LeakReportStore';
+import { submitLeakReport, amendLeakReport, isSubmissionCancelled } from '../../services/interceptor';
+import { getQueue } from '../../services/offlineQueue';
+import { findDuplicateCandidates } from '../../services/duplicateCheck';
+
+jest.mock('../../services/interceptor', () => ({
+  fetchDmaCodes: jest.fn(async () => ['DMA-01', 'DMA-02']),
+  submitLeakReport: jest.fn(),
+  amendLeakReport: jest.fn(),
+  isSubmissionCancelled: jest.fn((error) => error?.code === 'ERR_CANCELED'),
+}));
+
+jest.mock('../../services/duplicateCheck', () => ({
+  findDuplicateCandidates: jest.fn(async () => []),
+}));
+
+describe('LeakReportStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new LeakReportStore();
+    submitLeakReport.mockReset().mockResolvedValue({ statusCode: 200 });
+    amendLeakReport.mockReset().mockResolvedValue({ statusCode: 200, amended: true });
+    isSubmissionCancelled.mockClear();
+  });
+
+  describe('photos', () => {
+    it('keeps details aligned with photos', () => {
+      store.addLeakPhoto('file:///a.jpg', { category: 'wide' });
+      store.addLeakPhoto('file:///b.jpg');
+
+      expect(store.leakPhotos).toEqual(['file:///a.jpg', 'file:///b.jpg']);
+      expect(store.leakPhotoDetails).toEqual([
+        { category: 'wide', caption: '' },
+        { category: '', caption: '' },
+      ]);
+    });
+
+    it(`stops at ${MAX_LEAK_PHOTOS} photos`, () => {
+      for (let i = 0; i < MAX_LEAK_PHOTOS + 2; i++) store.addLeakPhoto(`file:///${i}.jpg`);
+      expect(store.leakPhotos).toHaveLength(MAX_LEAK_PHOTOS);
+      expect(store.leakPhotoDetails).toHaveLength(MAX_LEAK_PHOTOS);
+    });
+
+    it('removes a photo together with its details', () => {
+      store.addLeakPhoto('file:///a.jpg', { caption: 'A' });
+      store.addLeakPhoto('file:///b.jpg', { caption: 'B' });
+      store.addLeakPhoto('file:///c.jpg', { caption: 'C' });
+
+      store.removeLeakPhoto(1);
+
+      expect(store.leakPhotos).toEqual(['file:///a.jpg', 'file:///c.jpg']);
+      expect(store.leakPhotoDetails.map((details) => details.caption)).toEqual(['A', 'C']);
+    });
+
+    it('edits the details of one photo', () => {
+      store.addLeakPhoto('file:///a.jpg', { category: 'wide' });
+      store.addLeakPhoto('file:///b.jpg');
+
+      store.setLeakPhotoDetails(1, { caption: 'Meter box' });
+
+      expect(store.leakPhotoDetails[0]).toEqual({ category: 'wide', caption: '' });
+      expect(store.leakPhotoDetails[1]).toEqual({ category: '', caption: 'Meter box' });
+    });
+  });
+
+  it('keeps the same RefNo once assigned', async () => {
+    const first = await store.ensureRefNo();
+    const second = await store.ensureRefNo();
+    expect(first).toMatch(/^\d{6}[A-Z0-9]{11}$/);
+    expect(second).toBe(first);
+  });
+
+  it('clears project leak details when unflagged', () => {
+    store.setFlagProjectLeak(1);
+    store.setFeaturedId('PRJ-7');
+    store.setFlagProjectLeak(0);
+    expect(store.featuredId).toBe('');
+  });
+
+  it('resets the whole form', async () => {
+    await store.ensureRefNo();
+    store.setLeakType('Mainline');
+    store.addLeakPhoto('file:///a.jpg');
+    store.setLeakLocation(7.07, 125.61, 'dragPin');
+    store.setUploadProgress({ loaded: 10, total: 100, percentage: 10 });
+
+    store.reset();
+
+    expect(store).toMatchObject({
+      refNo: '',
+      leakType: '',
+      leakPhotos: [],
+      leakPhotoDetails: [],
+      leakLatitude: null,
+      leakLocationMethod: null,
+      pressure: 'Low',
+      uploadStage: 'idle',
+      uploadProgress: 0,
+    });
+  });
+
+  it('loads DMA options', async () => {
+    await store.loadDmaOptions();
+    expect(store.dmaOptions).toEqual(['DMA-01', 'DMA-02']);
+    expect(store.dmaLoading).toBe(false);
+  });
+
+  describe('uploadReport', () => {
+    it('tracks progress and returns the server result', async () => {
+      submitLeakReport.mockImplementation(async (payload, { onUploadProgress }) => {
+        onUploadProgress({ loaded: 50, total: 200, percentage: 25 });
+        expect(store.uploadStage).toBe('uploading');
+        expect(store.uploadProgress).toBe(25);
+        expect(store.uploadedBytes).toBe(50);
+        return { statusCode: 200 };
+      });
+
+      const result = await store.uploadReport({ refNo: 'LD-1' }, { verifyExisting: true });
+
+      expect(result).toEqual({ statusCode: 200 });
+      expect(submitLeakReport).toHaveBeenCalledWith(
+        { refNo: 'LD-1' },
+        expect.objectContaining({ verifyExisting: true, signal: expect.any(Object) })
+      );
+      expect(store.uploadStage).toBe('idle');
+      expect(store.uploadController).toBeNull();
+    });
+
+    it('resolves as cancelled when the user cancels', async () => {
+      submitLeakReport.mockImplementation((payload, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' })));
+      }));
+
+      const upload = store.uploadReport({ refNo: 'LD-1' });
+      store.cancelUpload();
+      expect(store.uploadStage).toBe('cancelling');
+
+      await expect(upload).resolves.toEqual({ cancelled: true });
+      expect(store.uploadStage).toBe('idle');
+    });
+
+    it('rethrows real failures', async () => {
+      submitLeakReport.mockRejectedValueOnce(new Error('Network Error'));
+      await expect(store.uploadReport({ refNo: 'LD-1' })).rejects.toThrow('Network Error');
+      expect(store.uploadStage).toBe('idle');
+    });
+  });
+
+  describe('editing a submitted report', () => {
+    const serverReport = {
+      refNo: 'LD-7',
+      dispatchStat: 0,
+      leakTypeId: 38,
+      jmsCode: '0100',
+      leakCovering: 4,
+      leakLocation: 2,
+      reportedLandmark: 'Chapel',
+      reporterName: 'Juan Dela Cruz',
+      dmaCode: 'DMA-02',
+      leakImage1: 'https://api.test/uploads/1.jpg',
+      landmarkImage: 'https://api.test/uploads/landmark.jpg',
+    };
+
+    it('fills the form from the server record', async () => {
+      store.setLeakType('Valve');
+
+      const values = await store.loadFromReport(serverReport);
+
+      expect(store.amendingReport).toBe(serverReport);
+      expect(store.refNo).toBe('LD-7');
+      expect(store.leakType).toBe('Serviceline');
+      expect(store.covering).toBe('Gravel');
+      expect(store.location).toBe('Non-Surface');
+      expect(store.landmark).toBe('Chapel');
+      expect(store.dma).toBe('DMA-02');
+      expect(store.leakPhotos).toEqual(['https://api.test/uploads/1.jpg']);
+      expect(store.landmarkPhoto).toBe('https://api.test/uploads/landmark.jpg');
+      expect(values.meterData).toMatchObject({ dma: 'DMA-02' });
+    });
+
+    it('keeps the RefNo instead of generating a new one', async () => {
+      await store.loadFromReport(serverReport);
+      expect(await store.ensureRefNo()).toBe('LD-7');
+    });
+
+    it('uploads an amendment instead of a new report', async () => {
+      await store.loadFromReport(serverReport);
+
+      const result = await store.uploadReport({ refNo: 'LD-7' });
+
+      expect(result).toMatchObject({ amended: true });
+      expect(amendLeakReport).toHaveBeenCalledWith({ refNo: 'LD-7' }, expect.objectContaining({ signal: expect.any(Object) }));
+      expect(submitLeakReport).not.toHaveBeenCalled();
+    });
+
+    it('goes back to new reports after a reset', async () => {
+      await store.loadFromReport(serverReport);
+      store.reset();
+      await store.uploadReport({ refNo: 'LD-8' });
+
+      expect(store.amendingReport).toBeNull();
+      expect(submitLeakReport).toHaveBeenCalled();
+    });
+  });
+
+  describe('duplicate check', () => {
+    const position = { latitude: 7.07, longitude: 125.61 };
+    const candidate = { refNo: 'LD-9', distance: 12 };
+
+    beforeEach(() => {
+      findDuplicateCandidates.mockReset().mockResolvedValue([candidate]);
+    });
+
+    it('keeps the candidates until the inspector decides', async () => {
+      store.setRefNo('LD-NEW');
+
+      const candidates = await store.checkForDuplicates(position, [{ refNo: 'LD-9' }], { isOnline: true });
+
+      expect(candidates).toEqual([candidate]);
+      expect(store.duplicateCandidates).toEqual([candidate]);
+      expect(findDuplicateCandidates).toHaveBeenCalledWith(position, [{ refNo: 'LD-9' }], { isOnline: true, excludeRefNo: 'LD-NEW' });
+      expect(store.checkingDuplicates).toBe(false);
+    });
+
+    it('links to an existing report and does not ask again', async () => {
+      await store.checkForDuplicates(position, []);
+      store.linkToReport('LD-9');
+
+      expect(store.linkedRefNo).toBe('LD-9');
+      expect(store.duplicateCandidates).toEqual([]);
+      expect(await store.checkForDuplicates(position, [])).toEqual([]);
+      expect(findDuplicateCandidates).toHaveBeenCalledTimes(1);
+    });
+
+    it('checks again after the leak is moved', async () => {
+      store.confirmNewLeak();
+      store.setLeakLocation(7.08, 125.62, 'dragPin');
+
+      expect(await store.checkForDuplicates(position, [])).toEqual([candidate]);
+      expect(store.linkedRefNo).toBeNull();
+    });
+
+    it('skips the check for amendments and when it fails', async () => {
+      store.amendingReport = { refNo: 'LD-1' };
+      expect(await store.checkForDuplicates(position, [])).toEqual([]);
+
+      store.amendingReport = null;
+      findDuplicateCandidates.mockRejectedValueOnce(new Error('boom'));
+      expect(await store.checkForDuplicates(position, [])).toEqual([]);
+      expect(store.checkingDuplicates).toBe(false);
+    });
+  });
+
+  describe('severity assessment', () => {
+    it('asks for the required factors before it can score', () => {
+      expect(store.missingSeverityFactors.map((factor) => factor.key)).toEqual(['flow']);
+
+      store.setSeverityAnswer('flow', 'steady');
+      expect(store.missingSeverityFactors).toEqual([]);
+    });
+
+    it('scores the answers with pressure kept in its own field', () => {
+      store.setSeverityAnswer('flow', 'gushing');
+      store.setSeverityAnswer('pressure', 'High');
+      store.setSeverityAnswer('criticalFacility', 'yes');
+
+      expect(store.pressure).toBe('High');
+      expect(store.severity).toEqual({ flow: 'gushing', criticalFacility: 'yes' });
+      expect(store.severityResult).toMatchObject({ assessed: true, score: 9, priority: 1, label: 'Urgent' });
+    });
+
+    it('restores the answers of a submitted report and clears them on reset', async () => {
+      await store.loadFromReport({ refNo: 'LD-7', pressure: 'High', severityAssessment: '{"flow":"trickle"}' });
+      expect(store.severityResult).toMatchObject({ score: 3, priority: 2 });
+
+      store.reset();
+      expect(store.severity).toEqual({});
+      expect(store.pressure).toBe('Low');
+    });
+  });
+
+  describe('submit', () => {
+    const submitArgs = { meterData: { meterNumber: 'M1' }, coordinates: { latitude: 7.07, longitude: 125.61 } };
+
+    it('submits directly when online', async () => {
+      store.setLeakType('Mainline');
+      store.addLeakPhoto('file:///a.jpg', { category: 'wide' });
+
+      const result = await store.submit(submitArgs);
+
+      expect(result).toMatchObject({ ok: true });
+      const [payload] = submitLeakReport.mock.calls[0];
+      expect(payload).toMatchObject({
+        refNo: store.refNo,
+        leakType: 'Mainline',
+        leakPhotos: ['file:///a.jpg'],
+        leakPhotoDetails: [{ category: 'wide', caption: '' }],
+        meterData: { meterNumber: 'M1' },
+      });
+      expect(await getQueue()).toEqual([]);
+    });
+
+    it('queues the report when offline', async () => {
+      NetInfo.fetch.mockResolvedValue({ isConnected: false, isInternetReachable: false });
+
+      const result = await store.submit(submitArgs);
+
+      expect(result).toMatchObject({ ok: true, offline: true });
+      expect(submitLeakReport).not.toHaveBeenCalled();
+      const [item] = await getQueue();
+      expect(item).toMatchObject({ type: 'leak_report', data: { refNo: store.refNo } });
+    });
+
+    it('falls back to the queue when the submission fails', async () => {
+      submitLeakReport.mockRejectedValueOnce(new Error('Timeout'));
+
+      const result = await store.submit(submitArgs);
+
+      expect(result).toMatchObject({ ok: true, offline: true });
+      expect(await getQueue()).toHaveLength(1);
+      expect(store.submitting).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { Alert } from 'react-native';
+import OfflineStore from '../../stores/OfflineStore';
+import { addToQueue, getQueue, updateQueueItem } from '../../services/offlineQueue';
+import { syncOfflineQueue } from '../../services/syncService';
+
+jest.mock('../../services/syncService', () => ({
+  syncOfflineQueue: jest.fn(),
+  startAutoSync: jest.fn(),
+  stopAutoSync: jest.fn(),
+}));
+
+jest.mock('../../services/notifications', () => ({
+  pushNotification: jest.fn(async () => {}),
+  showNotification: jest.fn(async () => {}),
+}));
+
+describe('OfflineStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new OfflineStore();
+    syncOfflineQueue.mockReset();
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    store.cleanup();
+    Alert.alert.mockRestore();
+  });
+
+  it('queues a leak report and refreshes the counts', async () => {
+    const id = await store.enqueueLeakReport({ refNo: 'LD-1' });
+
+    const [item] = await getQueue();
+    expect(item).toMatchObject({ id, type: 'leak_report', data: { refNo: 'LD-1' }, status: 'pending' });
+    expect(item.lastAttemptAt).toBeUndefined();
+    expect(store.pendingCount).toBe(1);
+    expect(store.queueItems).toHaveLength(1);
+  });
+
+  it('marks reports whose upload already started', async () => {
+    await store.enqueueLeakReport({ refNo: 'LD-1' }, { attempted: true });
+    const [item] = await getQueue();
+    expect(item.lastAttemptAt).toEqual(expect.any(String));
+  });
+
+  it('counts pending and failed items', async () => {
+    await addToQueue({ type: 'leak_report', data: {} });
+    const failedId = await addToQueue({ type: 'leak_report', data: {} });
+    await updateQueueItem(failedId, { status: 'failed' });
+
+    await store.updateCounts();
+
+    expect(store.pendingCount).toBe(1);
+    expect(store.failedCount).toBe(1);
+  });
+
+  it('removes an item', async () => {
+    const id = await store.enqueueLeakReport({ refNo: 'LD-1' });
+    await store.removeItem(id);
+    expect(await getQueue()).toEqual([]);
+    expect(store.pendingCount).toBe(0);
+  });
+
+  describe('startSync', () => {
+    it('refuses to sync while offline', async () => {
+      store.setOnlineStatus(false);
+      await store.startSync();
+      expect(syncOfflineQueue).not.toHaveBeenCalled();
+      expect(Alert.alert).toHaveBeenCalledWith('Offline', expect.any(String));
+    });
+
+    it('syncs and records the sync time', async () => {
+      syncOfflineQueue.mockImplementation(async (onProgress) => {
+        onProgress({ percentage: 50 });
+        expect(store.isSyncing).toBe(true);
+        expect(store.syncProgress).toBe(50);
+        return { success: true, synced: 1, failed: 0 };
+      });
+
+      await store.startSync();
+
+      expect(store.isSyncing).toBe(false);
+      expect(store.syncProgress).toBe(0);
+      expect(store.lastSyncTime).toEqual(expect.any(String));
+      expect(Alert.alert).toHaveBeenCalledWith('Sync Complete', 'Successfully synced 1 item(s)');
+    });
+
+    it('does not start a second sync while one is running', async () => {
+      let finish;
+      syncOfflineQueue.mockImplementation(() => new Promise((resolve) => { finish = resolve; }));
+
+      const first = store.startSync();
+      await store.startSync();
+      finish({ success: true, synced: 0, failed: 0 });
+      await first;
+
+      expect(syncOfflineQueue).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('retries failed items and syncs them', async () => {
+    const id = await addToQueue({ type: 'leak_report', data: {} });
+    await updateQueueItem(id, { status: 'failed', retryCount: 3 });
+    syncOfflineQueue.mockResolvedValue({ success: true, synced: 1, failed: 0 });
+
+    await store.retryFailed();
+
+    const [item] = await getQueue();
+    expect(item).toMatchObject({ status: 'pending', retryCount: 0 });
+    expect(syncOfflineQueue).toHaveBeenCalled();
+  });
+
+  describe('offline timeout', () => {
+    it('does nothing while online', async () => {
+      store.setOnlineStatus(true);
+      expect(await store.checkOfflineTimeout()).toBe(false);
+    });
+
+    it('logs out after 24 hours offline', async () => {
+      const onLogout = jest.fn();
+      store.setLogoutCallback(onLogout);
+      store.setOnlineStatus(false);
+      store.setLastOnlineTime(Date.now() - 25 * 60 * 60 * 1000);
+
+      expect(await store.checkOfflineTimeout()).toBe(true);
+
+      const [, , buttons] = Alert.alert.mock.calls[0];
+      buttons[0].onPress();
+      expect(onLogout).toHaveBeenCalled();
+    });
+
+    it('allows up to 24 hours offline', async () => {
+      store.setOnlineStatus(false);
+      store.setLastOnlineTime(Date.now() - 23 * 60 * 60 * 1000);
+      expect(await store.checkOfflineTimeout()).toBe(false);
+    });
+  });
+});
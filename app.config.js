@@ -1,3 +1,36 @@
+// API environment profiles - services resolve their URLs from these via services/environment.js.
+// Pick the build default with APP_ENV (development | staging | production | local); testers can
+// switch at runtime from the hidden Environment section in Settings.
+const APP_ENV = process.env.APP_ENV || "development";
+
+const MAP_ZIP_URL = "https://davao-water.gov.ph/dcwdApps/mobileApps/reactMap/davroad.zip";
+
+const environments = {
+  development: {
+    label: "Development",
+    apiBaseUrl: "https://dev-api.davao-water.gov.ph/dcwd-gis/api/v1",
+    // The full customer export has always been read from production
+    customerApiBaseUrl: "https://api.davao-water.gov.ph/dcwd-gis/api/v1",
+    mapZipUrl: MAP_ZIP_URL,
+  },
+  staging: {
+    label: "Staging",
+    apiBaseUrl: process.env.STAGING_API_URL || "https://staging-api.davao-water.gov.ph/dcwd-gis/api/v1",
+    mapZipUrl: process.env.STAGING_MAP_ZIP_URL || MAP_ZIP_URL,
+  },
+  production: {
+    label: "Production",
+    apiBaseUrl: "https://api.davao-water.gov.ph/dcwd-gis/api/v1",
+    mapZipUrl: MAP_ZIP_URL,
+  },
+  // scripts/mockServer.js - 10.0.2.2 is the host machine from the Android emulator
+  local: {
+    label: "Local Mock",
+    apiBaseUrl: process.env.LOCAL_API_URL || "http://10.0.2.2:4000/dcwd-gis/api/v1",
+    mapZipUrl: MAP_ZIP_URL,
+  },
+};
+
 export default {
   expo: {
     name: "LeakDetection",
@@ -49,6 +82,8 @@ export default {
       },
     },
     extra: {
+      environment: APP_ENV,
+      environments,
       eas: {
         projectId: "71802a68-9117-40a6-ad7f-486ec32822ab",
       },
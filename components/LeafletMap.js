@@ -1,18 +1,24 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { WebView } from 'react-native-webview';
 import { View, ActivityIndicator, Text } from 'react-native';
 import NetInfo from '@react-native-community/netinfo';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as FileSystem from 'expo-file-system/legacy';
 import MapStore from '../stores/MapStore';
+import { hasOfflineTiles } from '../services/offlineTileManager';
+import { getTileBase64 } from '../services/tileStore';
+import { LEAFLET_VERSION, LEAFLET_CSS, LEAFLET_JS, LEAFLET_MARKER_ICONS } from '../assets/leaflet/leafletAssets';
 
 const OFFLINE_MAP_KEY = '@offline_map_enabled';
 
 /**
  * Leaflet Map Component using WebView
  * Works reliably in standalone APK builds with OpenStreetMap tiles
- * Supports offline mode with cached tiles from MapStore
+ * Supports offline mode with cached tiles from MapStore, and falls back to the
+ * downloaded tile store (MBTiles) when there is no connection
  * Respects user's offline mode preference even when online
+ * Leaflet is inlined from assets/leaflet (scripts/bundleLeaflet.js), so the map
+ * opens without a network connection
  */
 const LeafletMap = ({
   latitude = 7.0731,
@@ -22,16 +28,26 @@ const LeafletMap = ({
   initialZoom = null,
   markers = [],
   polylines = [], // Add polylines support
+  clusterMarkers = false, // Group markers closer than clusterRadius px into a count bubble
+  clusterRadius = 60,
+  fitToMarkers = false, // Start zoomed to show every marker instead of the center
   showUserLocation = true,
   userLocation = null, // Pass user location from React Native
   onMarkerPress,
   onMapPress,
+  drawMode = null, // 'rectangle' | 'polygon' | 'route' - outlines drawPoints, e.g. while picking an offline region
+  drawPoints = [], // [[lat, lng]] - sent to the loaded map, so changing them does not reload it
+  fitToDrawing = false, // Zoom to drawPoints whenever they change
   tileUrl = null, // Allow custom tile URL to be passed
   style
 }) => {
   const [isOnline, setIsOnline] = useState(true);
   const [useOfflineMap, setUseOfflineMap] = useState(false);
   const [isReady, setIsReady] = useState(false);
+  const [mapError, setMapError] = useState(null);
+  const [hasStoredTiles, setHasStoredTiles] = useState(false);
+  const [mapLoaded, setMapLoaded] = useState(false);
+  const webViewRef = useRef(null);
 
   // Check network status and offline map preference
   useEffect(() => {
@@ -46,10 +62,12 @@ const LeafletMap = ({
         // Check offline map preference from AsyncStorage
         const offlineMapPref = await AsyncStorage.getItem(OFFLINE_MAP_KEY);
         const shouldUseOffline = offlineMapPref === 'true';
+        const storedTiles = await hasOfflineTiles();
 
         if (mounted) {
           setIsOnline(online);
           setUseOfflineMap(shouldUseOffline);
+          setHasStoredTiles(storedTiles);
           setIsReady(true);
 
           console.log(`[LeafletMap] Network: ${online ? 'Online' : 'Offline'}`);
@@ -99,6 +117,16 @@ const LeafletMap = ({
     };
   }, [useOfflineMap]);
 
+  const injectDrawing = () => {
+    webViewRef.current?.injectJavaScript(
+      `window.setDrawing(${JSON.stringify(drawMode)}, ${JSON.stringify(drawPoints)}, ${fitToDrawing ? 'true' : 'false'}); true;`
+    );
+  };
+
+  useEffect(() => {
+    if (mapLoaded) injectDrawing();
+  }, [mapLoaded, drawMode, drawPoints, fitToDrawing]);
+
   // Use initialCenter if provided, otherwise use latitude/longitude
   const centerLat = initialCenter ? initialCenter[0] : latitude;
   const centerLng = initialCenter ? initialCenter[1] : longitude;
@@ -136,7 +164,9 @@ const LeafletMap = ({
   };
 
   const effectiveTileUrl = getEffectiveTileUrl();
-  const isUsingOfflineTiles = effectiveTileUrl.startsWith('file://');
+  // Offline with downloaded tiles: the WebView asks for each tile over the bridge (see handleMessage)
+  const useStoredTiles = !tileUrl && !effectiveTileUrl.startsWith('file://') && !isOnline && hasStoredTiles;
+  const isUsingOfflineTiles = effectiveTileUrl.startsWith('file://') || useStoredTiles;
 
   // Show loading state while checking status
   if (!isReady) {
@@ -153,8 +183,8 @@ const LeafletMap = ({
     <html>
     <head>
       <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no" />
-      <link rel="stylesheet" href="https://unpkg.com/leaflet@1.9.4/dist/leaflet.css" />
-      <script src="https://unpkg.com/leaflet@1.9.4/dist/leaflet.js"></script>
+      <style>${LEAFLET_CSS}</style>
+      <script>${LEAFLET_JS}</script>
       <style>
         body, html, #map { 
           margin: 0; 
@@ -162,6 +192,28 @@ const LeafletMap = ({
           height: 100%; 
           width: 100%;
         }
+        .dot-marker {
+          width: 18px;
+          height: 18px;
+          border-radius: 50%;
+          border: 3px solid white;
+          box-sizing: border-box;
+          box-shadow: 0 1px 6px rgba(0,0,0,0.35);
+        }
+        .cluster-marker {
+          width: 40px;
+          height: 40px;
+          border-radius: 50%;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          color: white;
+          font-weight: bold;
+          font-size: 13px;
+          border: 4px solid rgba(255,255,255,0.85);
+          box-sizing: border-box;
+          box-shadow: 0 2px 8px rgba(0,0,0,0.3);
+        }
         .custom-marker {
           width: 32px;
           height: 32px;
@@ -198,141 +250,288 @@ const LeafletMap = ({
       <div id="map"></div>
       <div class="offline-indicator">${isUsingOfflineTiles ? 'Offline Map' : (isOnline ? 'Online' : 'Offline Mode')}</div>
       <script>
-        // Initialize map - default center to GPS location
-        const userLocationCoords = [${userLat}, ${userLng}];
-        const mapCenterCoords = ${initialCenter ? `[${initialCenter[0]}, ${initialCenter[1]}]` : 'userLocationCoords'};
-        const mapZoomLevel = ${initialZoom || 17};
-
-        const map = L.map('map', {
-          center: mapCenterCoords,
-          zoom: mapZoomLevel,
-          minZoom: 0,
-          maxZoom: 19,
-          maxNativeZoom: 17,
-          zoomControl: true
-        });
+        // Leaflet comes from the app bundle - report it if it did not load or is not the bundled version
+        if (typeof L === 'undefined' || L.version !== '${LEAFLET_VERSION}') {
+          window.ReactNativeWebView.postMessage(JSON.stringify({
+            type: 'mapError',
+            message: typeof L === 'undefined' ? 'Leaflet did not load' : 'Leaflet ' + L.version + ' loaded, expected ${LEAFLET_VERSION}'
+          }));
+        } else {
+          // Default marker images are bundled as data URIs, not looked up next to leaflet.css
+          L.Icon.Default.imagePath = '';
+          L.Icon.Default.mergeOptions(${JSON.stringify(LEAFLET_MARKER_ICONS)});
+
+          // Initialize map - default center to GPS location
+          const userLocationCoords = [${userLat}, ${userLng}];
+          const mapCenterCoords = ${initialCenter ? `[${initialCenter[0]}, ${initialCenter[1]}]` : 'userLocationCoords'};
+          const mapZoomLevel = ${initialZoom || 17};
+
+          const map = L.map('map', {
+            center: mapCenterCoords,
+            zoom: mapZoomLevel,
+            minZoom: 0,
+            maxZoom: 19,
+            maxNativeZoom: 17,
+            zoomControl: true
+          });
 
-        // Choose tile source based on offline mode - FIXED: Properly quote the URL
-          const tileUrl = '${effectiveTileUrl}';
-          const isOffline = ${isUsingOfflineTiles ? 'true' : 'false'};
-          const isOnline = ${isOnline ? 'true' : 'false'};
+          // Choose tile source based on offline mode - FIXED: Properly quote the URL
+            const tileUrl = '${effectiveTileUrl}';
+            const isOffline = ${isUsingOfflineTiles ? 'true' : 'false'};
+            const isOnline = ${isOnline ? 'true' : 'false'};
+            const useStoredTiles = ${useStoredTiles ? 'true' : 'false'};
+
+          const attribution = '${isUsingOfflineTiles && !useStoredTiles ? 'Davao Roads © DCWD' : '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'}';
+          const emptyTile = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+            console.log('Using tile URL:', tileUrl);
+            console.log('Is offline:', isOffline);
+            console.log('Is online:', isOnline);
+
+            // Tiles from the tile store - each one is requested from React Native, which answers with receiveStoredTile
+            var pendingTiles = {};
+            var nextTileId = 0;
+            var StoredTileLayer = L.GridLayer.extend({
+              createTile: function(coords, done) {
+                var tile = document.createElement('img');
+                var id = ++nextTileId;
+                pendingTiles[id] = { tile: tile, done: done };
+                window.ReactNativeWebView.postMessage(JSON.stringify({
+                  type: 'tileRequest',
+                  id: id,
+                  z: coords.z,
+                  x: coords.x,
+                  y: coords.y
+                }));
+                return tile;
+              }
+            });
 
-        const attribution = '${isUsingOfflineTiles ? 'Davao Roads © DCWD' : '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'}';
+            window.receiveStoredTile = function(id, data) {
+              var pending = pendingTiles[id];
+              if (!pending) return;
+              delete pendingTiles[id];
+              pending.tile.onload = function() { pending.done(null, pending.tile); };
+              pending.tile.onerror = function() { pending.done(new Error('Unreadable tile'), pending.tile); };
+              pending.tile.src = data ? 'data:image/png;base64,' + data : emptyTile;
+            };
+
+            // Add tile layer
+            if (useStoredTiles) {
+              new StoredTileLayer({
+                attribution: attribution,
+                maxZoom: 19,
+                maxNativeZoom: 18,
+                tileSize: 256
+              }).addTo(map);
+            } else {
+              L.tileLayer(tileUrl, {
+                attribution: attribution,
+                maxZoom: 19,
+                maxNativeZoom: 17,
+                tileSize: 256,
+                errorTileUrl: emptyTile,
+                crossOrigin: true
+              }).addTo(map);
+            }
+
+          console.log('🗺️ Map initialized with tiles:', tileUrl);
+          console.log('📦 Using offline tiles:', isOffline);
+
+          // Add custom icon function
+          function createCustomIcon(label, color) {
+            return L.divIcon({
+              className: 'custom-div-icon',
+              html: '<div class="custom-marker" style="background-color: ' + color + ';">' + label + '</div>',
+              iconSize: [32, 32],
+              iconAnchor: [16, 16]
+            });
+          }
 
-          console.log('Using tile URL:', tileUrl);
-          console.log('Is offline:', isOffline);
-          console.log('Is online:', isOnline);
+          // Small status-coloured dot (marker.variant === 'dot')
+          function createDotIcon(color) {
+            return L.divIcon({
+              className: 'custom-div-icon',
+              html: '<div class="dot-marker" style="background-color: ' + color + ';"></div>',
+              iconSize: [18, 18],
+              iconAnchor: [9, 9]
+            });
+          }
 
-          // Add tile layer
-          L.tileLayer(tileUrl, {
-            attribution: attribution,
-            maxZoom: 19,
-            maxNativeZoom: 17,
-            tileSize: 256,
-            errorTileUrl: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
-            crossOrigin: true
-          }).addTo(map);
-
-        console.log('🗺️ Map initialized with tiles:', tileUrl);
-        console.log('📦 Using offline tiles:', isOffline);
-
-        // Add custom icon function
-        function createCustomIcon(label, color) {
-          return L.divIcon({
-            className: 'custom-div-icon',
-            html: '<div class="custom-marker" style="background-color: ' + color + ';">' + label + '</div>',
-            iconSize: [32, 32],
-            iconAnchor: [16, 16]
-          });
-        }
+          // Count bubble for a group of markers, in the colour most of them share
+          function createClusterIcon(group) {
+            var colors = {};
+            group.forEach(function(marker) {
+              var color = marker.color || '#3b82f6';
+              colors[color] = (colors[color] || 0) + 1;
+            });
+            var color = Object.keys(colors).sort(function(a, b) { return colors[b] - colors[a]; })[0];
+            return L.divIcon({
+              className: 'custom-div-icon',
+              html: '<div class="cluster-marker" style="background-color: ' + color + ';">' + group.length + '</div>',
+              iconSize: [40, 40],
+              iconAnchor: [20, 20]
+            });
+          }
+
+          function markerLatLng(marker) {
+            return marker.position ? [marker.position[0], marker.position[1]] : [marker.latitude, marker.longitude];
+          }
+
+          // Add markers with custom styling
+          var markers = ${JSON.stringify(markers)};
+          var clusterMarkers = ${clusterMarkers ? 'true' : 'false'};
+          var clusterRadius = ${Number(clusterRadius) || 60};
+          var markerLayer = L.layerGroup().addTo(map);
 
-        // Add markers with custom styling
-        var markers = ${JSON.stringify(markers)};
-        markers.forEach(function(marker) {
-          var lat = marker.position ? marker.position[0] : marker.latitude;
-          var lng = marker.position ? marker.position[1] : marker.longitude;
-          var label = marker.label || '';
-          var color = marker.color || '#3b82f6';
+          function addMarker(marker) {
+            var label = marker.label || '';
+            var color = marker.color || '#3b82f6';
           
-          var icon = label ? createCustomIcon(label, color) : L.Icon.Default();
+            var icon = marker.variant === 'dot' ? createDotIcon(color) : (label ? createCustomIcon(label, color) : new L.Icon.Default());
           
-          var m = L.marker([lat, lng], { icon: icon })
-            .addTo(map);
+            var m = L.marker(markerLatLng(marker), { icon: icon })
+              .addTo(markerLayer);
           
-          if (marker.title || marker.description) {
-            m.bindPopup('<b>' + (marker.title || '') + '</b><br>' + (marker.description || ''));
-          }
+            if (marker.title || marker.description) {
+              m.bindPopup('<b>' + (marker.title || '') + '</b><br>' + (marker.description || ''));
+            }
           
-          if (marker.onClick) {
-            m.on('click', function() {
-              window.ReactNativeWebView.postMessage(JSON.stringify({
-                type: 'markerPress',
-                data: marker
-              }));
+            if (marker.onClick) {
+              m.on('click', function() {
+                window.ReactNativeWebView.postMessage(JSON.stringify({
+                  type: 'markerPress',
+                  data: marker
+                }));
+              });
+            }
+          }
+
+          // Bucket markers into a pixel grid at the current zoom; tapping a bucket zooms into it
+          function renderMarkers() {
+            markerLayer.clearLayers();
+            if (!clusterMarkers || map.getZoom() >= map.getMaxZoom()) {
+              markers.forEach(addMarker);
+              return;
+            }
+
+            var cells = {};
+            markers.forEach(function(marker) {
+              var point = map.project(markerLatLng(marker), map.getZoom());
+              var key = Math.floor(point.x / clusterRadius) + ':' + Math.floor(point.y / clusterRadius);
+              (cells[key] = cells[key] || []).push(marker);
+            });
+
+            Object.keys(cells).forEach(function(key) {
+              var group = cells[key];
+              if (group.length === 1) {
+                addMarker(group[0]);
+                return;
+              }
+              var bounds = L.latLngBounds(group.map(markerLatLng));
+              L.marker(bounds.getCenter(), { icon: createClusterIcon(group) })
+                .on('click', function() {
+                  if (bounds.getNorthEast().equals(bounds.getSouthWest())) {
+                    map.setView(bounds.getCenter(), map.getMaxZoom());
+                  } else {
+                    map.fitBounds(bounds.pad(0.3));
+                  }
+                })
+                .addTo(markerLayer);
             });
           }
-        });
 
-        // Always show user location with person.png icon
-        // Add user location marker directly from React Native props
-        var userLocationMarker = {
-          latitude: ${userLat},
-          longitude: ${userLng}
-        };
+          if (${fitToMarkers ? 'true' : 'false'} && markers.length) {
+            map.fitBounds(L.latLngBounds(markers.map(markerLatLng)).pad(0.15), { maxZoom: 17 });
+          }
+          renderMarkers();
+          if (clusterMarkers) {
+            map.on('zoomend', renderMarkers);
+          }
+
+          // Always show user location with person.png icon
+          // Add user location marker directly from React Native props
+          var userLocationMarker = {
+            latitude: ${userLat},
+            longitude: ${userLng}
+          };
         
-        // User location marker with simple blue pulsing dot
-        var userIcon = L.divIcon({
-          className: 'user-location-marker',
-          html: '<div style="position: relative; width: 32px; height: 32px;">' +
-                  '<div style="position: absolute; width: 32px; height: 32px; background-color: rgba(59, 130, 246, 0.3); border-radius: 50%; animation: pulse 2s infinite;"></div>' +
-                  '<div style="position: absolute; width: 20px; height: 20px; top: 6px; left: 6px; background-color: #3b82f6; border: 4px solid white; border-radius: 50%; box-shadow: 0 3px 10px rgba(0,0,0,0.4);"></div>' +
-                '</div>' +
-                '<style>@keyframes pulse { 0% { transform: scale(1); opacity: 1; } 50% { transform: scale(1.8); opacity: 0.5; } 100% { transform: scale(2.5); opacity: 0; }}</style>',
-          iconSize: [32, 32],
-          iconAnchor: [16, 16]
-        });
+          // User location marker with simple blue pulsing dot
+          var userIcon = L.divIcon({
+            className: 'user-location-marker',
+            html: '<div style="position: relative; width: 32px; height: 32px;">' +
+                    '<div style="position: absolute; width: 32px; height: 32px; background-color: rgba(59, 130, 246, 0.3); border-radius: 50%; animation: pulse 2s infinite;"></div>' +
+                    '<div style="position: absolute; width: 20px; height: 20px; top: 6px; left: 6px; background-color: #3b82f6; border: 4px solid white; border-radius: 50%; box-shadow: 0 3px 10px rgba(0,0,0,0.4);"></div>' +
+                  '</div>' +
+                  '<style>@keyframes pulse { 0% { transform: scale(1); opacity: 1; } 50% { transform: scale(1.8); opacity: 0.5; } 100% { transform: scale(2.5); opacity: 0; }}</style>',
+            iconSize: [32, 32],
+            iconAnchor: [16, 16]
+          });
         
-        // User location marker is NOT interactive (no click/drag)
-        L.marker([userLocationMarker.latitude, userLocationMarker.longitude], { 
-          icon: userIcon,
-          interactive: false,  // Prevent clicks
-          keyboard: false,
-          zIndexOffset: -1000  // Keep below other markers
-        })
-          .addTo(map)
-          .bindPopup('<b>📍 Your Current Location</b>');
+          // User location marker is NOT interactive (no click/drag)
+          L.marker([userLocationMarker.latitude, userLocationMarker.longitude], { 
+            icon: userIcon,
+            interactive: false,  // Prevent clicks
+            keyboard: false,
+            zIndexOffset: -1000  // Keep below other markers
+          })
+            .addTo(map)
+            .bindPopup('<b>📍 Your Current Location</b>');
         
-        console.log('✅ User location marker added at:', userLocationMarker.latitude, userLocationMarker.longitude);
-
-        // Add polylines (for routes/paths)
-        var polylines = ${JSON.stringify(polylines)};
-        polylines.forEach(function(polyline) {
-          var coordinates = polyline.coordinates || [];
-          var color = polyline.color || '#3b82f6';
-          var weight = polyline.weight || 4;
-          var opacity = polyline.opacity || 0.7;
+          console.log('✅ User location marker added at:', userLocationMarker.latitude, userLocationMarker.longitude);
+
+          // Add polylines (for routes/paths)
+          var polylines = ${JSON.stringify(polylines)};
+          polylines.forEach(function(polyline) {
+            var coordinates = polyline.coordinates || [];
+            var color = polyline.color || '#3b82f6';
+            var weight = polyline.weight || 4;
+            var opacity = polyline.opacity || 0.7;
           
-          L.polyline(coordinates, {
-            color: color,
-            weight: weight,
-            opacity: opacity,
-            smoothFactor: 1
-          }).addTo(map);
-        });
+            L.polyline(coordinates, {
+              color: color,
+              weight: weight,
+              opacity: opacity,
+              smoothFactor: 1
+            }).addTo(map);
+          });
 
-        // Handle map clicks
-        map.on('click', function(e) {
+          // Outline of an area or route being drawn - set from React Native with setDrawing
+          var drawingLayer = L.layerGroup().addTo(map);
+          window.setDrawing = function(mode, points, fit) {
+            drawingLayer.clearLayers();
+            if (!mode || !points || !points.length) return;
+            var shape = { color: '#2563eb', weight: 3, fillColor: '#3b82f6', fillOpacity: 0.15 };
+            if (mode === 'rectangle' && points.length === 2) {
+              L.rectangle(points, shape).addTo(drawingLayer);
+            } else if (mode === 'polygon' && points.length >= 3) {
+              L.polygon(points, shape).addTo(drawingLayer);
+            } else if (points.length >= 2) {
+              L.polyline(points, { color: '#2563eb', weight: 4, opacity: 0.8, dashArray: mode === 'route' ? null : '6 6' }).addTo(drawingLayer);
+            }
+            points.forEach(function(point) {
+              L.circleMarker(point, { radius: 5, color: '#fff', weight: 2, fillColor: '#2563eb', fillOpacity: 1, interactive: false })
+                .addTo(drawingLayer);
+            });
+            if (fit) {
+              map.fitBounds(L.latLngBounds(points).pad(0.2), { maxZoom: 16 });
+            }
+          };
+
+          // Handle map clicks
+          map.on('click', function(e) {
+            window.ReactNativeWebView.postMessage(JSON.stringify({
+              type: 'mapPress',
+              latitude: e.latlng.lat,
+              longitude: e.latlng.lng
+            }));
+          });
+
+          // Notify React Native that map is ready
           window.ReactNativeWebView.postMessage(JSON.stringify({
-            type: 'mapPress',
-            latitude: e.latlng.lat,
-            longitude: e.latlng.lng
+            type: 'mapReady'
           }));
-        });
-
-        // Notify React Native that map is ready
-        window.ReactNativeWebView.postMessage(JSON.stringify({
-          type: 'mapReady'
-        }));
+        }
       </script>
     </body>
     </html>
@@ -349,8 +548,23 @@ const LeafletMap = ({
         });
       } else if (data.type === 'markerPress' && onMarkerPress) {
         onMarkerPress(data.data);
+      } else if (data.type === 'tileRequest') {
+        getTileBase64(data.z, data.x, data.y)
+          .catch((error) => {
+            console.warn('[LeafletMap] Error reading stored tile:', error?.message || error);
+            return null;
+          })
+          .then((tile) => {
+            webViewRef.current?.injectJavaScript(`window.receiveStoredTile(${data.id}, ${JSON.stringify(tile)}); true;`);
+          });
+      } else if (data.type === 'mapError') {
+        console.error('[LeafletMap] Map failed to load:', data.message);
+        setMapError(data.message);
       } else if (data.type === 'mapReady') {
         console.log('[LeafletMap] Map loaded successfully');
+        // A reloaded page has lost the drawing
+        if (mapLoaded) injectDrawing();
+        setMapLoaded(true);
         console.log('[LeafletMap] Mode:', isUsingOfflineTiles ? 'Offline Tiles' : (isOnline ? 'Online' : 'Offline'));
       }
     } catch (error) {
@@ -361,6 +575,7 @@ const LeafletMap = ({
   return (
     <View style={[{ flex: 1 }, style]}>
       <WebView
+        ref={webViewRef}
         source={{ html: htmlContent, baseUrl: 'file:///' }}
         style={{ flex: 1 }}
         javaScriptEnabled={true}
@@ -376,6 +591,11 @@ const LeafletMap = ({
           </View>
         )}
       />
+      {mapError && (
+        <View style={{ position: 'absolute', left: 12, right: 12, bottom: 12, backgroundColor: '#fef2f2', borderRadius: 8, padding: 10 }}>
+          <Text style={{ color: '#b91c1c', fontSize: 12 }}>Map unavailable: {mapError}</Text>
+        </View>
+      )}
     </View>
   );
 };
@@ -1,7 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { UrlTile } from 'react-native-maps';
-import { hasOfflineTiles, getTileCacheDir } from '../services/offlineTileManager';
-import { Directory } from 'expo-file-system';
+import { hasOfflineTiles, getServedTileTemplate, serveTilesForRegion } from '../services/offlineTileManager';
 import NetInfo from '@react-native-community/netinfo';
 
 /**
@@ -12,10 +11,14 @@ import NetInfo from '@react-native-community/netinfo';
  * 1. If online AND has internet → Use online tiles
  * 2. If offline OR no internet → Use offline tiles (if available)
  * 3. If offline AND no cached tiles → Fall back to online (will fail gracefully)
+ *
+ * Offline tiles live in the MBTiles tile store; UrlTile can only read files, so
+ * the tiles around `region` are written out from the store whenever it changes.
  * 
- * Usage: Replace <UrlTile> with <OfflineTile> in map screens
+ * Usage: Replace <UrlTile> with <OfflineTile> in map screens and pass the
+ * MapView's current region (e.g. from onRegionChangeComplete)
  */
-const OfflineTile = ({ urlTemplate, source = 'osm', ...props }) => {
+const OfflineTile = ({ urlTemplate, source = 'osm', region = null, ...props }) => {
   const [tileUrlTemplate, setTileUrlTemplate] = useState(urlTemplate);
   const [offlineMode, setOfflineMode] = useState(false);
   const [isOnline, setIsOnline] = useState(true); // Start as online to prevent blank maps
@@ -41,16 +44,8 @@ const OfflineTile = ({ urlTemplate, source = 'osm', ...props }) => {
         const hasOffline = await hasOfflineTiles();
         
         if (hasOffline && mounted) {
-          try {
-            const cacheDir = getTileCacheDir();
-            
-            if (cacheDir.exists && mounted) {
-              console.log('[OfflineTile] Offline tiles available');
-              setHasOfflineCache(true);
-            }
-          } catch (err) {
-            console.warn('[OfflineTile] Error checking cache dir:', err);
-          }
+          console.log('[OfflineTile] Offline tiles available');
+          setHasOfflineCache(true);
         }
 
         if (mounted) {
@@ -104,9 +99,8 @@ const OfflineTile = ({ urlTemplate, source = 'osm', ...props }) => {
         setTileUrlTemplate(urlTemplate);
         setOfflineMode(false);
       } else if (hasOfflineCache) {
-        // User is offline but has cached tiles - use offline tiles
-        const cacheDir = getTileCacheDir();
-        const localTemplate = `${cacheDir.uri}/${source}/{z}/{x}/{y}.png`;
+        // User is offline but has cached tiles - use the tiles served from the tile store
+        const localTemplate = getServedTileTemplate(source);
         console.log('[OfflineTile] Using OFFLINE tiles (cached)');
         setTileUrlTemplate(localTemplate);
         setOfflineMode(true);
@@ -131,6 +125,19 @@ const OfflineTile = ({ urlTemplate, source = 'osm', ...props }) => {
     }
   }, [isInitialized, isOnline, updateTileSource]);
 
+  // Offline: copy the tiles for the visible region out of the tile store
+  const regionKey = region
+    ? [region.latitude, region.longitude, region.latitudeDelta, region.longitudeDelta].map((n) => Number(n).toFixed(5)).join(',')
+    : null;
+  useEffect(() => {
+    if (!offlineMode || !region) return;
+    serveTilesForRegion(region, source)
+      .then((served) => console.log(`[OfflineTile] ${served} stored tile(s) ready for this region`))
+      .catch((error) => console.warn('[OfflineTile] Error serving stored tiles:', error));
+    // regionKey stands in for region so a new object with the same values does not re-run this
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [offlineMode, regionKey, source]);
+
   // Render with error boundary
   try {
     return (
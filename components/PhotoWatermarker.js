@@ -0,0 +1,104 @@
+import React, { forwardRef, useImperativeHandle, useRef, useState } from 'react';
+import { View, Image, Text, StyleSheet, PixelRatio } from 'react-native';
+import { captureRef } from 'react-native-view-shot';
+
+const CAPTURE_TIMEOUT_MS = 15000;
+
+/**
+ * PhotoWatermarker renders a photo off-screen with a text overlay and captures
+ * the result to a JPEG, so the watermark is burned into the uploaded file.
+ *
+ * Mount once on the screen that submits reports and pass
+ * `ref.current.stamp` as `renderWatermark` to processReportPhotos.
+ */
+const PhotoWatermarker = forwardRef((props, ref) => {
+  const [job, setJob] = useState(null);
+  const viewRef = useRef(null);
+  const pendingRef = useRef(null);
+
+  const finish = (error, uri) => {
+    const pending = pendingRef.current;
+    pendingRef.current = null;
+    setJob(null);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    if (error) pending.reject(error);
+    else pending.resolve(uri);
+  };
+
+  useImperativeHandle(ref, () => ({
+    // ({ uri, width, height, lines }) => Promise<file uri>
+    stamp: (nextJob) => new Promise((resolve, reject) => {
+      if (pendingRef.current) {
+        reject(new Error('Watermarker is busy'));
+        return;
+      }
+      const timer = setTimeout(() => finish(new Error('Watermark capture timed out')), CAPTURE_TIMEOUT_MS);
+      pendingRef.current = { resolve, reject, timer };
+      setJob(nextJob);
+    }),
+  }));
+
+  const handleLoad = async () => {
+    if (!job) return;
+    try {
+      const uri = await captureRef(viewRef, {
+        format: 'jpg',
+        quality: 0.95,
+        width: job.width,
+        height: job.height,
+        result: 'tmpfile',
+      });
+      finish(null, uri);
+    } catch (error) {
+      finish(error);
+    }
+  };
+
+  if (!job) return null;
+
+  // Lay out in dp so the capture comes out at the photo's pixel size
+  const ratio = PixelRatio.get();
+  const width = job.width / ratio;
+  const height = job.height / ratio;
+  const fontSize = Math.max(10, Math.round(Math.min(width, height) / 28));
+
+  return (
+    <View style={styles.offscreen} pointerEvents="none">
+      <View ref={viewRef} collapsable={false} style={{ width, height }}>
+        <Image
+          source={{ uri: job.uri }}
+          style={{ width, height }}
+          onLoad={handleLoad}
+          onError={() => finish(new Error('Failed to load photo for watermark'))}
+        />
+        <View style={[styles.overlay, { padding: fontSize / 2 }]}>
+          {job.lines.map((line, idx) => (
+            <Text key={idx} style={[styles.text, { fontSize }]}>{line}</Text>
+          ))}
+        </View>
+      </View>
+    </View>
+  );
+});
+
+const styles = StyleSheet.create({
+  offscreen: {
+    position: 'absolute',
+    top: 0,
+    left: -10000,
+  },
+  overlay: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0,0,0,0.45)',
+  },
+  text: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+});
+
+export default PhotoWatermarker;
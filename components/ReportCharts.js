@@ -0,0 +1,148 @@
+// ReportCharts.js
+import React, { useState } from 'react';
+import { View, StyleSheet } from 'react-native';
+import Svg, { Rect, Circle, Line, Text as SvgText } from 'react-native-svg';
+
+const AXIS_COLOR = '#e2e8f0';
+const LABEL_COLOR = '#64748b';
+const VALUE_COLOR = '#1e293b';
+
+// Charts size themselves to the card they sit in
+const useWidth = () => {
+  const [width, setWidth] = useState(0);
+  const onLayout = (event) => setWidth(Math.floor(event.nativeEvent.layout.width));
+  return [width, onLayout];
+};
+
+// Vertical bars, one per item - used for reports per week
+export const BarChart = ({ data, height = 150, color = '#2196F3' }) => {
+  const [width, onLayout] = useWidth();
+  const labelHeight = 18;
+  const valueHeight = 16;
+  const chartHeight = height - labelHeight - valueHeight;
+  const max = Math.max(1, ...data.map((item) => item.count));
+  const slot = data.length ? width / data.length : 0;
+  const barWidth = Math.min(28, slot * 0.6);
+  // Skip every other label when they would run into each other
+  const labelEvery = slot < 44 ? 2 : 1;
+
+  return (
+    <View style={{ height }} onLayout={onLayout}>
+      {width > 0 && (
+        <Svg width={width} height={height}>
+          <Line
+            x1={0}
+            y1={valueHeight + chartHeight}
+            x2={width}
+            y2={valueHeight + chartHeight}
+            stroke={AXIS_COLOR}
+            strokeWidth={1}
+          />
+          {data.map((item, index) => {
+            const barHeight = (item.count / max) * chartHeight;
+            const x = index * slot + (slot - barWidth) / 2;
+            const y = valueHeight + chartHeight - barHeight;
+            const center = index * slot + slot / 2;
+            const showLabel = (data.length - 1 - index) % labelEvery === 0;
+            return (
+              <React.Fragment key={item.label}>
+                <Rect x={x} y={y} width={barWidth} height={barHeight} rx={4} fill={color} />
+                {item.count > 0 && (
+                  <SvgText x={center} y={y - 4} fontSize={10} fontWeight="700" fill={VALUE_COLOR} textAnchor="middle">
+                    {item.count}
+                  </SvgText>
+                )}
+                {showLabel && (
+                  <SvgText x={center} y={height - 4} fontSize={10} fill={LABEL_COLOR} textAnchor="middle">
+                    {item.label}
+                  </SvgText>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </Svg>
+      )}
+    </View>
+  );
+};
+
+// Horizontal bars with the label above each bar - used for the leak type and DMA breakdowns
+export const HorizontalBarChart = ({ data, color = '#1e5a8e', rowHeight = 34 }) => {
+  const [width, onLayout] = useWidth();
+  const height = data.length * rowHeight;
+  const countWidth = 36;
+  const max = Math.max(1, ...data.map((item) => item.count));
+  const trackWidth = Math.max(0, width - countWidth);
+
+  return (
+    <View style={{ height }} onLayout={onLayout}>
+      {width > 0 && (
+        <Svg width={width} height={height}>
+          {data.map((item, index) => {
+            const top = index * rowHeight;
+            const barWidth = Math.max(4, (item.count / max) * trackWidth);
+            return (
+              <React.Fragment key={String(item.key)}>
+                <SvgText x={0} y={top + 11} fontSize={11} fill={LABEL_COLOR}>
+                  {item.label}
+                </SvgText>
+                <Rect x={0} y={top + 16} width={trackWidth} height={10} rx={5} fill={AXIS_COLOR} />
+                <Rect x={0} y={top + 16} width={barWidth} height={10} rx={5} fill={color} />
+                <SvgText x={width} y={top + 25} fontSize={11} fontWeight="700" fill={VALUE_COLOR} textAnchor="end">
+                  {item.count}
+                </SvgText>
+              </React.Fragment>
+            );
+          })}
+        </Svg>
+      )}
+    </View>
+  );
+};
+
+// Progress ring with the percentage in the middle - used for the repair rate
+export const RingChart = ({ value, size = 96, strokeWidth = 10, color = '#10b981' }) => {
+  const radius = (size - strokeWidth) / 2;
+  const circumference = 2 * Math.PI * radius;
+  const clamped = Math.min(1, Math.max(0, value || 0));
+
+  return (
+    <View style={styles.ring}>
+      <Svg width={size} height={size}>
+        <Circle cx={size / 2} cy={size / 2} r={radius} stroke={AXIS_COLOR} strokeWidth={strokeWidth} fill="none" />
+        <Circle
+          cx={size / 2}
+          cy={size / 2}
+          r={radius}
+          stroke={color}
+          strokeWidth={strokeWidth}
+          fill="none"
+          strokeLinecap="round"
+          strokeDasharray={`${circumference} ${circumference}`}
+          strokeDashoffset={circumference * (1 - clamped)}
+          // Start at 12 o'clock
+          transform={`rotate(-90 ${size / 2} ${size / 2})`}
+        />
+        <SvgText
+          x={size / 2}
+          y={size / 2 + 6}
+          fontSize={18}
+          fontWeight="700"
+          fill={VALUE_COLOR}
+          textAnchor="middle"
+        >
+          {`${Math.round(clamped * 100)}%`}
+        </SvgText>
+      </Svg>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  ring: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+});
+
+export default { BarChart, HorizontalBarChart, RingChart };
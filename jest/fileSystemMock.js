@@ -0,0 +1,123 @@
+/* eslint-env jest */
+
+/**
+ * In-memory stand-in for expo-file-system/legacy.
+ * Paths are stored without the file:// prefix so code that strips it and code
+ * that keeps it see the same files. Call __reset() between tests.
+ */
+
+const documentDirectory = 'file:///data/user/0/leakdetection/files/';
+const cacheDirectory = 'file:///data/user/0/leakdetection/cache/';
+
+const files = new Map();
+const directories = new Set();
+
+const normalize = (uri = '') => uri.replace(/^file:\/\//, '').replace(/\/+$/, '');
+
+const parentOf = (path) => path.slice(0, path.lastIndexOf('/'));
+
+const addDirectory = (path) => {
+  let current = normalize(path);
+  while (current) {
+    directories.add(current);
+    current = parentOf(current);
+  }
+};
+
+const __reset = () => {
+  files.clear();
+  directories.clear();
+  addDirectory(documentDirectory);
+  addDirectory(cacheDirectory);
+};
+
+const getInfoAsync = jest.fn(async (uri) => {
+  const path = normalize(uri);
+  if (files.has(path)) {
+    return { exists: true, isDirectory: false, uri, size: Buffer.byteLength(files.get(path)), modificationTime: Date.now() / 1000 };
+  }
+  if (directories.has(path)) {
+    return { exists: true, isDirectory: true, uri, size: 0 };
+  }
+  return { exists: false, isDirectory: false, uri };
+});
+
+const makeDirectoryAsync = jest.fn(async (uri) => {
+  addDirectory(uri);
+});
+
+const readDirectoryAsync = jest.fn(async (uri) => {
+  const path = normalize(uri);
+  if (!directories.has(path)) {
+    throw new Error(`Directory '${uri}' does not exist`);
+  }
+  const children = new Set();
+  [...files.keys(), ...directories].forEach((entry) => {
+    if (parentOf(entry) === path) children.add(entry.slice(path.length + 1));
+  });
+  return [...children];
+});
+
+const readAsStringAsync = jest.fn(async (uri) => {
+  const path = normalize(uri);
+  if (!files.has(path)) {
+    throw new Error(`File '${uri}' does not exist`);
+  }
+  return files.get(path);
+});
+
+const writeAsStringAsync = jest.fn(async (uri, contents) => {
+  const path = normalize(uri);
+  if (!directories.has(parentOf(path))) {
+    throw new Error(`Directory for '${uri}' does not exist`);
+  }
+  files.set(path, String(contents));
+});
+
+const deleteAsync = jest.fn(async (uri, options = {}) => {
+  const path = normalize(uri);
+  const exists = files.has(path) || directories.has(path);
+  if (!exists && !options.idempotent) {
+    throw new Error(`File '${uri}' does not exist`);
+  }
+  files.delete(path);
+  directories.delete(path);
+  [...files.keys()].filter((entry) => entry.startsWith(`${path}/`)).forEach((entry) => files.delete(entry));
+  [...directories].filter((entry) => entry.startsWith(`${path}/`)).forEach((entry) => directories.delete(entry));
+});
+
+const copyAsync = jest.fn(async ({ from, to }) => {
+  files.set(normalize(to), await readAsStringAsync(from));
+});
+
+const moveAsync = jest.fn(async ({ from, to }) => {
+  await copyAsync({ from, to });
+  files.delete(normalize(from));
+});
+
+const getFreeDiskStorageAsync = jest.fn(async () => 8 * 1024 * 1024 * 1024);
+
+const downloadAsync = jest.fn(async (url, uri) => {
+  files.set(normalize(uri), '');
+  return { uri, status: 200, headers: {} };
+});
+
+__reset();
+
+module.exports = {
+  documentDirectory,
+  cacheDirectory,
+  EncodingType: { UTF8: 'utf8', Base64: 'base64' },
+  getInfoAsync,
+  makeDirectoryAsync,
+  readDirectoryAsync,
+  readAsStringAsync,
+  writeAsStringAsync,
+  deleteAsync,
+  copyAsync,
+  moveAsync,
+  getFreeDiskStorageAsync,
+  downloadAsync,
+  __reset,
+  __files: files,
+};
@@ -0,0 +1,62 @@
+/* eslint-env jest */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+
+/**
+ * Shared Jest setup: in-memory storage/file system/SQLite, network and location
+ * stubs. Every test starts with empty AsyncStorage, an empty file system, empty
+ * databases and an online device. Set VERBOSE_TESTS=1 to see the app's console output.
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// The bundled mock has no default export; the app uses both import styles
+jest.mock('@react-native-community/netinfo', () => {
+  const mock = require('@react-native-community/netinfo/jest/netinfo-mock');
+  return { __esModule: true, default: mock, ...mock };
+});
+
+jest.mock('expo-file-system/legacy', () => require('./fileSystemMock'));
+
+jest.mock('expo-sqlite', () => require('./sqliteMock'));
+
+jest.mock('expo-location', () => ({
+  Accuracy: { Lowest: 1, Low: 2, Balanced: 3, High: 4, Highest: 5, BestForNavigation: 6 },
+  hasServicesEnabledAsync: jest.fn(async () => true),
+  getForegroundPermissionsAsync: jest.fn(async () => ({ status: 'granted' })),
+  requestForegroundPermissionsAsync: jest.fn(async () => ({ status: 'granted' })),
+  getBackgroundPermissionsAsync: jest.fn(async () => ({ status: 'granted' })),
+  requestBackgroundPermissionsAsync: jest.fn(async () => ({ status: 'granted' })),
+  getCurrentPositionAsync: jest.fn(async () => ({
+    coords: { latitude: 7.0731, longitude: 125.6128, accuracy: 5 },
+    timestamp: Date.now(),
+  })),
+  watchPositionAsync: jest.fn(async () => ({ remove: jest.fn() })),
+  startLocationUpdatesAsync: jest.fn(async () => {}),
+  stopLocationUpdatesAsync: jest.fn(async () => {}),
+  hasStartedLocationUpdatesAsync: jest.fn(async () => false),
+}));
+
+// React Native's FormData (file parts are { uri, name, type } objects, listed in _parts)
+global.FormData = require('react-native/Libraries/Network/FormData').default;
+
+if (!process.env.VERBOSE_TESTS) {
+  ['log', 'info', 'debug', 'warn', 'error'].forEach((method) => {
+    jest.spyOn(console, method).mockImplementation(() => {});
+  });
+}
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  require('./fileSystemMock').__reset();
+  require('./sqliteMock').__reset();
+  NetInfo.fetch.mockResolvedValue({ type: 'wifi', isConnected: true, isInternetReachable: true });
+});
+
+// The logger batches writes on a timer - flush it so Jest can exit
+afterAll(async () => {
+  await require('../services/logger').flushLogs();
+});
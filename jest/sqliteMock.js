@@ -0,0 +1,268 @@
+/* eslint-env jest */
+
+/**
+ * In-memory stand-in for expo-sqlite.
+ * Understands only the statements services/tileStore.js runs against its
+ * MBTiles schema (metadata, tiles, region_tiles and tile_info tables); anything else throws so a new
+ * query is noticed. Call __reset() between tests.
+ * The file size is modelled from the tile bytes: deleting tiles frees pages but
+ * only a VACUUM, or an incremental_vacuum with auto_vacuum = INCREMENTAL set
+ * before the tables were created, hands them back.
+ */
+
+const PAGE_SIZE = 4096;
+
+// name -> { metadata: Map, tiles: Map, regionTiles: Map<regionId, Set<tileKey>>, tileInfo: Map<tileKey, { fetchedAt, usedAt }>,
+//           userVersion, allocatedBytes, hasTables, autoVacuum, pendingAutoVacuum }
+const databases = new Map();
+
+const emptyState = () => ({
+  metadata: new Map(),
+  tiles: new Map(),
+  regionTiles: new Map(),
+  tileInfo: new Map(),
+  userVersion: 0,
+  allocatedBytes: 0,
+  hasTables: false,
+  autoVacuum: 0,
+  pendingAutoVacuum: 0,
+});
+
+// Empties the tables; the file keeps its settings
+const clearState = (state) => {
+  state.metadata.clear();
+  state.tiles.clear();
+  state.regionTiles.clear();
+  state.tileInfo.clear();
+  state.userVersion = 0;
+  state.allocatedBytes = 0;
+};
+
+const tileBytes = (state) => [...state.tiles.values()].reduce((sum, data) => sum + data.length, 0);
+
+// One header page, plus the pages tiles use now or used before and were not handed back
+const pageCount = (state) => 1 + Math.ceil(Math.max(state.allocatedBytes, tileBytes(state)) / PAGE_SIZE);
+
+const AUTO_VACUUM_MODES = { NONE: 0, FULL: 1, INCREMENTAL: 2 };
+
+const exec = (state, statement) => {
+  const version = /^PRAGMA user_version = (\d+)$/i.exec(statement);
+  if (version) {
+    state.userVersion = Number(version[1]);
+    return;
+  }
+  const autoVacuum = /^PRAGMA auto_vacuum = (\w+)$/i.exec(statement);
+  if (autoVacuum) {
+    const mode = AUTO_VACUUM_MODES[autoVacuum[1].toUpperCase()] ?? Number(autoVacuum[1]);
+    // Only a file without tables switches right away
+    if (state.hasTables) state.pendingAutoVacuum = mode;
+    else state.autoVacuum = state.pendingAutoVacuum = mode;
+    return;
+  }
+  if (/^PRAGMA incremental_vacuum$/i.test(statement)) {
+    if (state.autoVacuum === AUTO_VACUUM_MODES.INCREMENTAL) state.allocatedBytes = tileBytes(state);
+    return;
+  }
+  if (/^VACUUM$/i.test(statement)) {
+    state.autoVacuum = state.pendingAutoVacuum;
+    state.allocatedBytes = tileBytes(state);
+    return;
+  }
+  if (/^CREATE (UNIQUE )?(TABLE|INDEX)/i.test(statement)) {
+    state.hasTables = true;
+    return;
+  }
+  unsupported(statement);
+};
+
+const stateFor = (name) => {
+  if (!databases.has(name)) databases.set(name, emptyState());
+  return databases.get(name);
+};
+
+const tileKey = (z, x, row) => `${z}/${x}/${row}`;
+
+const toRow = (key) => {
+  const [z, x, row] = key.split('/').map(Number);
+  return { zoom_level: z, tile_column: x, tile_row: row };
+};
+
+const regionSet = (state, regionId) => {
+  if (!state.regionTiles.has(regionId)) state.regionTiles.set(regionId, new Set());
+  return state.regionTiles.get(regionId);
+};
+
+const isAssigned = (state, key) => [...state.regionTiles.values()].some((keys) => keys.has(key));
+
+const unsupported = (sql) => {
+  throw new Error(`sqliteMock: unsupported statement: ${sql}`);
+};
+
+const openDatabaseAsync = jest.fn(async (name) => {
+  const state = stateFor(name);
+
+  const runAsync = jest.fn(async (sql, params = []) => {
+    if (/INSERT OR (IGNORE|REPLACE) INTO metadata/i.test(sql)) {
+      const replace = /OR REPLACE/i.test(sql);
+      for (let i = 0; i < params.length; i += 2) {
+        if (replace || !state.metadata.has(params[i])) state.metadata.set(params[i], params[i + 1]);
+      }
+      return { changes: params.length / 2 };
+    }
+    if (/INSERT OR IGNORE INTO tile_info .* SELECT/is.test(sql)) {
+      const [fetchedAt, usedAt] = params;
+      const added = [...state.tiles.keys()].filter((key) => !state.tileInfo.has(key));
+      added.forEach((key) => state.tileInfo.set(key, { fetchedAt, usedAt }));
+      return { changes: added.length };
+    }
+    if (/INSERT INTO tile_info .* ON CONFLICT .* DO UPDATE SET fetched_at/is.test(sql)) {
+      const [z, x, row, fetchedAt, usedAt] = params;
+      const key = tileKey(z, x, row);
+      const info = state.tileInfo.get(key);
+      state.tileInfo.set(key, info ? { ...info, fetchedAt } : { fetchedAt, usedAt });
+      return { changes: 1 };
+    }
+    if (/UPDATE tile_info SET used_at/i.test(sql)) {
+      const [usedAt, z, x, row, before] = params;
+      const info = state.tileInfo.get(tileKey(z, x, row));
+      if (!info || info.usedAt >= before) return { changes: 0 };
+      info.usedAt = usedAt;
+      return { changes: 1 };
+    }
+    if (/DELETE FROM tile_info WHERE NOT EXISTS/i.test(sql)) {
+      const orphans = [...state.tileInfo.keys()].filter((key) => !state.tiles.has(key));
+      orphans.forEach((key) => state.tileInfo.delete(key));
+      return { changes: orphans.length };
+    }
+    if (/DELETE FROM (tiles|region_tiles|tile_info) WHERE zoom_level = \? AND tile_column = \? AND tile_row = \?/i.test(sql)) {
+      const table = sql.match(/DELETE FROM (\w+)/i)[1];
+      const key = tileKey(...params);
+      if (table === 'tiles') return { changes: state.tiles.delete(key) ? 1 : 0 };
+      if (table === 'tile_info') return { changes: state.tileInfo.delete(key) ? 1 : 0 };
+      let changes = 0;
+      state.regionTiles.forEach((keys) => {
+        if (keys.delete(key)) changes++;
+      });
+      return { changes };
+    }
+    if (/INSERT OR REPLACE INTO tiles/i.test(sql)) {
+      const [z, x, row, data] = params;
+      state.tiles.set(tileKey(z, x, row), data);
+      state.allocatedBytes = Math.max(state.allocatedBytes, tileBytes(state));
+      return { changes: 1 };
+    }
+    if (/INSERT OR IGNORE INTO region_tiles .* SELECT/is.test(sql)) {
+      const unassigned = [...state.tiles.keys()].filter((key) => !isAssigned(state, key));
+      unassigned.forEach((key) => regionSet(state, params[0]).add(key));
+      return { changes: unassigned.length };
+    }
+    if (/INSERT OR IGNORE INTO region_tiles/i.test(sql)) {
+      const [regionId, z, x, row] = params;
+      const keys = regionSet(state, regionId);
+      const before = keys.size;
+      keys.add(tileKey(z, x, row));
+      return { changes: keys.size - before };
+    }
+    if (/DELETE FROM region_tiles WHERE region_id/i.test(sql)) {
+      const changes = state.regionTiles.get(params[0])?.size || 0;
+      state.regionTiles.delete(params[0]);
+      return { changes };
+    }
+    if (/DELETE FROM tiles WHERE NOT EXISTS/i.test(sql)) {
+      const orphans = [...state.tiles.keys()].filter((key) => !isAssigned(state, key));
+      orphans.forEach((key) => state.tiles.delete(key));
+      return { changes: orphans.length };
+    }
+    return unsupported(sql);
+  });
+
+  const getFirstAsync = jest.fn(async (sql, params = []) => {
+    if (/^PRAGMA user_version$/i.test(sql.trim())) {
+      return { user_version: state.userVersion };
+    }
+    if (/^PRAGMA auto_vacuum$/i.test(sql.trim())) {
+      return { auto_vacuum: state.autoVacuum };
+    }
+    if (/^PRAGMA page_count$/i.test(sql.trim())) {
+      return { page_count: pageCount(state) };
+    }
+    if (/^PRAGMA page_size$/i.test(sql.trim())) {
+      return { page_size: PAGE_SIZE };
+    }
+    if (/SELECT tile_data FROM tiles/i.test(sql)) {
+      const data = state.tiles.get(tileKey(...params));
+      return data ? { tile_data: data } : null;
+    }
+    if (/SELECT 1 AS found FROM tiles/i.test(sql)) {
+      return state.tiles.has(tileKey(...params)) ? { found: 1 } : null;
+    }
+    if (/COUNT\(\*\) AS count.*FROM region_tiles/is.test(sql)) {
+      const tiles = [...(state.regionTiles.get(params[0]) || [])]
+        .map((key) => state.tiles.get(key))
+        .filter(Boolean);
+      return { count: tiles.length, bytes: tiles.length ? tiles.reduce((sum, data) => sum + data.length, 0) : null };
+    }
+    if (/COUNT\(\*\) AS count/i.test(sql)) {
+      const tiles = [...state.tiles.values()];
+      return { count: tiles.length, bytes: tiles.length ? tiles.reduce((sum, data) => sum + data.length, 0) : null };
+    }
+    return unsupported(sql);
+  });
+
+  const getAllAsync = jest.fn(async (sql, params = []) => {
+    if (/SELECT tile_row FROM tiles/i.test(sql)) {
+      const [z, x, ...rows] = params;
+      return rows.filter((row) => state.tiles.has(tileKey(z, x, row))).map((row) => ({ tile_row: row }));
+    }
+    if (/SELECT name, value FROM metadata/i.test(sql)) {
+      return [...state.metadata.entries()].map(([key, value]) => ({ name: key, value }));
+    }
+    if (/FROM tile_info WHERE fetched_at < \? ORDER BY used_at DESC LIMIT \?/i.test(sql)) {
+      const [olderThan, limit] = params;
+      return [...state.tileInfo.entries()]
+        .filter(([, info]) => info.fetchedAt < olderThan)
+        .sort(([, a], [, b]) => b.usedAt - a.usedAt)
+        .slice(0, limit)
+        .map(([key]) => toRow(key));
+    }
+    if (/FROM tile_info i\s+JOIN tiles t .* ORDER BY i\.used_at LIMIT \?/is.test(sql)) {
+      const keepRegionIds = params.slice(0, -1);
+      const limit = params[params.length - 1];
+      const kept = (key) => keepRegionIds.some((regionId) => state.regionTiles.get(regionId)?.has(key));
+      return [...state.tileInfo.entries()]
+        .filter(([key]) => state.tiles.has(key) && !kept(key))
+        .sort(([, a], [, b]) => a.usedAt - b.usedAt)
+        .slice(0, limit)
+        .map(([key]) => ({ ...toRow(key), bytes: state.tiles.get(key).length }));
+    }
+    return unsupported(sql);
+  });
+
+  return {
+    execAsync: jest.fn(async (sql) => {
+      sql.split(';').map((statement) => statement.trim()).filter(Boolean).forEach((statement) => exec(state, statement));
+    }),
+    runAsync,
+    getFirstAsync,
+    getAllAsync,
+    withTransactionAsync: jest.fn(async (task) => task()),
+    closeAsync: jest.fn(async () => {}),
+  };
+});
+
+// A new file, with default settings, is created on the next open
+const deleteDatabaseAsync = jest.fn(async (name) => {
+  databases.set(name, emptyState());
+});
+
+// Handles opened in earlier tests stay usable, they just see empty tables
+const __reset = () => {
+  databases.forEach(clearState);
+};
+
+module.exports = {
+  openDatabaseAsync,
+  deleteDatabaseAsync,
+  __reset,
+  __databases: databases,
+};
@@ -16,8 +16,11 @@ import ReportHomeScreen from '../screens/ReportHomeScreen';
 import FindNearestScreen from '../screens/FindNearestScreen';
 import NearestMetersScreen from '../screens/NearestMetersScreen';
 import DraftsScreen from '../screens/DraftsScreen';
+import ReportDetailScreen from '../screens/ReportDetailScreen';
+import ReportsMapScreen from '../screens/ReportsMapScreen';
+import OfflineRegionScreen from '../screens/OfflineRegionScreen';
 import { recordActivity } from '../services/autoLogout';
-import { useDraftsStore } from '../stores/RootStore';
+import { useDraftsStore, useOfflineStore } from '../stores/RootStore';
 
 const Stack = createStackNavigator();
 const Tab = createBottomTabNavigator();
@@ -65,6 +68,8 @@ function ReportStackNavigator() {
 
 function MainTabs() {
   const draftsStore = useDraftsStore();
+  const offlineStore = useOfflineStore();
+  const draftsBadgeCount = draftsStore.draftCount + offlineStore.pendingCount + offlineStore.failedCount;
   
   return (
     <Tab.Navigator
@@ -93,7 +98,7 @@ function MainTabs() {
         name="Drafts" 
         component={DraftsScreen}
         options={{
-          tabBarBadge: draftsStore.draftCount > 0 ? draftsStore.draftCount : undefined,
+          tabBarBadge: draftsBadgeCount > 0 ? draftsBadgeCount : undefined,
           tabBarBadgeStyle: { 
             backgroundColor: '#ef4444',
             fontSize: 10,
@@ -107,7 +112,7 @@ function MainTabs() {
   );
 }
 
-// Wrap MainTabs with observer to react to draftsStore changes
+// Wrap MainTabs with observer to react to draftsStore and offlineStore changes
 const ObservedMainTabs = observer(MainTabs);
 
 export default function AppNavigator({ navigationRef }) {
@@ -124,6 +129,9 @@ export default function AppNavigator({ navigationRef }) {
         <Stack.Screen name="Login" component={LoginScreen} />
         <Stack.Screen name="MainTabs" component={ObservedMainTabs} />
         <Stack.Screen name="LeakReportForm" component={LeakReportFormScreen} />
+        <Stack.Screen name="ReportDetail" component={ReportDetailScreen} />
+        <Stack.Screen name="ReportsMap" component={ReportsMapScreen} />
+        <Stack.Screen name="OfflineRegion" component={OfflineRegionScreen} />
         <Stack.Screen name="Home" component={HomeScreen} />
       </Stack.Navigator>
     </NavigationContainer>
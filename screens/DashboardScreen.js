@@ -3,10 +3,13 @@ import {
   View,
   Text,
   ScrollView,
+  FlatList,
+  TextInput,
   TouchableOpacity,
   StatusBar,
   Modal,
-  Alert
+  Alert,
+  RefreshControl
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { LinearGradient } from 'expo-linear-gradient';
@@ -21,6 +24,15 @@ import MapStore from '../stores/MapStore';
 import styles from '../styles/DashboardStyles';
 import { dashboardStyles as themeStyles } from '../dashboardtheme';
 import GisCustomerInterceptor from '../services/gisCustomerInterceptor';
+import { getMapZipUrl } from '../services/environment';
+import { getReportStatus, REPORT_STATUSES } from '../services/reportStatus';
+import { BarChart, HorizontalBarChart, RingChart } from '../components/ReportCharts';
+import { EXPORT_FORMATS } from '../services/reportExport';
+import { fetchDmaCodes } from '../services/interceptor';
+import { getCatalogs } from '../services/catalogService';
+import { DATE_RANGES, SORT_OPTIONS, DEFAULT_REPORT_FILTERS, getLeakTypeFilterOptions } from '../services/reportQuery';
+
+const SEARCH_DEBOUNCE_MS = 400;
 
 const DashboardScreen = observer(({ navigation }) => {
   const dashboardStore = useDashboardStore();
@@ -35,6 +47,13 @@ const DashboardScreen = observer(({ navigation }) => {
   const [gisDownloadComplete, setGisDownloadComplete] = useState(false);
   const [gisStatus, setGisStatus] = useState('downloading');
 
+  // All Reports search / filter panel
+  const [searchText, setSearchText] = useState(dashboardStore.reportFilters.search);
+  const [filtersOpen, setFiltersOpen] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [leakTypeOptions, setLeakTypeOptions] = useState([]);
+  const [dmaOptions, setDmaOptions] = useState([]);
+
   useEffect(() => {
     console.log('[Dashboard] Component mounted, loading data...');
 
@@ -42,6 +61,8 @@ const DashboardScreen = observer(({ navigation }) => {
       try {
         // Load user data and reports
         await dashboardStore.loadUserData();
+        // Charts come from the cached history, so they load offline too
+        dashboardStore.loadAnalytics();
 
         if (offlineStore.isOnline) {
           await dashboardStore.loadLeakReports();
@@ -72,6 +93,7 @@ const DashboardScreen = observer(({ navigation }) => {
     const unsubscribe = navigation.addListener('focus', () => {
       console.log('[Dashboard] Screen focused, refreshing data...');
       dashboardStore.loadUserData();
+      dashboardStore.loadAnalytics();
       if (offlineStore.isOnline) {
         dashboardStore.loadLeakReports();
         // Check for updates and prompt if needed
@@ -87,6 +109,37 @@ const DashboardScreen = observer(({ navigation }) => {
     };
   }, [offlineStore.isOnline]);
 
+  // Fresh first page and filter options whenever the All Reports list opens
+  useEffect(() => {
+    if (!dashboardStore.allReportsModalVisible) return;
+    dashboardStore.loadReportList();
+
+    let cancelled = false;
+    const loadFilterOptions = async () => {
+      try {
+        const catalog = await getCatalogs();
+        if (!cancelled) setLeakTypeOptions(getLeakTypeFilterOptions(catalog));
+      } catch (error) {
+        console.log('[Dashboard] Error loading leak types for filters:', error);
+      }
+      try {
+        const codes = await fetchDmaCodes();
+        if (!cancelled) setDmaOptions(codes);
+      } catch (error) {
+        console.log('[Dashboard] Error loading DMA codes for filters:', error);
+      }
+    };
+    loadFilterOptions();
+    return () => { cancelled = true; };
+  }, [dashboardStore.allReportsModalVisible]);
+
+  // Search after the inspector stops typing
+  useEffect(() => {
+    if (searchText === dashboardStore.reportFilters.search) return;
+    const timer = setTimeout(() => dashboardStore.setReportFilters({ search: searchText }), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchText]);
+
   const checkGisDownload = async () => {
     if (isGisDownloading) return;
 
@@ -173,10 +226,9 @@ const DashboardScreen = observer(({ navigation }) => {
       console.log('[Dashboard] Checking offline maps availability...');
 
       // Automatically start downloading offline maps if not available
-      const MAP_URL = 'https://davao-water.gov.ph/dcwdApps/mobileApps/reactMap/davroad.zip';
       console.log('[Dashboard] Starting offline maps download automatically...');
 
-      await MapStore.initializeMap(MAP_URL);
+      await MapStore.initializeMap(getMapZipUrl());
       console.log('[Dashboard] Offline maps download initiated');
 
       // After successful download, enable offline map by default
@@ -191,85 +243,137 @@ const DashboardScreen = observer(({ navigation }) => {
     }
   };
 
-  // Helper function to get leak type color
-  const getLeakTypeColor = (dispatchStat) => {
-    switch (dispatchStat) {
-      case 0: return '#2196F3'; // Reported
-      case 1: return '#FF9800'; // Scheduled
-      case 2: return '#4CAF50'; // Dispatched
-      case 3: return '#9C27B0'; // Repaired
-      case 4: return '#F44336'; // Not found
-      default: return '#6b7280';
-    }
-  };
-
-  // Helper function to get leak type icon
-  const getLeakTypeIcon = (dispatchStat) => {
-    switch (dispatchStat) {
-      case 0: return 'alert-circle'; // Reported
-      case 1: return 'time'; // Scheduled
-      case 2: return 'send'; // Dispatched
-      case 3: return 'checkmark-circle'; // Repaired
-      case 4: return 'close-circle'; // Not found
-      default: return 'water';
-    }
-  };
-
-  // Transform API reports to recent activity format (show latest 5)
-  const recentActivity = dashboardStore.recentReports.map((report, index) => {
-    // Debug: Log report structure to find coordinate fields
-    if (index === 0) {
-      console.log('📍 Report structure:', Object.keys(report));
-      console.log('📍 Full first report:', JSON.stringify(report, null, 2));
-    }
-
+  // Shape API reports for the activity cards and the All Reports list
+  const toActivity = (report, index) => {
+    const status = getReportStatus(report);
     return {
       id: report.id || index,
       title: `${report.refNo || 'N/A'}`,
       location: report.reportedLocation || 'Unknown location',
       time: getTimeAgo(report.dtReported),
-      iconName: getLeakTypeIcon(report.dispatchStat),
+      iconName: status.icon,
       iconFamily: 'Ionicons',
-      iconBg: getLeakTypeColor(report.dispatchStat),
+      iconBg: status.color,
+      statusLabel: status.label,
       meterNumber: report.referenceMtr,
-      dispatchStatus: report.dispatchStat,
-      // Try multiple possible coordinate field names
-      latitude: report.latitude || report.lat || report.Latitude || report.LAT,
-      longitude: report.longitude || report.lng || report.Longitude || report.LNG,
-      // Store full report object for potential future use
       fullReport: report
     };
-  });
-
-  // Transform all reports for the All Reports modal
-  const allReportsData = dashboardStore.allReports.map((report, index) => ({
-    id: report.id || index,
-    title: `${report.refNo || 'N/A'}`,
-    location: report.reportedLocation || 'Unknown location',
-    time: getTimeAgo(report.dtReported),
-    iconName: getLeakTypeIcon(report.dispatchStat),
-    iconFamily: 'Ionicons',
-    iconBg: getLeakTypeColor(report.dispatchStat),
-    meterNumber: report.referenceMtr,
-    dispatchStatus: report.dispatchStat,
-    latitude: report.latitude || report.lat || report.Latitude || report.LAT,
-    longitude: report.longitude || report.lng || report.Longitude || report.LNG,
-    fullReport: report
-  }));
-
-  // Helper to get status text
-  const getStatusText = (status) => {
-    console.log('📊 getStatusText called with:', status, typeof status);
-    switch (status) {
-      case 0: return 'Pending';
-      case 1: return 'Dispatched';
-      case 2: return 'Repaired';
-      case 3: return 'Closed';
-      case 4: return 'Not Found';
-      default: return 'Unknown';
+  };
+
+  // Recent activity shows the latest 5
+  const recentActivity = dashboardStore.recentReports.map(toActivity);
+  const { analytics } = dashboardStore;
+  const allReportsData = dashboardStore.reportList.map(toActivity);
+  const { reportFilters } = dashboardStore;
+  const hasActiveFilters = dashboardStore.activeFilterCount > 0 || reportFilters.search.trim() !== '';
+  const sortLabel = SORT_OPTIONS.find((option) => option.value === reportFilters.sort)?.label;
+
+  const openReportDetail = (activity) => {
+    navigation.navigate('ReportDetail', { report: activity.fullReport });
+  };
+
+  // Tapping the selected chip again clears that filter
+  const toggleFilter = (key, value) => {
+    dashboardStore.setReportFilters({ [key]: reportFilters[key] === value ? null : value });
+  };
+
+  const clearReportFilters = () => {
+    setSearchText('');
+    dashboardStore.setReportFilters({ ...DEFAULT_REPORT_FILTERS, sort: reportFilters.sort });
+  };
+
+  const exportFilteredReports = async (format) => {
+    setExportOpen(false);
+    try {
+      const { count, partial } = await dashboardStore.exportReportList(format);
+      if (partial) {
+        Alert.alert('Exported Loaded Reports', `You're offline, so only the ${count} reports already loaded were exported.`);
+      }
+    } catch (error) {
+      console.error('[Dashboard] Error exporting reports:', error);
+      Alert.alert('Export Failed', error?.message || 'Could not export the reports. Please try again.');
     }
   };
 
+  const renderFilterChip = (label, selected, onPress, key = label) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.filterChip, selected && styles.filterChipActive]}
+      onPress={onPress}
+    >
+      <Text style={[styles.filterChipText, selected && styles.filterChipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderReportItem = ({ item: report }) => (
+    <TouchableOpacity
+      style={styles.allReportsItem}
+      activeOpacity={0.7}
+      onPress={() => {
+        dashboardStore.setAllReportsModalVisible(false);
+        openReportDetail(report);
+      }}
+    >
+      <View style={[styles.allReportsItemIcon, { backgroundColor: report.iconBg + '20' }]}>
+        {renderIcon(report.iconFamily, report.iconName, 20, report.iconBg)}
+      </View>
+      <View style={styles.allReportsItemContent}>
+        <View style={styles.allReportsItemHeader}>
+          <Text style={styles.allReportsItemTitle}>{report.title}</Text>
+          <View style={[styles.allReportsStatusBadge, { backgroundColor: report.iconBg + '20' }]}>
+            <Text style={[styles.allReportsStatusText, { color: report.iconBg }]}>
+              {report.statusLabel}
+            </Text>
+          </View>
+        </View>
+        <Text style={styles.allReportsItemLocation} numberOfLines={1}>
+          {report.location}
+        </Text>
+        {report.meterNumber && (
+          <Text style={styles.allReportsItemMeter}>Meter: {report.meterNumber}</Text>
+        )}
+        <Text style={styles.allReportsItemTime}>{report.time}</Text>
+      </View>
+      <Ionicons name="chevron-forward" size={20} color="#cbd5e1" />
+    </TouchableOpacity>
+  );
+
+  const renderReportListEmpty = () => {
+    if (dashboardStore.reportListLoading) {
+      return (
+        <View style={styles.allReportsEmpty}>
+          <ActivityIndicator size="large" color="#2196F3" />
+        </View>
+      );
+    }
+    if (dashboardStore.reportListError) {
+      return (
+        <View style={styles.allReportsEmpty}>
+          <Ionicons name="cloud-offline-outline" size={48} color="#cbd5e1" />
+          <Text style={styles.allReportsEmptyTitle}>Couldn't Load Reports</Text>
+          <Text style={styles.allReportsEmptyText}>{dashboardStore.reportListError}</Text>
+          <TouchableOpacity style={styles.allReportsClearBtn} onPress={dashboardStore.loadReportList}>
+            <Text style={styles.allReportsClearText}>Try Again</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+    return (
+      <View style={styles.allReportsEmpty}>
+        <Ionicons name={hasActiveFilters ? 'search' : 'clipboard-outline'} size={48} color="#cbd5e1" />
+        <Text style={styles.allReportsEmptyTitle}>No Reports Found</Text>
+        <Text style={styles.allReportsEmptyText}>
+          {hasActiveFilters ? 'No reports match your search or filters' : 'Your leak reports will appear here'}
+        </Text>
+        {hasActiveFilters && (
+          <TouchableOpacity style={styles.allReportsClearBtn} onPress={clearReportFilters}>
+            <Text style={styles.allReportsClearText}>Clear Filters</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
   const renderIcon = (iconFamily, iconName, size, color) => {
     switch (iconFamily) {
       case 'Ionicons':
@@ -384,6 +488,63 @@ const DashboardScreen = observer(({ navigation }) => {
           </TouchableOpacity>
         </View>
 
+        {/* Analytics Section */}
+        <View style={styles.activityHeader}>
+          <Text style={styles.sectionTitle}>Analytics</Text>
+          {dashboardStore.analyticsUpdatedAt && (
+            <Text style={styles.analyticsUpdated}>Updated {getTimeAgo(dashboardStore.analyticsUpdatedAt)}</Text>
+          )}
+        </View>
+
+        {analytics.totalReports === 0 ? (
+          <View style={styles.chartCard}>
+            {dashboardStore.analyticsLoading ? (
+              <ActivityIndicator size="small" color="#1e5a8e" />
+            ) : (
+              <Text style={styles.chartEmptyText}>Charts appear once you have submitted reports</Text>
+            )}
+          </View>
+        ) : (
+          <>
+            <View style={styles.analyticsStatRow}>
+              <View style={[styles.chartCard, styles.analyticsStatCard]}>
+                <Text style={styles.chartTitle}>Repair Rate</Text>
+                <RingChart value={analytics.repairRate.rate} size={88} />
+                <Text style={styles.analyticsStatCaption}>
+                  {analytics.repairRate.repaired} of {analytics.repairRate.total} repaired
+                </Text>
+              </View>
+              <View style={[styles.chartCard, styles.analyticsStatCard]}>
+                <Text style={styles.chartTitle}>Time to Repair</Text>
+                <Text style={styles.analyticsStatValue}>
+                  {analytics.repairTime.averageDays ?? '--'}
+                </Text>
+                <Text style={styles.analyticsStatUnit}>avg. days</Text>
+                <Text style={styles.analyticsStatCaption}>
+                  {analytics.repairTime.sampleSize
+                    ? `from ${analytics.repairTime.sampleSize} repaired reports`
+                    : 'No repairs with dates yet'}
+                </Text>
+              </View>
+            </View>
+
+            <View style={styles.chartCard}>
+              <Text style={styles.chartTitle}>Reports per Week</Text>
+              <BarChart data={analytics.weekly} />
+            </View>
+
+            <View style={styles.chartCard}>
+              <Text style={styles.chartTitle}>By Leak Type</Text>
+              <HorizontalBarChart data={analytics.byLeakType} color="#2196F3" />
+            </View>
+
+            <View style={styles.chartCard}>
+              <Text style={styles.chartTitle}>By DMA</Text>
+              <HorizontalBarChart data={analytics.byDma} color="#9C27B0" />
+            </View>
+          </>
+        )}
+
         {/* Recent Activity Section */}
         <View style={styles.activityHeader}>
           <Text style={styles.sectionTitle}>Recent Activity</Text>
@@ -404,10 +565,7 @@ const DashboardScreen = observer(({ navigation }) => {
                 key={activity.id}
                 style={styles.activityCard}
                 activeOpacity={0.7}
-                onPress={() => {
-                  dashboardStore.setSelectedActivity(activity);
-                  dashboardStore.setDetailsModalVisible(true);
-                }}
+                onPress={() => openReportDetail(activity)}
               >
                 <View style={[styles.activityIconContainer, { backgroundColor: activity.iconBg + '20' }]}>
                   {renderIcon(activity.iconFamily, activity.iconName, 20, activity.iconBg)}
@@ -432,154 +590,6 @@ const DashboardScreen = observer(({ navigation }) => {
         </View>
       </ScrollView>
 
-      {/* Report Details Modal */}
-      <Modal
-        animationType="slide"
-        transparent={true}
-        visible={dashboardStore.detailsModalVisible}
-        onRequestClose={() => dashboardStore.setDetailsModalVisible(false)}
-      >
-        <View style={styles.modalOverlay}>
-          <View style={styles.detailsModalContainer}>
-            {/* Modal Header */}
-            <View style={styles.modalHeader}>
-              <Text style={styles.modalTitle}>Report Details</Text>
-              <TouchableOpacity onPress={() => dashboardStore.setDetailsModalVisible(false)}>
-                <Ionicons name="close-circle" size={28} color="#64748b" />
-              </TouchableOpacity>
-            </View>
-
-            {dashboardStore.selectedActivity && (
-              <ScrollView style={styles.modalContent}>
-                {/* Reference Number */}
-                <View style={styles.detailRow}>
-                  <View style={styles.detailIconContainer}>
-                    <Ionicons name="document-text" size={20} color="#1e5a8e" />
-                  </View>
-                  <View style={styles.detailTextContainer}>
-                    <Text style={styles.detailLabel}>Reference Number</Text>
-                    <Text style={styles.detailValue}>{dashboardStore.selectedActivity.title}</Text>
-                  </View>
-                </View>
-
-                {/* Location */}
-                <View style={styles.detailRow}>
-                  <View style={styles.detailIconContainer}>
-                    <Ionicons name="location" size={20} color="#1e5a8e" />
-                  </View>
-                  <View style={styles.detailTextContainer}>
-                    <Text style={styles.detailLabel}>Location</Text>
-                    <Text style={styles.detailValue}>{dashboardStore.selectedActivity.location}</Text>
-                  </View>
-                </View>
-
-                {/* Meter Number */}
-                {dashboardStore.selectedActivity.meterNumber && (
-                  <View style={styles.detailRow}>
-                    <View style={styles.detailIconContainer}>
-                      <Ionicons name="speedometer" size={20} color="#1e5a8e" />
-                    </View>
-                    <View style={styles.detailTextContainer}>
-                      <Text style={styles.detailLabel}>Meter Number</Text>
-                      <Text style={styles.detailValue}>{dashboardStore.selectedActivity.meterNumber}</Text>
-                    </View>
-                  </View>
-                )}
-
-                {/* Time Reported */}
-                <View style={styles.detailRow}>
-                  <View style={styles.detailIconContainer}>
-                    <Ionicons name="time" size={20} color="#1e5a8e" />
-                  </View>
-                  <View style={styles.detailTextContainer}>
-                    <Text style={styles.detailLabel}>Time Reported</Text>
-                    <Text style={styles.detailValue}>{dashboardStore.selectedActivity.time}</Text>
-                  </View>
-                </View>
-
-                {/* Status */}
-                <View style={styles.detailRow}>
-                  <View style={styles.detailIconContainer}>
-                    <Ionicons name={dashboardStore.selectedActivity.iconName} size={20} color={dashboardStore.selectedActivity.iconBg} />
-                  </View>
-                  <View style={styles.detailTextContainer}>
-                    <Text style={styles.detailLabel}>Status</Text>
-                    <View style={[styles.statusBadge, { backgroundColor: dashboardStore.selectedActivity.iconBg + '20' }]}>
-                      <Text style={[styles.statusBadgeText, { color: dashboardStore.selectedActivity.iconBg }]}>
-                        {dashboardStore.selectedActivity.dispatchStatus === 0 ? 'Pending' :
-                          dashboardStore.selectedActivity.dispatchStatus === 1 ? 'Dispatched' :
-                            dashboardStore.selectedActivity.dispatchStatus === 2 ? 'Repaired' :
-                              dashboardStore.selectedActivity.dispatchStatus === 3 ? 'Closed' :
-                                dashboardStore.selectedActivity.dispatchStatus === 4 ? 'Not Found' : 'Unknown'}
-                      </Text>
-                    </View>
-                  </View>
-                </View>
-
-                {/* Action Buttons */}
-                <View style={styles.modalActions}>
-                  <TouchableOpacity
-                    style={styles.modalActionButton}
-                    onPress={() => {
-                      dashboardStore.setDetailsModalVisible(false);
-
-                      // Check if we have direct coordinates
-                      if (dashboardStore.selectedActivity.latitude && dashboardStore.selectedActivity.longitude) {
-                        navigation.navigate('Report', {
-                          screen: 'ReportMap',
-                          params: {
-                            refNo: dashboardStore.selectedActivity.title,
-                            latitude: dashboardStore.selectedActivity.latitude,
-                            longitude: dashboardStore.selectedActivity.longitude,
-                            location: dashboardStore.selectedActivity.location,
-                            meterNumber: dashboardStore.selectedActivity.meterNumber
-                          }
-                        });
-                      }
-                      // Try to get coordinates from meter number if available
-                      else if (dashboardStore.selectedActivity.meterNumber) {
-                        Alert.alert(
-                          'Searching Location',
-                          'Looking up meter coordinates...',
-                          [{ text: 'OK' }]
-                        );
-
-                        // Navigate to Report tab with meter number to search
-                        navigation.navigate('Report', {
-                          screen: 'ReportMap',
-                          params: {
-                            meterNumber: dashboardStore.selectedActivity.meterNumber,
-                            refNo: dashboardStore.selectedActivity.title
-                          }
-                        });
-                      }
-                      else {
-                        Alert.alert(
-                          'Location Unavailable',
-                          'GPS coordinates and meter information are not available for this report.',
-                          [{ text: 'OK' }]
-                        );
-                      }
-                    }}
-                  >
-                    <Ionicons name="map" size={20} color="#fff" />
-                    <Text style={styles.modalActionText}>View on Map</Text>
-                  </TouchableOpacity>
-
-                  <TouchableOpacity
-                    style={[styles.modalActionButton, { backgroundColor: '#64748b' }]}
-                    onPress={() => dashboardStore.setDetailsModalVisible(false)}
-                  >
-                    <Ionicons name="close" size={20} color="#fff" />
-                    <Text style={styles.modalActionText}>Close</Text>
-                  </TouchableOpacity>
-                </View>
-              </ScrollView>
-            )}
-          </View>
-        </View>
-      </Modal>
-
       {/* Download Progress Modal */}
       <Modal
         animationType="fade"
@@ -660,65 +670,179 @@ const DashboardScreen = observer(({ navigation }) => {
                 </View>
                 <View>
                   <Text style={styles.allReportsTitle}>All Leak Reports</Text>
-                  <Text style={styles.allReportsSubtitle}>{dashboardStore.totalReports} total reports</Text>
+                  <Text style={styles.allReportsSubtitle}>
+                    {hasActiveFilters
+                      ? `${dashboardStore.reportListTotal} matching reports`
+                      : `${dashboardStore.reportListTotal || dashboardStore.totalReports} total reports`}
+                  </Text>
                 </View>
               </View>
+              <View style={styles.allReportsHeaderActions}>
+                <TouchableOpacity
+                  style={styles.allReportsCloseBtn}
+                  onPress={() => {
+                    dashboardStore.setAllReportsModalVisible(false);
+                    navigation.navigate('ReportsMap');
+                  }}
+                >
+                  <Ionicons name="map-outline" size={20} color="#1e5a8e" />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.allReportsCloseBtn}
+                  onPress={() => setExportOpen(!exportOpen)}
+                  disabled={dashboardStore.exportingReports || !allReportsData.length}
+                >
+                  {dashboardStore.exportingReports ? (
+                    <ActivityIndicator size="small" color="#1e5a8e" />
+                  ) : (
+                    <Ionicons name="share-outline" size={20} color={allReportsData.length ? '#1e5a8e' : '#cbd5e1'} />
+                  )}
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.allReportsCloseBtn}
+                  onPress={() => dashboardStore.setAllReportsModalVisible(false)}
+                >
+                  <Ionicons name="close" size={24} color="#64748b" />
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            {/* Export the filtered list */}
+            {exportOpen && (
+              <View style={styles.allReportsExportPanel}>
+                <Text style={styles.allReportsExportText}>
+                  Export {dashboardStore.reportListTotal} {hasActiveFilters ? 'matching ' : ''}reports as
+                </Text>
+                <View style={styles.filterChipWrap}>
+                  {Object.entries(EXPORT_FORMATS).map(([format, spec]) => (
+                    <TouchableOpacity
+                      key={format}
+                      style={styles.allReportsExportBtn}
+                      onPress={() => exportFilteredReports(format)}
+                    >
+                      <Ionicons name="download-outline" size={16} color="#fff" />
+                      <Text style={styles.allReportsExportBtnText}>{spec.label}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            )}
+
+            {/* Search */}
+            <View style={styles.allReportsSearchRow}>
+              <View style={styles.allReportsSearchBox}>
+                <Ionicons name="search" size={18} color="#94a3b8" />
+                <TextInput
+                  style={styles.allReportsSearchInput}
+                  placeholder="Search Ref No., meter or address"
+                  placeholderTextColor="#94a3b8"
+                  value={searchText}
+                  onChangeText={setSearchText}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  returnKeyType="search"
+                />
+                {searchText !== '' && (
+                  <TouchableOpacity onPress={() => setSearchText('')}>
+                    <Ionicons name="close-circle" size={18} color="#94a3b8" />
+                  </TouchableOpacity>
+                )}
+              </View>
               <TouchableOpacity
-                style={styles.allReportsCloseBtn}
-                onPress={() => dashboardStore.setAllReportsModalVisible(false)}
+                style={[styles.allReportsFilterBtn, filtersOpen && styles.allReportsFilterBtnActive]}
+                onPress={() => setFiltersOpen(!filtersOpen)}
               >
-                <Ionicons name="close" size={24} color="#64748b" />
+                <Ionicons name="options" size={20} color={filtersOpen ? '#fff' : '#1e5a8e'} />
+                {dashboardStore.activeFilterCount > 0 && (
+                  <View style={styles.allReportsFilterBadge}>
+                    <Text style={styles.allReportsFilterBadgeText}>{dashboardStore.activeFilterCount}</Text>
+                  </View>
+                )}
               </TouchableOpacity>
             </View>
 
-            {/* Reports List */}
-            <ScrollView
-              style={styles.allReportsList}
-              showsVerticalScrollIndicator={false}
-            >
-              {allReportsData.length > 0 ? (
-                allReportsData.map((report) => (
-                  <TouchableOpacity
-                    key={report.id}
-                    style={styles.allReportsItem}
-                    activeOpacity={0.7}
-                    onPress={() => {
-                      dashboardStore.setAllReportsModalVisible(false);
-                      dashboardStore.setSelectedActivity(report);
-                      dashboardStore.setDetailsModalVisible(true);
-                    }}
-                  >
-                    <View style={[styles.allReportsItemIcon, { backgroundColor: report.iconBg + '20' }]}>
-                      {renderIcon(report.iconFamily, report.iconName, 20, report.iconBg)}
-                    </View>
-                    <View style={styles.allReportsItemContent}>
-                      <View style={styles.allReportsItemHeader}>
-                        <Text style={styles.allReportsItemTitle}>{report.title}</Text>
-                        <View style={[styles.allReportsStatusBadge, { backgroundColor: report.iconBg + '20' }]}>
-                          <Text style={[styles.allReportsStatusText, { color: report.iconBg }]}>
-                            {getStatusText(report.dispatchStatus)}
-                          </Text>
-                        </View>
-                      </View>
-                      <Text style={styles.allReportsItemLocation} numberOfLines={1}>
-                        {report.location}
-                      </Text>
-                      {report.meterNumber && (
-                        <Text style={styles.allReportsItemMeter}>Meter: {report.meterNumber}</Text>
-                      )}
-                      <Text style={styles.allReportsItemTime}>{report.time}</Text>
+            {/* Status chips */}
+            <View>
+              <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                contentContainerStyle={styles.filterChipRow}
+              >
+                {renderFilterChip('All', !reportFilters.status, () => dashboardStore.setReportFilters({ status: null }))}
+                {Object.entries(REPORT_STATUSES).map(([key, status]) => (
+                  renderFilterChip(status.label, reportFilters.status === key, () => toggleFilter('status', key), key)
+                ))}
+              </ScrollView>
+            </View>
+
+            {/* Leak type, DMA, date range and sort */}
+            {filtersOpen && (
+              <ScrollView style={styles.allReportsFilterPanel} nestedScrollEnabled>
+                <Text style={styles.filterGroupLabel}>Leak Type</Text>
+                <View style={styles.filterChipWrap}>
+                  {leakTypeOptions.map((option) => (
+                    renderFilterChip(option.label, reportFilters.leakTypeId === option.value, () => toggleFilter('leakTypeId', option.value), option.value)
+                  ))}
+                </View>
+
+                {dmaOptions.length > 0 && (
+                  <>
+                    <Text style={styles.filterGroupLabel}>DMA</Text>
+                    <View style={styles.filterChipWrap}>
+                      {dmaOptions.map((dma) => (
+                        renderFilterChip(dma, reportFilters.dma === dma, () => toggleFilter('dma', dma))
+                      ))}
                     </View>
-                    <Ionicons name="chevron-forward" size={20} color="#cbd5e1" />
-                  </TouchableOpacity>
-                ))
-              ) : (
-                <View style={styles.allReportsEmpty}>
-                  <Ionicons name="clipboard-outline" size={48} color="#cbd5e1" />
-                  <Text style={styles.allReportsEmptyTitle}>No Reports Found</Text>
-                  <Text style={styles.allReportsEmptyText}>Your leak reports will appear here</Text>
+                  </>
+                )}
+
+                <Text style={styles.filterGroupLabel}>Date Reported</Text>
+                <View style={styles.filterChipWrap}>
+                  {DATE_RANGES.map((range) => (
+                    renderFilterChip(range.label, reportFilters.dateRange === range.value, () => dashboardStore.setReportFilters({ dateRange: range.value }), range.value)
+                  ))}
                 </View>
+
+                <Text style={styles.filterGroupLabel}>Sort By</Text>
+                <View style={styles.filterChipWrap}>
+                  {SORT_OPTIONS.map((option) => (
+                    renderFilterChip(option.label, reportFilters.sort === option.value, () => dashboardStore.setReportFilters({ sort: option.value }), option.value)
+                  ))}
+                </View>
+
+                {dashboardStore.activeFilterCount > 0 && (
+                  <TouchableOpacity style={styles.allReportsResetBtn} onPress={dashboardStore.resetReportFilters}>
+                    <Text style={styles.allReportsResetText}>Reset Filters</Text>
+                  </TouchableOpacity>
+                )}
+              </ScrollView>
+            )}
+
+            {!filtersOpen && reportFilters.sort !== 'newest' && (
+              <Text style={styles.allReportsSortHint}>Sorted by {sortLabel}</Text>
+            )}
+
+            {/* Reports List - next page loads near the end */}
+            <FlatList
+              style={styles.allReportsList}
+              data={allReportsData}
+              keyExtractor={(item) => String(item.fullReport.refNo || item.id)}
+              renderItem={renderReportItem}
+              showsVerticalScrollIndicator={false}
+              keyboardShouldPersistTaps="handled"
+              onEndReached={dashboardStore.loadMoreReports}
+              onEndReachedThreshold={0.4}
+              refreshControl={(
+                <RefreshControl
+                  refreshing={dashboardStore.reportListLoading && allReportsData.length > 0}
+                  onRefresh={dashboardStore.loadReportList}
+                />
               )}
-            </ScrollView>
+              ListEmptyComponent={renderReportListEmpty}
+              ListFooterComponent={dashboardStore.reportListLoadingMore ? (
+                <ActivityIndicator style={styles.allReportsFooter} color="#2196F3" />
+              ) : null}
+            />
           </View>
         </View>
       </Modal>
@@ -12,20 +12,27 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import { observer } from 'mobx-react-lite';
-import { useDraftsStore } from '../stores/RootStore';
+import { useDraftsStore, useOfflineStore } from '../stores/RootStore';
 import { useFocusEffect } from '@react-navigation/native';
 import styles from '../styles/DraftsStyles';
 
 const DraftsScreen = observer(({ navigation }) => {
   const draftsStore = useDraftsStore();
+  const offlineStore = useOfflineStore();
 
-  // Reload drafts when screen is focused
+  // Reload drafts and queued reports when screen is focused
   useFocusEffect(
     React.useCallback(() => {
       draftsStore.loadDrafts();
+      offlineStore.updateCounts();
     }, [])
   );
 
+  // New reports plus edits/withdrawals of submitted ones
+  const queuedReports = offlineStore.queueItems.filter(item => (
+    item.type === 'leak_report' || item.type === 'leak_report_amendment' || item.type === 'leak_report_withdrawal'
+  ));
+
   const handleOpenDraft = (draft) => {
     // Navigate to the leak report form with the draft data
     draftsStore.setCurrentDraftId(draft.id);
@@ -73,6 +80,21 @@ const DraftsScreen = observer(({ navigation }) => {
     );
   };
 
+  const handleRemoveQueued = (item) => {
+    Alert.alert(
+      'Remove Queued Report',
+      'This report has not been submitted yet. Removing it will discard it permanently.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => offlineStore.removeItem(item.id),
+        },
+      ]
+    );
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -168,13 +190,117 @@ const DraftsScreen = observer(({ navigation }) => {
     </TouchableOpacity>
   );
 
+  const queueStatusMeta = {
+    pending: { label: 'Waiting for connection', icon: 'time-outline', color: '#d97706', bg: '#fef3c7' },
+    syncing: { label: 'Uploading...', icon: 'cloud-upload-outline', color: '#2563eb', bg: '#dbeafe' },
+    failed: { label: 'Upload failed', icon: 'alert-circle-outline', color: '#dc2626', bg: '#fee2e2' },
+  };
+
+  const renderQueuedItem = (item) => {
+    const report = item.data || {};
+    const meta = queueStatusMeta[item.status] || queueStatusMeta.pending;
+
+    return (
+      <View key={item.id} style={styles.draftCard}>
+        <View style={styles.draftHeader}>
+          <View style={[styles.draftIconWrap, { backgroundColor: meta.bg }]}>
+            <Ionicons name={meta.icon} size={24} color={meta.color} />
+          </View>
+          <View style={styles.draftInfo}>
+            <Text style={styles.draftTitle}>
+              {item.type === 'leak_report_withdrawal'
+                ? `Withdraw ${report.refNo}`
+                : report.meterData?.meterNumber || 'No Meter Selected'}
+            </Text>
+            <Text style={styles.draftSubtitle}>
+              {item.type === 'leak_report_withdrawal'
+                ? report.reason || 'No reason given'
+                : `${item.type === 'leak_report_amendment' ? 'Edit - ' : ''}${getLeakTypeLabel(report.leakType)}`}
+            </Text>
+            <Text style={styles.draftDate}>
+              Queued {formatDate(item.timestamp)}
+            </Text>
+          </View>
+          {item.status !== 'syncing' && (
+            <TouchableOpacity
+              style={styles.deleteBtn}
+              onPress={() => handleRemoveQueued(item)}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            >
+              <Ionicons name="trash-outline" size={20} color="#ef4444" />
+            </TouchableOpacity>
+          )}
+        </View>
+
+        <View style={styles.draftDetails}>
+          {report.refNo && (
+            <View style={styles.detailRow}>
+              <Ionicons name="pricetag-outline" size={14} color="#64748b" />
+              <Text style={styles.detailText} numberOfLines={1}>
+                Ref No. {report.refNo}
+              </Text>
+            </View>
+          )}
+          <View style={[styles.queueStatusBadge, { backgroundColor: meta.bg }]}>
+            <Text style={[styles.queueStatusText, { color: meta.color }]}>{meta.label}</Text>
+          </View>
+          {item.lastError && (
+            <Text style={styles.queueErrorText} numberOfLines={2}>
+              {item.lastError}{item.retryCount > 0 ? ` (attempt ${item.retryCount})` : ''}
+            </Text>
+          )}
+          {item.status === 'failed' && (
+            <TouchableOpacity style={styles.queueRetryBtn} onPress={() => offlineStore.retryItem(item.id)}>
+              <Ionicons name="refresh" size={14} color="#fff" />
+              <Text style={styles.queueRetryText}>Retry</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  const renderQueueSection = () => {
+    if (queuedReports.length === 0) return null;
+
+    return (
+      <View style={styles.queueSection}>
+        <View style={styles.queueHeader}>
+          <Text style={styles.sectionTitle}>Pending Uploads ({queuedReports.length})</Text>
+          {offlineStore.isOnline && offlineStore.pendingCount > 0 && (
+            <TouchableOpacity
+              onPress={() => offlineStore.startSync()}
+              disabled={offlineStore.isSyncing}
+              style={styles.syncNowBtn}
+            >
+              {offlineStore.isSyncing ? (
+                <ActivityIndicator size="small" color="#3b82f6" />
+              ) : (
+                <Text style={styles.syncNowText}>Sync now</Text>
+              )}
+            </TouchableOpacity>
+          )}
+        </View>
+        {!offlineStore.isOnline && (
+          <Text style={styles.queueHint}>
+            These reports will be submitted automatically when you are back online.
+          </Text>
+        )}
+        {queuedReports.map(renderQueuedItem)}
+        {draftsStore.drafts.length > 0 && (
+          <Text style={[styles.sectionTitle, { marginTop: 8 }]}>Drafts</Text>
+        )}
+      </View>
+    );
+  };
+
   const renderEmptyState = () => (
     <View style={styles.emptyState}>
       <Ionicons name="documents-outline" size={64} color="#cbd5e1" />
       <Text style={styles.emptyTitle}>No Drafts</Text>
       <Text style={styles.emptySubtitle}>
         Your incomplete leak reports will appear here.{'\n'}
-        Drafts are auto-saved when you're offline or logged out.
+        Drafts are auto-saved when you're logged out.
       </Text>
     </View>
   );
@@ -216,9 +342,10 @@ const DraftsScreen = observer(({ navigation }) => {
           keyExtractor={(item) => item.id}
           contentContainerStyle={[
             styles.listContent,
-            draftsStore.drafts.length === 0 && styles.emptyListContent,
+            draftsStore.drafts.length === 0 && queuedReports.length === 0 && styles.emptyListContent,
           ]}
-          ListEmptyComponent={renderEmptyState}
+          ListHeaderComponent={renderQueueSection}
+          ListEmptyComponent={queuedReports.length === 0 ? renderEmptyState : null}
           showsVerticalScrollIndicator={false}
         />
       )}
@@ -15,44 +15,17 @@ import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import * as ImagePicker from 'expo-image-picker';
 import * as FileSystem from 'expo-file-system/legacy';
 import { pushNotification } from '../services/notifications';
-import { submitLeakReport } from '../services/interceptor';
+import { submitLeakReport, isReportNotPendingError } from '../services/interceptor';
 import { observer } from 'mobx-react-lite';
-import { useLeakReportStore, useDraftsStore, useOfflineStore } from '../stores/RootStore';
+import { useLeakReportStore, useDraftsStore, useOfflineStore, useDashboardStore } from '../stores/RootStore';
+import { MAX_LEAK_PHOTOS } from '../stores/LeakReportStore';
 import { useFocusEffect, useIsFocused } from '@react-navigation/native';
-import { saveCurrentFormData, clearCurrentFormData, saveToDrafts, setFormActive } from '../services/draftService';
+import { saveCurrentFormData, clearCurrentFormData, setFormActive } from '../services/draftService';
+import { processReportPhotos, cleanupReportPhotos } from '../services/photoPipeline';
+import PhotoWatermarker from '../components/PhotoWatermarker';
+import LeafletMap from '../components/LeafletMap';
 import styles from '../styles/LeakReportFormStyles';
 
-const leakTypeOptions = [
-  { value: 'Unidentified', label: 'Unidentified' },
-  { value: 'Airrelease', label: 'Air Release' },
-  { value: 'Airreleasevalve', label: 'Air Release Valve' },
-  { value: 'Blow-off', label: 'Blow-off' },
-  { value: 'Blow-offvalve', label: 'Blow-off Valve' },
-  { value: 'Firehydrant', label: 'Fire Hydrant' },
-  { value: 'Mainline', label: 'Mainline' },
-  { value: 'Others', label: 'Others' },
-  { value: 'Serviceline', label: 'Service Line' },
-  { value: 'valve', label: 'Valve' },
-].sort((a, b) => {
-  if (a.value === 'Unidentified') return -1;
-  if (b.value === 'Unidentified') return 1;
-  return a.label.localeCompare(b.label);
-});
-
-const coveringOptions = [
-  { value: 'Concrete', label: 'Concrete' },
-  { value: 'Gravel', label: 'Gravel' },
-  { value: 'Soil', label: 'Soil' },
-  { value: 'Asphalt', label: 'Asphalt' },
-];
-
-const causeOptions = [
-  { value: 'Exposed - PE', label: 'Exposed - PE' },
-  { value: 'Exposed - Supplement', label: 'Exposed - Supplement' },
-  { value: 'Defective Stopcock', label: 'Defective Stopcock' },
-  { value: 'Others', label: 'Others' },
-];
-
 // Helper function to save photo to persistent storage
 const savePhotoToStorage = async (tempUri) => {
   try {
@@ -156,10 +129,12 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
   const form = useLeakReportStore();
   const draftsStore = useDraftsStore();
   const offlineStore = useOfflineStore();
+  const dashboardStore = useDashboardStore();
   const [showPreview, setShowPreview] = React.useState(false);
   const [showLeakTypeDropdown, setShowLeakTypeDropdown] = React.useState(false);
   const [showCoveringDropdown, setShowCoveringDropdown] = React.useState(false);
   const [showCauseDropdown, setShowCauseDropdown] = React.useState(false);
+  const [editingPhotoIndex, setEditingPhotoIndex] = React.useState(null); // Leak photo whose category/caption is being edited
   const isFocused = useIsFocused();
 
   // Store meter data and coordinates in local state to persist across navigations
@@ -172,6 +147,11 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
   // Auto-save interval ref
   const autoSaveIntervalRef = useRef(null);
 
+  // Set once an online submission fails, so the next attempt checks the server for the RefNo
+  const submitAttemptedRef = useRef(false);
+  // Off-screen renderer used to burn the watermark into processed photos
+  const watermarkerRef = useRef(null);
+
   // Track if loading from draft
   const [loadingFromDraft, setLoadingFromDraft] = React.useState(false);
   const [currentDraftId, setCurrentDraftId] = React.useState(null);
@@ -237,6 +217,9 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
       if (draft.meterData) setMeterData(draft.meterData);
       if (draft.coordinates) setCoordinates(draft.coordinates);
 
+      // Keep the draft's reference number so retries never create a second report
+      if (draft.refNo) form.setRefNo(draft.refNo);
+
       // Restore form fields
       if (draft.leakType) form.setLeakType(draft.leakType);
       if (draft.location) form.setLocation(draft.location);
@@ -244,6 +227,7 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
       if (draft.contactNumber) form.setContactNumber(draft.contactNumber);
       if (draft.landmark) form.setLandmark(draft.landmark);
       if (draft.pressure) form.setPressure(draft.pressure);
+      Object.entries(draft.severity || {}).forEach(([key, value]) => form.setSeverityAnswer(key, value));
       if (draft.covering) form.setCovering(draft.covering);
       if (draft.causeOfLeak) form.setCauseOfLeak(draft.causeOfLeak);
       if (draft.causeOther) form.setCauseOther(draft.causeOther);
@@ -263,18 +247,20 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
         form.setLeakLocation(draft.leakLatitude, draft.leakLongitude, draft.leakLocationMethod);
       }
 
-      // Restore photos
+      // Restore photos (in order, so each keeps its category/caption)
       if (draft.leakPhotos && draft.leakPhotos.length > 0) {
         console.log('[LeakReportForm] Restoring leak photos:', draft.leakPhotos);
-        draft.leakPhotos.forEach(async (uri) => {
-          if (uri) {
+        (async () => {
+          for (const [index, uri] of draft.leakPhotos.entries()) {
+            if (!uri) continue;
+            const details = draft.leakPhotoDetails?.[index];
             // Verify photo file exists before adding
             try {
               const photoPath = uri.replace(/^file:\/\//, '');
               const fileInfo = await FileSystem.getInfoAsync(photoPath);
               console.log(`[LeakReportForm] Photo exists: ${photoPath} = ${fileInfo.exists}`);
               if (fileInfo.exists) {
-                form.addLeakPhoto(uri);
+                form.addLeakPhoto(uri, details);
                 console.log('[LeakReportForm] Added leak photo:', uri);
               } else {
                 console.warn('[LeakReportForm] Photo file does not exist:', photoPath);
@@ -282,10 +268,10 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
             } catch (error) {
               console.error('[LeakReportForm] Error checking photo file:', error);
               // Still try to add it in case of permission issues
-              form.addLeakPhoto(uri);
+              form.addLeakPhoto(uri, details);
             }
           }
-        });
+        })();
       }
       if (draft.landmarkPhoto) {
         console.log('[LeakReportForm] Restoring landmark photo:', draft.landmarkPhoto);
@@ -311,10 +297,28 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
     }
   }, [route?.params?.fromDraft]);
 
+  // Load a submitted report being edited from its details screen
+  useEffect(() => {
+    const params = route?.params || {};
+    if (!params.fromReport || !params.report) return;
+
+    console.log('[LeakReportForm] Editing submitted report:', params.report.refNo);
+    form.loadFromReport(params.report)
+      .then((values) => {
+        setMeterData(values.meterData);
+        if (values.coordinates) setCoordinates(values.coordinates);
+      })
+      .catch((error) => console.error('[LeakReportForm] Error loading report for editing:', error));
+  }, [route?.params?.report]);
+
   // Auto-save form data every 30 seconds
   useEffect(() => {
     const saveFormForRecovery = () => {
+      // An amendment restored after a crash would be resubmitted as a new report
+      if (form.amendingReport) return;
+
       const formData = {
+        refNo: form.refNo,
         meterData,
         coordinates,
         leakType: form.leakType,
@@ -323,8 +327,10 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
         contactNumber: form.contactNumber,
         landmark: form.landmark,
         leakPhotos: form.leakPhotos,
+        leakPhotoDetails: form.leakPhotoDetails,
         landmarkPhoto: form.landmarkPhoto,
         pressure: form.pressure,
+        severity: form.severity,
         covering: form.covering,
         causeOfLeak: form.causeOfLeak,
         causeOther: form.causeOther,
@@ -355,8 +361,8 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
     };
   }, [
     meterData, coordinates, form.leakType, form.location, form.contactName,
-    form.contactNumber, form.landmark, form.leakPhotos, form.landmarkPhoto,
-    form.pressure, form.covering, form.causeOfLeak, form.causeOther,
+    form.contactNumber, form.landmark, form.leakPhotos, form.leakPhotoDetails, form.landmarkPhoto,
+    form.refNo, form.pressure, form.severity, form.covering, form.causeOfLeak, form.causeOther,
     form.dma, form.flagProjectLeak, form.featuredId, form.leakLatitude,
     form.leakLongitude, form.leakLocationMethod
   ]);
@@ -394,8 +400,8 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
   }, [route?.params]);
 
   const pickLeakPhoto = async () => {
-    if (form.leakPhotos.length >= 2) {
-      Alert.alert('Limit reached', 'You can only upload 2 leak photos.');
+    if (form.leakPhotos.length >= MAX_LEAK_PHOTOS) {
+      Alert.alert('Limit reached', `You can only upload ${MAX_LEAK_PHOTOS} leak photos.`);
       return;
     }
 
@@ -414,7 +420,10 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
       try {
         // Save the photo to persistent storage instead of using temp URI
         const persistentUri = await savePhotoToStorage(result.assets[0].uri);
-        form.addLeakPhoto(persistentUri);
+        // Suggest a category based on position (wide shot first, then close-up, ...)
+        const suggested = form.photoCategoryOptions[form.leakPhotos.length]?.value || '';
+        form.addLeakPhoto(persistentUri, { category: suggested });
+        setEditingPhotoIndex(form.leakPhotos.length - 1);
       } catch (error) {
         Alert.alert('Error', 'Failed to save photo. Please try again.');
         console.error('[LeakReportForm] Error saving leak photo:', error);
@@ -429,6 +438,9 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
     form.removeLeakPhoto(index);
   };
 
+  const getPhotoCategoryLabel = (category) =>
+    form.photoCategoryOptions.find((option) => option.value === category)?.label || '';
+
   const pickLandmarkPhoto = async () => {
     // Request camera permissions and take photo
     const { status } = await ImagePicker.requestCameraPermissionsAsync();
@@ -462,6 +474,7 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
   // Save current form as draft
   const handleSaveDraft = async () => {
     const formData = {
+      refNo: form.refNo,
       meterData,
       coordinates,
       leakType: form.leakType,
@@ -470,8 +483,10 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
       contactNumber: form.contactNumber,
       landmark: form.landmark,
       leakPhotos: form.leakPhotos,
+      leakPhotoDetails: form.leakPhotoDetails,
       landmarkPhoto: form.landmarkPhoto,
       pressure: form.pressure,
+      severity: form.severity,
       covering: form.covering,
       causeOfLeak: form.causeOfLeak,
       causeOther: form.causeOther,
@@ -543,101 +558,150 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
       Alert.alert('Missing info', 'Please attach at least 1 leak photo.');
       return;
     }
+    if (form.missingSeverityFactors.length) {
+      Alert.alert('Missing info', `Please answer the severity question: ${form.missingSeverityFactors[0].label}.`);
+      return;
+    }
 
     // Show preview modal instead of sending directly
     setShowPreview(true);
   };
 
+  // Build the submission payload from the current form state
+  const buildReportPayload = () => {
+    // Use leak location if set, otherwise use meter coordinates
+    const leakCoords = form.leakLatitude && form.leakLongitude
+      ? { latitude: form.leakLatitude, longitude: form.leakLongitude }
+      : coordinates;
+
+    // Build Geom field for backend (comma-separated string) - this is the LEAK location
+    const Geom = leakCoords && leakCoords.longitude && leakCoords.latitude
+      ? `${leakCoords.longitude}, ${leakCoords.latitude}`
+      : null;
+
+    return {
+      refNo: form.refNo,
+      leakType: form.leakType,
+      location: form.location,
+      covering: form.covering,
+      causeOfLeak: form.causeOfLeak,
+      causeOther: form.causeOther,
+      dma: form.dma || meterData?.dma || meterData?.dmacode || '',
+      contactName: form.contactName,
+      contactNumber: form.contactNumber,
+      landmark: form.landmark,
+      leakPhotos: [...form.leakPhotos],
+      leakPhotoDetails: form.leakPhotoDetails.map((details) => ({ ...details })),
+      landmarkPhoto: form.landmarkPhoto,
+      pressure: form.pressure,
+      severity: { ...form.severity },
+      flagProjectLeak: form.flagProjectLeak,
+      featuredId: form.featuredId,
+      meterData,
+      coordinates: leakCoords, // This is the actual leak location (or meter location if not set)
+      meterCoordinates: coordinates, // Original meter coordinates for reference
+      geom: Geom,
+      leakLocationMethod: form.leakLocationMethod, // 'current', 'dragPin', or null
+      linkedRefNo: form.linkedRefNo, // Set when the inspector linked this to an existing report
+    };
+  };
+
+  // Hand the report to the offline queue - used when offline and when an upload is cancelled
+  const queueReport = async (payload, { attempted = false, title, message }) => {
+    try {
+      if (form.amendingReport) {
+        await offlineStore.enqueueReportAmendment(payload);
+      } else {
+        await offlineStore.enqueueLeakReport(payload, { attempted });
+      }
+      await clearCurrentFormData();
+      await setFormActive(false); // Clear active flag on offline save
+
+      // Delete the draft if we were editing one
+      if (currentDraftId) {
+        await draftsStore.deleteDraft(currentDraftId);
+      }
+
+      form.submitting = false;
+      setShowPreview(false);
+      Alert.alert(title, message, [
+        {
+          text: 'OK', onPress: () => {
+            form.reset();
+            navigation.navigate('MainTabs', { screen: 'Drafts' });
+          }
+        },
+      ]);
+    } catch (error) {
+      console.error('[LeakReportForm] Error queueing report:', error);
+      form.submitting = false;
+      setShowPreview(false);
+      Alert.alert('Error', 'Failed to save report offline.');
+    }
+  };
+
   const confirmSendReport = async () => {
-    setShowPreview(false);
+    // Another inspector may already have reported this leak - the preview shows any open reports nearby
+    const candidates = await form.checkForDuplicates(buildReportPayload().coordinates, dashboardStore.allReports, {
+      isOnline: offlineStore.isOnline,
+    });
+    if (candidates.length) return;
+
+    // Preview stays open while photos are processed and uploaded so progress is visible
     form.submitting = true;
+    form.setUploadStage('processing');
 
-    // Check if offline - save as draft instead
+    await form.ensureRefNo();
+    // Downsize, watermark and compress photos - originals are kept until the report is synced
+    const payload = await processReportPhotos(buildReportPayload(), {
+      renderWatermark: (job) => watermarkerRef.current?.stamp(job),
+    });
+
+    // Check if offline - queue the report so it syncs automatically on reconnect
     if (!offlineStore.isOnline) {
-      try {
-        const formData = {
-          meterData,
-          coordinates,
-          leakType: form.leakType,
-          location: form.location,
-          contactName: form.contactName,
-          contactNumber: form.contactNumber,
-          landmark: form.landmark,
-          leakPhotos: form.leakPhotos,
-          landmarkPhoto: form.landmarkPhoto,
-          pressure: form.pressure,
-          covering: form.covering,
-          causeOfLeak: form.causeOfLeak,
-          causeOther: form.causeOther,
-          dma: form.dma || meterData?.dma || meterData?.dmacode || '',
-          flagProjectLeak: form.flagProjectLeak,
-          featuredId: form.featuredId,
-          leakLatitude: form.leakLatitude,
-          leakLongitude: form.leakLongitude,
-          leakLocationMethod: form.leakLocationMethod,
-        };
-
-        await saveToDrafts(formData, { offlineSaved: true });
-        await clearCurrentFormData();
-        await setFormActive(false); // Clear active flag on offline save
-
-        // Delete the draft if we were editing one
-        if (currentDraftId) {
-          await draftsStore.deleteDraft(currentDraftId);
-        }
+      form.setUploadStage('idle');
+      await queueReport(payload, {
+        title: 'Queued for Upload',
+        message: form.amendingReport
+          ? 'You are offline. Your changes have been queued and will be sent automatically when you are back online. You can track them in the Drafts tab.'
+          : 'You are offline. Your report has been queued and will be submitted automatically when you are back online. You can track it in the Drafts tab.',
+      });
+      return;
+    }
 
+    try {
+      // A previous attempt may have reached the server before failing - check before resending
+      const result = await form.uploadReport(payload, { verifyExisting: submitAttemptedRef.current });
+
+      // Cancelled mid-upload - the server may already have part of it, so the queue checks the RefNo first
+      if (result.cancelled) {
+        await queueReport(payload, {
+          attempted: true,
+          title: 'Upload Cancelled',
+          message: form.amendingReport
+            ? 'Your changes were moved to the upload queue and will be sent automatically. You can track them in the Drafts tab.'
+            : 'Your report was moved to the upload queue and will be sent automatically. You can track it in the Drafts tab.',
+        });
+        return;
+      }
+
+      await cleanupReportPhotos(payload);
+
+      if (form.amendingReport) {
+        await setFormActive(false);
         form.submitting = false;
-        Alert.alert(
-          'Saved Offline',
-          'You are offline. Your report has been saved to drafts and will need to be submitted when you are back online.',
-          [{
+        setShowPreview(false);
+        dashboardStore.loadLeakReports();
+        Alert.alert('Report updated', `Your changes to ${payload.refNo} have been saved.`, [
+          {
             text: 'OK', onPress: () => {
               form.reset();
-              navigation.navigate('MainTabs', { screen: 'Drafts' });
+              navigation.goBack();
             }
-          }]
-        );
-        return;
-      } catch (error) {
-        form.submitting = false;
-        Alert.alert('Error', 'Failed to save report offline.');
+          },
+        ]);
         return;
       }
-    }
-
-    try {
-      // Use leak location if set, otherwise use meter coordinates
-      const leakCoords = form.leakLatitude && form.leakLongitude
-        ? { latitude: form.leakLatitude, longitude: form.leakLongitude }
-        : coordinates;
-
-      // Build Geom field for backend (comma-separated string) - this is the LEAK location
-      const Geom = leakCoords && leakCoords.longitude && leakCoords.latitude
-        ? `${leakCoords.longitude}, ${leakCoords.latitude}`
-        : null;
-      // Build payload for backend
-      const payload = {
-        leakType: form.leakType,
-        location: form.location,
-        covering: form.covering,
-        causeOfLeak: form.causeOfLeak,
-        causeOther: form.causeOther,
-        dma: form.dma || meterData?.dma || meterData?.dmacode || '',
-        contactName: form.contactName,
-        contactNumber: form.contactNumber,
-        landmark: form.landmark,
-        leakPhotos: form.leakPhotos,
-        landmarkPhoto: form.landmarkPhoto,
-        pressure: form.pressure,
-        flagProjectLeak: form.flagProjectLeak,
-        featuredId: form.featuredId,
-        meterData,
-        coordinates: leakCoords, // This is the actual leak location (or meter location if not set)
-        meterCoordinates: coordinates, // Original meter coordinates for reference
-        geom: Geom,
-        leakLocationMethod: form.leakLocationMethod, // 'current', 'dragPin', or null
-      };
-      await submitLeakReport(payload);
 
       // Clear current form data and delete draft if editing
       await clearCurrentFormData();
@@ -647,6 +711,7 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
       }
 
       form.submitting = false;
+      setShowPreview(false);
       Alert.alert('Report sent', 'Your leak report has been submitted successfully.', [
         {
           text: 'OK', onPress: () => {
@@ -665,24 +730,129 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
       }
       console.log('Report:', payload);
     } catch (err) {
+      submitAttemptedRef.current = true;
+      // Photos are re-processed on the next attempt; keep the originals
+      await cleanupReportPhotos(payload, { processedOnly: true });
       form.submitting = false;
+      setShowPreview(false);
+      if (isReportNotPendingError(err)) {
+        dashboardStore.loadLeakReports();
+        Alert.alert('Report can no longer be changed', 'Dispatch has already acted on this report. Ask them to update it from the web.');
+        return;
+      }
       Alert.alert('Submission failed', err.message || 'Failed to submit report');
     }
   };
 
+  // Human-readable upload size, e.g. "1.2 MB"
+  const formatBytes = (bytes) => {
+    if (!bytes) return '0 KB';
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
+  const closePreview = () => {
+    form.dismissDuplicates();
+    setShowPreview(false);
+  };
+
+  // Open reports near the leak, numbered to match their pins on the mini map
+  const renderDuplicateCandidates = () => {
+    const leak = buildReportPayload().coordinates;
+    const markers = [
+      { latitude: leak.latitude, longitude: leak.longitude, label: '!', color: '#dc2626' },
+      ...form.duplicateCandidates.map((candidate, index) => ({
+        latitude: candidate.coordinates.latitude,
+        longitude: candidate.coordinates.longitude,
+        label: String(index + 1),
+        color: candidate.status.color,
+      })),
+    ];
+
+    return (
+      <>
+        <ScrollView style={styles.previewScroll} showsVerticalScrollIndicator={false}>
+          <View style={styles.duplicateNotice}>
+            <Ionicons name="warning" size={18} color="#d97706" />
+            <Text style={styles.duplicateNoticeText}>
+              {form.duplicateCandidates.length === 1
+                ? 'An open leak has already been reported close to this spot.'
+                : `${form.duplicateCandidates.length} open leaks have already been reported close to this spot.`}
+              {' '}Link your report if it is the same leak.
+            </Text>
+          </View>
+
+          <View style={styles.duplicateMap}>
+            <LeafletMap markers={markers} fitToMarkers showUserLocation={false} />
+          </View>
+          <Text style={styles.duplicateMapCaption}>! is your report. The numbers match the list below.</Text>
+
+          {form.duplicateCandidates.map((candidate, index) => (
+            <View key={candidate.refNo} style={styles.duplicateItem}>
+              <View style={[styles.duplicateIndex, { backgroundColor: candidate.status.color }]}>
+                <Text style={styles.duplicateIndexText}>{index + 1}</Text>
+              </View>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.duplicateRefNo}>{candidate.refNo}</Text>
+                <Text style={styles.duplicateMeta}>
+                  {candidate.status.label} · {candidate.distance} m away · {new Date(candidate.report.dtReported || candidate.report.DtReported).toLocaleDateString()}
+                </Text>
+                {!!(candidate.report.reportedLocation || candidate.report.ReportedLocation) && (
+                  <Text style={styles.duplicateMeta} numberOfLines={1}>
+                    {candidate.report.reportedLocation || candidate.report.ReportedLocation}
+                  </Text>
+                )}
+              </View>
+              <TouchableOpacity
+                style={styles.duplicateLinkBtn}
+                onPress={() => {
+                  form.linkToReport(candidate.refNo);
+                  confirmSendReport();
+                }}
+              >
+                <Ionicons name="link" size={16} color="#1e5a8e" />
+                <Text style={styles.duplicateLinkText}>Link</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </ScrollView>
+
+        <View style={styles.previewActions}>
+          <TouchableOpacity style={styles.previewCancelBtn} onPress={form.dismissDuplicates}>
+            <Text style={styles.previewCancelText}>Back</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.previewConfirmBtn}
+            onPress={() => {
+              form.confirmNewLeak();
+              confirmSendReport();
+            }}
+          >
+            <Ionicons name="add-circle" size={18} color="#fff" style={{ marginRight: 8 }} />
+            <Text style={styles.previewConfirmText}>New Leak</Text>
+          </TouchableOpacity>
+        </View>
+      </>
+    );
+  };
+
   // Load DMA options from server on mount
   useEffect(() => {
     // Don't reset if we're returning from leak location selection
     const params = route?.params || {};
-    if (!params.fromLeakLocationSelection && !params.fromDraft) {
+    if (!params.fromLeakLocationSelection && !params.fromDraft && !params.fromReport) {
       form.reset();
     }
+    form.ensureRefNo();
     form.loadDmaOptions();
+    form.loadCatalogs();
     return () => { };
   }, []);
 
   // Auto-populate contact name and number with logged-in user's data
   useEffect(() => {
+    // An edited report keeps the contact it was submitted with
+    if (route?.params?.fromReport) return;
     form.autofillContactFromUser();
   }, []);
 
@@ -702,7 +872,7 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
         >
           <Ionicons name="close" size={24} color="#334155" />
         </TouchableOpacity>
-        <Text style={styles.headerTitle}>Leak Report Form</Text>
+        <Text style={styles.headerTitle}>{form.amendingReport ? 'Edit Leak Report' : 'Leak Report Form'}</Text>
         <View style={{ width: 24 }} />
       </View>
 
@@ -804,18 +974,38 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
         </View>
 
         <View style={styles.infoCard}>
-          {/* Pressure */}
-          <Text style={styles.sectionLabel}>PRESSURE <Text style={{ color: '#ef4444' }}>*</Text></Text>
-          <View style={styles.radioGroupSmall}>
-            <TouchableOpacity style={styles.radioRow} onPress={() => form.setPressure('Low')}>
-              <View style={[styles.radioCircle, form.pressure === 'Low' && styles.radioCircleActive]} />
-              <Text style={styles.radioLabel}>LOW</Text>
-            </TouchableOpacity>
-            <TouchableOpacity style={styles.radioRow} onPress={() => form.setPressure('High')}>
-              <View style={[styles.radioCircle, form.pressure === 'High' && styles.radioCircleActive]} />
-              <Text style={styles.radioLabel}>HIGH</Text>
-            </TouchableOpacity>
+          {/* Severity - pressure is one of the questions; the answers decide the report's Priority */}
+          <View style={styles.severityHeader}>
+            <Text style={styles.sectionTitle}>Severity</Text>
+            <View style={[styles.priorityBadge, { backgroundColor: form.severityResult.color + '20' }]}>
+              <Text style={[styles.priorityBadgeText, { color: form.severityResult.color }]}>
+                {form.severityResult.label}{form.severityResult.assessed ? ` · ${form.severityResult.score} pts` : ''}
+              </Text>
+            </View>
           </View>
+          {form.severityRules.factors.map((factor) => (
+            <View key={factor.key} style={styles.severityFactor}>
+              <Text style={styles.sectionLabel}>
+                {factor.label}
+                {factor.required && <Text style={{ color: '#ef4444' }}> *</Text>}
+              </Text>
+              {!!factor.hint && <Text style={styles.severityHint}>{factor.hint}</Text>}
+              <View style={styles.severityOptions}>
+                {factor.options.map((option) => {
+                  const selected = form.severityAnswers[factor.key] === option.value;
+                  return (
+                    <TouchableOpacity
+                      key={String(option.value)}
+                      style={[styles.severityChip, selected && styles.severityChipActive]}
+                      onPress={() => form.setSeverityAnswer(factor.key, option.value)}
+                    >
+                      <Text style={[styles.severityChipText, selected && styles.severityChipTextActive]}>{option.label}</Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </View>
+          ))}
 
           {/* Leak Type */}
           <View style={styles.sheet}>
@@ -833,7 +1023,7 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
               <Ionicons name="water-outline" size={18} color="#1f3a8a" />
               <Text style={[styles.dropdownText, !form.leakType && styles.dropdownPlaceholder]}>
                 {form.leakType
-                  ? leakTypeOptions.find(opt => opt.value === form.leakType)?.label || form.leakType
+                  ? form.leakTypeOptions.find(opt => opt.value === form.leakType)?.label || form.leakType
                   : 'Select leak type'
                 }
               </Text>
@@ -976,7 +1166,7 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
           </View>
           <View style={styles.photoHeader}>
             <Text style={styles.photoLabel}>Leak Photos<Text style={{ color: '#ef4444' }}> Required 1 Photo*</Text></Text>
-            <Text style={styles.photoCount}>{form.leakPhotos.length}/2</Text>
+            <Text style={styles.photoCount}>{form.leakPhotos.length}/{MAX_LEAK_PHOTOS}</Text>
           </View>
 
           {/* Display leak photos */}
@@ -984,16 +1174,27 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
             {form.leakPhotos.map((uri, index) => {
               const displayUri = getPhotoUri(uri);
               console.log(`[LeakReportForm] Displaying photo ${index}:`, uri, '=> Final URI:', displayUri);
+              const details = form.leakPhotoDetails[index] || {};
               return (
-                <View key={index} style={styles.photoPreview}>
-                  <Image source={{ uri: displayUri }} style={styles.photoImage} />
-                  <TouchableOpacity style={styles.photoRemove} onPress={() => removeLeakPhoto(index)}>
-                    <Ionicons name="close-circle" size={24} color="#ef4444" />
+                <View key={index} style={styles.photoTile}>
+                  <TouchableOpacity style={styles.photoPreview} onPress={() => setEditingPhotoIndex(index)} activeOpacity={0.8}>
+                    <Image source={{ uri: displayUri }} style={styles.photoImage} />
+                    <View style={styles.photoCategoryBadge}>
+                      <Text style={styles.photoCategoryText} numberOfLines={1}>
+                        {getPhotoCategoryLabel(details.category) || 'Add label'}
+                      </Text>
+                    </View>
+                    <TouchableOpacity style={styles.photoRemove} onPress={() => removeLeakPhoto(index)}>
+                      <Ionicons name="close-circle" size={24} color="#ef4444" />
+                    </TouchableOpacity>
                   </TouchableOpacity>
+                  {!!details.caption && (
+                    <Text style={styles.photoCaption} numberOfLines={2}>{details.caption}</Text>
+                  )}
                 </View>
               );
             })}
-            {form.leakPhotos.length < 2 && (
+            {form.leakPhotos.length < MAX_LEAK_PHOTOS && (
               <TouchableOpacity style={styles.photoBtn} onPress={pickLeakPhoto}>
                 <Ionicons name="camera" size={28} color="#1e5a8e" />
                 <Text style={styles.photoBtnLabel}>+</Text>
@@ -1033,19 +1234,23 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
         {/* Footer note */}
         <View style={styles.footerNote}>
           <Ionicons name="arrow-forward" size={14} color="#6b7280" />
-          <Text style={styles.footerNoteText}>  Report will be sent to our team</Text>
+          <Text style={styles.footerNoteText}>
+            {form.amendingReport ? `  Changes to ${form.refNo} will be sent to our team` : '  Report will be sent to our team'}
+          </Text>
         </View>
 
         {/* Buttons Row */}
         <View style={styles.buttonRow}>
-          {/* Save Draft Button */}
-          <TouchableOpacity
-            style={styles.saveDraftBtn}
-            onPress={handleSaveDraft}
-          >
-            <Ionicons name="save-outline" size={20} color="#3b82f6" />
-            <Text style={styles.saveDraftBtnText}>Save Draft</Text>
-          </TouchableOpacity>
+          {/* Save Draft Button - a submitted report being edited is never a draft */}
+          {!form.amendingReport && (
+            <TouchableOpacity
+              style={styles.saveDraftBtn}
+              onPress={handleSaveDraft}
+            >
+              <Ionicons name="save-outline" size={20} color="#3b82f6" />
+              <Text style={styles.saveDraftBtnText}>Save Draft</Text>
+            </TouchableOpacity>
+          )}
 
           {/* Send Report Button */}
           <TouchableOpacity
@@ -1058,7 +1263,9 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
             ) : (
               <>
                 {!offlineStore.isOnline && <Ionicons name="cloud-offline" size={18} color="#fff" style={{ marginRight: 6 }} />}
-                <Text style={styles.sendBtnText}>{offlineStore.isOnline ? 'Send Report' : 'Save Offline'}</Text>
+                <Text style={styles.sendBtnText}>
+                  {offlineStore.isOnline ? (form.amendingReport ? 'Save Changes' : 'Send Report') : 'Save Offline'}
+                </Text>
               </>
             )}
           </TouchableOpacity>
@@ -1073,7 +1280,7 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
           <View style={styles.modalCard}>
             <Text style={styles.modalTitle}>Select Leak Type</Text>
             <ScrollView style={{ maxHeight: 300 }}>
-              {leakTypeOptions.map((option) => (
+              {form.leakTypeOptions.map((option) => (
                 <TouchableOpacity
                   key={option.value}
                   style={[styles.dmaItem, { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }]}
@@ -1102,7 +1309,7 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
           <View style={styles.modalCard}>
             <Text style={styles.modalTitle}>Select Covering</Text>
             <ScrollView style={{ maxHeight: 300 }}>
-              {coveringOptions.map((option) => (
+              {form.coveringOptions.map((option) => (
                 <TouchableOpacity
                   key={option.value}
                   style={[styles.dmaItem, { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }]}
@@ -1125,13 +1332,54 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
         </View>
       </Modal>
 
+      {/* Leak Photo Category / Caption Modal */}
+      <Modal visible={editingPhotoIndex !== null} animationType="fade" transparent onRequestClose={() => setEditingPhotoIndex(null)}>
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Leak Photo {editingPhotoIndex !== null ? editingPhotoIndex + 1 : ''}</Text>
+            {editingPhotoIndex !== null && form.leakPhotos[editingPhotoIndex] && (
+              <Image source={{ uri: getPhotoUri(form.leakPhotos[editingPhotoIndex]) }} style={styles.photoDetailsImage} />
+            )}
+            <Text style={styles.photoDetailsLabel}>Category</Text>
+            <View style={styles.photoCategoryRow}>
+              {form.photoCategoryOptions.map((option) => {
+                const active = form.leakPhotoDetails[editingPhotoIndex]?.category === option.value;
+                return (
+                  <TouchableOpacity
+                    key={option.value}
+                    style={[styles.photoCategoryChip, active && styles.choiceBtnActive]}
+                    onPress={() => form.setLeakPhotoDetails(editingPhotoIndex, { category: option.value })}
+                  >
+                    <Text style={[styles.choiceBtnText, active && styles.choiceBtnTextActive]}>{option.label}</Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+            <Text style={styles.photoDetailsLabel}>Caption</Text>
+            <View style={styles.inputWrap}>
+              <TextInput
+                style={styles.input}
+                placeholder="e.g. Water pooling beside the curb"
+                placeholderTextColor="#9aa5b1"
+                value={form.leakPhotoDetails[editingPhotoIndex]?.caption || ''}
+                onChangeText={(text) => form.setLeakPhotoDetails(editingPhotoIndex, { caption: text })}
+                maxLength={120}
+              />
+            </View>
+            <TouchableOpacity style={styles.modalCancel} onPress={() => setEditingPhotoIndex(null)}>
+              <Text style={styles.modalCancelText}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
       {/* Cause Selection Modal */}
       <Modal visible={showCauseDropdown} animationType="fade" transparent onRequestClose={() => setShowCauseDropdown(false)}>
         <View style={styles.modalOverlay}>
           <View style={styles.modalCard}>
             <Text style={styles.modalTitle}>Select Cause of Leak</Text>
             <ScrollView style={{ maxHeight: 300 }}>
-              {causeOptions.map((option) => (
+              {form.causeOptions.map((option) => (
                 <TouchableOpacity
                   key={option.value}
                   style={[styles.dmaItem, { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }]}
@@ -1155,142 +1403,199 @@ const LeakReportFormScreenInner = observer(({ meterData: initialMeterData, coord
       </Modal>
 
       {/* Preview Modal */}
-      <Modal visible={showPreview} animationType="slide" transparent onRequestClose={() => setShowPreview(false)}>
+      <Modal visible={showPreview} animationType="slide" transparent onRequestClose={() => { if (!form.submitting) closePreview(); }}>
         <View style={styles.previewOverlay}>
           <View style={styles.previewCard}>
             <View style={styles.previewHeader}>
               <Ionicons name="document-text" size={24} color="#1e5a8e" />
-              <Text style={styles.previewTitle}>Review Your Report</Text>
-              <TouchableOpacity onPress={() => setShowPreview(false)} style={styles.previewCloseBtn}>
+              <Text style={styles.previewTitle}>
+                {form.duplicateCandidates.length > 0 ? 'Possible Duplicate' : form.amendingReport ? 'Review Your Changes' : 'Review Your Report'}
+              </Text>
+              <TouchableOpacity onPress={closePreview} style={styles.previewCloseBtn} disabled={form.submitting}>
                 <Ionicons name="close" size={24} color="#6b7280" />
               </TouchableOpacity>
             </View>
 
-            <ScrollView style={styles.previewScroll} showsVerticalScrollIndicator={false}>
-              {/* Meter Info */}
-              <View style={styles.previewSection}>
-                <Text style={styles.previewSectionTitle}>Meter Information</Text>
-                <View style={styles.previewRow}>
-                  <Text style={styles.previewLabel}>Meter Number:</Text>
-                  <Text style={styles.previewValue}>{meterData?.meterNumber || 'N/A'}</Text>
-                </View>
-                <View style={styles.previewRow}>
-                  <Text style={styles.previewLabel}>Address:</Text>
-                  <Text style={styles.previewValue}>{meterData?.address || 'N/A'}</Text>
-                </View>
-                <View style={styles.previewRow}>
-                  <Text style={styles.previewLabel}>Coordinates:</Text>
-                  <Text style={styles.previewValue}>
-                    {coordinates?.latitude?.toFixed(6) || 'N/A'}, {coordinates?.longitude?.toFixed(6) || 'N/A'}
-                  </Text>
+            {form.duplicateCandidates.length > 0 ? renderDuplicateCandidates() : (
+              <ScrollView style={styles.previewScroll} showsVerticalScrollIndicator={false}>
+                {/* Meter Info */}
+                <View style={styles.previewSection}>
+                  <Text style={styles.previewSectionTitle}>Meter Information</Text>
+                  <View style={styles.previewRow}>
+                    <Text style={styles.previewLabel}>Reference No:</Text>
+                    <Text style={styles.previewValue}>{form.refNo || 'N/A'}</Text>
+                  </View>
+                  <View style={styles.previewRow}>
+                    <Text style={styles.previewLabel}>Meter Number:</Text>
+                    <Text style={styles.previewValue}>{meterData?.meterNumber || 'N/A'}</Text>
+                  </View>
+                  <View style={styles.previewRow}>
+                    <Text style={styles.previewLabel}>Address:</Text>
+                    <Text style={styles.previewValue}>{meterData?.address || 'N/A'}</Text>
+                  </View>
+                  <View style={styles.previewRow}>
+                    <Text style={styles.previewLabel}>Coordinates:</Text>
+                    <Text style={styles.previewValue}>
+                      {coordinates?.latitude?.toFixed(6) || 'N/A'}, {coordinates?.longitude?.toFixed(6) || 'N/A'}
+                    </Text>
+                  </View>
                 </View>
-              </View>
 
-              {/* Leak Details */}
-              <View style={styles.previewSection}>
-                <Text style={styles.previewSectionTitle}>Leak Details</Text>
-                <View style={styles.previewRow}>
-                  <Text style={styles.previewLabel}>Pressure:</Text>
-                  <Text style={styles.previewValue}>{form.pressure || 'N/A'}</Text>
-                </View>
-                <View style={styles.previewRow}>
-                  <Text style={styles.previewLabel}>Leak Type:</Text>
-                  <Text style={styles.previewValue}>{form.leakType || 'N/A'}</Text>
-                </View>
-                <View style={styles.previewRow}>
-                  <Text style={styles.previewLabel}>Location:</Text>
-                  <Text style={styles.previewValue}>{form.location || 'N/A'}</Text>
-                </View>
-                <View style={styles.previewRow}>
-                  <Text style={styles.previewLabel}>Covering:</Text>
-                  <Text style={styles.previewValue}>{form.covering || 'N/A'}</Text>
-                </View>
-                <View style={styles.previewRow}>
-                  <Text style={styles.previewLabel}>Cause of Leak:</Text>
-                  <Text style={styles.previewValue}>
-                    {form.causeOfLeak === 'Others' ? form.causeOther : form.causeOfLeak || 'N/A'}
-                  </Text>
-                </View>
-                <View style={styles.previewRow}>
-                  <Text style={styles.previewLabel}>Asterra:</Text>
-                  <Text style={styles.previewValue}>{form.flagProjectLeak === 1 ? 'Under POI' : 'Not under POI'}</Text>
-                </View>
-                {form.flagProjectLeak === 1 && form.featuredId && (
+                {/* Leak Details */}
+                <View style={styles.previewSection}>
+                  <Text style={styles.previewSectionTitle}>Leak Details</Text>
                   <View style={styles.previewRow}>
-                    <Text style={styles.previewLabel}>Featured ID:</Text>
-                    <Text style={styles.previewValue}>{form.featuredId}</Text>
+                    <Text style={styles.previewLabel}>Priority:</Text>
+                    <Text style={[styles.previewValue, { color: form.severityResult.color }]}>
+                      {form.severityResult.label}{form.severityResult.assessed ? ` (${form.severityResult.score} pts)` : ''}
+                    </Text>
                   </View>
-                )}
-              </View>
-
-              {/* Contact Info */}
-              <View style={styles.previewSection}>
-                <Text style={styles.previewSectionTitle}>Contact Information</Text>
-                <View style={styles.previewRow}>
-                  <Text style={styles.previewLabel}>Contact Person:</Text>
-                  <Text style={styles.previewValue}>{form.contactName || 'N/A'}</Text>
-                </View>
-                {form.landmark && (
                   <View style={styles.previewRow}>
-                    <Text style={styles.previewLabel}>Landmark:</Text>
-                    <Text style={styles.previewValue}>{form.landmark}</Text>
+                    <Text style={styles.previewLabel}>Pressure:</Text>
+                    <Text style={styles.previewValue}>{form.pressure || 'N/A'}</Text>
                   </View>
-                )}
-              </View>
-
-              {/* Photos */}
-              <View style={styles.previewSection}>
-                <Text style={styles.previewSectionTitle}>Photos</Text>
-                <View style={styles.previewRow}>
-                  <Text style={styles.previewLabel}>Leak Photos:</Text>
-                  <Text style={styles.previewValue}>{form.leakPhotos.length} attached</Text>
+                  <View style={styles.previewRow}>
+                    <Text style={styles.previewLabel}>Leak Type:</Text>
+                    <Text style={styles.previewValue}>{form.leakType || 'N/A'}</Text>
+                  </View>
+                  <View style={styles.previewRow}>
+                    <Text style={styles.previewLabel}>Location:</Text>
+                    <Text style={styles.previewValue}>{form.location || 'N/A'}</Text>
+                  </View>
+                  <View style={styles.previewRow}>
+                    <Text style={styles.previewLabel}>Covering:</Text>
+                    <Text style={styles.previewValue}>{form.covering || 'N/A'}</Text>
+                  </View>
+                  <View style={styles.previewRow}>
+                    <Text style={styles.previewLabel}>Cause of Leak:</Text>
+                    <Text style={styles.previewValue}>
+                      {form.causeOfLeak === 'Others' ? form.causeOther : form.causeOfLeak || 'N/A'}
+                    </Text>
+                  </View>
+                  <View style={styles.previewRow}>
+                    <Text style={styles.previewLabel}>Asterra:</Text>
+                    <Text style={styles.previewValue}>{form.flagProjectLeak === 1 ? 'Under POI' : 'Not under POI'}</Text>
+                  </View>
+                  {form.flagProjectLeak === 1 && form.featuredId && (
+                    <View style={styles.previewRow}>
+                      <Text style={styles.previewLabel}>Featured ID:</Text>
+                      <Text style={styles.previewValue}>{form.featuredId}</Text>
+                    </View>
+                  )}
                 </View>
-                {form.leakPhotos.length > 0 && (
-                  <View style={styles.previewPhotoRow}>
-                    {form.leakPhotos.map((uri, idx) => (
-                      <Image key={idx} source={{ uri: getPhotoUri(uri) }} style={styles.previewPhoto} />
-                    ))}
+
+                {/* Contact Info */}
+                <View style={styles.previewSection}>
+                  <Text style={styles.previewSectionTitle}>Contact Information</Text>
+                  <View style={styles.previewRow}>
+                    <Text style={styles.previewLabel}>Contact Person:</Text>
+                    <Text style={styles.previewValue}>{form.contactName || 'N/A'}</Text>
                   </View>
-                )}
-                <View style={styles.previewRow}>
-                  <Text style={styles.previewLabel}>Landmark Photo:</Text>
-                  <Text style={styles.previewValue}>{form.landmarkPhoto ? '1 attached' : 'None'}</Text>
+                  {form.landmark && (
+                    <View style={styles.previewRow}>
+                      <Text style={styles.previewLabel}>Landmark:</Text>
+                      <Text style={styles.previewValue}>{form.landmark}</Text>
+                    </View>
+                  )}
                 </View>
-                {form.landmarkPhoto && (
-                  <View style={styles.previewPhotoRow}>
-                    <Image source={{ uri: getPhotoUri(form.landmarkPhoto) }} style={styles.previewPhoto} />
+
+                {/* Photos */}
+                <View style={styles.previewSection}>
+                  <Text style={styles.previewSectionTitle}>Photos</Text>
+                  <View style={styles.previewRow}>
+                    <Text style={styles.previewLabel}>Leak Photos:</Text>
+                    <Text style={styles.previewValue}>{form.leakPhotos.length} attached</Text>
                   </View>
-                )}
+                  {form.leakPhotos.length > 0 && (
+                    <View style={styles.previewPhotoRow}>
+                      {form.leakPhotos.map((uri, idx) => {
+                        const details = form.leakPhotoDetails[idx] || {};
+                        return (
+                          <View key={idx} style={styles.previewPhotoTile}>
+                            <Image source={{ uri: getPhotoUri(uri) }} style={styles.previewPhoto} />
+                            <Text style={styles.previewPhotoCaption} numberOfLines={2}>
+                              {[getPhotoCategoryLabel(details.category), details.caption].filter(Boolean).join(' - ')}
+                            </Text>
+                          </View>
+                        );
+                      })}
+                    </View>
+                  )}
+                  <View style={styles.previewRow}>
+                    <Text style={styles.previewLabel}>Landmark Photo:</Text>
+                    <Text style={styles.previewValue}>{form.landmarkPhoto ? '1 attached' : 'None'}</Text>
+                  </View>
+                  {form.landmarkPhoto && (
+                    <View style={styles.previewPhotoRow}>
+                      <Image source={{ uri: getPhotoUri(form.landmarkPhoto) }} style={styles.previewPhoto} />
+                    </View>
+                  )}
+                </View>
+              </ScrollView>
+            )}
+
+            {/* Upload Progress */}
+            {form.submitting && (
+              <View style={styles.uploadProgressSection}>
+                <Text style={styles.uploadProgressLabel}>
+                  {form.uploadStage === 'processing' && 'Preparing photos...'}
+                  {form.uploadStage === 'uploading' && (form.uploadTotalBytes
+                    ? `Uploading ${formatBytes(form.uploadedBytes)} of ${formatBytes(form.uploadTotalBytes)}`
+                    : 'Connecting...')}
+                  {form.uploadStage === 'cancelling' && 'Cancelling...'}
+                  {form.uploadStage === 'idle' && 'Saving...'}
+                </Text>
+                <View style={styles.uploadProgressBar}>
+                  <View style={[styles.uploadProgressFill, { width: `${form.uploadStage === 'uploading' ? form.uploadProgress : 0}%` }]} />
+                </View>
+                <Text style={styles.uploadProgressText}>
+                  {form.uploadStage === 'uploading' ? `${form.uploadProgress}%` : ''}
+                </Text>
               </View>
-            </ScrollView>
+            )}
 
             {/* Action Buttons */}
-            <View style={styles.previewActions}>
-              <TouchableOpacity
-                style={styles.previewCancelBtn}
-                onPress={() => setShowPreview(false)}
-              >
-                <Text style={styles.previewCancelText}>Edit Report</Text>
-              </TouchableOpacity>
-              <TouchableOpacity
-                style={styles.previewConfirmBtn}
-                onPress={confirmSendReport}
-                disabled={form.submitting}
-              >
+            {form.duplicateCandidates.length === 0 && (
+              <View style={styles.previewActions}>
                 {form.submitting ? (
-                  <ActivityIndicator color="#fff" size="small" />
+                  <TouchableOpacity
+                    style={styles.previewCancelBtn}
+                    onPress={form.cancelUpload}
+                    disabled={form.uploadStage !== 'uploading'}
+                  >
+                    <Text style={[styles.previewCancelText, form.uploadStage !== 'uploading' && { color: '#cbd5e1' }]}>
+                      Cancel Upload
+                    </Text>
+                  </TouchableOpacity>
                 ) : (
-                  <>
-                    <Ionicons name="send" size={18} color="#fff" style={{ marginRight: 8 }} />
-                    <Text style={styles.previewConfirmText}>Confirm & Send</Text>
-                  </>
+                  <TouchableOpacity
+                    style={styles.previewCancelBtn}
+                    onPress={closePreview}
+                  >
+                    <Text style={styles.previewCancelText}>Edit Report</Text>
+                  </TouchableOpacity>
                 )}
-              </TouchableOpacity>
-            </View>
+                <TouchableOpacity
+                  style={styles.previewConfirmBtn}
+                  onPress={confirmSendReport}
+                  disabled={form.submitting || form.checkingDuplicates}
+                >
+                  {form.submitting || form.checkingDuplicates ? (
+                    <ActivityIndicator color="#fff" size="small" />
+                  ) : (
+                    <>
+                      <Ionicons name="send" size={18} color="#fff" style={{ marginRight: 8 }} />
+                      <Text style={styles.previewConfirmText}>{form.amendingReport ? 'Confirm & Save' : 'Confirm & Send'}</Text>
+                    </>
+                  )}
+                </TouchableOpacity>
+              </View>
+            )}
           </View>
         </View>
       </Modal>
 
+      <PhotoWatermarker ref={watermarkerRef} />
     </SafeAreaView>
   );
 });
@@ -0,0 +1,282 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { View, Text, TouchableOpacity, StatusBar, ScrollView, TextInput, ActivityIndicator } from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import { observer } from 'mobx-react-lite';
+import { useSettingsStore } from '../stores/RootStore';
+import LeafletMap from '../components/LeafletMap';
+import { fetchDmaCodes } from '../services/interceptor';
+import { ZOOM_LEVELS } from '../services/offlineTileManager';
+import {
+  ROUTE_BUFFER_OPTIONS,
+  validateRegionArea,
+  estimateRegion,
+  buildDmaArea,
+} from '../services/offlineRegions';
+import styles from '../styles/OfflineRegionStyles';
+
+const REGION_TYPES = [
+  { key: 'rectangle', label: 'Rectangle', icon: 'square-outline', hint: 'Tap two opposite corners.' },
+  { key: 'polygon', label: 'Polygon', icon: 'shapes-outline', hint: 'Tap around the area, point by point.' },
+  { key: 'dma', label: 'DMA', icon: 'git-network-outline', hint: 'Pick a DMA below.' },
+  { key: 'route', label: 'Route', icon: 'navigate-outline', hint: 'Tap along the planned route.' },
+];
+
+const formatMB = (bytes) => {
+  const mb = bytes / (1024 * 1024);
+  return mb >= 10 ? `${Math.round(mb)} MB` : `${mb.toFixed(1)} MB`;
+};
+
+/**
+ * New offline region - draw a rectangle or polygon, pick a DMA or tap out a
+ * route, choose the zoom range and see the tile count and size before the
+ * download starts. Saved regions are managed from Settings.
+ */
+const OfflineRegionScreen = observer(({ navigation }) => {
+  const settingsStore = useSettingsStore();
+  const [type, setType] = useState('rectangle');
+  const [points, setPoints] = useState([]);
+  const [bufferMeters, setBufferMeters] = useState(100);
+  const [dmaCodes, setDmaCodes] = useState([]);
+  const [dmaArea, setDmaArea] = useState(null);
+  const [loadingDma, setLoadingDma] = useState(false);
+  const [minZoom, setMinZoom] = useState(13);
+  const [maxZoom, setMaxZoom] = useState(17);
+  const [name, setName] = useState('');
+  const [estimate, setEstimate] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchDmaCodes()
+      .then(setDmaCodes)
+      .catch(() => setDmaCodes([]));
+  }, []);
+
+  // The shape and zoom range - the name is added on save so typing it does not recount tiles
+  const area = useMemo(() => {
+    const base = { type, minZoom, maxZoom };
+    if (type === 'rectangle') {
+      if (points.length < 2) return base;
+      const [[lat1, lon1], [lat2, lon2]] = points;
+      return {
+        ...base,
+        bounds: {
+          minLat: Math.min(lat1, lat2),
+          maxLat: Math.max(lat1, lat2),
+          minLon: Math.min(lon1, lon2),
+          maxLon: Math.max(lon1, lon2),
+        },
+      };
+    }
+    if (type === 'dma') return { ...base, ...dmaArea, type };
+    if (type === 'route') return { ...base, points, bufferMeters };
+    return { ...base, points };
+  }, [type, minZoom, maxZoom, points, bufferMeters, dmaArea]);
+
+  const problem = validateRegionArea(area);
+
+  // Counting polygon and route tiles walks every tile - wait until the drawing settles
+  useEffect(() => {
+    setEstimate(null);
+    if (problem) return undefined;
+    const timer = setTimeout(() => {
+      estimateRegion(area).then(setEstimate).catch(() => setEstimate(null));
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [area, problem]);
+
+  const changeType = (key) => {
+    setType(key);
+    setPoints([]);
+    setDmaArea(null);
+  };
+
+  const handleMapPress = ({ latitude, longitude }) => {
+    if (type === 'dma') return;
+    // A third tap starts a new rectangle
+    setPoints((current) => (type === 'rectangle' && current.length >= 2
+      ? [[latitude, longitude]]
+      : [...current, [latitude, longitude]]));
+  };
+
+  const pickDma = async (dmaCode) => {
+    setLoadingDma(true);
+    try {
+      setDmaArea(await buildDmaArea(dmaCode));
+      if (!name) setName(dmaCode);
+    } finally {
+      setLoadingDma(false);
+    }
+  };
+
+  const save = async () => {
+    setSaving(true);
+    const saved = await settingsStore.saveOfflineRegion({ ...area, name });
+    setSaving(false);
+    if (saved) navigation.goBack();
+  };
+
+  const typeInfo = REGION_TYPES.find((item) => item.key === type);
+  const drawPoints = type === 'dma' ? (dmaArea?.points || []) : points;
+
+  return (
+    <View style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#1e5a8e" translucent />
+
+      <LinearGradient colors={['#1e5a8e', '#2d7ab8']} style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backBtn}>
+          <Ionicons name="arrow-back" size={24} color="#fff" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>New Offline Region</Text>
+          <Text style={styles.headerSubtitle} numberOfLines={1}>{typeInfo.hint}</Text>
+        </View>
+      </LinearGradient>
+
+      <View style={styles.typeRow}>
+        {REGION_TYPES.map((item) => (
+          <TouchableOpacity
+            key={item.key}
+            style={[styles.typeChip, type === item.key && styles.typeChipActive]}
+            onPress={() => changeType(item.key)}
+          >
+            <Ionicons name={item.icon} size={16} color={type === item.key ? '#fff' : '#1e5a8e'} />
+            <Text style={[styles.typeChipText, type === item.key && styles.typeChipTextActive]}>{item.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.mapContainer}>
+        <LeafletMap
+          initialZoom={13}
+          showUserLocation={false}
+          onMapPress={handleMapPress}
+          drawMode={type === 'dma' ? 'polygon' : type}
+          drawPoints={drawPoints}
+          fitToDrawing={type === 'dma'}
+        />
+        {type !== 'dma' && points.length > 0 && (
+          <View style={styles.mapTools}>
+            <TouchableOpacity style={styles.mapToolBtn} onPress={() => setPoints((current) => current.slice(0, -1))}>
+              <Ionicons name="arrow-undo" size={18} color="#1e5a8e" />
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.mapToolBtn} onPress={() => setPoints([])}>
+              <Ionicons name="trash-outline" size={18} color="#dc2626" />
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+
+      <ScrollView style={styles.panel} contentContainerStyle={styles.panelContent} keyboardShouldPersistTaps="handled">
+        {type === 'dma' && (
+          <>
+            <Text style={styles.label}>DMA</Text>
+            {dmaCodes.length === 0 && <Text style={styles.hint}>DMA list unavailable - connect once to load it.</Text>}
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+              {dmaCodes.map((code) => (
+                <TouchableOpacity
+                  key={code}
+                  style={[styles.chip, dmaArea?.dmaCode === code && styles.chipActive]}
+                  onPress={() => pickDma(code)}
+                  disabled={loadingDma}
+                >
+                  <Text style={[styles.chipText, dmaArea?.dmaCode === code && styles.chipTextActive]}>{code}</Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+            {loadingDma && <ActivityIndicator color="#1e5a8e" style={{ marginTop: 8 }} />}
+            {dmaArea && !loadingDma && (
+              <Text style={styles.hint}>Area around {dmaArea.customerCount.toLocaleString()} customer location(s) in {dmaArea.dmaCode}</Text>
+            )}
+          </>
+        )}
+
+        {type === 'route' && (
+          <>
+            <Text style={styles.label}>Either side of the route</Text>
+            <View style={styles.chipRow}>
+              {ROUTE_BUFFER_OPTIONS.map((meters) => (
+                <TouchableOpacity
+                  key={meters}
+                  style={[styles.chip, bufferMeters === meters && styles.chipActive]}
+                  onPress={() => setBufferMeters(meters)}
+                >
+                  <Text style={[styles.chipText, bufferMeters === meters && styles.chipTextActive]}>{meters} m</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </>
+        )}
+
+        <Text style={styles.label}>Zoom from</Text>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+          {ZOOM_LEVELS.map((zoom) => (
+            <TouchableOpacity
+              key={zoom}
+              style={[styles.zoomChip, minZoom === zoom && styles.chipActive]}
+              onPress={() => {
+                setMinZoom(zoom);
+                if (zoom > maxZoom) setMaxZoom(zoom);
+              }}
+            >
+              <Text style={[styles.chipText, minZoom === zoom && styles.chipTextActive]}>{zoom}</Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+        <Text style={styles.label}>Zoom to</Text>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+          {ZOOM_LEVELS.map((zoom) => (
+            <TouchableOpacity
+              key={zoom}
+              style={[styles.zoomChip, maxZoom === zoom && styles.chipActive]}
+              onPress={() => {
+                setMaxZoom(zoom);
+                if (zoom < minZoom) setMinZoom(zoom);
+              }}
+            >
+              <Text style={[styles.chipText, maxZoom === zoom && styles.chipTextActive]}>{zoom}</Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+        <Text style={styles.hint}>13-15 shows streets, 16-18 shows buildings - each level up has four times the tiles.</Text>
+
+        <Text style={styles.label}>Name</Text>
+        <TextInput
+          style={styles.input}
+          value={name}
+          onChangeText={setName}
+          placeholder="e.g. Matina district"
+          placeholderTextColor="#94a3b8"
+        />
+
+        <View style={styles.estimate}>
+          {problem ? (
+            <Text style={styles.estimateHint}>{problem}</Text>
+          ) : estimate ? (
+            <>
+              <Text style={styles.estimateValue}>
+                {estimate.tileCount.toLocaleString()} tiles · ~{formatMB(estimate.bytes)}
+              </Text>
+              <Text style={styles.estimateHint}>Tiles you already have are not downloaded again.</Text>
+            </>
+          ) : (
+            <ActivityIndicator color="#1e5a8e" />
+          )}
+        </View>
+
+        <TouchableOpacity
+          style={[styles.saveBtn, (problem || !name.trim() || saving || settingsStore.mapsLoading) && styles.saveBtnDisabled]}
+          onPress={save}
+          disabled={!!problem || !name.trim() || saving || settingsStore.mapsLoading}
+        >
+          <Ionicons name="download-outline" size={18} color="#fff" style={{ marginRight: 8 }} />
+          <Text style={styles.saveBtnText}>
+            {settingsStore.mapsLoading ? 'Another download is running' : 'Save & Download'}
+          </Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+});
+
+export default OfflineRegionScreen;
@@ -0,0 +1,355 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  Image,
+  Modal,
+  StatusBar,
+  RefreshControl,
+  TextInput,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import { observer } from 'mobx-react-lite';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useDashboardStore, useOfflineStore } from '../stores/RootStore';
+import LeafletMap from '../components/LeafletMap';
+import {
+  getReportStatus,
+  buildStatusTimeline,
+  getReportPhotos,
+  getReportCoordinates,
+  getReportCrew,
+  isReportEditable,
+} from '../services/reportStatus';
+import { isReportNotPendingError } from '../services/interceptor';
+import { isApiUrl } from '../services/environment';
+import styles from '../styles/ReportDetailStyles';
+
+const formatDateTime = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+const DetailRow = ({ icon, label, value, last }) => {
+  if (!value) return null;
+  return (
+    <View style={[styles.detailRow, last && styles.detailRowLast]}>
+      <View style={styles.detailIcon}>
+        <Ionicons name={icon} size={18} color="#1e5a8e" />
+      </View>
+      <View style={styles.detailText}>
+        <Text style={styles.detailLabel}>{label}</Text>
+        <Text style={styles.detailValue}>{value}</Text>
+      </View>
+    </View>
+  );
+};
+
+const ReportDetailScreen = observer(({ navigation, route }) => {
+  const dashboardStore = useDashboardStore();
+  const offlineStore = useOfflineStore();
+  const [token, setToken] = useState(null);
+  const [viewerPhoto, setViewerPhoto] = useState(null);
+  const [withdrawVisible, setWithdrawVisible] = useState(false);
+  const [withdrawReason, setWithdrawReason] = useState('');
+  const [withdrawing, setWithdrawing] = useState(false);
+
+  // Prefer the store copy so a refresh shows the latest status
+  const initialReport = route?.params?.report || {};
+  const report = dashboardStore.allReports.find((item) => (
+    (initialReport.id && item.id === initialReport.id) || (initialReport.refNo && item.refNo === initialReport.refNo)
+  )) || initialReport;
+
+  const status = getReportStatus(report);
+  const timeline = buildStatusTimeline(report);
+  const photos = getReportPhotos(report);
+  const coordinates = getReportCoordinates(report);
+  const crew = getReportCrew(report);
+
+  // An edit or withdrawal waiting in the offline queue - no further changes until it is sent
+  const queuedChange = offlineStore.queueItems.find((item) => (
+    (item.type === 'leak_report_amendment' || item.type === 'leak_report_withdrawal') && item.data?.refNo === report.refNo
+  ));
+  const canChange = isReportEditable(report) && !queuedChange;
+
+  // Server photos need the same bearer token as the API; photos hosted elsewhere never get it
+  useEffect(() => {
+    AsyncStorage.getItem('token').then(setToken).catch(() => {});
+  }, []);
+
+  const photoSource = (uri) => (
+    token && isApiUrl(uri) ? { uri, headers: { Authorization: `Bearer ${token}` } } : { uri }
+  );
+
+  const openOnMap = () => {
+    navigation.navigate('MainTabs', {
+      screen: 'Report',
+      params: {
+        screen: 'ReportMap',
+        params: coordinates
+          ? {
+            refNo: report.refNo,
+            latitude: coordinates.latitude,
+            longitude: coordinates.longitude,
+            location: report.reportedLocation,
+            meterNumber: report.referenceMtr,
+          }
+          : { refNo: report.refNo, meterNumber: report.referenceMtr },
+      },
+    });
+  };
+
+  const editReport = () => {
+    navigation.navigate('LeakReportForm', { fromReport: true, report });
+  };
+
+  const confirmWithdraw = async () => {
+    const reason = withdrawReason.trim();
+    setWithdrawing(true);
+    try {
+      if (offlineStore.isOnline) {
+        await dashboardStore.withdrawReport(report.refNo, reason);
+        Alert.alert('Report withdrawn', `${report.refNo} has been withdrawn.`);
+      } else {
+        await offlineStore.enqueueReportWithdrawal(report.refNo, reason);
+        Alert.alert('Withdrawal queued', 'You are offline. The report will be withdrawn automatically when you are back online.');
+      }
+      setWithdrawVisible(false);
+      setWithdrawReason('');
+    } catch (error) {
+      if (isReportNotPendingError(error)) {
+        setWithdrawVisible(false);
+        dashboardStore.loadLeakReports();
+        Alert.alert('Report can no longer be withdrawn', 'Dispatch has already acted on this report. Ask them to cancel it from the web.');
+      } else {
+        Alert.alert('Withdrawal failed', error?.message || 'Failed to withdraw the report. Please try again.');
+      }
+    } finally {
+      setWithdrawing(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#1e5a8e" translucent />
+
+      <LinearGradient colors={['#1e5a8e', '#2d7ab8']} style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backBtn}>
+          <Ionicons name="arrow-back" size={24} color="#fff" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>Report Details</Text>
+          <Text style={styles.headerSubtitle} numberOfLines={1}>{report.refNo || 'N/A'}</Text>
+        </View>
+      </LinearGradient>
+
+      <ScrollView
+        contentContainerStyle={styles.content}
+        refreshControl={(
+          <RefreshControl
+            refreshing={dashboardStore.loadingReports && dashboardStore.initialLoadComplete}
+            onRefresh={() => dashboardStore.loadLeakReports()}
+          />
+        )}
+      >
+        {/* Status and key details */}
+        <View style={styles.card}>
+          <View style={styles.statusRow}>
+            <View style={[styles.statusBadge, { backgroundColor: status.color + '20' }]}>
+              <Ionicons name={status.icon} size={16} color={status.color} />
+              <Text style={[styles.statusBadgeText, { color: status.color }]}>{status.label}</Text>
+            </View>
+            <Text style={styles.reportedAt}>{formatDateTime(report.dtReported)}</Text>
+          </View>
+
+          <DetailRow icon="location" label="Location" value={report.reportedLocation} />
+          <DetailRow icon="flag" label="Landmark" value={report.reportedLandmark} />
+          <DetailRow icon="speedometer" label="Meter Number" value={report.referenceMtr} />
+          <DetailRow icon="git-network" label="DMA" value={report.dmaCode} last />
+        </View>
+
+        {/* Changes allowed while the report is still pending */}
+        {queuedChange && (
+          <View style={styles.queuedNotice}>
+            <Ionicons name="cloud-upload-outline" size={18} color="#d97706" />
+            <Text style={styles.queuedNoticeText}>
+              {queuedChange.type === 'leak_report_withdrawal' ? 'Withdrawal' : 'Changes'} waiting to upload
+              {queuedChange.status === 'failed' && queuedChange.lastError ? ` - ${queuedChange.lastError}` : ''}
+            </Text>
+          </View>
+        )}
+        {canChange && (
+          <View style={styles.manageRow}>
+            <TouchableOpacity style={[styles.actionButton, styles.manageButton]} onPress={editReport}>
+              <Ionicons name="create-outline" size={18} color="#fff" />
+              <Text style={styles.actionButtonText}>Edit Report</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.actionButton, styles.manageButton, styles.withdrawButton]} onPress={() => setWithdrawVisible(true)}>
+              <Ionicons name="trash-outline" size={18} color="#dc2626" />
+              <Text style={[styles.actionButtonText, styles.withdrawButtonText]}>Withdraw</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {/* Lifecycle timeline */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Status Timeline</Text>
+          {timeline.map((step, index) => (
+            <View key={step.key} style={styles.timelineStep}>
+              <View style={styles.timelineRail}>
+                <View style={[styles.timelineDot, step.reached && { backgroundColor: step.color }]}>
+                  <Ionicons name={step.icon} size={16} color={step.reached ? '#fff' : '#94a3b8'} />
+                </View>
+                {index < timeline.length - 1 && (
+                  <View style={[styles.timelineLine, timeline[index + 1].reached && { backgroundColor: step.color }]} />
+                )}
+              </View>
+              <View style={styles.timelineBody}>
+                <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                  <Text style={[styles.timelineLabel, !step.reached && styles.timelineLabelPending]}>{step.label}</Text>
+                  {step.current && (
+                    <Text style={[styles.currentTag, { backgroundColor: step.color }]}>CURRENT</Text>
+                  )}
+                </View>
+                {step.timestamp ? (
+                  <Text style={styles.timelineTime}>{formatDateTime(step.timestamp)}</Text>
+                ) : step.reached ? (
+                  <Text style={styles.timelineTime}>Date not recorded</Text>
+                ) : null}
+                {step.crew && <Text style={styles.timelineNote}>Crew: {step.crew}</Text>}
+                {step.note && <Text style={styles.timelineNote}>{step.note}</Text>}
+              </View>
+            </View>
+          ))}
+        </View>
+
+        {/* Responsible crew */}
+        {crew && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Responsible Crew</Text>
+            <DetailRow icon="people" label="Crew" value={crew.name} />
+            <DetailRow icon="person" label="Leader" value={crew.leader !== crew.name ? crew.leader : null} />
+            <DetailRow icon="call" label="Contact" value={crew.contact} />
+            <DetailRow icon="list" label="Members" value={crew.members.join(', ')} last />
+          </View>
+        )}
+
+        {/* Photos */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Photos</Text>
+          {photos.length > 0 ? (
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.photoRow}>
+              {photos.map((photo) => (
+                <TouchableOpacity key={photo.uri} onPress={() => setViewerPhoto(photo)} activeOpacity={0.8}>
+                  <Image source={photoSource(photo.uri)} style={styles.photo} resizeMode="cover" />
+                  <Text style={styles.photoLabel} numberOfLines={1}>{photo.caption || photo.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          ) : (
+            <Text style={styles.emptyText}>No photos available from the server for this report.</Text>
+          )}
+        </View>
+
+        {/* Map location */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Location</Text>
+          {coordinates ? (
+            <View style={styles.mapContainer}>
+              <LeafletMap
+                initialCenter={[coordinates.latitude, coordinates.longitude]}
+                initialZoom={17}
+                markers={[{ position: [coordinates.latitude, coordinates.longitude], label: '', color: status.color }]}
+                showUserLocation={false}
+              />
+            </View>
+          ) : (
+            <Text style={[styles.emptyText, { marginBottom: 12 }]}>GPS coordinates are not available for this report.</Text>
+          )}
+          {(coordinates || report.referenceMtr) && (
+            <TouchableOpacity style={styles.actionButton} onPress={openOnMap}>
+              <Ionicons name="map" size={18} color="#fff" />
+              <Text style={styles.actionButtonText}>Open in Map</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </ScrollView>
+
+      <Modal
+        visible={withdrawVisible}
+        transparent
+        animationType="fade"
+        onRequestClose={() => { if (!withdrawing) setWithdrawVisible(false); }}
+      >
+        <View style={styles.withdrawOverlay}>
+          <View style={styles.withdrawCard}>
+            <Text style={styles.cardTitle}>Withdraw {report.refNo}?</Text>
+            <Text style={styles.withdrawHint}>
+              The report will be cancelled and removed from dispatch. This cannot be undone from the app.
+            </Text>
+            <TextInput
+              style={styles.withdrawInput}
+              placeholder="Reason (e.g. duplicate report)"
+              value={withdrawReason}
+              onChangeText={setWithdrawReason}
+              editable={!withdrawing}
+              multiline
+            />
+            <View style={styles.manageRow}>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.manageButton, styles.cancelButton]}
+                onPress={() => setWithdrawVisible(false)}
+                disabled={withdrawing}
+              >
+                <Text style={[styles.actionButtonText, styles.cancelButtonText]}>Keep Report</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.manageButton, styles.withdrawConfirmButton]}
+                onPress={confirmWithdraw}
+                disabled={withdrawing}
+              >
+                {withdrawing
+                  ? <ActivityIndicator color="#fff" size="small" />
+                  : <Text style={styles.actionButtonText}>Withdraw</Text>}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      <Modal
+        visible={Boolean(viewerPhoto)}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setViewerPhoto(null)}
+      >
+        <View style={styles.viewerOverlay}>
+          {viewerPhoto && (
+            <>
+              <Image source={photoSource(viewerPhoto.uri)} style={styles.viewerImage} resizeMode="contain" />
+              <Text style={styles.viewerCaption}>{viewerPhoto.caption || viewerPhoto.label}</Text>
+            </>
+          )}
+          <TouchableOpacity style={styles.viewerClose} onPress={() => setViewerPhoto(null)}>
+            <Ionicons name="close-circle" size={36} color="#fff" />
+          </TouchableOpacity>
+        </View>
+      </Modal>
+    </View>
+  );
+});
+
+export default ReportDetailScreen;
@@ -0,0 +1,99 @@
+import React, { useEffect, useMemo } from 'react';
+import { View, Text, TouchableOpacity, StatusBar, ActivityIndicator } from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import { observer } from 'mobx-react-lite';
+import { useDashboardStore } from '../stores/RootStore';
+import LeafletMap from '../components/LeafletMap';
+import { REPORT_STATUSES, getReportStatus, getReportCoordinates } from '../services/reportStatus';
+import styles from '../styles/ReportsMapStyles';
+
+const reportId = (report) => String(report.id ?? report.refNo ?? report.RefNo ?? '');
+
+/**
+ * My Reports map - every report the inspector has filed, coloured by status.
+ * Nearby reports are grouped into count bubbles; tapping a report opens its detail.
+ */
+const ReportsMapScreen = observer(({ navigation }) => {
+  const dashboardStore = useDashboardStore();
+  const reports = dashboardStore.allReports;
+
+  useEffect(() => {
+    dashboardStore.loadFullReports();
+  }, [dashboardStore]);
+
+  // Only what the map needs goes into the WebView - not the full report records
+  const markers = useMemo(() => reports.reduce((list, report) => {
+    const coordinates = getReportCoordinates(report);
+    if (!coordinates) return list;
+    const status = getReportStatus(report);
+    return [...list, {
+      id: reportId(report),
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude,
+      color: status.color,
+      variant: 'dot',
+      onClick: true,
+    }];
+  }, []), [reports]);
+
+  const unmappedCount = reports.length - markers.length;
+
+  const openReport = (marker) => {
+    const report = reports.find((item) => reportId(item) === marker.id);
+    if (report) navigation.navigate('ReportDetail', { report });
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#1e5a8e" translucent />
+
+      <LinearGradient colors={['#1e5a8e', '#2d7ab8']} style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backBtn}>
+          <Ionicons name="arrow-back" size={24} color="#fff" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>My Reports</Text>
+          <Text style={styles.headerSubtitle} numberOfLines={1}>
+            {markers.length} on the map{unmappedCount > 0 ? ` · ${unmappedCount} without a location` : ''}
+          </Text>
+        </View>
+        {dashboardStore.fullReportsLoading && <ActivityIndicator color="#fff" />}
+      </LinearGradient>
+
+      <View style={styles.mapContainer}>
+        {markers.length > 0 ? (
+          <LeafletMap
+            markers={markers}
+            clusterMarkers
+            fitToMarkers
+            showUserLocation={false}
+            onMarkerPress={openReport}
+          />
+        ) : (
+          <View style={styles.emptyState}>
+            {dashboardStore.fullReportsLoading ? (
+              <ActivityIndicator size="large" color="#1e5a8e" />
+            ) : (
+              <>
+                <Ionicons name="map-outline" size={48} color="#cbd5e1" />
+                <Text style={styles.emptyText}>None of your reports have a location to show yet.</Text>
+              </>
+            )}
+          </View>
+        )}
+      </View>
+
+      <View style={styles.legend}>
+        {Object.entries(REPORT_STATUSES).map(([key, status]) => (
+          <View key={key} style={styles.legendItem}>
+            <View style={[styles.legendDot, { backgroundColor: status.color }]} />
+            <Text style={styles.legendLabel}>{status.label}</Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+});
+
+export default ReportsMapScreen;
@@ -13,7 +13,9 @@ import {
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import Constants from 'expo-constants';
-import { logout } from '../services/interceptor';
+import { logout, clearDmaCodeCache } from '../services/interceptor';
+import { clearCatalogCache } from '../services/catalogService';
+import { getQueue } from '../services/offlineQueue';
 import { stopLocationTracking } from '../services/locationTracker';
 import updateChecker from '../services/updateChecker';
 import VersionCheck from 'react-native-version-check';
@@ -25,9 +27,27 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { useFocusEffect } from '@react-navigation/native';
 import { settingsStyles as styles } from '../settingstheme';
 import GisCustomerInterceptor from '../services/gisCustomerInterceptor';
+import { PHOTO_PRESETS } from '../services/photoPipeline';
+import { DUPLICATE_RADIUS_OPTIONS, DUPLICATE_WINDOW_OPTIONS } from '../services/duplicateCheck';
+import { REGION_TYPE_LABELS } from '../services/offlineRegions';
+import { TILE_MAX_AGE_OPTIONS, TILE_BUDGET_OPTIONS } from '../services/tileCache';
+import { getEnvironments, getEnvironmentName, getBuildEnvironmentName, setEnvironment, getMapZipUrl } from '../services/environment';
 
-const MAP_URL = 'https://davao-water.gov.ph/dcwdApps/mobileApps/reactMap/davroad.zip';
 const OFFLINE_MAP_KEY = '@offline_map_enabled';
+const ENVIRONMENT_UNLOCK_TAPS = 7;
+
+// Time left of the map download, e.g. "~1 h 5 min left"
+const formatEta = (seconds) => {
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes <= 1) return 'under a minute left';
+  if (minutes < 60) return `~${minutes} min left`;
+  return `~${Math.floor(minutes / 60)} h ${minutes % 60} min left`;
+};
+
+const formatBudget = (mb) => {
+  if (!mb) return 'No limit';
+  return mb >= 1024 ? `${mb / 1024} GB` : `${mb} MB`;
+};
 
 const SettingsScreen = observer(({ navigation }) => {
   const insets = useSafeAreaInsets();
@@ -42,6 +62,8 @@ const SettingsScreen = observer(({ navigation }) => {
   const [gisDownloadProgress, setGisDownloadProgress] = useState(0);
   const [gisTotalRecords, setGisTotalRecords] = useState(0);
   const [gisStatus, setGisStatus] = useState('downloading');
+  const [versionTaps, setVersionTaps] = useState(0);
+  const [activeEnvironment, setActiveEnvironment] = useState(getEnvironmentName());
 
   // Get app version on mount
   useEffect(() => {
@@ -109,6 +131,9 @@ const SettingsScreen = observer(({ navigation }) => {
   useEffect(() => {
     checkCustomerStatus();
     store.loadPreset();
+    store.loadPhotoSettings();
+    store.loadDuplicateCheckSettings();
+    store.loadTileCacheSettings();
 
     const interval = setInterval(() => {
       checkCustomerStatus();
@@ -119,6 +144,8 @@ const SettingsScreen = observer(({ navigation }) => {
   useFocusEffect(
     React.useCallback(() => {
       checkCustomerStatus();
+      // A region saved on the region screen shows up (and starts downloading) on return
+      store.loadOfflineRegions();
     }, [])
   );
 
@@ -133,6 +160,56 @@ const SettingsScreen = observer(({ navigation }) => {
 
   const cancelLogout = () => store.setLogoutModalVisible(false);
 
+  // Tapping App Version 7 times reveals the tester-only Environment section
+  const showEnvironmentSection = versionTaps >= ENVIRONMENT_UNLOCK_TAPS;
+
+  const handleVersionTap = () => {
+    if (showEnvironmentSection) return;
+    const next = versionTaps + 1;
+    setVersionTaps(next);
+    if (next === ENVIRONMENT_UNLOCK_TAPS) {
+      Alert.alert('Environment', 'Tester environment settings unlocked.');
+    }
+  };
+
+  const handleSwitchEnvironment = async (env) => {
+    if (env.name === activeEnvironment) return;
+    // Queued items were made against the current server and would sync to the new one
+    const queued = (await getQueue()).length;
+    if (queued) {
+      Alert.alert(
+        'Offline Queue Not Empty',
+        `${queued} item(s) are waiting in the offline queue for the current server. Sync or clear them before switching environments.`
+      );
+      return;
+    }
+    Alert.alert(
+      'Switch Environment',
+      `Switch to ${env.label}?\n\n${env.apiBaseUrl}\n\nYou will be logged out and need to sign in again on the selected server.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Switch',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              stopLocationTracking();
+              await logout();
+              // Catalogs and DMA codes come from the server - load them again from the new one
+              await Promise.all([clearCatalogCache(), clearDmaCodeCache()]);
+              await setEnvironment(env.name);
+              setActiveEnvironment(env.name);
+              navigation.reset({ index: 0, routes: [{ name: 'Splash' }] });
+            } catch (error) {
+              console.log('[Settings] Failed to switch environment:', error);
+              Alert.alert('Error', 'Failed to switch environment');
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const handleDownloadMap = async () => {
     Alert.alert(
       'Download Map',
@@ -146,7 +223,7 @@ const SettingsScreen = observer(({ navigation }) => {
           text: 'Download',
           onPress: async () => {
             // Start download in background
-            MapStore.initializeMap(MAP_URL);
+            MapStore.initializeMap(getMapZipUrl());
           }
         }
       ]
@@ -173,6 +250,33 @@ const SettingsScreen = observer(({ navigation }) => {
     );
   };
 
+  const handleUpdateRegion = (region) => {
+    const complete = region.storedTiles >= region.tileCount;
+    Alert.alert(
+      complete ? 'Update Region' : 'Download Region',
+      complete
+        ? `Download all ${region.tileCount.toLocaleString()} tiles of ${region.name} again to pick up map changes?`
+        : `Download the ${(region.tileCount - region.storedTiles).toLocaleString()} missing tiles of ${region.name}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: complete ? 'Update' : 'Download', onPress: () => store.startRegionDownload(region, { refresh: complete }) },
+      ]
+    );
+  };
+
+  const handleDeleteRegion = (region) => {
+    Alert.alert(
+      'Delete Region',
+      `Delete ${region.name} and its offline tiles? Tiles other regions also use are kept.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => store.deleteOfflineRegion(region.id) },
+      ]
+    );
+  };
+
+  const downloadingRegion = store.offlineRegions.find((region) => region.id === store.downloadingRegionId);
+
   const getMapStatusText = () => {
     if (MapStore.isReady) return 'Downloaded';
     if (MapStore.isDownloading || MapStore.isUnzipping) return 'Downloading...';
@@ -270,6 +374,25 @@ const SettingsScreen = observer(({ navigation }) => {
             </View>
           </View>
 
+          {MapStore.isReady && MapStore.downloadedAt && (
+            <View style={styles.itemRow}>
+              <Text style={styles.itemLabel}>Downloaded:</Text>
+              <Text style={[styles.itemValue, MapStore.isOutOfDate && { color: '#d97706' }]}>
+                {new Date(MapStore.downloadedAt).toLocaleDateString()}
+              </Text>
+            </View>
+          )}
+
+          {MapStore.isOutOfDate && !MapStore.isDownloading && !MapStore.isUnzipping && (
+            <Text style={styles.waitingText}>
+              The offline map is over {MapStore.maxAgeDays} days old. Re-download it to pick up map changes.
+            </Text>
+          )}
+
+          {MapStore.wasPurged && !MapStore.isReady && !MapStore.isDownloading && (
+            <Text style={styles.waitingText}>{MapStore.statusMessage}</Text>
+          )}
+
           {/* Offline Map Toggle - Only show when map is ready */}
           {MapStore.isReady && !MapStore.isDownloading && !MapStore.isUnzipping && (
             <View style={styles.itemRow}>
@@ -322,6 +445,132 @@ const SettingsScreen = observer(({ navigation }) => {
           )}
         </View>
 
+        {/* Offline Regions Card - OSM tiles for chosen areas, DMAs or routes */}
+        <View style={styles.sheet}>
+          <View style={styles.cardHeaderRow}>
+            <View style={styles.detailIcon}><Ionicons name="layers-outline" size={18} color="#1f3a8a" /></View>
+            <Text style={styles.sheetTitle}>Offline Regions</Text>
+          </View>
+
+          <View style={{ marginTop: 8 }}>
+            <View style={styles.itemRow}>
+              <Text style={styles.itemLabel}>Stored Tiles:</Text>
+              <Text style={styles.itemValue}>{store.cachedTiles.toLocaleString()} ({store.storageUsed} MB)</Text>
+            </View>
+          </View>
+
+          {store.mapsLoading && (
+            <View style={styles.progressSection}>
+              <Text style={styles.progressLabel}>
+                {downloadingRegion ? `${downloadingRegion.name}: ` : ''}{store.mapsStatus}
+              </Text>
+              <View style={styles.progressBar}>
+                <View style={[styles.progressFill, { width: `${store.updateProgress}%` }]} />
+              </View>
+              <Text style={styles.progressText}>
+                {store.updateProgress}%{store.mapsDownloadSpeed > 0 ? ` · ${store.mapsDownloadSpeed} tiles/s` : ''}
+                {!store.mapsPaused && store.mapsEta != null ? ` · ${formatEta(store.mapsEta)}` : ''}
+              </Text>
+              <View style={styles.regionControls}>
+                <TouchableOpacity
+                  style={styles.regionActionBtn}
+                  onPress={() => (store.mapsPaused ? store.resumeMapDownload() : store.pauseMapDownload())}
+                >
+                  <Ionicons name={store.mapsPaused ? 'play' : 'pause'} size={16} color="#1f3a8a" />
+                  <Text style={styles.regionActionText}>{store.mapsPaused ? 'Resume' : 'Pause'}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.regionActionBtn} onPress={() => store.cancelMapDownload()}>
+                  <Ionicons name="close" size={16} color="#ef4444" />
+                  <Text style={[styles.regionActionText, { color: '#ef4444' }]}>Cancel</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
+
+          {store.offlineRegions.map((region) => (
+            <View key={region.id} style={styles.regionRow}>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.regionName}>{region.name}</Text>
+                <Text style={styles.regionMeta}>
+                  {REGION_TYPE_LABELS[region.type] || 'Area'} · Zoom {region.minZoom}-{region.maxZoom}
+                </Text>
+                <Text style={styles.regionMeta}>
+                  {region.storedTiles.toLocaleString()} / {region.tileCount.toLocaleString()} tiles · {(region.bytes / (1024 * 1024)).toFixed(1)} MB
+                </Text>
+              </View>
+              <TouchableOpacity
+                style={styles.regionIconBtn}
+                onPress={() => handleUpdateRegion(region)}
+                disabled={store.mapsLoading}
+              >
+                <Ionicons
+                  name={region.storedTiles >= region.tileCount ? 'refresh' : 'download-outline'}
+                  size={20}
+                  color={store.mapsLoading ? '#9ca3af' : '#1f3a8a'}
+                />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.regionIconBtn}
+                onPress={() => store.setRegionPinned(region.id, !region.pinned)}
+              >
+                <Ionicons name={region.pinned ? 'pin' : 'pin-outline'} size={20} color="#1f3a8a" />
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.regionIconBtn} onPress={() => handleDeleteRegion(region)}>
+                <Ionicons name="trash-outline" size={20} color="#ef4444" />
+              </TouchableOpacity>
+            </View>
+          ))}
+
+          {store.offlineRegions.length === 0 && (
+            <Text style={styles.waitingText}>No offline regions yet. Add the area you work in to use the map without signal.</Text>
+          )}
+
+          <View style={{ marginTop: 12 }}>
+            <Text style={styles.itemLabel}>Refresh tiles older than</Text>
+            <View style={styles.presetRow}>
+              {TILE_MAX_AGE_OPTIONS.map((days) => (
+                <TouchableOpacity
+                  key={days}
+                  style={[styles.presetChip, store.tileMaxAgeDays === days && styles.presetChipActive]}
+                  onPress={() => store.saveTileCacheSetting({ maxAgeDays: days })}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.presetChipText, store.tileMaxAgeDays === days && styles.presetChipTextActive]}>
+                    {days ? `${days} days` : 'Never'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+
+          <View style={{ marginTop: 12 }}>
+            <Text style={styles.itemLabel}>Storage limit</Text>
+            <View style={styles.presetRow}>
+              {TILE_BUDGET_OPTIONS.map((mb) => (
+                <TouchableOpacity
+                  key={mb}
+                  style={[styles.presetChip, store.tileBudgetMB === mb && styles.presetChipActive]}
+                  onPress={() => store.saveTileCacheSetting({ budgetMB: mb })}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.presetChipText, store.tileBudgetMB === mb && styles.presetChipTextActive]}>
+                    {formatBudget(mb)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <Text style={styles.regionMeta}>Tiles shown least recently go first. Pinned regions are always kept.</Text>
+          </View>
+
+          <TouchableOpacity
+            style={styles.primaryBtn}
+            onPress={() => navigation.navigate('OfflineRegion')}
+          >
+            <Ionicons name="add" size={18} color="#fff" style={{ marginRight: 8 }} />
+            <Text style={styles.primaryBtnText}>Add Region</Text>
+          </TouchableOpacity>
+        </View>
+
         {/* Customer Data Card */}
         <View style={styles.sheet}>
           <View style={styles.cardHeaderRow}>
@@ -483,6 +732,90 @@ const SettingsScreen = observer(({ navigation }) => {
           )}
         </View>
 
+        {/* Report Photos Card */}
+        <View style={styles.sheet}>
+          <View style={styles.cardHeaderRow}>
+            <View style={styles.detailIcon}><Ionicons name="camera-outline" size={18} color="#1f3a8a" /></View>
+            <Text style={styles.sheetTitle}>Report Photos</Text>
+          </View>
+
+          <View style={{ marginTop: 8 }}>
+            <Text style={styles.itemLabel}>Upload Quality</Text>
+            <View style={styles.presetRow}>
+              {Object.entries(PHOTO_PRESETS).map(([key, preset]) => (
+                <TouchableOpacity
+                  key={key}
+                  style={[styles.presetChip, store.photoPreset === key && styles.presetChipActive]}
+                  onPress={() => store.savePhotoPreset(key)}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.presetChipText, store.photoPreset === key && styles.presetChipTextActive]}>
+                    {preset.label}
+                  </Text>
+                  <Text style={[styles.presetChipHint, store.photoPreset === key && styles.presetChipTextActive]}>
+                    ~{preset.targetKB >= 1000 ? `${preset.targetKB / 1000} MB` : `${preset.targetKB} KB`}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+
+          <View style={styles.itemRow}>
+            <Text style={styles.itemLabel}>Watermark photos (date, location, Ref No.)</Text>
+            <Switch
+              value={store.photoWatermark}
+              onValueChange={(value) => store.setPhotoWatermark(value)}
+              trackColor={{ false: '#d1d1d6', true: '#34C759' }}
+              thumbColor={store.photoWatermark ? '#fff' : '#f4f3f4'}
+              ios_backgroundColor="#d1d1d6"
+            />
+          </View>
+        </View>
+
+        {/* Duplicate Check Card */}
+        <View style={styles.sheet}>
+          <View style={styles.cardHeaderRow}>
+            <View style={styles.detailIcon}><Ionicons name="git-merge-outline" size={18} color="#1f3a8a" /></View>
+            <Text style={styles.sheetTitle}>Duplicate Check</Text>
+          </View>
+
+          <View style={{ marginTop: 8 }}>
+            <Text style={styles.itemLabel}>Warn about open leaks within</Text>
+            <View style={styles.presetRow}>
+              {DUPLICATE_RADIUS_OPTIONS.map((radius) => (
+                <TouchableOpacity
+                  key={radius}
+                  style={[styles.presetChip, store.duplicateRadius === radius && styles.presetChipActive]}
+                  onPress={() => store.saveDuplicateCheckSetting({ radiusMeters: radius })}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.presetChipText, store.duplicateRadius === radius && styles.presetChipTextActive]}>
+                    {radius} m
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+
+          <View style={{ marginTop: 12 }}>
+            <Text style={styles.itemLabel}>Reported in the last</Text>
+            <View style={styles.presetRow}>
+              {DUPLICATE_WINDOW_OPTIONS.map((days) => (
+                <TouchableOpacity
+                  key={days}
+                  style={[styles.presetChip, store.duplicateWindowDays === days && styles.presetChipActive]}
+                  onPress={() => store.saveDuplicateCheckSetting({ windowDays: days })}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.presetChipText, store.duplicateWindowDays === days && styles.presetChipTextActive]}>
+                    {days === 1 ? '1 day' : `${days} days`}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        </View>
+
         {/* General Settings */}
         <View style={styles.sheet}>
           <View style={styles.cardHeaderRow}>
@@ -491,10 +824,10 @@ const SettingsScreen = observer(({ navigation }) => {
           </View>
 
           <View style={{ marginTop: 8 }}>
-            <View style={styles.itemRow}>
+            <TouchableOpacity style={styles.itemRow} onPress={handleVersionTap} activeOpacity={1}>
               <Text style={styles.itemLabel}>App Version</Text>
               <Text style={styles.itemValue}>{appVersion}</Text>
-            </View>
+            </TouchableOpacity>
             <View style={styles.itemRow}>
               <Text style={styles.itemLabel}>Build Number</Text>
               <Text style={styles.itemValue}>{buildNumber}</Text>
@@ -546,8 +879,61 @@ const SettingsScreen = observer(({ navigation }) => {
               </>
             )}
           </TouchableOpacity>
+
+          {/* Export Diagnostics Button */}
+          <TouchableOpacity
+            style={[styles.primaryBtn, { backgroundColor: '#fff', borderWidth: 1, borderColor: '#6b7280', marginTop: 8 }]}
+            disabled={store.exportingDiagnostics}
+            onPress={() => store.exportDiagnostics()}
+          >
+            {store.exportingDiagnostics ? (
+              <>
+                <ActivityIndicator size="small" color="#6b7280" style={{ marginRight: 6 }} />
+                <Text style={[styles.primaryBtnText, { color: '#6b7280' }]}>Preparing...</Text>
+              </>
+            ) : (
+              <>
+                <Ionicons name="bug-outline" size={18} color="#6b7280" style={{ marginRight: 6 }} />
+                <Text style={[styles.primaryBtnText, { color: '#6b7280' }]}>Send Diagnostics to Support</Text>
+              </>
+            )}
+          </TouchableOpacity>
         </View>
 
+        {/* Environment (hidden, for testers) */}
+        {showEnvironmentSection && (
+          <View style={styles.sheet}>
+            <View style={styles.cardHeaderRow}>
+              <View style={styles.detailIcon}><Ionicons name="server-outline" size={18} color="#1f3a8a" /></View>
+              <Text style={styles.sheetTitle}>Environment</Text>
+            </View>
+
+            <View style={{ marginTop: 8 }}>
+              <Text style={styles.itemLabel}>API server</Text>
+              <View style={styles.presetRow}>
+                {getEnvironments().map((env) => (
+                  <TouchableOpacity
+                    key={env.name}
+                    style={[styles.presetChip, activeEnvironment === env.name && styles.presetChipActive]}
+                    onPress={() => handleSwitchEnvironment(env)}
+                    activeOpacity={0.7}
+                  >
+                    <Text style={[styles.presetChipText, activeEnvironment === env.name && styles.presetChipTextActive]}>
+                      {env.label}
+                    </Text>
+                    <Text style={[styles.presetChipHint, activeEnvironment === env.name && styles.presetChipTextActive]}>
+                      {env.name === getBuildEnvironmentName() ? 'Build default' : 'Override'}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <Text style={styles.environmentUrl} numberOfLines={2}>
+                {getEnvironments().find((env) => env.name === activeEnvironment)?.apiBaseUrl}
+              </Text>
+            </View>
+          </View>
+        )}
+
         {/* Logout Button */}
         <View style={{ marginHorizontal: 16, marginTop: 24 }}>
           <TouchableOpacity style={styles.logoutBtn} onPress={handleLogout}>
@@ -7,6 +7,7 @@ import { observer } from 'mobx-react-lite';
 import { useAuthStore } from '../stores/RootStore';
 import { startLocationTracking } from '../services/locationTracker';
 import { verifyLocationAccess, showLocationErrorAlert, getAllowedAreaName } from '../services/locationGuard';
+import { loadEnvironment } from '../services/environment';
 import styles from '../styles/SplashStyles';
 
 const { width, height } = Dimensions.get('window');
@@ -50,6 +51,8 @@ const SplashScreen = observer(({ navigation }) => {
     
     // Location is allowed, now check authentication
     try {
+      // Make sure a saved environment override is applied before the first API call
+      await loadEnvironment();
       const isAuthenticated = await authStore.checkAutoLogin();
       if (isAuthenticated) {
         console.log('[SplashScreen] User authenticated, navigating to MainTabs');
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Leaflet Bundle Script for LeakDetection
+ *
+ * The WebView map (components/LeafletMap.js) inlines Leaflet instead of loading
+ * it from a CDN, so the map still opens with no signal. This script copies the
+ * installed Leaflet (and any plugins listed below) into
+ * assets/leaflet/leafletAssets.js, with the images the CSS uses as data URIs.
+ *
+ * Usage:
+ *   node scripts/bundleLeaflet.js           - Regenerate the bundle from node_modules
+ *   node scripts/bundleLeaflet.js --check   - Fail when the bundle does not match the installed versions
+ *
+ * Run it after changing the leaflet version in package.json or adding a plugin.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const rootPath = path.join(__dirname, '..');
+const outputPath = path.join(rootPath, 'assets/leaflet/leafletAssets.js');
+
+// Loaded in this order; a plugin is one more entry with its package, css and js paths
+const LIBRARIES = [
+  {
+    name: 'leaflet',
+    css: ['dist/leaflet.css'],
+    js: ['dist/leaflet.js'],
+  },
+];
+
+const args = process.argv.slice(2);
+const checkOnly = args.includes('--check');
+
+const packageDir = (name) => path.dirname(require.resolve(`${name}/package.json`, { paths: [rootPath] }));
+const installedVersion = (name) => JSON.parse(fs.readFileSync(path.join(packageDir(name), 'package.json'), 'utf8')).version;
+
+// url(images/x.png) -> url(data:image/png;base64,...) so the CSS needs no files
+const inlineCssImages = (css, cssDir) => css.replace(/url\((['"]?)([^)'"]+\.(png|svg|gif))\1\)/g, (match, quote, file, ext) => {
+  const filePath = path.join(cssDir, file);
+  if (!fs.existsSync(filePath)) return match;
+  const mime = ext === 'svg' ? 'image/svg+xml' : `image/${ext}`;
+  return `url(data:${mime};base64,${fs.readFileSync(filePath).toString('base64')})`;
+});
+
+const readLibrary = (library) => {
+  const dir = packageDir(library.name);
+  const css = library.css.map((file) => inlineCssImages(fs.readFileSync(path.join(dir, file), 'utf8'), path.dirname(path.join(dir, file))));
+  const js = library.js.map((file) => fs.readFileSync(path.join(dir, file), 'utf8'));
+  js.forEach((source, index) => {
+    // The bundle is pasted into a <script> tag
+    if (/<\/script/i.test(source)) throw new Error(`${library.name}/${library.js[index]} contains </script>`);
+  });
+  return { name: library.name, version: installedVersion(library.name), css: css.join('\n'), js: js.join(';\n') };
+};
+
+// Default marker images - Leaflet finds them through CSS paths that do not exist in the WebView
+const markerIcons = () => {
+  const imagesDir = path.join(packageDir('leaflet'), 'dist/images');
+  const dataUri = (file) => `data:image/png;base64,${fs.readFileSync(path.join(imagesDir, file)).toString('base64')}`;
+  return {
+    iconUrl: dataUri('marker-icon.png'),
+    iconRetinaUrl: dataUri('marker-icon-2x.png'),
+    shadowUrl: dataUri('marker-shadow.png'),
+  };
+};
+
+const readBundledVersions = () => {
+  if (!fs.existsSync(outputPath)) return null;
+  const match = fs.readFileSync(outputPath, 'utf8').match(/export const LEAFLET_LIBRARIES = (.+);/);
+  return match ? JSON.parse(match[1]) : null;
+};
+
+if (checkOnly) {
+  const bundled = readBundledVersions() || [];
+  const problems = LIBRARIES
+    .map(({ name }) => ({ name, installed: installedVersion(name), bundled: bundled.find((item) => item.name === name)?.version }))
+    .filter(({ installed, bundled: version }) => installed !== version);
+  if (problems.length) {
+    problems.forEach(({ name, installed, bundled: version }) => {
+      console.error(`❌ ${name}: installed ${installed}, bundled ${version || 'none'}`);
+    });
+    console.error('   Run: node scripts/bundleLeaflet.js');
+    process.exit(1);
+  }
+  console.log('✅ Leaflet bundle matches the installed versions');
+  process.exit(0);
+}
+
+const libraries = LIBRARIES.map(readLibrary);
+const versions = libraries.map(({ name, version }) => ({ name, version }));
+
+const output = `// Generated by scripts/bundleLeaflet.js - do not edit by hand.
+// ${versions.map(({ name, version }) => `${name}@${version}`).join(', ')}
+
+export const LEAFLET_VERSION = ${JSON.stringify(installedVersion('leaflet'))};
+export const LEAFLET_LIBRARIES = ${JSON.stringify(versions)};
+export const LEAFLET_MARKER_ICONS = ${JSON.stringify(markerIcons())};
+export const LEAFLET_CSS = ${JSON.stringify(libraries.map((library) => library.css).join('\n'))};
+export const LEAFLET_JS = ${JSON.stringify(libraries.map((library) => library.js).join(';\n'))};
+`;
+
+fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+fs.writeFileSync(outputPath, output);
+console.log(`✅ Bundled ${versions.map(({ name, version }) => `${name}@${version}`).join(', ')}`);
+console.log(`   ${path.relative(rootPath, outputPath)} (${Math.round(Buffer.byteLength(output) / 1024)} KB)`);
@@ -0,0 +1,722 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Backend for LeakDetection
+ *
+ * Self-contained stand-in for the DCWD GIS API so the app can be demoed,
+ * used for training and regression-tested without the real servers.
+ * No dependencies - plain Node http. All data lives in memory.
+ *
+ * Usage:
+ *   node scripts/mockServer.js                        - Start on port 4000 with 500 customers
+ *   node scripts/mockServer.js --customers 20000      - Seed more customers
+ *   node scripts/mockServer.js --seed 42              - Different (but repeatable) fake data
+ *   node scripts/mockServer.js --reports 300          - Seed past reports for the demo accounts
+ *   node scripts/mockServer.js --latency 200-1500     - Random delay per request (ms)
+ *   node scripts/mockServer.js --fail-rate 0.3        - Fail 30% of requests
+ *   node scripts/mockServer.js --fail-rate 1 --fail-route LeakDetectionReport
+ *                                                     - Fail only report submissions
+ *   node scripts/mockServer.js --fail-mode drop       - Drop the connection instead of a 500
+ *   node scripts/mockServer.js --token-ttl 60         - Expire tokens after 60s (tests refresh)
+ *
+ * Point the app at it with the "local" environment profile (Settings > tap App
+ * Version 7 times), or build with APP_ENV=local. Android emulators reach the
+ * host as 10.0.2.2; on a real device set LOCAL_API_URL to http://<your-ip>:4000/dcwd-gis/api/v1.
+ *
+ * Demo accounts: demo / demo123, inspector / inspector123
+ *
+ * Runtime control (no restart needed):
+ *   GET  /__mock/config               - Current latency/failure settings
+ *   POST /__mock/config               - Change them, e.g. {"failRate":0.5,"failRoutes":["SaveLocation"]}
+ *   GET  /__mock/state                - Submitted reports and tracked locations
+ *   POST /__mock/expire-tokens        - Expire all access tokens; {"refresh":true} also revokes refresh tokens
+ *   POST /__mock/reports/:refNo/status - Move a report along, e.g. {"status":"dispatched","crew":"Crew 3"}
+ *   POST /__mock/reset                - Reseed customers and clear reports/locations
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+// ---------------------------------------------------------------------------
+// Options
+// ---------------------------------------------------------------------------
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+const getArgs = (name) => args.reduce((values, arg, index) => (
+  arg === `--${name}` && args[index + 1] !== undefined ? [...values, args[index + 1]] : values
+), []);
+
+const parseLatency = (value) => {
+  const [min, max] = String(value).split('-').map((n) => parseInt(n, 10) || 0);
+  return { min, max: max === undefined ? min : Math.max(min, max) };
+};
+
+const PORT = parseInt(getArg('port', process.env.MOCK_PORT || 4000), 10);
+const BASE_PATH = '/dcwd-gis/api/v1';
+
+const config = {
+  customers: parseInt(getArg('customers', process.env.MOCK_CUSTOMERS || 500), 10),
+  reports: parseInt(getArg('reports', process.env.MOCK_REPORTS || 0), 10),
+  seed: parseInt(getArg('seed', process.env.MOCK_SEED || 1), 10),
+  latency: parseLatency(getArg('latency', process.env.MOCK_LATENCY || '0')),
+  failRate: parseFloat(getArg('fail-rate', process.env.MOCK_FAIL_RATE || 0)),
+  failStatus: parseInt(getArg('fail-status', 500), 10),
+  failMode: getArg('fail-mode', 'error'), // error | drop
+  failRoutes: getArgs('fail-route'),
+  tokenTtl: parseInt(getArg('token-ttl', 8 * 60 * 60), 10),
+};
+
+// ---------------------------------------------------------------------------
+// Seed data
+// ---------------------------------------------------------------------------
+
+// Small deterministic PRNG so the same --seed always gives the same customers
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const USERS = [
+  { username: 'demo', password: 'demo123', empId: '10001', fName: 'Juan', mName: 'Santos', lName: 'Dela Cruz', position: 'Leak Detection Inspector' },
+  { username: 'inspector', password: 'inspector123', empId: '10002', fName: 'Maria', mName: 'Reyes', lName: 'Garcia', position: 'Field Inspector' },
+];
+
+const DMAS = [
+  { dmaCode: 'DMA-01', dmaName: 'Poblacion', lat: 7.0731, lng: 125.6128 },
+  { dmaCode: 'DMA-02', dmaName: 'Matina', lat: 7.0586, lng: 125.5895 },
+  { dmaCode: 'DMA-03', dmaName: 'Buhangin', lat: 7.1135, lng: 125.6215 },
+  { dmaCode: 'DMA-04', dmaName: 'Toril', lat: 7.0192, lng: 125.4966 },
+  { dmaCode: 'DMA-05', dmaName: 'Lanang', lat: 7.1010, lng: 125.6390 },
+  { dmaCode: 'DMA-06', dmaName: 'Talomo', lat: 7.0443, lng: 125.5702 },
+];
+
+const FIRST_NAMES = ['Jose', 'Ana', 'Pedro', 'Rosa', 'Carlo', 'Liza', 'Mark', 'Grace', 'Ramon', 'Joy', 'Paolo', 'Ella'];
+const LAST_NAMES = ['Santos', 'Reyes', 'Cruz', 'Bautista', 'Ocampo', 'Garcia', 'Mendoza', 'Torres', 'Flores', 'Villanueva'];
+const STREETS = ['Rizal St.', 'Bonifacio St.', 'Quirino Ave.', 'Roxas Ave.', 'J.P. Laurel Ave.', 'McArthur Hwy.', 'Ilustre St.', 'Pichon St.'];
+
+const LEAK_TYPES = [
+  { value: 'Unidentified', label: 'Unidentified', leakTypeId: 40, jmsCode: '0000', reportType: '' },
+  { value: 'Mainline', label: 'Mainline', leakTypeId: 39, jmsCode: '0101', reportType: '55' },
+  { value: 'Serviceline', label: 'Service Line', leakTypeId: 38, jmsCode: '0100', reportType: '54' },
+  { value: 'Firehydrant', label: 'Fire Hydrant', leakTypeId: 65, jmsCode: '0114', reportType: '' },
+  { value: 'valve', label: 'Valve', leakTypeId: 61, jmsCode: '0116', reportType: '' },
+  { value: 'Others', label: 'Others', leakTypeId: 40, jmsCode: '0000', reportType: '' },
+];
+
+const CATALOG = {
+  version: 1,
+  leakTypes: LEAK_TYPES,
+  coverings: [
+    { value: 'Concrete', label: 'Concrete', id: 1 },
+    { value: 'Asphalt', label: 'Asphalt', id: 2 },
+    { value: 'Soil', label: 'Soil', id: 3 },
+    { value: 'Gravel', label: 'Gravel', id: 4 },
+  ],
+  defaultCoveringId: 3,
+};
+
+const pad = (value, length) => String(value).padStart(length, '0');
+
+const seedCustomers = (count, seed) => {
+  const random = createRandom(seed);
+  const pickOne = (list) => list[Math.floor(random() * list.length)];
+  const customers = [];
+  for (let i = 0; i < count; i++) {
+    const dma = pickOne(DMAS);
+    customers.push({
+      id: i + 1,
+      accountNumber: `${pad(Math.floor(random() * 1000), 3)}-${pad(Math.floor(random() * 100), 2)}-${pad(i + 1, 6)}`,
+      meterNumber: `M${pad(Math.floor(random() * 10000000), 8)}`,
+      name: `${pickOne(FIRST_NAMES)} ${pickOne(LAST_NAMES)}`,
+      address: `${Math.floor(random() * 900) + 1} ${pickOne(STREETS)}, ${dma.dmaName}, Davao City`,
+      dma: dma.dmaCode,
+      // Within ~2 km of the DMA centre
+      latitude: Number((dma.lat + (random() - 0.5) * 0.036).toFixed(6)),
+      longitude: Number((dma.lng + (random() - 0.5) * 0.036).toFixed(6)),
+      status: random() < 0.9 ? 'Active' : 'Disconnected',
+    });
+  }
+  return customers;
+};
+
+// Past reports spread over the last two years, so the All Reports list has pages to scroll
+const seedReports = (count, seed, customers) => {
+  const random = createRandom(seed + 1);
+  const pickOne = (list) => list[Math.floor(random() * list.length)];
+  const now = Date.now();
+  const reports = [];
+  for (let i = 0; i < count && customers.length; i++) {
+    const customer = pickOne(customers);
+    const leakType = pickOne(LEAK_TYPES);
+    const dtReported = new Date(now - Math.floor(random() * 730 * 24 * 60 * 60 * 1000));
+    const month = `${String(dtReported.getFullYear()).slice(-2)}${pad(dtReported.getMonth() + 1, 2)}`;
+    const dispatchStat = Math.floor(random() * 7);
+    // Repaired reports (and the stages after it) get a repair date 1-14 days later, for the dashboard charts
+    const dtRepaired = [3, 5, 6].includes(dispatchStat)
+      ? new Date(Math.min(now, dtReported.getTime() + (1 + random() * 13) * 24 * 60 * 60 * 1000)).toISOString()
+      : undefined;
+    reports.push({
+      id: i + 1,
+      refNo: `${month}SEED${pad(i + 1, 4)}`,
+      reportedLocation: customer.address,
+      reportedLandmark: '',
+      referenceMtr: customer.meterNumber,
+      referenceRecaddrs: customer.accountNumber,
+      reporterName: customer.name,
+      reportedNumber: '',
+      dmaCode: customer.dma,
+      jmsCode: leakType.jmsCode,
+      leakTypeId: leakType.leakTypeId,
+      leakCovering: 3,
+      leakLocation: 1,
+      priority: 0,
+      dispatchStat,
+      withdrawn: dispatchStat === 0 && random() < 0.1,
+      dtReported: dtReported.toISOString(),
+      dtRepaired,
+      empId: pickOne(USERS).empId,
+      latitude: customer.latitude,
+      longitude: customer.longitude,
+      attachments: [],
+    });
+  }
+  return reports;
+};
+
+const state = {
+  customers: [],
+  reports: [],
+  locations: [],
+  tokens: new Map(), // token -> { user, expiresAt }
+  refreshTokens: new Map(), // refreshToken -> user
+};
+
+const reset = () => {
+  state.customers = seedCustomers(config.customers, config.seed);
+  state.reports = seedReports(config.reports, config.seed, state.customers);
+  state.locations = [];
+  console.log(`🌱 Seeded ${state.customers.length} customers and ${state.reports.length} reports (seed ${config.seed})`);
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// Envelope the real API wraps every response in
+const ok = (res, data, message = 'Success') => send(res, 200, { statusCode: 200, message, data });
+const fail = (res, status, message) => send(res, status, { statusCode: status, message, data: null });
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const parseJson = (buffer) => {
+  try {
+    return JSON.parse(buffer.toString('utf8') || '{}');
+  } catch (e) {
+    return {};
+  }
+};
+
+// Minimal multipart/form-data parser - text fields as strings, files summarised
+const parseMultipart = (buffer, contentType) => {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  const fields = {};
+  const files = [];
+  if (!match) return { fields, files };
+
+  const boundary = `--${match[1] || match[2]}`;
+  const body = buffer.toString('latin1');
+  body.split(boundary).forEach((part) => {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) return;
+    const headers = part.slice(0, headerEnd);
+    const content = part.slice(headerEnd + 4).replace(/\r\n$/, '');
+    const name = /name="([^"]*)"/i.exec(headers)?.[1];
+    if (!name) return;
+    const filename = /filename="([^"]*)"/i.exec(headers)?.[1];
+    if (filename !== undefined) {
+      files.push({ field: name, filename, size: Buffer.byteLength(content, 'latin1') });
+    } else {
+      fields[name] = Buffer.from(content, 'latin1').toString('utf8');
+    }
+  });
+  return { fields, files };
+};
+
+const issueTokens = (user) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  const refreshToken = crypto.randomBytes(24).toString('hex');
+  state.tokens.set(token, { user, expiresAt: Date.now() + config.tokenTtl * 1000 });
+  state.refreshTokens.set(refreshToken, user);
+  return { token, refreshToken };
+};
+
+// Mirrors the real API: expired tokens get 401 "Token Expired" so the app refreshes
+const authenticate = (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const session = state.tokens.get(token);
+  if (!session) {
+    fail(res, 401, 'Unauthorized');
+    return null;
+  }
+  if (session.expiresAt < Date.now()) {
+    fail(res, 401, 'Token Expired');
+    return null;
+  }
+  return session.user;
+};
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+const distanceMeters = (lat1, lng1, lat2, lng2) => {
+  const R = 6371000;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(a));
+};
+
+// dispatchStat codes and the timestamp field the backend fills for each
+const REPORT_STAGES = [
+  { name: 'reported', code: 0, field: 'dtReported' },
+  { name: 'scheduled', code: 1, field: 'dtScheduled' },
+  { name: 'dispatched', code: 2, field: 'dtDispatched' },
+  { name: 'repaired', code: 3, field: 'dtRepaired' },
+  { name: 'notFound', code: 4, field: 'dtNotFound' },
+  { name: 'turnover', code: 5, field: 'dtTurnover' },
+  { name: 'after', code: 6, field: 'dtAfter' },
+];
+
+// Reports can only be changed by the inspector who submitted them
+const findOwnReport = (user, refNo) => state.reports.find((r) => (
+  r.refNo === decodeURIComponent(refNo) && String(r.empId) === String(user.empId)
+));
+
+const countByStatus = (reports) => ({
+  reportedCount: reports.filter((r) => r.dispatchStat === 0 && !r.withdrawn).length,
+  scheduledCount: reports.filter((r) => r.dispatchStat === 1).length,
+  dispatchedCount: reports.filter((r) => r.dispatchStat === 2).length,
+  repairedCount: reports.filter((r) => r.dispatchStat === 3).length,
+  notFoundCount: reports.filter((r) => r.dispatchStat === 4).length,
+  turnoverCount: reports.filter((r) => r.dispatchStat === 5).length,
+  afterCount: reports.filter((r) => r.dispatchStat === 6).length,
+  totalCount: reports.length,
+});
+
+// GetLeakReports filters - search, status, withdrawn, leakTypeId, dmaCode, dateFrom, dateTo
+const filterReports = (reports, query) => {
+  const search = (query.get('search') || '').trim().toLowerCase();
+  const status = query.get('status');
+  const withdrawn = query.get('withdrawn') === 'true';
+  const leakTypeId = parseInt(query.get('leakTypeId'), 10);
+  const dmaCode = query.get('dmaCode');
+  const dateFrom = query.get('dateFrom') ? new Date(query.get('dateFrom')).getTime() : null;
+  const dateTo = query.get('dateTo') ? new Date(query.get('dateTo')).getTime() : null;
+
+  return reports.filter((r) => {
+    if (search && ![r.refNo, r.referenceMtr, r.reportedLocation, r.reportedLandmark]
+      .some((value) => value && value.toLowerCase().includes(search))) return false;
+    if (withdrawn && !r.withdrawn) return false;
+    if (status !== null && status !== '' && (r.withdrawn || r.dispatchStat !== parseInt(status, 10))) return false;
+    if (!Number.isNaN(leakTypeId) && r.leakTypeId !== leakTypeId) return false;
+    if (dmaCode && r.dmaCode !== dmaCode) return false;
+    const reported = new Date(r.dtReported).getTime();
+    if (dateFrom !== null && reported < dateFrom) return false;
+    if (dateTo !== null && reported > dateTo) return false;
+    return true;
+  });
+};
+
+const sortReports = (reports, sortBy = 'dtReported', sortOrder = 'desc') => {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  const valueOf = (r) => (sortBy === 'dtReported' ? new Date(r.dtReported).getTime() : r[sortBy] ?? '');
+  return [...reports].sort((a, b) => {
+    const left = valueOf(a);
+    const right = valueOf(b);
+    if (left === right) return 0;
+    return (left > right ? 1 : -1) * direction;
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Routes
+// ---------------------------------------------------------------------------
+
+const routes = [
+  ['POST', /^\/admin\/userlogin\/login$/i, async (req, res) => {
+    const { username, password } = parseJson(await readBody(req));
+    const user = USERS.find((u) => u.username === username && u.password === password);
+    if (!user) return fail(res, 401, 'Invalid username or password');
+    const { password: _, ...profile } = user;
+    console.log(`🔑 Login: ${username}`);
+    return ok(res, { ...profile, ...issueTokens(user) });
+  }],
+
+  ['POST', /^\/auth\/refresh$/i, async (req, res) => {
+    const { token } = parseJson(await readBody(req));
+    const user = state.refreshTokens.get(token);
+    if (!user) return fail(res, 401, 'Invalid refresh token');
+    state.refreshTokens.delete(token);
+    const tokens = issueTokens(user);
+    console.log(`🔄 Token refreshed for ${user.username}`);
+    return send(res, 200, { accessToken: tokens.token, refreshToken: tokens.refreshToken });
+  }],
+
+  ['GET', /^\/admin\/dmainlet\/all$/i, async (req, res) => {
+    if (!authenticate(req, res)) return;
+    ok(res, { data: DMAS.map(({ dmaCode, dmaName }) => ({ dmaCode, dmaName })), count: DMAS.length });
+  }],
+
+  ['GET', /^\/admin\/customer\/paginate$/i, async (req, res, query) => {
+    if (!authenticate(req, res)) return;
+    const pageIndex = Math.max(1, parseInt(query.get('pageIndex') || query.get('page'), 10) || 1);
+    const pageSize = Math.max(1, parseInt(query.get('pageSize'), 10) || 50);
+    const start = (pageIndex - 1) * pageSize;
+    ok(res, {
+      data: state.customers.slice(start, start + pageSize),
+      count: state.customers.length,
+      totalCount: state.customers.length,
+      pageIndex,
+      pageSize,
+    });
+  }],
+
+  ['GET', /^\/admin\/customer\/all$/i, async (req, res, query) => {
+    if (!authenticate(req, res)) return;
+    const limit = parseInt(query.get('limit'), 10) || state.customers.length;
+    const offset = parseInt(query.get('offset'), 10) || 0;
+    send(res, 200, {
+      statusCode: 200,
+      data: state.customers.slice(offset, offset + limit),
+      total: state.customers.length,
+    });
+  }],
+
+  ['GET', /^\/admin\/customer\/NearestMeters$/i, async (req, res, query) => {
+    if (!authenticate(req, res)) return;
+    const lat = parseFloat(query.get('lat'));
+    const lng = parseFloat(query.get('lng'));
+    const count = parseInt(query.get('count'), 10) || 3;
+    if (Number.isNaN(lat) || Number.isNaN(lng)) return fail(res, 400, 'lat and lng are required');
+    const nearest = state.customers
+      .map((c) => ({ ...c, meterId: c.meterNumber, distance: Math.round(distanceMeters(lat, lng, c.latitude, c.longitude)) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, count);
+    if (!nearest.length) return fail(res, 404, 'No meters found nearby');
+    return ok(res, nearest);
+  }],
+
+  ['GET', /^\/admin\/customer\/SearchAccountOrMeterNumber$/i, async (req, res, query) => {
+    if (!authenticate(req, res)) return;
+    const searchValue = (query.get('searchValue') || '').trim().toLowerCase();
+    const matches = searchValue
+      ? state.customers.filter((c) => c.accountNumber.toLowerCase().includes(searchValue)
+        || c.meterNumber.toLowerCase().includes(searchValue)).slice(0, 20)
+      : [];
+    if (!matches.length) return fail(res, 404, 'No matching customer found.');
+    return ok(res, matches);
+  }],
+
+  ['GET', /^\/admin\/GetLeakReports\/mobile\/user\/([^/]+)$/i, async (req, res, query, params) => {
+    if (!authenticate(req, res)) return;
+    const own = state.reports.filter((r) => String(r.empId) === decodeURIComponent(params[0]));
+    const matching = sortReports(filterReports(own, query), query.get('sortBy') || 'dtReported', query.get('sortOrder') || 'desc');
+
+    // Unpaged callers get everything (capped by limit), like the old endpoint
+    if (!query.get('page')) {
+      const limit = parseInt(query.get('limit'), 10) || matching.length;
+      return ok(res, { reports: matching.slice(0, limit), ...countByStatus(own) });
+    }
+
+    const page = Math.max(1, parseInt(query.get('page'), 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(query.get('pageSize'), 10) || 20));
+    const start = (page - 1) * pageSize;
+    return ok(res, {
+      reports: matching.slice(start, start + pageSize),
+      page,
+      pageSize,
+      filteredCount: matching.length,
+      hasMore: start + pageSize < matching.length,
+      ...countByStatus(own),
+    });
+  }],
+
+  // Every inspector's reports near a point - used for the duplicate check before submitting
+  ['GET', /^\/admin\/GetLeakReports\/nearby$/i, async (req, res, query) => {
+    if (!authenticate(req, res)) return;
+    const lat = parseFloat(query.get('lat'));
+    const lng = parseFloat(query.get('lng'));
+    const radius = parseFloat(query.get('radius')) || 50;
+    if (Number.isNaN(lat) || Number.isNaN(lng)) return fail(res, 400, 'lat and lng are required');
+    const dateFrom = query.get('dateFrom') ? new Date(query.get('dateFrom')).getTime() : null;
+    const nearby = state.reports
+      .filter((r) => r.latitude !== null && r.longitude !== null)
+      .filter((r) => dateFrom === null || new Date(r.dtReported).getTime() >= dateFrom)
+      .map((r) => ({ ...r, distance: Math.round(distanceMeters(lat, lng, r.latitude, r.longitude)) }))
+      .filter((r) => r.distance <= radius)
+      .sort((a, b) => a.distance - b.distance);
+    return ok(res, nearby);
+  }],
+
+  ['POST', /^\/admin\/LeakDetection\/LeakDetectionReport$/i, async (req, res) => {
+    const user = authenticate(req, res);
+    if (!user) return;
+    const { fields, files } = parseMultipart(await readBody(req), req.headers['content-type']);
+    if (!fields.RefNo) return fail(res, 400, 'RefNo is required');
+    if (state.reports.some((r) => r.refNo === fields.RefNo)) {
+      return fail(res, 409, `RefNo ${fields.RefNo} already exists`);
+    }
+
+    const [longitude, latitude] = (fields.Geom || '').split(',').map((n) => parseFloat(n));
+    const report = {
+      id: state.reports.length + 1,
+      refNo: fields.RefNo,
+      reportedLocation: fields.ReportedLocation || '',
+      reportedLandmark: fields.ReportedLandmark || '',
+      referenceMtr: fields.ReferenceMtr || '',
+      referenceRecaddrs: fields.ReferenceRecaddrs || '',
+      reporterName: fields.ReporterName || '',
+      reportedNumber: fields.ReportedNumber || '',
+      dmaCode: fields.DmaCode || '',
+      jmsCode: fields.JmsCode || '',
+      leakTypeId: parseInt(fields.LeakTypeId, 10) || 0,
+      leakCovering: parseInt(fields.LeakCovering, 10) || 0,
+      leakLocation: parseInt(fields.LeakLocation, 10) || 0,
+      priority: parseInt(fields.Priority, 10) || 0,
+      pressure: fields.Pressure || '',
+      severityScore: fields.SeverityScore !== undefined ? Number(fields.SeverityScore) : null,
+      severityAssessment: fields.SeverityAssessment || null,
+      linkedRefNo: fields.LinkedRefNo || null,
+      dispatchStat: 0,
+      dtReported: fields.DtReported || new Date().toISOString(),
+      empId: fields.ReportedBy || user.empId,
+      latitude: Number.isNaN(latitude) ? null : latitude,
+      longitude: Number.isNaN(longitude) ? null : longitude,
+      attachments: files.map(({ field, filename, size }) => ({ field, filename, size })),
+    };
+    state.reports.push(report);
+    console.log(`📝 Report ${report.refNo} received (${files.length} file(s))`);
+    return ok(res, report, 'Leak report submitted successfully');
+  }],
+
+  // Amend a report while it is still pending (dispatchStat 0)
+  ['PUT', /^\/admin\/LeakDetection\/LeakDetectionReport\/([^/]+)$/i, async (req, res, query, params) => {
+    const user = authenticate(req, res);
+    if (!user) return;
+    const report = findOwnReport(user, params[0]);
+    if (!report) return fail(res, 404, 'Report not found');
+    if (report.withdrawn || report.dispatchStat !== 0) {
+      return fail(res, 409, `Report ${report.refNo} is not pending`);
+    }
+
+    const { fields, files } = parseMultipart(await readBody(req), req.headers['content-type']);
+    const textFields = {
+      ReportedLocation: 'reportedLocation',
+      ReportedLandmark: 'reportedLandmark',
+      ReferenceMtr: 'referenceMtr',
+      ReferenceRecaddrs: 'referenceRecaddrs',
+      ReportedNumber: 'reportedNumber',
+      DmaCode: 'dmaCode',
+      JmsCode: 'jmsCode',
+      Pressure: 'pressure',
+      SeverityAssessment: 'severityAssessment',
+    };
+    Object.entries(textFields).forEach(([field, key]) => {
+      if (fields[field] !== undefined) report[key] = fields[field];
+    });
+    ['LeakTypeId', 'LeakCovering', 'LeakLocation', 'Priority'].forEach((field) => {
+      if (fields[field] !== undefined) report[field[0].toLowerCase() + field.slice(1)] = parseInt(fields[field], 10) || 0;
+    });
+    if (fields.SeverityScore !== undefined) report.severityScore = Number(fields.SeverityScore);
+    if (fields.Geom) {
+      const [longitude, latitude] = fields.Geom.split(',').map((n) => parseFloat(n));
+      if (!Number.isNaN(latitude) && !Number.isNaN(longitude)) Object.assign(report, { latitude, longitude });
+    }
+    report.attachments = [
+      ...report.attachments,
+      ...files.map(({ field, filename, size }) => ({ field, filename, size })),
+    ];
+    report.dtAmended = fields.DtAmended || new Date().toISOString();
+    report.statusHistory = [...(report.statusHistory || []), { dispatchStat: 0, date: report.dtAmended, remarks: 'Amended by inspector' }];
+    console.log(`✏️  Report ${report.refNo} amended (${files.length} new file(s))`);
+    return ok(res, report, 'Leak report updated');
+  }],
+
+  ['POST', /^\/admin\/LeakDetection\/LeakDetectionReport\/([^/]+)\/withdraw$/i, async (req, res, query, params) => {
+    const user = authenticate(req, res);
+    if (!user) return;
+    const report = findOwnReport(user, params[0]);
+    if (!report) return fail(res, 404, 'Report not found');
+    if (report.withdrawn) return fail(res, 409, `Report ${report.refNo} was already withdrawn`);
+    if (report.dispatchStat !== 0) return fail(res, 409, `Report ${report.refNo} is not pending`);
+
+    const { Reason } = parseJson(await readBody(req));
+    report.withdrawn = true;
+    report.dtWithdrawn = new Date().toISOString();
+    report.withdrawReason = Reason || '';
+    console.log(`🗑️  Report ${report.refNo} withdrawn${Reason ? `: ${Reason}` : ''}`);
+    return ok(res, report, 'Leak report withdrawn');
+  }],
+
+  ['GET', /^\/admin\/LeakDetection\/Catalogs$/i, async (req, res, query) => {
+    if (!authenticate(req, res)) return;
+    if (parseInt(query.get('version'), 10) === CATALOG.version) {
+      return ok(res, { version: CATALOG.version, notModified: true });
+    }
+    return ok(res, CATALOG);
+  }],
+
+  ['POST', /^\/admin\/VehicleTracking\/SaveLocation$/i, async (req, res) => {
+    if (!authenticate(req, res)) return;
+    const payload = parseJson(await readBody(req));
+    state.locations.push({ ...payload, receivedAt: new Date().toISOString() });
+    if (state.locations.length > 5000) state.locations.shift();
+    ok(res, { id: payload.ID }, 'Location saved');
+  }],
+];
+
+// Control endpoints are never delayed or failed
+const controlRoutes = [
+  ['GET', /^\/__mock\/config$/, async (req, res) => send(res, 200, config)],
+
+  ['POST', /^\/__mock\/config$/, async (req, res) => {
+    const changes = parseJson(await readBody(req));
+    if (changes.latency !== undefined) {
+      changes.latency = typeof changes.latency === 'object' ? changes.latency : parseLatency(changes.latency);
+    }
+    ['latency', 'failRate', 'failStatus', 'failMode', 'failRoutes', 'tokenTtl'].forEach((key) => {
+      if (changes[key] !== undefined) config[key] = changes[key];
+    });
+    console.log('⚙️  Config updated:', JSON.stringify(config));
+    send(res, 200, config);
+  }],
+
+  ['GET', /^\/__mock\/state$/, async (req, res) => send(res, 200, {
+    customers: state.customers.length,
+    reports: state.reports,
+    locations: state.locations.slice(-100),
+  })],
+
+  ['POST', /^\/__mock\/expire-tokens$/, async (req, res) => {
+    const { refresh } = parseJson(await readBody(req));
+    state.tokens.forEach((session) => { session.expiresAt = 0; });
+    if (refresh) state.refreshTokens.clear();
+    console.log(`⏰ Expired ${state.tokens.size} access token(s)${refresh ? ' and revoked refresh tokens' : ''}`);
+    send(res, 200, { expired: state.tokens.size, refreshRevoked: !!refresh });
+  }],
+
+  ['POST', /^\/__mock\/reports\/([^/]+)\/status$/, async (req, res, query, params) => {
+    const report = state.reports.find((r) => r.refNo === decodeURIComponent(params[0]));
+    if (!report) return fail(res, 404, 'Report not found');
+    const { status, crew, remarks } = parseJson(await readBody(req));
+    const stage = REPORT_STAGES.find((s) => s.name === status || s.code === Number(status));
+    if (!stage) return fail(res, 400, `status must be one of ${REPORT_STAGES.map((s) => s.name).join(', ')}`);
+
+    const now = new Date().toISOString();
+    report.dispatchStat = stage.code;
+    report[stage.field] = now;
+    if (crew) report.crewName = crew;
+    report.statusHistory = [...(report.statusHistory || []), { dispatchStat: stage.code, date: now, remarks: remarks || null, crew: crew || null }];
+    console.log(`🚧 Report ${report.refNo} -> ${stage.name}`);
+    return send(res, 200, report);
+  }],
+
+  ['POST', /^\/__mock\/reset$/, async (req, res) => {
+    const changes = parseJson(await readBody(req));
+    if (changes.customers !== undefined) config.customers = parseInt(changes.customers, 10) || 0;
+    if (changes.seed !== undefined) config.seed = parseInt(changes.seed, 10) || 1;
+    reset();
+    send(res, 200, { customers: state.customers.length, seed: config.seed });
+  }],
+];
+
+const findRoute = (table, method, path) => {
+  for (const [routeMethod, pattern, handler] of table) {
+    const match = routeMethod === method && pattern.exec(path);
+    if (match) return { handler, params: match.slice(1) };
+  }
+  return null;
+};
+
+const shouldFail = (path) => {
+  if (!(config.failRate > 0)) return false;
+  if (config.failRoutes?.length && !config.failRoutes.some((route) => path.toLowerCase().includes(route.toLowerCase()))) {
+    return false;
+  }
+  return Math.random() < config.failRate;
+};
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  // Accept paths with or without the /dcwd-gis/api/v1 prefix
+  const path = url.pathname.startsWith(BASE_PATH) ? url.pathname.slice(BASE_PATH.length) || '/' : url.pathname;
+  const started = Date.now();
+
+  try {
+    const control = findRoute(controlRoutes, req.method, path);
+    if (control) {
+      await control.handler(req, res, url.searchParams, control.params);
+      return;
+    }
+
+    const { min, max } = config.latency;
+    if (max > 0) await sleep(min + Math.random() * (max - min));
+
+    if (shouldFail(path)) {
+      console.log(`💥 Injected ${config.failMode === 'drop' ? 'dropped connection' : config.failStatus} for ${req.method} ${path}`);
+      if (config.failMode === 'drop') {
+        req.socket.destroy();
+        return;
+      }
+      fail(res, config.failStatus, 'Injected failure (mock server)');
+      return;
+    }
+
+    const route = findRoute(routes, req.method, path);
+    if (!route) {
+      fail(res, 404, `No mock for ${req.method} ${path}`);
+    } else {
+      await route.handler(req, res, url.searchParams, route.params);
+    }
+  } catch (error) {
+    console.error(`❌ ${req.method} ${path} failed:`, error);
+    if (!res.headersSent) fail(res, 500, error.message);
+  } finally {
+    if (res.headersSent) {
+      console.log(`${req.method} ${path} -> ${res.statusCode} (${Date.now() - started}ms)`);
+    }
+  }
+});
+
+reset();
+server.listen(PORT, () => {
+  console.log(`\n🚰 LeakDetection mock API listening on http://localhost:${PORT}${BASE_PATH}`);
+  console.log(`   Latency: ${config.latency.min}-${config.latency.max}ms, fail rate: ${config.failRate}` +
+    (config.failRoutes.length ? ` (routes: ${config.failRoutes.join(', ')})` : ''));
+  console.log('   Accounts: demo / demo123, inspector / inspector123\n');
+});
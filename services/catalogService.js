@@ -0,0 +1,248 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_SEVERITY_RULES, normalizeSeverityRules } from './severity';
+
+const CATALOG_KEY = 'leakCatalogs';
+const CATALOG_MAX_AGE_MS = 24 * 60 * 60 * 1000; // Refresh from server once a day
+
+/**
+ * Leak Catalog Service
+ * Lookup tables for the leak report form (leak types, coverings, causes, photo
+ * categories, severity scoring rules) and the
+ * ids/codes the backend expects for them. Fetched from the API, cached in
+ * AsyncStorage, and falls back to the bundled defaults below.
+ */
+
+// Bundled defaults - used until a catalog has been downloaded
+export const DEFAULT_CATALOG = {
+  version: 0,
+  leakTypes: [
+    { value: 'Unidentified', label: 'Unidentified', leakTypeId: 40, jmsCode: '0000', reportType: '' },
+    { value: 'Airrelease', label: 'Air Release', leakTypeId: 66, jmsCode: '0115', reportType: '' },
+    { value: 'Airreleasevalve', label: 'Air Release Valve', leakTypeId: 66, jmsCode: '0115', reportType: '' },
+    { value: 'Blow-off', label: 'Blow-off', leakTypeId: 64, jmsCode: '0113', reportType: '' },
+    { value: 'Blow-offvalve', label: 'Blow-off Valve', leakTypeId: 64, jmsCode: '0113', reportType: '' },
+    { value: 'Firehydrant', label: 'Fire Hydrant', leakTypeId: 65, jmsCode: '0114', reportType: '' },
+    { value: 'Mainline', label: 'Mainline', leakTypeId: 39, jmsCode: '0101', reportType: '55' },
+    { value: 'Others', label: 'Others', leakTypeId: 40, jmsCode: '0000', reportType: '' },
+    { value: 'Serviceline', label: 'Service Line', leakTypeId: 38, jmsCode: '0100', reportType: '54' },
+    { value: 'valve', label: 'Valve', leakTypeId: 61, jmsCode: '0116', reportType: '' },
+  ],
+  // Legacy values still found in older drafts / queue items
+  leakTypeAliases: {
+    'Service Line': 'Serviceline',
+  },
+  coverings: [
+    { value: 'Concrete', label: 'Concrete', id: 1 },
+    { value: 'Gravel', label: 'Gravel', id: 4 },
+    { value: 'Soil', label: 'Soil', id: 3 },
+    { value: 'Asphalt', label: 'Asphalt', id: 2 },
+  ],
+  defaultCoveringId: 3, // Soil
+  causes: [
+    { value: 'Exposed - PE', label: 'Exposed - PE' },
+    { value: 'Exposed - Supplement', label: 'Exposed - Supplement' },
+    { value: 'Defective Stopcock', label: 'Defective Stopcock' },
+    { value: 'Others', label: 'Others' },
+  ],
+  photoCategories: [
+    { value: 'wide', label: 'Wide Shot' },
+    { value: 'closeup', label: 'Close-up' },
+    { value: 'meter', label: 'Meter' },
+    { value: 'excavation', label: 'Excavation' },
+    { value: 'other', label: 'Other' },
+  ],
+  severityRules: DEFAULT_SEVERITY_RULES,
+};
+
+let memoryCatalog = null;
+
+// Unidentified first, then alphabetical by label (same order the form always used)
+const sortLeakTypes = (leakTypes) => [...leakTypes].sort((a, b) => {
+  if (a.value === 'Unidentified') return -1;
+  if (b.value === 'Unidentified') return 1;
+  return a.label.localeCompare(b.label);
+});
+
+const pick = (obj, ...keys) => {
+  for (const key of keys) {
+    if (obj?.[key] !== undefined && obj?.[key] !== null && obj?.[key] !== '') return obj[key];
+  }
+  return undefined;
+};
+
+// Map server rows onto the shape the form and submitLeakReport use
+const normalizeCatalog = (raw) => {
+  const leakTypes = (raw?.leakTypes || [])
+    .map((it) => {
+      const label = pick(it, 'label', 'name', 'leakTypeName', 'description');
+      const value = pick(it, 'value', 'code', 'key') || label;
+      return {
+        value,
+        label: label || value,
+        leakTypeId: parseInt(pick(it, 'leakTypeId', 'id'), 10) || DEFAULT_CATALOG.leakTypes[0].leakTypeId,
+        jmsCode: (pick(it, 'jmsCode', 'JmsCode') || '0000').toString(),
+        reportType: (pick(it, 'reportType', 'ReportType') || '').toString(),
+      };
+    })
+    .filter((it) => it.value);
+
+  const coverings = (raw?.coverings || [])
+    .map((it) => {
+      const label = pick(it, 'label', 'name', 'coveringName', 'description');
+      return {
+        value: pick(it, 'value', 'code') || label,
+        label,
+        id: parseInt(pick(it, 'id', 'coveringId'), 10),
+      };
+    })
+    .filter((it) => it.value && !Number.isNaN(it.id));
+
+  const causes = (raw?.causes || [])
+    .map((it) => {
+      const label = pick(it, 'label', 'name', 'causeName', 'description');
+      return { value: pick(it, 'value', 'code') || label, label };
+    })
+    .filter((it) => it.value);
+
+  const photoCategories = (raw?.photoCategories || [])
+    .map((it) => {
+      const label = pick(it, 'label', 'name', 'categoryName', 'description');
+      return { value: pick(it, 'value', 'code') || label, label };
+    })
+    .filter((it) => it.value);
+
+  // Any table the server leaves out keeps its bundled default
+  return {
+    version: parseInt(raw?.version, 10) || 0,
+    leakTypes: sortLeakTypes(leakTypes.length ? leakTypes : DEFAULT_CATALOG.leakTypes),
+    leakTypeAliases: { ...DEFAULT_CATALOG.leakTypeAliases, ...(raw?.leakTypeAliases || {}) },
+    coverings: coverings.length ? coverings : DEFAULT_CATALOG.coverings,
+    defaultCoveringId: parseInt(raw?.defaultCoveringId, 10) || DEFAULT_CATALOG.defaultCoveringId,
+    causes: causes.length ? causes : DEFAULT_CATALOG.causes,
+    photoCategories: photoCategories.length ? photoCategories : DEFAULT_CATALOG.photoCategories,
+    severityRules: raw?.severityRules ? normalizeSeverityRules(raw.severityRules) : DEFAULT_CATALOG.severityRules,
+  };
+};
+
+const getDefaultCatalog = () => ({
+  ...DEFAULT_CATALOG,
+  leakTypes: sortLeakTypes(DEFAULT_CATALOG.leakTypes),
+  source: 'bundled',
+});
+
+export const getCachedCatalog = async () => {
+  try {
+    const cached = await AsyncStorage.getItem(CATALOG_KEY);
+    return cached ? JSON.parse(cached) : null;
+  } catch (error) {
+    console.error('[CatalogService] Error reading cached catalog:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetch lookup tables from the API.
+ * Returns the cached catalog while it is fresh (like fetchDmaCodes), sends the
+ * cached version so the server can answer "not modified", and falls back to the
+ * cache or bundled defaults when the request fails.
+ */
+export const fetchCatalogs = async (forceRefresh = false) => {
+  const cached = await getCachedCatalog();
+
+  if (cached && !forceRefresh) {
+    const age = Date.now() - new Date(cached.fetchedAt || 0).getTime();
+    if (age < CATALOG_MAX_AGE_MS) {
+      memoryCatalog = cached;
+      return cached;
+    }
+  }
+
+  try {
+    // Required lazily - interceptor imports this module for the submission mapping
+    const { devApi } = require('./interceptor');
+    const res = await devApi.get('/admin/LeakDetection/Catalogs', {
+      params: { version: cached?.version || 0 },
+    });
+    const payload = res?.data?.data || res?.data || {};
+
+    let catalog;
+    if (cached && (payload.notModified || (payload.version && parseInt(payload.version, 10) === cached.version))) {
+      catalog = { ...cached, fetchedAt: new Date().toISOString() };
+      console.log(`[CatalogService] Catalog v${cached.version} is up to date`);
+    } else {
+      catalog = { ...normalizeCatalog(payload), fetchedAt: new Date().toISOString(), source: 'server' };
+      console.log(`[CatalogService] Catalog updated to v${catalog.version}`);
+    }
+
+    await AsyncStorage.setItem(CATALOG_KEY, JSON.stringify(catalog));
+    memoryCatalog = catalog;
+    return catalog;
+  } catch (error) {
+    console.warn('[CatalogService] Failed to fetch catalog, using', cached ? 'cached copy' : 'bundled defaults', '-', error?.message || error);
+    memoryCatalog = cached || getDefaultCatalog();
+    return memoryCatalog;
+  }
+};
+
+// Catalog for offline use - memory, then cache, then bundled defaults (never hits the network)
+export const getCatalogs = async () => {
+  if (memoryCatalog) return memoryCatalog;
+  const cached = await getCachedCatalog();
+  memoryCatalog = cached || getDefaultCatalog();
+  return memoryCatalog;
+};
+
+export const clearCatalogCache = async () => {
+  memoryCatalog = null;
+  await AsyncStorage.removeItem(CATALOG_KEY);
+};
+
+// Backend ids/codes for a form leak type value
+export const resolveLeakType = (catalog, leakType) => {
+  const value = catalog.leakTypeAliases?.[leakType] || leakType;
+  return catalog.leakTypes.find((it) => it.value === value)
+    || catalog.leakTypes.find((it) => it.value === 'Unidentified')
+    || DEFAULT_CATALOG.leakTypes[0];
+};
+
+export const resolveCoveringId = (catalog, covering) => {
+  const match = catalog.coverings.find((it) => it.value === covering);
+  return match ? match.id : catalog.defaultCoveringId;
+};
+
+export const getPhotoCategoryLabel = (catalog, category) => {
+  const categories = catalog?.photoCategories || DEFAULT_CATALOG.photoCategories;
+  return categories.find((it) => it.value === category)?.label || category || '';
+};
+
+export const getLeakTypeLabel = (catalog, leakType) => {
+  const value = catalog.leakTypeAliases?.[leakType] || leakType;
+  return catalog.leakTypes.find((it) => it.value === value)?.label || leakType;
+};
+
+// Form value for the ids stored on a server report (several leak types share an id, so the JMS code decides)
+export const findLeakTypeValue = (catalog, { leakTypeId, jmsCode } = {}) => {
+  const id = parseInt(leakTypeId, 10);
+  const matches = catalog.leakTypes.filter((it) => it.leakTypeId === id);
+  const match = matches.find((it) => jmsCode && it.jmsCode === String(jmsCode)) || matches[0];
+  return match ? match.value : '';
+};
+
+export const findCoveringValue = (catalog, coveringId) => {
+  const match = catalog.coverings.find((it) => it.id === parseInt(coveringId, 10));
+  return match ? match.value : '';
+};
+
+export default {
+  fetchCatalogs,
+  getCatalogs,
+  getCachedCatalog,
+  clearCatalogCache,
+  resolveLeakType,
+  resolveCoveringId,
+  findLeakTypeValue,
+  findCoveringValue,
+  getLeakTypeLabel,
+  getPhotoCategoryLabel,
+  DEFAULT_CATALOG,
+};
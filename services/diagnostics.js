@@ -0,0 +1,125 @@
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import * as Application from 'expo-application';
+import * as Device from 'expo-device';
+import Constants from 'expo-constants';
+import NetInfo from '@react-native-community/netinfo';
+import { getQueue, getSyncStatus } from './offlineQueue';
+import { getRecentLogs, flushLogs, redact } from './logger';
+
+const DIAGNOSTICS_DIR = `${FileSystem.documentDirectory}diagnostics/`;
+const KEEP_BUNDLES = 3;
+
+/**
+ * Diagnostics
+ * Packages recent logs, offline queue state and app/device info into a single
+ * JSON file for support. Everything goes through the logger's redaction, and
+ * queue items are summarised (no report contents, only ids/status/errors).
+ */
+
+const safe = async (fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    return { error: error?.message || String(error) };
+  }
+};
+
+const summariseQueue = async () => {
+  const queue = await getQueue();
+  return queue.map((item) => ({
+    id: item.id,
+    type: item.type,
+    status: item.status,
+    retryCount: item.retryCount,
+    timestamp: item.timestamp,
+    lastAttemptAt: item.lastAttemptAt || null,
+    lastError: item.lastError || null,
+    refNo: item.data?.refNo || null,
+    photoCount: (item.data?.leakPhotos || []).length + (item.data?.landmarkPhoto ? 1 : 0),
+  }));
+};
+
+export const buildDiagnosticBundle = async () => {
+  await flushLogs();
+
+  const [logs, queue, syncStatus, network, freeDisk] = await Promise.all([
+    safe(() => getRecentLogs()),
+    safe(summariseQueue),
+    safe(getSyncStatus),
+    safe(async () => {
+      const state = await NetInfo.fetch();
+      return { type: state.type, isConnected: state.isConnected, isInternetReachable: state.isInternetReachable };
+    }),
+    safe(() => FileSystem.getFreeDiskStorageAsync()),
+  ]);
+
+  return redact({
+    generatedAt: new Date().toISOString(),
+    app: {
+      appName: Application.applicationName,
+      applicationId: Application.applicationId,
+      version: Application.nativeApplicationVersion || Constants.expoConfig?.version,
+      buildNumber: Application.nativeBuildVersion,
+      runtimeVersion: Constants.expoConfig?.runtimeVersion || null,
+    },
+    device: {
+      platform: Platform.OS,
+      osVersion: Device.osVersion || String(Platform.Version),
+      brand: Device.brand,
+      model: Device.modelName,
+      isDevice: Device.isDevice,
+      freeDiskBytes: typeof freeDisk === 'number' ? freeDisk : null,
+    },
+    network,
+    syncStatus,
+    queue,
+    logs,
+  });
+};
+
+// Delete all but the newest few bundles
+const pruneOldBundles = async () => {
+  const files = (await FileSystem.readDirectoryAsync(DIAGNOSTICS_DIR))
+    .filter((name) => name.endsWith('.json'))
+    .sort();
+  for (const name of files.slice(0, Math.max(0, files.length - KEEP_BUNDLES))) {
+    await FileSystem.deleteAsync(`${DIAGNOSTICS_DIR}${name}`, { idempotent: true });
+  }
+};
+
+/**
+ * Write the bundle to diagnostics/ and open the share sheet.
+ * @returns {Promise<string>} file URI of the bundle
+ */
+export const exportDiagnosticBundle = async () => {
+  const bundle = await buildDiagnosticBundle();
+
+  const dirInfo = await FileSystem.getInfoAsync(DIAGNOSTICS_DIR);
+  if (!dirInfo.exists) {
+    await FileSystem.makeDirectoryAsync(DIAGNOSTICS_DIR, { intermediates: true });
+  }
+
+  const stamp = bundle.generatedAt.replace(/[:.]/g, '-');
+  const fileUri = `${DIAGNOSTICS_DIR}leakdetection-diagnostics-${stamp}.json`;
+  await FileSystem.writeAsStringAsync(fileUri, JSON.stringify(bundle, null, 2));
+  await safe(pruneOldBundles);
+
+  console.log(`[Diagnostics] Bundle written: ${fileUri} (${bundle.logs?.length || 0} log entries)`);
+
+  if (await Sharing.isAvailableAsync()) {
+    await Sharing.shareAsync(fileUri, {
+      mimeType: 'application/json',
+      dialogTitle: 'Send diagnostics to support',
+      UTI: 'public.json',
+    });
+  }
+
+  return fileUri;
+};
+
+export default {
+  buildDiagnosticBundle,
+  exportDiagnosticBundle,
+};
@@ -0,0 +1,122 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getReportStatus, getReportCoordinates } from './reportStatus';
+import { fetchNearbyLeakReports } from './interceptor';
+
+const DUPLICATE_SETTINGS_KEY = 'duplicate_check_settings';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Duplicate Check
+ * Before a new report is sent, looks for open leaks already reported near the
+ * leak position: the reports cached on the phone and, when online, every
+ * inspector's reports from GetLeakReports/nearby. The inspector can link the
+ * new report to one of them or confirm it is a separate leak.
+ */
+
+export const DUPLICATE_RADIUS_OPTIONS = [25, 50, 100, 200]; // metres
+export const DUPLICATE_WINDOW_OPTIONS = [1, 3, 7, 14]; // days
+
+const DEFAULT_SETTINGS = {
+  radiusMeters: 50,
+  windowDays: 7,
+};
+
+// A crew has not fixed the leak yet
+const OPEN_STATUSES = ['reported', 'scheduled', 'dispatched'];
+
+export const getDuplicateCheckSettings = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(DUPLICATE_SETTINGS_KEY);
+    const settings = { ...DEFAULT_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+    if (!DUPLICATE_RADIUS_OPTIONS.includes(settings.radiusMeters)) settings.radiusMeters = DEFAULT_SETTINGS.radiusMeters;
+    if (!DUPLICATE_WINDOW_OPTIONS.includes(settings.windowDays)) settings.windowDays = DEFAULT_SETTINGS.windowDays;
+    return settings;
+  } catch (error) {
+    console.warn('[DuplicateCheck] Failed to load settings:', error?.message || error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+export const saveDuplicateCheckSettings = async (changes) => {
+  const settings = { ...(await getDuplicateCheckSettings()), ...changes };
+  await AsyncStorage.setItem(DUPLICATE_SETTINGS_KEY, JSON.stringify(settings));
+  return settings;
+};
+
+// Great-circle distance in metres between two { latitude, longitude }
+export const distanceMeters = (from, to) => {
+  const toRadians = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Open reports within radiusMeters of position, reported in the last
+ * windowDays, nearest first. The first copy of a RefNo wins, so pass the
+ * freshest source first. Returns [{ report, refNo, status, coordinates, distance }].
+ */
+export const findNearbyOpenReports = (reports, position, {
+  radiusMeters = DEFAULT_SETTINGS.radiusMeters,
+  windowDays = DEFAULT_SETTINGS.windowDays,
+  excludeRefNo = null,
+  now = new Date(),
+} = {}) => {
+  const since = now.getTime() - windowDays * DAY_MS;
+  const seen = new Set(excludeRefNo ? [excludeRefNo] : []);
+
+  return reports
+    .reduce((candidates, report) => {
+      const refNo = report.refNo || report.RefNo;
+      if (!refNo || seen.has(refNo)) return candidates;
+      seen.add(refNo);
+
+      const status = getReportStatus(report);
+      if (!OPEN_STATUSES.includes(status.key)) return candidates;
+      const reported = new Date(report.dtReported || report.DtReported).getTime();
+      if (Number.isNaN(reported) || reported < since) return candidates;
+      const coordinates = getReportCoordinates(report);
+      if (!coordinates) return candidates;
+
+      const distance = distanceMeters(position, coordinates);
+      if (distance > radiusMeters) return candidates;
+      return [...candidates, { report, refNo, status, coordinates, distance: Math.round(distance) }];
+    }, [])
+    .sort((a, b) => a.distance - b.distance);
+};
+
+/**
+ * Possible duplicates of a new leak at position. cachedReports are the
+ * reports already on the phone; the server is also asked when online, and
+ * when that fails the cached reports are checked on their own.
+ */
+export const findDuplicateCandidates = async (position, cachedReports = [], { isOnline = false, excludeRefNo = null } = {}) => {
+  const settings = await getDuplicateCheckSettings();
+  let nearby = [];
+  if (isOnline) {
+    try {
+      nearby = await fetchNearbyLeakReports(position, {
+        radiusMeters: settings.radiusMeters,
+        dateFrom: new Date(Date.now() - settings.windowDays * DAY_MS).toISOString(),
+      });
+    } catch (error) {
+      console.warn('[DuplicateCheck] Nearby reports unavailable, checking cached reports only:', error?.message || error);
+    }
+  }
+
+  const candidates = findNearbyOpenReports([...nearby, ...cachedReports], position, { ...settings, excludeRefNo });
+  console.log(`[DuplicateCheck] ${candidates.length} open report(s) within ${settings.radiusMeters} m`);
+  return candidates;
+};
+
+export default {
+  DUPLICATE_RADIUS_OPTIONS,
+  DUPLICATE_WINDOW_OPTIONS,
+  getDuplicateCheckSettings,
+  saveDuplicateCheckSettings,
+  distanceMeters,
+  findNearbyOpenReports,
+  findDuplicateCandidates,
+};
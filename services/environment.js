@@ -0,0 +1,127 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Constants from 'expo-constants';
+
+const ENV_OVERRIDE_KEY = 'api_environment';
+
+/**
+ * Environment Service
+ * Single source for every server URL the app talks to (API, customer export,
+ * offline map archive). Profiles come from app.config.js `extra.environments`;
+ * the build default is `extra.environment` (APP_ENV) and testers can override it
+ * from the hidden Environment section in Settings.
+ */
+
+// Used only if the native config has no profiles (e.g. an old dev client)
+const FALLBACK_ENVIRONMENTS = {
+  development: {
+    label: 'Development',
+    apiBaseUrl: 'https://dev-api.davao-water.gov.ph/dcwd-gis/api/v1',
+    customerApiBaseUrl: 'https://api.davao-water.gov.ph/dcwd-gis/api/v1',
+    mapZipUrl: 'https://davao-water.gov.ph/dcwdApps/mobileApps/reactMap/davroad.zip',
+  },
+};
+
+const extra = Constants.expoConfig?.extra || {};
+const environments = extra.environments && Object.keys(extra.environments).length
+  ? extra.environments
+  : FALLBACK_ENVIRONMENTS;
+const buildDefault = environments[extra.environment] ? extra.environment : Object.keys(environments)[0];
+
+let activeName = buildDefault;
+let loadPromise = null;
+const listeners = new Set();
+
+export const getEnvironments = () => Object.entries(environments).map(([name, profile]) => ({ name, ...profile }));
+
+export const getBuildEnvironmentName = () => buildDefault;
+
+export const getEnvironmentName = () => activeName;
+
+export const getEnvironment = () => ({ name: activeName, ...environments[activeName] });
+
+// Base URL for devApi (auth, reports, meters, tracking, catalogs)
+export const getApiBaseUrl = () => environments[activeName].apiBaseUrl;
+
+// Base URL for the bulk customer export (defaults to the API base URL)
+export const getCustomerApiBaseUrl = () => environments[activeName].customerApiBaseUrl || getApiBaseUrl();
+
+export const getMapZipUrl = () => environments[activeName].mapZipUrl;
+
+// scheme://host[:port], lower-cased, or null for anything but an http(s) URL
+const originOf = (url) => {
+  const match = /^(https?:\/\/[^/?#]+)/i.exec(url || '');
+  return match ? match[1].toLowerCase() : null;
+};
+
+// Whether url is on the active API server - only those may be sent the bearer token
+export const isApiUrl = (url) => {
+  const origin = originOf(url);
+  return !!origin && origin === originOf(getApiBaseUrl());
+};
+
+export const onEnvironmentChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const apply = (name) => {
+  if (name === activeName) return;
+  activeName = name;
+  console.log(`[Environment] Using ${name}: ${getApiBaseUrl()}`);
+  listeners.forEach((listener) => {
+    try {
+      listener(getEnvironment());
+    } catch (error) {
+      console.warn('[Environment] Listener failed:', error?.message || error);
+    }
+  });
+};
+
+// Restore a tester override saved by setEnvironment. Safe to call from several
+// places - storage is only read once.
+export const loadEnvironment = () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      try {
+        const saved = await AsyncStorage.getItem(ENV_OVERRIDE_KEY);
+        if (saved && environments[saved]) {
+          apply(saved);
+        }
+      } catch (error) {
+        console.warn('[Environment] Failed to load override:', error?.message || error);
+      }
+    })();
+  }
+  return loadPromise.then(() => getEnvironment());
+};
+
+/**
+ * Switch profiles at runtime. Passing the build default clears the override.
+ * Callers should log the user out first - tokens are issued per server.
+ */
+export const setEnvironment = async (name) => {
+  if (!environments[name]) {
+    throw new Error(`Unknown environment: ${name}`);
+  }
+  if (name === buildDefault) {
+    await AsyncStorage.removeItem(ENV_OVERRIDE_KEY);
+  } else {
+    await AsyncStorage.setItem(ENV_OVERRIDE_KEY, name);
+  }
+  apply(name);
+  return getEnvironment();
+};
+
+export default {
+  getEnvironments,
+  getBuildEnvironmentName,
+  getEnvironmentName,
+  getEnvironment,
+  getApiBaseUrl,
+  getCustomerApiBaseUrl,
+  getMapZipUrl,
+  isApiUrl,
+  onEnvironmentChange,
+  loadEnvironment,
+  setEnvironment,
+};
@@ -8,6 +8,7 @@ const GEO_INDEX_FILE = 'geo_index.json';
 const DOWNLOAD_DATE_KEY = '@customer_download_date';
 const CUSTOMER_COUNT_KEY = '@customer_count';
 const ENCRYPTION_KEY = 'dcwd-gis-fast-key-v1';
+const PAGE_RETRY = { retries: 5, maxDelay: 60000 };
 
 class GisCustomerInterceptor {
     constructor() {
@@ -183,13 +184,16 @@ class GisCustomerInterceptor {
                     batchPromises.push(
                         (async () => {
                             try {
+                                // Transient failures are retried with backoff by devApi's retry policy
                                 const response = await devApi.get('/admin/Customer/paginate', {
-                                    params: { pageIndex: page + 1, pageSize: pageSize, _t: Date.now() }
+                                    params: { pageIndex: page + 1, pageSize: pageSize, _t: Date.now() },
+                                    retry: PAGE_RETRY,
                                 });
                                 return response.data?.data?.data || [];
                             } catch (e) {
-                                console.error(`Error downloading page ${page + 1}:`, e);
-                                return []; // Return empty on error to continue
+                                // A missing page would leave a silently incomplete dataset
+                                console.error(`Error downloading page ${page + 1}:`, e?.message || e);
+                                throw new Error(`Download failed at page ${page + 1} of ${totalPages}: ${e?.message || e}`);
                             }
                         })()
                     );
@@ -368,6 +372,33 @@ class GisCustomerInterceptor {
         console.log('Spatial index built successfully');
     }
 
+    // [[lat, lng]] of every customer in a DMA - the app has no DMA boundaries, so their spread stands in for one
+    async getDmaCoordinates(dmaCode) {
+        if (!dmaCode) return [];
+        try {
+            await this.ensureDirectory();
+            const files = await FileSystem.readDirectoryAsync(CUSTOMER_DIR);
+            const chunkFiles = files.filter(f => f.startsWith('chunk_') && f.endsWith('.json'));
+            const wanted = String(dmaCode).toUpperCase();
+            const coordinates = [];
+
+            for (const file of chunkFiles) {
+                const chunk = JSON.parse(await FileSystem.readAsStringAsync(CUSTOMER_DIR + file));
+                for (const row of chunk) {
+                    const rowDma = row.dma || row.DMA || row.dmaCode || row.dmacode;
+                    if (!rowDma || String(rowDma).toUpperCase() !== wanted) continue;
+                    const rLat = parseFloat(row.latitude || row.lat || row.Latitude || row.LAT);
+                    const rLng = parseFloat(row.longitude || row.lng || row.Longitude || row.LNG);
+                    if (!isNaN(rLat) && !isNaN(rLng)) coordinates.push([rLat, rLng]);
+                }
+            }
+            return coordinates;
+        } catch (error) {
+            console.error('DMA coordinates lookup failed:', error);
+            return [];
+        }
+    }
+
     async searchCustomers(query) {
         if (!query || query.length < 5) return [];
 
@@ -1,7 +1,5 @@
 // Helpers to handle storage-full scenarios caused by large cached datasets
 const STORAGE_AUTH_KEYS = new Set(['token', 'refresh_token', 'userData', 'savedUsername', 'savedPassword', 'rememberMe']);
-// API Base URL
-export const API_BASE = 'https://dev-api.davao-water.gov.ph/dcwd-gis/api/v1';
 
 const isStorageFullError = (err) => {
   const msg = (err?.message || err?.toString() || '').toString();
@@ -41,18 +39,21 @@ const safeSetItem = async (key, value) => {
   }
 };
 
+const authLog = createLogger('Auth');
+
 export const login = async (username, password) => {
   try {
     const u = (username ?? '').toString().trim();
     const p = (password ?? '').toString().trim();
-    console.log('🔑 Attempting login for user:', u);
+    authLog.info('Attempting login', { username: u });
     await AsyncStorage.removeItem('token');
     await AsyncStorage.removeItem('refresh_token');
     const { data } = await devApi.post('/admin/userlogin/login', {
       username: u,
       password: p,
     });
-    console.log('📥 Login response received:', JSON.stringify(data, null, 2));
+    // Objects go through redaction key by key - the user's names and tokens stay out of the logs
+    authLog.debug('Login response received:', data);
     if (data?.statusCode === 200 && data?.data?.token) {
       const { token, refreshToken } = data.data;
       await safeSetItem('token', token);
@@ -60,10 +61,10 @@ export const login = async (username, password) => {
         await safeSetItem('refresh_token', refreshToken);
       }
       await safeSetItem('userData', JSON.stringify(data.data));
-      console.log('✅ Login successful - User:', data.data.fName, data.data.lName);
+      authLog.info('Login successful', { empId: data.data.empId });
       return data.data;
     }
-    console.warn('⚠️ Login failed - invalid response format:', data);
+    authLog.warn('Login failed - invalid response format:', data);
     throw new Error(data?.message || 'Login failed');
   } catch (error) {
     if (isStorageFullError(error)) {
@@ -71,16 +72,13 @@ export const login = async (username, password) => {
       console.error('❌ Login error: storage full');
       throw friendly;
     }
-    console.error('❌ Login error:', error?.response?.status, error?.response?.data || error.message);
-    if (error?.response) {
-      console.error('Full error response:', JSON.stringify(error.response, null, 2));
-    }
+    authLog.error('Login error:', error?.response?.status, error?.response?.data || error.message);
     throw error;
   }
 };
 
 export const logout = async () => {
-  const keysToRemove = ['token', 'refresh_token', 'userData'];
+  const keysToRemove = ['token', 'refresh_token', 'userData', 'leakReportHistory'];
   await AsyncStorage.multiRemove(keysToRemove);
   console.log('✓ Cleared auth tokens (customer cache preserved)');
 };
@@ -104,6 +102,9 @@ export const fetchDmaCodes = async (forceRefresh = false) => {
   }
 };
 
+// Forget the cached DMA codes - they belong to the server they came from
+export const clearDmaCodeCache = () => AsyncStorage.removeItem('dmaCodes');
+
 // Search offline customer data
 export const searchOfflineCustomers = async (searchValue) => {
   try {
@@ -379,10 +380,14 @@ export const checkForNewData = async () => {
   }
 };
 
+// Large customer batches are worth a longer wait than the default policy before
+// the download is stopped as partial
+const CUSTOMER_BATCH_RETRY = { retries: 5, maxDelay: 60000 };
+
 export const fetchAllCustomers = async (forceRefresh = false, onProgress = null, opts = {}) => {
   const BATCH_SIZE = 5000; // Download 5000 records per batch
   const CHUNK_SIZE = 5000; // Save to AsyncStorage every 5,000 records
-  const API_URL = 'https://api.davao-water.gov.ph/dcwd-gis/api/v1/admin/customer/all';
+  const API_URL = `${getCustomerApiBaseUrl()}/admin/customer/all`;
 
   try {
     console.log('📥 Starting batched customer data download...');
@@ -433,6 +438,7 @@ export const fetchAllCustomers = async (forceRefresh = false, onProgress = null,
             page: currentPage,
           },
           timeout: 120000, // 2 minute timeout per batch
+          retry: CUSTOMER_BATCH_RETRY,
         });
 
         const batchData = response?.data?.data || response?.data || [];
@@ -623,7 +629,7 @@ export const fetchAllCustomers = async (forceRefresh = false, onProgress = null,
 export const resumeCustomerDownload = async (onProgress = null, opts = {}) => {
   const BATCH_SIZE = 5000;
   const CHUNK_SIZE = 5000;
-  const API_URL = 'https://api.davao-water.gov.ph/dcwd-gis/api/v1/admin/customer/all';
+  const API_URL = `${getCustomerApiBaseUrl()}/admin/customer/all`;
 
   try {
     console.log('🔄 Resuming customer data download...');
@@ -685,6 +691,7 @@ export const resumeCustomerDownload = async (onProgress = null, opts = {}) => {
             page: currentPage,
           },
           timeout: 120000, // 2 minute timeout
+          retry: CUSTOMER_BATCH_RETRY,
         });
 
         const batchData = response?.data?.data || response?.data || [];
@@ -844,6 +851,8 @@ export const fetchNearestMeters = async (lat, lng, count = 3) => {
   }
 };
 
+const reportLog = createLogger('LeakReports');
+
 export const fetchLeakReports = async (empId) => {
   try {
     let employeeId = empId;
@@ -855,7 +864,7 @@ export const fetchLeakReports = async (empId) => {
       }
     }
     if (!employeeId) {
-      console.warn('⚠️ No empId found for fetching leak reports');
+      reportLog.warn('No empId found for fetching leak reports');
       return {
         reports: [],
         reportedCount: 0,
@@ -868,24 +877,23 @@ export const fetchLeakReports = async (empId) => {
         totalCount: 0
       };
     }
-    console.log('📋 Fetching leak reports for empId:', empId);
-    // Try fetching all reports without filters
-    const res = await devApi.get(`/admin/GetLeakReports/mobile/user/${empId}`, {
+    reportLog.info('Fetching leak reports for empId:', employeeId);
+    // Status counts cover every report; only the latest page comes back for recent activity
+    const res = await devApi.get(`/admin/GetLeakReports/mobile/user/${employeeId}`, {
       params: {
-        limit: 1000, // Request more records
+        page: 1,
+        pageSize: REPORT_PAGE_SIZE,
+        limit: REPORT_PAGE_SIZE,
         includeAll: true // Try to get all statuses
       }
     });
     const responseData = res?.data?.data || res?.data || {};
-    console.log('✅ Full API Response:', JSON.stringify(res.data, null, 2));
-
-    // Debug: Log first report structure to find coordinate fields
+    // Field names only - report contents include reporter names and numbers
     if (responseData.reports && responseData.reports.length > 0) {
-      console.log('📍 First report keys:', Object.keys(responseData.reports[0]));
-      console.log('📍 First report full data:', JSON.stringify(responseData.reports[0], null, 2));
+      reportLog.debug('Report fields:', Object.keys(responseData.reports[0]));
     }
 
-    console.log('✅ Leak reports fetched:', {
+    reportLog.info('Leak reports fetched:', {
       totalCount: responseData.totalCount || 0,
       reportedCount: responseData.reportedCount || 0,
       dispatchedCount: responseData.dispatchedCount || 0,
@@ -907,9 +915,9 @@ export const fetchLeakReports = async (empId) => {
     // Handle 404 silently - it usually means no reports found for this user
     const status = err?.response?.status;
     if (status === 404) {
-      console.log('📋 No leak reports found for user (404 response)');
+      reportLog.info('No leak reports found for user (404 response)');
     } else {
-      console.error('fetchLeakReports error', err?.response?.data || err.message || err);
+      reportLog.error('fetchLeakReports error', err?.response?.data || err.message || err);
     }
     return {
       reports: [],
@@ -925,55 +933,202 @@ export const fetchLeakReports = async (empId) => {
   }
 };
 
-// Helper function to generate reference number (e.g., 202510BB1F)
-const generateRefNo = () => {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const random = Math.random().toString(36).substring(2, 6).toUpperCase();
-  return `${year}${month}${random}`;
+const getEmpId = async (empId) => {
+  if (empId) return empId;
+  const userData = await AsyncStorage.getItem('userData');
+  return userData ? JSON.parse(userData).empId : null;
+};
+
+// The last full list from a server that ignores paging, so later pages of the
+// same query are cut from it instead of downloading everything again
+let unpagedReports = null; // { key, reports }
+
+/**
+ * One page of the signed-in user's reports for the All Reports list.
+ * filters are the reportQuery filters (search, status, leak type, DMA, date
+ * range, sort). Resolves with { reports, page, pageSize, totalCount, hasMore };
+ * a server that ignores paging returns everything, which is then filtered and
+ * paged locally - page 1 always asks the server again. A 404 means the user has no reports.
+ */
+export const fetchLeakReportsPage = async (filters = DEFAULT_REPORT_FILTERS, options = {}) => {
+  const { page = 1, pageSize = REPORT_PAGE_SIZE, signal } = options;
+  const employeeId = await getEmpId(options.empId);
+  const empty = { reports: [], page, pageSize, totalCount: 0, hasMore: false };
+  if (!employeeId) {
+    reportLog.warn('No empId found for fetching leak reports');
+    return empty;
+  }
+
+  const key = JSON.stringify([employeeId, filters]);
+  if (page > 1 && unpagedReports?.key === key) {
+    return applyReportQuery(unpagedReports.reports, filters, { page, pageSize });
+  }
+
+  try {
+    const res = await devApi.get(`/admin/GetLeakReports/mobile/user/${employeeId}`, {
+      params: toReportQueryParams(filters, { page, pageSize }),
+      signal,
+    });
+    const data = res?.data?.data || res?.data || {};
+    const reports = data.reports || [];
+
+    const isPaged = data.page !== undefined || data.hasMore !== undefined || data.totalPages !== undefined;
+    unpagedReports = isPaged ? null : { key, reports };
+    if (!isPaged) {
+      reportLog.debug('Server returned an unpaged list - filtering locally:', reports.length);
+      return applyReportQuery(reports, filters, { page, pageSize });
+    }
+
+    const totalCount = data.filteredCount ?? data.totalCount ?? reports.length;
+    return {
+      reports,
+      page: parseInt(data.page, 10) || page,
+      pageSize,
+      totalCount,
+      hasMore: data.hasMore ?? (page * pageSize < totalCount),
+    };
+  } catch (err) {
+    if (err?.response?.status === 404) {
+      reportLog.info('No leak reports found for user (404 response)');
+      return empty;
+    }
+    reportLog.error('fetchLeakReportsPage error', err?.response?.data || err.message || err);
+    throw err;
+  }
+};
+
+const ALL_REPORTS_PAGE_SIZE = 100;
+const ALL_REPORTS_MAX_PAGES = 50;
+
+/**
+ * Every report matching filters, paged through GetLeakReports 100 at a time
+ * (at most 5000). Used for exports, the dashboard charts and the reports map.
+ * Errors are thrown like fetchLeakReportsPage.
+ */
+export const fetchAllLeakReports = async (filters = DEFAULT_REPORT_FILTERS, { empId } = {}) => {
+  const reports = [];
+  let page = 1;
+  let hasMore = true;
+  while (hasMore && page <= ALL_REPORTS_MAX_PAGES) {
+    const result = await fetchLeakReportsPage(filters, { page, pageSize: ALL_REPORTS_PAGE_SIZE, empId });
+    reports.push(...result.reports);
+    hasMore = result.hasMore;
+    page += 1;
+  }
+  return reports;
 };
 
-// Helper function to map covering to ID
-const getCoveringId = (covering) => {
-  const coveringMap = {
-    'Concrete': 1,
-    'Asphalt': 2,
-    'Soil': 3,
-    'Gravel': 4,
+/**
+ * Every inspector's reports within radiusMeters of position, reported since
+ * dateFrom - for the duplicate check before a new report is sent. Kept short
+ * so a slow connection does not hold up the submission. A 404 means nothing nearby.
+ */
+export const fetchNearbyLeakReports = async ({ latitude, longitude }, { radiusMeters = 50, dateFrom } = {}) => {
+  try {
+    const res = await devApi.get('/admin/GetLeakReports/nearby', {
+      params: { lat: latitude, lng: longitude, radius: radiusMeters, ...(dateFrom ? { dateFrom } : {}) },
+      timeout: 8000,
+      // The form falls back to cached reports at once - no retries, and a slow lookup is not a server outage
+      retry: false,
+      circuitBreaker: false,
+    });
+    const data = res?.data?.data || res?.data || [];
+    return Array.isArray(data) ? data : data.reports || [];
+  } catch (err) {
+    if (err?.response?.status === 404) return [];
+    reportLog.warn('fetchNearbyLeakReports error', err?.response?.data || err.message || err);
+    throw err;
+  }
+};
+
+// The server's answer for a RefNo it already has: 409 "RefNo <refNo> already exists".
+// Any other conflict or validation error is a real failure and keeps the report queued.
+const isDuplicateRefNoResponse = (status, message) => status === 409
+  && /\bRefNo\b.*\balready exists\b/i.test((message || '').toString());
+
+/**
+ * Look up a report we submitted earlier by its client RefNo. Resolves with the
+ * report or null; a lookup that fails throws, so the caller does not resubmit
+ * a report it could not check.
+ */
+export const findLeakReportByRefNo = async (refNo, empId) => {
+  if (!refNo) return null;
+  const { reports } = await fetchLeakReportsPage({ ...DEFAULT_REPORT_FILTERS, search: String(refNo).trim() }, { empId });
+  return reports.find((report) => isSameRefNo(report.refNo || report.RefNo, refNo)) || null;
+};
+
+// Multipart fields the backend has always accepted for the first leak photos
+const LEGACY_PHOTO_FIELDS = ['LeakImage1', 'LeakImage2'];
+
+// Multipart file entry for a local photo
+const toUploadFile = (uri, fallbackName) => {
+  const fileName = uri.split('/').pop();
+  const fileType = fileName.split('.').pop();
+  return {
+    uri,
+    name: fileName || fallbackName,
+    type: `image/${fileType === 'png' ? 'png' : 'jpeg'}`,
   };
-  return coveringMap[covering] || 3; // Default to Soil
 };
 
-export const submitLeakReport = async (reportData) => {
+// Priority from the report's severity answers and pressure; reports without answers get the default
+const assessReportSeverity = (catalog, reportData) => scoreSeverity(
+  getSeverityRules(catalog),
+  reportData.severity ? { ...reportData.severity, pressure: reportData.pressure } : {}
+);
+
+// Photos already on the server (an amended report keeps these)
+const isRemotePhoto = (uri) => /^https?:/i.test(uri || '');
+
+// True when a submission was aborted through options.signal
+export const isSubmissionCancelled = (error) => axios.isCancel(error) || error?.code === 'ERR_CANCELED';
+
+/**
+ * Submit a leak report.
+ * reportData.refNo is the stable client reference generated when the report was
+ * started; pass { verifyExisting: true } when retrying so a report the server
+ * already accepted (e.g. before a timeout) is not submitted twice.
+ *
+ * options.onUploadProgress receives { loaded, total, percentage } while the
+ * multipart body is sent; options.signal (AbortController) cancels the upload.
+ */
+export const submitLeakReport = async (reportData, options = {}) => {
+  const { verifyExisting = false, onUploadProgress, signal } = options;
   try {
-    console.log('📤 Submitting leak report:', reportData);
+    reportLog.info('Submitting leak report:', {
+      refNo: reportData.refNo,
+      leakType: reportData.leakType,
+      dma: reportData.dma,
+      photos: (reportData.leakPhotos || []).length,
+    });
+
+    const refNo = reportData.refNo || await generateRefNo();
+    if (!reportData.refNo) {
+      reportLog.warn('Report has no RefNo - generated one for this attempt:', refNo);
+    }
+
+    if (verifyExisting) {
+      const existing = await findLeakReportByRefNo(refNo);
+      if (existing) {
+        reportLog.info('Report already on server, skipping resubmission:', refNo);
+        return { duplicate: true, refNo, data: existing };
+      }
+    }
 
     // Get user data for reporter info
     const userData = await AsyncStorage.getItem('userData');
     const user = userData ? JSON.parse(userData) : {};
 
-    console.log('🔍 Extracting meter data:', {
+    reportLog.debug('Extracting meter data:', {
       meterNumber: reportData.meterData?.meterNumber,
       accountNumber: reportData.meterData?.accountNumber,
       processed: (reportData.meterData?.accountNumber || '').replace(/\D/g, '').slice(-6)
     });
 
-    const leakTypeMapping = {
-      'Unidentified': { leakTypeId: 40, jmsCode: '0000', reportType: '' },
-      'Serviceline': { leakTypeId: 38, jmsCode: '0100', reportType: '54' },
-      'Service Line': { leakTypeId: 38, jmsCode: '0100', reportType: '54' },
-      'Mainline': { leakTypeId: 39, jmsCode: '0101', reportType: '55' },
-      'Blow-off': { leakTypeId: 64, jmsCode: '0113', reportType: '' },
-      'Blow-offvalve': { leakTypeId: 64, jmsCode: '0113', reportType: '' },
-      'Firehydrant': { leakTypeId: 65, jmsCode: '0114', reportType: '' },
-      'Airrelease': { leakTypeId: 66, jmsCode: '0115', reportType: '' },
-      'Airreleasevalve': { leakTypeId: 66, jmsCode: '0115', reportType: '' },
-      'valve': { leakTypeId: 61, jmsCode: '0116', reportType: '' },
-      'Others': { leakTypeId: 40, jmsCode: '0000', reportType: '' },
-    };
-
-    const leakMapping = leakTypeMapping[reportData.leakType] || leakTypeMapping['Unidentified'];
+    // Leak type / covering ids come from the server-driven catalog (bundled defaults offline)
+    const catalog = await getCatalogs();
+    const leakMapping = resolveLeakType(catalog, reportData.leakType);
+    const severity = assessReportSeverity(catalog, reportData);
 
     // Build geometry string - coordinates is the LEAK location (may differ from meter)
     const longitude = reportData.coordinates?.longitude || 125.598699;
@@ -982,21 +1137,21 @@ export const submitLeakReport = async (reportData) => {
     const wktPoint = `POINT(${longitude} ${latitude})`; // WKT format for GIS
 
     // Log meter vs leak location for debugging
-    console.log('📍 Leak Location (Geom):', { longitude, latitude, geomString });
+    reportLog.debug('Leak Location (Geom):', { longitude, latitude, geomString });
     if (reportData.meterCoordinates) {
-      console.log('🚰 Meter Location (Reference):', {
+      reportLog.debug('Meter Location (Reference):', {
         latitude: reportData.meterCoordinates.latitude,
         longitude: reportData.meterCoordinates.longitude,
       });
     }
     if (reportData.leakLocationMethod) {
-      console.log('📍 Leak location method:', reportData.leakLocationMethod);
+      reportLog.debug('Leak location method:', reportData.leakLocationMethod);
     }
 
     // Map frontend fields to backend expected fields
     const mappedData = {
       // Required fields
-      RefNo: generateRefNo(), // Generate reference number
+      RefNo: refNo, // Stable client reference number
       ReportedLocation: reportData.meterData?.address || reportData.location || '',
       ReportedLandmark: reportData.landmark || '',
       ReferenceMtr: reportData.meterData?.meterNumber || '',
@@ -1010,8 +1165,9 @@ export const submitLeakReport = async (reportData) => {
       // Optional fields
       LeakTypeId: leakMapping.leakTypeId,
       geom: geomString, // IMPORTANT: lowercase 'geom' (database column name)
-      LeakCovering: getCoveringId(reportData.covering),
-      Priority: 2, // Default priority
+      LeakCovering: resolveCoveringId(catalog, reportData.covering),
+      Priority: severity.priority, // From the severity assessment (default when not assessed)
+      Pressure: reportData.pressure || '',
       ReportType: parseInt(leakMapping.reportType, 10) || 1,
       DispatchStat: 0, // Default status: Pending (0=Pending, changed from web)
       LeakIndicator: 1, // Add leak indicator (required by backend)
@@ -1021,9 +1177,11 @@ export const submitLeakReport = async (reportData) => {
       ReporterType: 1, // Add reporter type (1=Mobile)
       empId: user.empId || user.employeeId || '', // IMPORTANT: lowercase 'empId'
       ReportedBy: user.empId || user.employeeId || '', // NEW: ReportedBy field
+      LinkedRefNo: reportData.linkedRefNo || '', // Existing report the inspector says this is a duplicate of
     };
 
-    console.log('📋 Mapped data for submission:', mappedData);
+    // Redacted by the logger (ReporterName, ReportedNumber)
+    reportLog.debug('Mapped data for submission:', mappedData);
 
     // Use FormData (multipart/form-data) as backend expects
     const formData = new FormData();
@@ -1045,57 +1203,55 @@ export const submitLeakReport = async (reportData) => {
     formData.append('LeakTypeId', mappedData.LeakTypeId || 0);
     formData.append('LeakCovering', mappedData.LeakCovering || 0);
     formData.append('Priority', mappedData.Priority || 0);
+    formData.append('Pressure', mappedData.Pressure);
+    if (severity.assessed) {
+      formData.append('SeverityScore', severity.score);
+      formData.append('SeverityAssessment', JSON.stringify(severity.answers));
+    }
     formData.append('ReportType', mappedData.ReportType || 0);
     formData.append('DispatchStat', 0); // Always 0 (Pending) - status changed from web only
     formData.append('LeakIndicator', mappedData.LeakIndicator || 0);
     formData.append('LeakLocation', mappedData.LeakLocation || 0);
     formData.append('ReporterType', mappedData.ReporterType || 0);
-
-    console.log('📤 DispatchStat being sent:', 0, '(Pending)');
-
-    // Image files - properly format for React Native FormData
-    if (reportData.leakPhotos && reportData.leakPhotos.length > 0) {
-      reportData.leakPhotos.forEach((photoUri, index) => {
-        if (photoUri) {
-          const fileName = photoUri.split('/').pop();
-          const fileType = fileName.split('.').pop();
-          const fieldName = index === 0 ? 'LeakImage1' : 'LeakImage2';
-          formData.append(fieldName, {
-            uri: photoUri,
-            name: fileName || `leak_photo_${index + 1}.jpg`,
-            type: `image/${fileType === 'png' ? 'png' : 'jpeg'}`,
-          });
-          console.log(`📸 Appended ${fieldName}:`, fileName);
-        }
-      });
+    if (mappedData.LinkedRefNo) {
+      formData.append('LinkedRefNo', mappedData.LinkedRefNo);
     }
 
+
+    // Leak photos go out as Attachments[i] (category + caption). The first two are
+    // also the legacy LeakImage1/LeakImage2 files, so older servers keep working and
+    // those attachments reference the legacy field instead of uploading the file twice.
+    const attachments = (reportData.leakPhotos || [])
+      .map((uri, i) => ({ uri, details: reportData.leakPhotoDetails?.[i] || {} }))
+      .filter((attachment) => attachment.uri);
+    attachments.forEach(({ uri: photoUri, details }, index) => {
+      const file = toUploadFile(photoUri, `leak_photo_${index + 1}.jpg`);
+
+      if (index < LEGACY_PHOTO_FIELDS.length) {
+        formData.append(LEGACY_PHOTO_FIELDS[index], file);
+        formData.append(`Attachments[${index}].Field`, LEGACY_PHOTO_FIELDS[index]);
+      } else {
+        formData.append(`Attachments[${index}].File`, file);
+      }
+      formData.append(`Attachments[${index}].Category`, details.category || '');
+      formData.append(`Attachments[${index}].Caption`, details.caption || '');
+      reportLog.debug(`Appended attachment ${index + 1}:`, file.name, details.category || '');
+    });
+
     if (reportData.landmarkPhoto) {
-      const fileName = reportData.landmarkPhoto.split('/').pop();
-      const fileType = fileName.split('.').pop();
-      formData.append('LandmarkImage', {
-        uri: reportData.landmarkPhoto,
-        name: fileName || 'landmark_photo.jpg',
-        type: `image/${fileType === 'png' ? 'png' : 'jpeg'}`,
-      });
-      console.log('📸 Appended LandmarkImage:', fileName);
+      const file = toUploadFile(reportData.landmarkPhoto, 'landmark_photo.jpg');
+      formData.append('LandmarkImage', file);
+      reportLog.debug('Appended LandmarkImage:', file.name);
     }
 
-    console.log('✅ FormData prepared with camelCase field names to match backend model');
-
-    // Log all FormData entries for debugging
-    console.log('📋 FormData contents being sent:');
+    // Field names only - values are in the (redacted) mapped data above
     if (formData._parts) {
-      formData._parts.forEach(([key, value]) => {
-        if (typeof value === 'object' && value.uri) {
-          console.log(`  ${key}: [FILE] ${value.name}`);
-        } else {
-          console.log(`  ${key}: ${value}`);
-        }
-      });
+      reportLog.debug('FormData fields:', formData._parts.map(([key]) => key).join(', '));
     }
 
-    console.log('📤 Sending FormData to backend (multipart/form-data)');
+    if (signal?.aborted) {
+      throw new axios.CanceledError('Submission cancelled');
+    }
 
     try {
       const res = await devApi.post(
@@ -1105,29 +1261,214 @@ export const submitLeakReport = async (reportData) => {
           headers: {
             'Content-Type': 'multipart/form-data',
           },
+          signal,
+          // The RefNo makes a repeat safe - the server answers 409 for a report it already has
+          retry: { idempotent: true, retries: 2 },
+          onUploadProgress: onUploadProgress
+            ? (event) => {
+              const total = event.total || 0;
+              onUploadProgress({
+                loaded: event.loaded,
+                total,
+                percentage: total ? Math.min(100, Math.round((event.loaded / total) * 100)) : 0,
+              });
+            }
+            : undefined,
         }
       );
-      console.log('✅ Leak report submitted successfully');
-      console.log('📥 Submission Response:', JSON.stringify(res?.data, null, 2));
-      return res?.data;
+      reportLog.info('Leak report submitted:', refNo, { statusCode: res?.data?.statusCode, message: res?.data?.message });
+      if (isDuplicateRefNoResponse(res?.data?.statusCode, res?.data?.message)) {
+        reportLog.info('Server reports RefNo already exists - treating as submitted:', refNo);
+        return { ...res.data, duplicate: true, refNo };
+      }
+      return { ...(res?.data || {}), refNo };
     } catch (error) {
-      console.error('❌ Submission failed:', error?.response?.data || error.message);
+      const status = error?.response?.status || error?.response?.data?.statusCode;
+      if (isDuplicateRefNoResponse(status, error?.response?.data?.message)) {
+        reportLog.info('Server rejected RefNo as duplicate - report was already accepted:', refNo);
+        return { ...(error.response.data || {}), duplicate: true, refNo };
+      }
+      if (isSubmissionCancelled(error)) {
+        reportLog.info('Submission cancelled by user:', refNo);
+        throw error;
+      }
+      reportLog.error('Submission failed:', refNo, error?.response?.data || error.message);
       throw error;
     }
   } catch (err) {
-    console.error('submitLeakReport error', err?.response?.data || err.message || err);
+    if (!isSubmissionCancelled(err) && !err?.response) {
+      reportLog.error('submitLeakReport error', err?.message || err);
+    }
     throw err;
   }
 };
+
+// Thrown when the server will not change a report because it has left Pending
+export const REPORT_NOT_PENDING_CODE = 'ERR_REPORT_NOT_PENDING';
+
+export const isReportNotPendingError = (error) => error?.code === REPORT_NOT_PENDING_CODE;
+
+// Only the server's own not-pending answer - other conflicts and validation errors are ordinary failures
+const toReportChangeError = (error, refNo) => {
+  const message = error?.response?.data?.message || '';
+  if (/\bnot pending\b|\balready (been )?(dispatched|scheduled)\b/i.test(message)) {
+    return Object.assign(
+      new Error(message || `Report ${refNo} is no longer pending and can only be changed from the web`),
+      { code: REPORT_NOT_PENDING_CODE, response: error.response }
+    );
+  }
+  return error;
+};
+
+/**
+ * Amend a report that is still Pending (DispatchStat 0).
+ * reportData has the same shape as for submitLeakReport; refNo must be the
+ * submitted report's. Photos already on the server (http URLs) are listed as
+ * RetainedPhotos, photos taken while editing are uploaded as new attachments,
+ * and a server photo left out of the form is removed.
+ *
+ * Rejects with REPORT_NOT_PENDING_CODE once the report has been acted on.
+ * options.onUploadProgress / options.signal work as for submitLeakReport.
+ */
+export const amendLeakReport = async (reportData, options = {}) => {
+  const { onUploadProgress, signal } = options;
+  const refNo = reportData.refNo;
+  if (!refNo) throw new Error('Cannot amend a report without a RefNo');
+
+  try {
+    reportLog.info('Amending leak report:', { refNo, leakType: reportData.leakType, dma: reportData.dma });
+
+    const userData = await AsyncStorage.getItem('userData');
+    const user = userData ? JSON.parse(userData) : {};
+    const catalog = await getCatalogs();
+    const leakMapping = resolveLeakType(catalog, reportData.leakType);
+    const severity = assessReportSeverity(catalog, reportData);
+    const { longitude, latitude } = reportData.coordinates || {};
+
+    const formData = new FormData();
+    formData.append('RefNo', refNo);
+    formData.append('ReportedLocation', reportData.meterData?.address || reportData.location || '');
+    formData.append('ReportedLandmark', reportData.landmark || '');
+    formData.append('ReferenceMtr', reportData.meterData?.meterNumber || '');
+    formData.append('ReportedNumber', reportData.contactNumber || '');
+    formData.append('ReferenceRecaddrs', (reportData.meterData?.accountNumber || '').replace(/\D/g, '').slice(-6));
+    formData.append('DmaCode', reportData.dma || reportData.meterData?.dma || '');
+    formData.append('JmsCode', leakMapping.jmsCode || '');
+    formData.append('LeakTypeId', leakMapping.leakTypeId || 0);
+    formData.append('LeakCovering', resolveCoveringId(catalog, reportData.covering) || 0);
+    formData.append('ReportType', parseInt(leakMapping.reportType, 10) || 1);
+    formData.append('LeakLocation', reportData.location === 'Surface' ? 1 : 2);
+    formData.append('Priority', severity.priority);
+    formData.append('Pressure', reportData.pressure || '');
+    if (severity.assessed) {
+      formData.append('SeverityScore', severity.score);
+      formData.append('SeverityAssessment', JSON.stringify(severity.answers));
+    }
+    if (longitude && latitude) {
+      formData.append('Geom', `${longitude}, ${latitude}`);
+    }
+    formData.append('AmendedBy', user.empId || user.employeeId || '');
+    formData.append('DtAmended', new Date().toISOString());
+
+    const leakPhotos = (reportData.leakPhotos || [])
+      .map((uri, i) => ({ uri, details: reportData.leakPhotoDetails?.[i] || {} }))
+      .filter((photo) => photo.uri);
+    const retained = [...leakPhotos.map((photo) => photo.uri), reportData.landmarkPhoto].filter(isRemotePhoto);
+    retained.forEach((uri, index) => formData.append(`RetainedPhotos[${index}]`, uri));
+
+    leakPhotos.filter((photo) => !isRemotePhoto(photo.uri)).forEach(({ uri, details }, index) => {
+      formData.append(`Attachments[${index}].File`, toUploadFile(uri, `leak_photo_${index + 1}.jpg`));
+      formData.append(`Attachments[${index}].Category`, details.category || '');
+      formData.append(`Attachments[${index}].Caption`, details.caption || '');
+    });
+    if (reportData.landmarkPhoto && !isRemotePhoto(reportData.landmarkPhoto)) {
+      formData.append('LandmarkImage', toUploadFile(reportData.landmarkPhoto, 'landmark_photo.jpg'));
+    }
+
+    if (signal?.aborted) {
+      throw new axios.CanceledError('Amendment cancelled');
+    }
+
+    const res = await devApi.put(
+      `/admin/LeakDetection/LeakDetectionReport/${encodeURIComponent(refNo)}`,
+      formData,
+      {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        signal,
+        onUploadProgress: onUploadProgress
+          ? (event) => {
+            const total = event.total || 0;
+            onUploadProgress({
+              loaded: event.loaded,
+              total,
+              percentage: total ? Math.min(100, Math.round((event.loaded / total) * 100)) : 0,
+            });
+          }
+          : undefined,
+      }
+    );
+    reportLog.info('Leak report amended:', refNo, { statusCode: res?.data?.statusCode });
+    return { ...(res?.data || {}), refNo, amended: true };
+  } catch (err) {
+    if (isSubmissionCancelled(err)) {
+      reportLog.info('Amendment cancelled by user:', refNo);
+      throw err;
+    }
+    const error = toReportChangeError(err, refNo);
+    reportLog.error('Amendment failed:', refNo, error?.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Withdraw (cancel) a report that is still Pending, e.g. a duplicate.
+ * Withdrawing twice is harmless - the server keeps the first withdrawal.
+ */
+export const withdrawLeakReport = async (refNo, { reason = '' } = {}) => {
+  if (!refNo) throw new Error('Cannot withdraw a report without a RefNo');
+  try {
+    const userData = await AsyncStorage.getItem('userData');
+    const user = userData ? JSON.parse(userData) : {};
+
+    const res = await devApi.post(
+      `/admin/LeakDetection/LeakDetectionReport/${encodeURIComponent(refNo)}/withdraw`,
+      {
+        RefNo: refNo,
+        Reason: reason,
+        WithdrawnBy: user.empId || user.employeeId || '',
+        DtWithdrawn: new Date().toISOString(),
+      },
+      { retry: { idempotent: true } }
+    );
+    reportLog.info('Leak report withdrawn:', refNo);
+    return { ...(res?.data || {}), refNo, withdrawn: true };
+  } catch (err) {
+    // A retry after a lost response - the first withdrawal went through
+    if (/already withdrawn/i.test(err?.response?.data?.message || '')) {
+      reportLog.info('Report was already withdrawn:', refNo);
+      return { ...(err.response.data || {}), refNo, withdrawn: true, duplicate: true };
+    }
+    const error = toReportChangeError(err, refNo);
+    reportLog.error('Withdrawal failed:', refNo, error?.response?.data || error.message);
+    throw error;
+  }
+};
 import axios from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { handleSessionExpiry } from './autoLogout';
+import { generateRefNo, isSameRefNo } from './referenceNumber';
+import { getCatalogs, resolveLeakType, resolveCoveringId } from './catalogService';
+import { getSeverityRules, scoreSeverity } from './severity';
+import { createLogger } from './logger';
+import { getApiBaseUrl, getCustomerApiBaseUrl, onEnvironmentChange } from './environment';
+import { applyRetryPolicy } from './retryPolicy';
+import { applyReportQuery, toReportQueryParams, DEFAULT_REPORT_FILTERS, REPORT_PAGE_SIZE } from './reportQuery';
 
 
 
 // Create axios instance
 export const devApi = axios.create({
-  baseURL: API_BASE,
+  baseURL: getApiBaseUrl(),
   headers: {
     'Content-Type': 'application/json',
     'Accept': 'application/json',
@@ -1136,20 +1477,72 @@ export const devApi = axios.create({
   },
 });
 
-// Token refresh state
-let isRefreshing = false;
-let failedQueue = [];
+// Backoff, jitter and circuit breaker for every devApi call (see services/retryPolicy.js)
+applyRetryPolicy(devApi);
+
+// Follow environment switches made from Settings
+onEnvironmentChange((env) => {
+  devApi.defaults.baseURL = env.apiBaseUrl;
+});
+
+// Auth endpoints never go through refresh/replay
+const AUTH_PATHS = ['/admin/userlogin/login', '/auth/refresh'];
+const isAuthRequest = (config) => AUTH_PATHS.some((path) => (config?.url || '').includes(path));
+
+// Single in-flight refresh shared by every request that hit a 401
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new access token.
+ * Concurrent callers share one request. Rejects with error.sessionExpired = true
+ * when the server refuses the refresh token (or there is none); network errors
+ * and 5xx reject without it so the session is kept.
+ */
+export const refreshAccessToken = () => {
+  if (refreshPromise) return refreshPromise;
+
+  refreshPromise = (async () => {
+    const refreshToken = await AsyncStorage.getItem('refresh_token');
+    if (!refreshToken) {
+      throw Object.assign(new Error('No refresh token'), { sessionExpired: true });
+    }
 
-const processQueue = (error, token = null) => {
-  failedQueue.forEach(({ resolve, reject }) => {
-    error ? reject(error) : resolve(token);
-  });
-  failedQueue = [];
+    try {
+      const { data } = await axios.post(`${getApiBaseUrl()}/auth/refresh`, { token: refreshToken }, { timeout: 30000 });
+      const payload = data?.data || data || {};
+      const newToken = payload.accessToken || payload.token;
+      if (!newToken) {
+        throw Object.assign(new Error('Refresh response has no token'), { sessionExpired: true });
+      }
+
+      await safeSetItem('token', newToken);
+      if (payload.refreshToken) {
+        await safeSetItem('refresh_token', payload.refreshToken);
+      }
+      console.log('[Interceptor] 🔄 Access token renewed');
+      return newToken;
+    } catch (error) {
+      const status = error?.response?.status;
+      if (status === 400 || status === 401 || status === 403) {
+        error.sessionExpired = true;
+      }
+      throw error;
+    }
+  })();
+
+  refreshPromise.then(
+    () => { refreshPromise = null; },
+    () => { refreshPromise = null; }
+  );
+  return refreshPromise;
 };
 
-// Request interceptor - auto-attach token
+// Request interceptor - auto-attach token (waits for a refresh already in progress)
 devApi.interceptors.request.use(
   async (config) => {
+    if (refreshPromise && !isAuthRequest(config)) {
+      await refreshPromise.catch(() => {});
+    }
     const token = await AsyncStorage.getItem('token');
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
@@ -1159,61 +1552,42 @@ devApi.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
-// Response interceptor - handle token refresh
+// Response interceptor - renew the token on 401 and replay the request once.
+// Only a refused refresh ends the session; performAutoLogout (via
+// handleSessionExpiry) saves any in-progress form to drafts first.
 devApi.interceptors.response.use(
   (response) => response,
   async (error) => {
     const originalRequest = error.config;
 
-    if (
-      error.response?.status === 401 &&
-      error.response?.data?.message === 'Token Expired' &&
-      !originalRequest._retry
-    ) {
-      if (isRefreshing) {
-        return new Promise((resolve, reject) => {
-          failedQueue.push({ resolve, reject });
-        }).then((token) => {
-          originalRequest.headers.Authorization = `Bearer ${token}`;
-          return devApi(originalRequest);
-        });
-      }
-
-      originalRequest._retry = true;
-      isRefreshing = true;
-
-      try {
-        const refreshToken = await AsyncStorage.getItem('refresh_token');
-        const { data } = await axios.post(`${API_BASE}/auth/refresh`, {
-          token: refreshToken
-        });
-
-        const newToken = data.accessToken || data.token;
-        await AsyncStorage.setItem('token', newToken);
-
-        processQueue(null, newToken);
-        originalRequest.headers.Authorization = `Bearer ${newToken}`;
-
-        return devApi(originalRequest);
-      } catch (err) {
-        processQueue(err, null);
-        console.log('[Interceptor] 🔒 Token refresh failed - triggering session expiry');
-        await AsyncStorage.multiRemove(['token', 'refresh_token', 'userData']);
-        // Trigger auto-logout due to session expiry
-        handleSessionExpiry();
-        return Promise.reject(err);
-      } finally {
-        isRefreshing = false;
-      }
+    if (error.response?.status !== 401 || !originalRequest || isAuthRequest(originalRequest)) {
+      return Promise.reject(error);
     }
 
-    // Also handle direct 401 errors (not just Token Expired message)
-    if (error.response?.status === 401 && !originalRequest._retry) {
-      console.log('[Interceptor] 🔒 Unauthorized (401) - triggering session expiry');
-      await AsyncStorage.multiRemove(['token', 'refresh_token', 'userData']);
+    // Already replayed with a fresh token and still unauthorized - the session is gone
+    if (originalRequest._retry) {
+      console.log('[Interceptor] 🔒 Unauthorized after token renewal - triggering session expiry');
       handleSessionExpiry();
+      return Promise.reject(error);
     }
 
-    return Promise.reject(error);
+    originalRequest._retry = true;
+
+    try {
+      const newToken = await refreshAccessToken();
+      originalRequest.headers.Authorization = `Bearer ${newToken}`;
+      return devApi(originalRequest);
+    } catch (refreshError) {
+      if (refreshError?.sessionExpired) {
+        // Several requests can fail together - only the first one logs out
+        if (await AsyncStorage.getItem('token')) {
+          console.log('[Interceptor] 🔒 Token refresh refused - triggering session expiry');
+          await handleSessionExpiry();
+        }
+      } else {
+        console.log('[Interceptor] ⚠️ Token refresh failed, keeping session:', refreshError?.message || refreshError);
+      }
+      return Promise.reject(error);
+    }
   }
 );
@@ -51,8 +51,53 @@ const generateUUID = () => {
   });
 };
 
+// Points that could not be sent are kept and sent with the next successful save
+const PENDING_LOCATIONS_KEY = 'pendingLocations';
+const MAX_PENDING_LOCATIONS = 200;
+
+const getPendingLocations = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(PENDING_LOCATIONS_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const keepPendingLocation = async (payload) => {
+  const pending = await getPendingLocations();
+  pending.push(payload);
+  // Oldest points go first when the buffer is full
+  await AsyncStorage.setItem(PENDING_LOCATIONS_KEY, JSON.stringify(pending.slice(-MAX_PENDING_LOCATIONS)));
+};
+
+// Each point has its own transaction ID, so a repeated POST is safe to retry
+const postLocation = (payload) => devApi.post('/admin/VehicleTracking/SaveLocation', payload, {
+  retry: { idempotent: true },
+});
+
+const flushPendingLocations = async () => {
+  const pending = await getPendingLocations();
+  if (pending.length === 0) return;
+
+  const sentIds = new Set();
+  for (const payload of pending) {
+    try {
+      await postLocation(payload);
+      sentIds.add(payload.ID);
+    } catch (error) {
+      break;
+    }
+  }
+  // Removed by transaction ID - points queued while flushing may have pushed older ones out of the buffer
+  const latest = await getPendingLocations();
+  await AsyncStorage.setItem(PENDING_LOCATIONS_KEY, JSON.stringify(latest.filter((payload) => !sentIds.has(payload.ID))));
+  console.log(`📤 Sent ${sentIds.size}/${pending.length} pending location(s)`);
+};
+
 // Save location to API
-const saveLocationToAPI = async (location) => {
+export const saveLocationToAPI = async (location) => {
+  let payload = null;
   try {
     const userData = await AsyncStorage.getItem('userData');
     if (!userData) return;
@@ -63,18 +108,24 @@ const saveLocationToAPI = async (location) => {
     // Format location as "latitude,longitude"
     const locationString = `${location.coords.latitude},${location.coords.longitude}`;
     
-    const payload = {
+    payload = {
       ID: generateUUID(), // Unique transaction ID
       DeviceId: deviceId, // Device IMEI/Unique identifier
       Location: locationString, // "lat,lng" format
       TransactionDatetime: new Date(location.timestamp).toISOString(), // ISO 8601 datetime
     };
     
-    await devApi.post('/admin/VehicleTracking/SaveLocation', payload);
+    await postLocation(payload);
 
     console.log('✅ Location saved:', locationString, 'Device:', deviceId);
+    payload = null;
+
+    await flushPendingLocations();
   } catch (error) {
     console.error('❌ Failed to save location:', error.message);
+    if (payload) {
+      await keepPendingLocation(payload).catch(() => {});
+    }
   }
 };
 
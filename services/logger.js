@@ -0,0 +1,266 @@
+import * as FileSystem from 'expo-file-system/legacy';
+
+/**
+ * Logger
+ * Levelled, tagged logging with PII redaction and a ring buffer persisted to
+ * logs/app-log.json so recent history survives restarts and can be attached to
+ * a diagnostic bundle (see services/diagnostics.js).
+ *
+ * Usage:
+ *   const log = createLogger('SyncService');
+ *   log.info('Synced', { count: 3 });
+ *
+ * installConsoleCapture() (called from App.js) also feeds existing console.*
+ * calls into the buffer, redacted, so older modules are covered too.
+ */
+
+const LOG_DIR = `${FileSystem.documentDirectory}logs/`;
+const LOG_FILE = `${LOG_DIR}app-log.json`;
+const MAX_ENTRIES = 1000;
+const MAX_MESSAGE_LENGTH = 2000;
+const FLUSH_DELAY_MS = 5000;
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const IS_DEV = typeof __DEV__ !== 'undefined' && __DEV__;
+let consoleLevel = IS_DEV ? LEVELS.debug : LEVELS.info;
+let bufferLevel = IS_DEV ? LEVELS.debug : LEVELS.info;
+
+// Untouched console methods - the logger writes through these so capture never loops
+const rawConsole = {
+  log: console.log.bind(console),
+  info: (console.info || console.log).bind(console),
+  warn: console.warn.bind(console),
+  error: console.error.bind(console),
+  debug: (console.debug || console.log).bind(console),
+};
+
+let buffer = [];
+let loaded = false;
+let flushTimer = null;
+let captureInstalled = false;
+
+// ---------------------------------------------------------------------------
+// Redaction
+// ---------------------------------------------------------------------------
+
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are always personal data or secrets
+const SENSITIVE_KEYS = new Set([
+  'name', 'fname', 'mname', 'lname', 'firstname', 'middlename', 'lastname', 'fullname',
+  'username', 'savedusername', 'reportername', 'contactname', 'contactperson',
+  'contactnumber', 'contactno', 'reportednumber', 'mobileno', 'mobilenumber', 'phonenumber', 'phone', 'mobile',
+  'email', 'password', 'savedpassword', 'token', 'accesstoken', 'refreshtoken', 'refresh_token', 'authorization',
+]);
+const SENSITIVE_KEY_PATTERN = /pass(word|wd)|secret|token|authorization/i;
+
+const STRING_PATTERNS = [
+  // JWTs
+  [/eyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+  // Authorization headers
+  [/Bearer\s+[\w.~+/-]+=*/gi, `Bearer ${REDACTED}`],
+  // key: value / key=value pairs for sensitive keys inside free text
+  [/((?:password|passwd|pwd|token|refresh_token|reporterName|contactName|contactNumber|ReportedNumber|mobileNo|fullName)["']?\s*[:=]\s*["']?)[^"',}\n]+/gi, `$1${REDACTED}`],
+  // Philippine mobile numbers (09XX XXX XXXX / +639XX...)
+  [/(?:\+?63|\b0)9\d{2}[\s-]?\d{3}[\s-]?\d{4}\b/g, '[PHONE]'],
+  // Email addresses
+  [/[\w.+-]+@[\w-]+\.[\w.-]+/g, '[EMAIL]'],
+];
+
+const redactString = (value) => STRING_PATTERNS.reduce((out, [pattern, replacement]) => out.replace(pattern, replacement), value);
+
+const isSensitiveKey = (key) => SENSITIVE_KEYS.has(String(key).toLowerCase()) || SENSITIVE_KEY_PATTERN.test(String(key));
+
+// Deep copy with personal data and secrets masked
+export const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message || ''), stack: redactString(value.stack || '') };
+  }
+  if (depth > 6) return '[Object]';
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+  const out = {};
+  Object.keys(value).forEach((key) => {
+    const item = value[key];
+    out[key] = isSensitiveKey(key) && item !== null && item !== undefined && item !== ''
+      ? REDACTED
+      : redact(item, depth + 1, seen);
+  });
+  return out;
+};
+
+// Console arguments with PII masked; Error objects pass through so stack traces still render
+const redactArgs = (args) => args.map((arg) => (arg instanceof Error ? arg : redact(arg)));
+
+const stringifyArg = (arg) => {
+  if (typeof arg === 'string') return arg;
+  if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+  try {
+    return JSON.stringify(arg);
+  } catch (e) {
+    return String(arg);
+  }
+};
+
+// Redacted single-line message from console-style arguments
+const formatMessage = (args) => {
+  const text = args.map((arg) => stringifyArg(redact(arg))).join(' ');
+  return text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH)}… (truncated)` : text;
+};
+
+// ---------------------------------------------------------------------------
+// Ring buffer
+// ---------------------------------------------------------------------------
+
+const loadBuffer = async () => {
+  if (loaded) return;
+  loaded = true;
+  try {
+    const info = await FileSystem.getInfoAsync(LOG_FILE);
+    if (!info.exists) return;
+    const stored = JSON.parse(await FileSystem.readAsStringAsync(LOG_FILE));
+    if (Array.isArray(stored)) {
+      // Entries logged before the file was read come after the persisted ones
+      buffer = [...stored, ...buffer].slice(-MAX_ENTRIES);
+    }
+  } catch (error) {
+    rawConsole.warn('[Logger] Failed to load log file:', error?.message || error);
+  }
+};
+
+export const flushLogs = async () => {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  try {
+    await loadBuffer();
+    const dirInfo = await FileSystem.getInfoAsync(LOG_DIR);
+    if (!dirInfo.exists) {
+      await FileSystem.makeDirectoryAsync(LOG_DIR, { intermediates: true });
+    }
+    await FileSystem.writeAsStringAsync(LOG_FILE, JSON.stringify(buffer));
+  } catch (error) {
+    rawConsole.warn('[Logger] Failed to write log file:', error?.message || error);
+  }
+};
+
+const scheduleFlush = (immediate = false) => {
+  if (immediate) {
+    flushLogs();
+    return;
+  }
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushLogs();
+  }, FLUSH_DELAY_MS);
+};
+
+const record = (level, tag, args) => {
+  if (LEVELS[level] < bufferLevel) return;
+  buffer.push({
+    ts: new Date().toISOString(),
+    level,
+    tag: tag || 'App',
+    message: formatMessage(args),
+  });
+  if (buffer.length > MAX_ENTRIES) {
+    buffer = buffer.slice(-MAX_ENTRIES);
+  }
+  scheduleFlush(level === 'error');
+};
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+export const log = (level, tag, ...args) => {
+  if (!LEVELS[level]) level = 'info';
+  if (LEVELS[level] >= consoleLevel) {
+    const method = level === 'debug' ? 'debug' : level === 'info' ? 'log' : level;
+    rawConsole[method](`[${tag}]`, ...redactArgs(args));
+  }
+  record(level, tag, args);
+};
+
+export const createLogger = (tag) => ({
+  debug: (...args) => log('debug', tag, ...args),
+  info: (...args) => log('info', tag, ...args),
+  warn: (...args) => log('warn', tag, ...args),
+  error: (...args) => log('error', tag, ...args),
+});
+
+export const setLogLevel = ({ console: consoleMin, buffer: bufferMin } = {}) => {
+  if (LEVELS[consoleMin]) consoleLevel = LEVELS[consoleMin];
+  if (LEVELS[bufferMin]) bufferLevel = LEVELS[bufferMin];
+};
+
+export const initLogger = async () => {
+  await loadBuffer();
+};
+
+// Most recent entries, oldest first
+export const getRecentLogs = async (limit = MAX_ENTRIES) => {
+  await loadBuffer();
+  return buffer.slice(-limit);
+};
+
+export const clearLogs = async () => {
+  buffer = [];
+  try {
+    await FileSystem.deleteAsync(LOG_FILE, { idempotent: true });
+  } catch (error) {
+    rawConsole.warn('[Logger] Failed to delete log file:', error?.message || error);
+  }
+};
+
+// Tag from a leading "[Tag]" in the first console argument
+const TAG_PATTERN = /^\s*\[([^\]]{1,40})\]\s*/;
+
+// Route console.* through redaction and mirror it into the ring buffer
+export const installConsoleCapture = () => {
+  if (captureInstalled) return;
+  captureInstalled = true;
+
+  const wrap = (method, level) => {
+    console[method] = (...args) => {
+      try {
+        rawConsole[method](...redactArgs(args));
+      } catch (e) {
+        rawConsole[method](...args);
+      }
+      try {
+        let tag = 'Console';
+        if (typeof args[0] === 'string') {
+          const match = args[0].match(TAG_PATTERN);
+          if (match) {
+            tag = match[1];
+            args = [args[0].slice(match[0].length), ...args.slice(1)];
+          }
+        }
+        record(level, tag, args);
+      } catch (e) {
+        // Never let logging break the caller
+      }
+    };
+  };
+
+  wrap('debug', 'debug');
+  wrap('log', 'info');
+  wrap('info', 'info');
+  wrap('warn', 'warn');
+  wrap('error', 'error');
+};
+
+const logger = createLogger('App');
+
+export default logger;
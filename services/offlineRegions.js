@@ -0,0 +1,228 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import GisCustomerInterceptor from './gisCustomerInterceptor';
+import {
+  CITY_REGION,
+  ZOOM_LEVELS,
+  calculateTileCount,
+  downloadTilesForArea,
+  getTileMetadata,
+  syncTileMetadata,
+  clearServedTiles,
+} from './offlineTileManager';
+import { getTileStats, getRegionTileStats, deleteRegionTiles, claimUnassignedTiles } from './tileStore';
+import { convexHull } from './tileGeometry';
+import { getTileDownloadJob, clearTileDownloadJob } from './tileDownloadJob';
+
+const REGIONS_KEY = 'offline_regions';
+
+/**
+ * Offline Regions
+ * Named areas an inspector keeps offline tiles for - a rectangle or polygon
+ * drawn on the map, a DMA, or a buffer along a planned route - each with its
+ * own zoom range. The list is kept in AsyncStorage; which tiles belong to which
+ * region is kept in the tile store, so a region's size is one query and
+ * deleting it only removes tiles no other region uses. Tiles of a pinned region
+ * are never evicted to keep the store within its budget (services/tileCache.js).
+ */
+
+export const REGION_TYPE_LABELS = {
+  rectangle: 'Area',
+  polygon: 'Area',
+  dma: 'DMA',
+  route: 'Route',
+};
+
+export const ROUTE_BUFFER_OPTIONS = [50, 100, 250, 500]; // metres either side of the route
+const DMA_BUFFER_METERS = 150; // around the outermost customers of a DMA
+
+// Used for estimates until the store holds enough tiles to measure
+const DEFAULT_TILE_BYTES = 15 * 1024;
+const MIN_MEASURED_TILES = 100;
+
+const readRegions = async () => {
+  const stored = await AsyncStorage.getItem(REGIONS_KEY);
+  return stored ? JSON.parse(stored) : null;
+};
+
+const writeRegions = (regions) => AsyncStorage.setItem(REGIONS_KEY, JSON.stringify(regions));
+
+/**
+ * Saved regions. The first time regions are read, tiles downloaded for the
+ * whole city before regions existed become a "Davao City" region.
+ */
+export const getOfflineRegions = async () => {
+  try {
+    const regions = await readRegions();
+    if (regions) return regions;
+
+    const { count } = await getTileStats();
+    const upgraded = [];
+    if (count > 0) {
+      const claimed = await claimUnassignedTiles(CITY_REGION.id);
+      const metadata = await getTileMetadata();
+      upgraded.push({
+        ...CITY_REGION,
+        tileCount: calculateTileCount(CITY_REGION),
+        createdAt: metadata?.downloadedAt || new Date().toISOString(),
+        downloadedAt: metadata?.downloadedAt || null,
+      });
+      console.log(`[OfflineRegions] ${claimed} existing tile(s) kept as the ${CITY_REGION.name} region`);
+    }
+    await writeRegions(upgraded);
+    return upgraded;
+  } catch (error) {
+    console.warn('[OfflineRegions] Failed to load regions:', error?.message || error);
+    return [];
+  }
+};
+
+// Why region's shape or zoom range cannot be downloaded, or null - checked while it is being drawn
+export const validateRegionArea = (region) => {
+  if (!ZOOM_LEVELS.includes(region?.minZoom) || !ZOOM_LEVELS.includes(region?.maxZoom) || region.minZoom > region.maxZoom) {
+    return `Choose a zoom range between ${ZOOM_LEVELS[0]} and ${ZOOM_LEVELS[ZOOM_LEVELS.length - 1]}.`;
+  }
+  switch (region.type) {
+    case 'rectangle':
+      return region.bounds && region.bounds.minLat < region.bounds.maxLat && region.bounds.minLon < region.bounds.maxLon
+        ? null : 'Tap two opposite corners of the area.';
+    case 'polygon':
+      return region.points?.length >= 3 ? null : 'Tap at least three points around the area.';
+    case 'route':
+      if (!(region.points?.length >= 2)) return 'Tap at least two points along the route.';
+      return region.bufferMeters > 0 ? null : 'Choose how far either side of the route to download.';
+    case 'dma':
+      if (!region.dmaCode) return 'Pick a DMA.';
+      return region.points?.length ? null : 'No customer locations found for this DMA. Download customer data first.';
+    default:
+      return 'Unknown region type.';
+  }
+};
+
+// Why region cannot be saved, or null
+export const validateRegion = (region) => {
+  if (!region?.name?.trim()) return 'Enter a name for the region.';
+  return validateRegionArea(region);
+};
+
+// Average stored tile size, or DEFAULT_TILE_BYTES while there are too few tiles to tell
+const averageTileBytes = async () => {
+  try {
+    const { count, bytes } = await getTileStats();
+    return count >= MIN_MEASURED_TILES ? bytes / count : DEFAULT_TILE_BYTES;
+  } catch {
+    return DEFAULT_TILE_BYTES;
+  }
+};
+
+// { tileCount, bytes } to expect before downloading region - tiles already stored are included
+export const estimateRegion = async (region) => {
+  const tileCount = calculateTileCount(region);
+  return { tileCount, bytes: Math.round(tileCount * await averageTileBytes()) };
+};
+
+/**
+ * The area of a DMA: the hull around its customers (from the downloaded
+ * customer data), widened by DMA_BUFFER_METERS. Resolves to region fields.
+ */
+export const buildDmaArea = async (dmaCode) => {
+  const { bounds } = CITY_REGION;
+  const coordinates = (await GisCustomerInterceptor.getDmaCoordinates(dmaCode))
+    // Customers placed outside the city are bad coordinates, not part of the DMA
+    .filter(([lat, lng]) => lat >= bounds.minLat && lat <= bounds.maxLat && lng >= bounds.minLon && lng <= bounds.maxLon);
+  return {
+    type: 'dma',
+    dmaCode,
+    points: convexHull(coordinates),
+    bufferMeters: DMA_BUFFER_METERS,
+    customerCount: coordinates.length,
+  };
+};
+
+// Adds or replaces region (by id), with its tile count; resolves with the saved region
+export const saveOfflineRegion = async (region) => {
+  const error = validateRegion(region);
+  if (error) throw new Error(error);
+
+  const regions = await getOfflineRegions();
+  const existing = regions.find((item) => item.id === region.id);
+  const saved = {
+    ...existing,
+    ...region,
+    id: region.id || `region_${Date.now()}`,
+    name: region.name.trim(),
+    pinned: !!(region.pinned ?? existing?.pinned),
+    tileCount: calculateTileCount(region),
+    createdAt: existing?.createdAt || new Date().toISOString(),
+  };
+  await writeRegions(existing
+    ? regions.map((item) => (item.id === saved.id ? saved : item))
+    : [...regions, saved]);
+  console.log(`[OfflineRegions] Saved ${saved.name} (${saved.tileCount} tiles)`);
+  return saved;
+};
+
+// Pins or unpins a region - pinned regions keep all their tiles whatever the storage budget
+export const setOfflineRegionPinned = async (regionId, pinned) => {
+  const regions = await getOfflineRegions();
+  await writeRegions(regions.map((item) => (item.id === regionId ? { ...item, pinned } : item)));
+};
+
+/**
+ * Removes a region and the tiles only it used. Tiles another region also
+ * covers stay. Resolves with the number of tiles deleted.
+ */
+export const deleteOfflineRegion = async (regionId) => {
+  const regions = await getOfflineRegions();
+  const deleted = await deleteRegionTiles(regionId);
+  if (deleted) await clearServedTiles();
+  await writeRegions(regions.filter((item) => item.id !== regionId));
+  // A download of the region left unfinished would otherwise be resumed on the next start
+  if ((await getTileDownloadJob())?.regionId === regionId) await clearTileDownloadJob();
+  await syncTileMetadata();
+  console.log(`[OfflineRegions] Deleted region ${regionId} (${deleted} tiles)`);
+  return deleted;
+};
+
+// Regions with { storedTiles, bytes } from the tile store
+export const getOfflineRegionsWithStats = async () => {
+  const regions = await getOfflineRegions();
+  return Promise.all(regions.map(async (region) => {
+    try {
+      const { count, bytes } = await getRegionTileStats(region.id);
+      return { ...region, storedTiles: count, bytes };
+    } catch (error) {
+      console.warn(`[OfflineRegions] No stats for ${region.id}:`, error?.message || error);
+      return { ...region, storedTiles: 0, bytes: 0 };
+    }
+  }));
+};
+
+/**
+ * Downloads the region's tiles (see downloadTilesForArea for the callbacks and
+ * refresh) and stamps the region with the time of the last complete download.
+ */
+export const downloadOfflineRegion = async (region, onProgress, isPaused, isCancelled, options = {}) => {
+  const result = await downloadTilesForArea(onProgress, isPaused, isCancelled, region, options);
+  if (!result.cancelled) {
+    const regions = await getOfflineRegions();
+    await writeRegions(regions.map((item) => (item.id === region.id
+      ? { ...item, downloadedAt: new Date().toISOString(), failedTiles: result.failed || 0 }
+      : item)));
+  }
+  return result;
+};
+
+export default {
+  REGION_TYPE_LABELS,
+  ROUTE_BUFFER_OPTIONS,
+  getOfflineRegions,
+  validateRegionArea,
+  validateRegion,
+  estimateRegion,
+  buildDmaArea,
+  saveOfflineRegion,
+  setOfflineRegionPinned,
+  deleteOfflineRegion,
+  getOfflineRegionsWithStats,
+  downloadOfflineRegion,
+};
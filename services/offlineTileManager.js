@@ -1,7 +1,48 @@
 import * as FileSystem from 'expo-file-system/legacy';
-import { Directory, Paths, File } from 'expo-file-system';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import notificationStore from '../stores/NotificationStore';
+import {
+  getTileBase64,
+  markTileUsed,
+  hasTile,
+  filterMissingTiles,
+  putTiles,
+  getTileStats,
+  setMetadata,
+  deleteTileStore,
+  base64ToBytes,
+  addRegionTiles,
+  getStaleTiles,
+} from './tileStore';
+import {
+  latLonToTile,
+  getRegionBounds,
+  getRegionTilesAtZoom,
+  getRegionZoomLevels,
+  countRegionTiles,
+} from './tileGeometry';
+import {
+  createTileDownloadJob,
+  isJobForRegion,
+  isTileDone,
+  markTileDone,
+  getTileDownloadJob,
+  saveTileDownloadJob,
+  clearTileDownloadJob,
+  getJobEta,
+} from './tileDownloadJob';
+import { DEFAULT_RETRY_POLICY, getRetryDelay } from './retryPolicy';
+
+/**
+ * Offline Tiles
+ * Downloads the OSM tiles of an offline region (the whole of Davao City
+ * unless services/offlineRegions.js passes a smaller one) into the MBTiles tile store
+ * (services/tileStore.js) and hands them to the maps: LeafletMap asks for
+ * them one at a time over the WebView bridge, OfflineTile gets the tiles
+ * around the visible region written out as files for UrlTile. Those copies
+ * are dropped whenever their tiles are refreshed, evicted or deleted, and on
+ * every tile cache maintenance run, so they never outlive the store.
+ */
 
 // Tile configuration for Davao City area
 const DAVAO_BOUNDS = {
@@ -15,235 +56,462 @@ const DAVAO_BOUNDS = {
 // Level 10-12: City overview
 // Level 13-15: Neighborhood/street detail
 // Level 16-18: Building-level detail (most tiles, highest detail)
-const ZOOM_LEVELS = [10, 11, 12, 13, 14, 15, 16, 17, 18];
+export const ZOOM_LEVELS = [10, 11, 12, 13, 14, 15, 16, 17, 18];
+
+// What was downloaded before regions could be chosen
+export const CITY_REGION = {
+  id: 'davao-city',
+  name: 'Davao City',
+  type: 'rectangle',
+  bounds: DAVAO_BOUNDS,
+  minZoom: ZOOM_LEVELS[0],
+  maxZoom: ZOOM_LEVELS[ZOOM_LEVELS.length - 1],
+};
 
 const TILE_SOURCES = {
   osm: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
   osmde: 'https://tile.openstreetmap.de/{z}/{x}/{y}.png',
 };
 
-// Get tile cache directory
-const getTileCacheDir = () => {
-  const cacheDir = new Directory(Paths.cache, 'map_tiles');
-  return cacheDir;
-};
+// Tiles used to be saved one PNG each under map_tiles/<source>/z/x/y.png - migrated into the tile store
+const LEGACY_TILE_DIR = `${FileSystem.cacheDirectory}map_tiles/`;
 
-// Export getTileCacheDir so it can be used by OfflineTile component
-export { getTileCacheDir };
+// Tiles copied out of the tile store for UrlTile, which can only read files
+const SERVED_TILE_DIR = `${FileSystem.cacheDirectory}map_tiles_serve/`;
+const MAX_SERVED_TILES = 150; // per region, so panning never writes out a whole zoom level
 
-// Convert lat/lon to tile coordinates
-const latLonToTile = (lat, lon, zoom) => {
-  const x = Math.floor((lon + 180) / 360 * Math.pow(2, zoom));
-  const y = Math.floor((1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * Math.pow(2, zoom));
-  return { x, y, z: zoom };
-};
+export const getServedTileTemplate = (source = 'osm') => `${SERVED_TILE_DIR}${source}/{z}/{x}/{y}.png`;
 
 // Calculate total tiles needed
-export const calculateTileCount = () => {
-  let total = 0;
-  ZOOM_LEVELS.forEach(zoom => {
-    const minTile = latLonToTile(DAVAO_BOUNDS.maxLat, DAVAO_BOUNDS.minLon, zoom);
-    const maxTile = latLonToTile(DAVAO_BOUNDS.minLat, DAVAO_BOUNDS.maxLon, zoom);
-    const tilesX = maxTile.x - minTile.x + 1;
-    const tilesY = maxTile.y - minTile.y + 1;
-    const zoomTotal = tilesX * tilesY;
-    console.log(`[TileCalc] Zoom ${zoom}: ${tilesX}x${tilesY} = ${zoomTotal} tiles`);
-    total += zoomTotal;
-  });
-  console.log(`[TileCalc] Total tiles needed: ${total}`);
+export const calculateTileCount = (region = CITY_REGION) => {
+  const total = countRegionTiles(region);
+  console.log(`[TileCalc] ${region.name || region.id}: ${total} tiles at zoom ${region.minZoom}-${region.maxZoom}`);
   return total;
 };
 
-// Generate tile file path
-const getTileFilePath = (z, x, y, source = 'osm') => {
-  const cacheDir = getTileCacheDir();
-  return `${cacheDir.uri}/${source}/${z}/${x}/${y}.png`;
-};
+const tileKey = ({ x, y, z }) => `${z}/${x}/${y}`;
+
+const getTileUrl = (z, x, y, source = 'osm') => (TILE_SOURCES[source] || TILE_SOURCES.osm)
+  .replace('{z}', z).replace('{x}', x).replace('{y}', y);
 
 // Check if tile exists locally
 export const checkTileExists = async (z, x, y, source = 'osm') => {
-  const filePath = getTileFilePath(z, x, y, source);
   try {
-    const file = new FileSystem.File(filePath);
-    return file.exists;
+    return await hasTile(z, x, y, source);
   } catch {
     return false;
   }
 };
 
-// Get local tile URI or fallback to online
-export const getTileUri = async (z, x, y, source = 'osm') => {
-  const filePath = getTileFilePath(z, x, y, source);
-  const exists = await checkTileExists(z, x, y, source);
-  
-  if (exists) {
-    return `file://${filePath}`;
+// Write a stored tile out as a file for UrlTile; false when the store does not have it
+const serveTile = async (z, x, y, source = 'osm') => {
+  const tileDir = `${SERVED_TILE_DIR}${source}/${z}/${x}`;
+  const filePath = `${tileDir}/${y}.png`;
+  const info = await FileSystem.getInfoAsync(filePath);
+  if (info.exists) {
+    // Shown from the copy - the store still has to know for eviction
+    await markTileUsed(z, x, y, source);
+    return true;
   }
-  
-  // Fallback to online URL
-  const sourceUrl = TILE_SOURCES[source] || TILE_SOURCES.osm;
-  return sourceUrl.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+
+  const data = await getTileBase64(z, x, y, source);
+  if (!data) return false;
+  await FileSystem.makeDirectoryAsync(tileDir, { intermediates: true });
+  await FileSystem.writeAsStringAsync(filePath, data, { encoding: FileSystem.EncodingType.Base64 });
+  return true;
 };
 
-// Download a single tile - optimized version
-const downloadTile = async (z, x, y, source = 'osm') => {
-  const sourceUrl = TILE_SOURCES[source] || TILE_SOURCES.osm;
-  const url = sourceUrl.replace('{z}', z).replace('{x}', x).replace('{y}', y);
-  
-  // Build file path using legacy API
-  const tileDir = `${FileSystem.cacheDirectory}map_tiles/${source}/${z}/${x}`;
-  const filePath = `${tileDir}/${y}.png`;
-  
+// Drops every served copy; OfflineTile writes out what it needs again on its next region change
+export const clearServedTiles = async () => {
   try {
-    // Check if file already exists
-    const info = await FileSystem.getInfoAsync(filePath);
-    if (info.exists && info.size > 0) {
-      return true; // Already downloaded
+    await FileSystem.deleteAsync(SERVED_TILE_DIR, { idempotent: true });
+  } catch (error) {
+    console.warn('[OfflineTiles] Could not clear served tiles:', error?.message || error);
+  }
+};
+
+// Drops the served copies of [{ z, x, y }] so the next request writes out the stored tile again
+const clearServedTileCopies = async (tiles, source = 'osm') => {
+  await Promise.all(tiles.map(async ({ z, x, y }) => {
+    try {
+      await FileSystem.deleteAsync(`${SERVED_TILE_DIR}${source}/${z}/${x}/${y}.png`, { idempotent: true });
+    } catch (error) {
+      console.warn('[OfflineTiles] Could not clear served tile:', error?.message || error);
     }
-    
-    // Ensure directory exists
-    const dirInfo = await FileSystem.getInfoAsync(tileDir);
-    if (!dirInfo.exists) {
-      await FileSystem.makeDirectoryAsync(tileDir, { intermediates: true });
+  }));
+};
+
+// Get local tile URI or fallback to online
+export const getTileUri = async (z, x, y, source = 'osm') => {
+  try {
+    if (await serveTile(z, x, y, source)) {
+      return getServedTileTemplate(source).replace('{z}', z).replace('{x}', x).replace('{y}', y);
     }
-    
-    // Download using legacy FileSystem API (more reliable and faster)
-    await FileSystem.downloadAsync(url, filePath);
-    return true;
   } catch (error) {
-    if (error.message && error.message.includes('already exists')) {
-      return true;
+    console.warn('[OfflineTiles] Could not read stored tile:', error?.message || error);
+  }
+  return getTileUrl(z, x, y, source);
+};
+
+// Zoom level a react-native-maps region is shown at
+const regionZoom = (region) => Math.round(Math.log2(360 / Math.max(region.longitudeDelta, 1e-6)));
+
+/**
+ * Write the stored tiles covering region ({ latitude, longitude, latitudeDelta,
+ * longitudeDelta }) out as files, at the region's zoom and the levels either
+ * side of it, so UrlTile can show them offline. Resolves with the number of
+ * tiles available there.
+ */
+export const serveTilesForRegion = async (region, source = 'osm') => {
+  const zoom = regionZoom(region);
+  const tiles = [];
+  [zoom, zoom - 1, zoom + 1]
+    .filter((z) => ZOOM_LEVELS.includes(z))
+    .forEach((z) => {
+      const minTile = latLonToTile(region.latitude + region.latitudeDelta / 2, region.longitude - region.longitudeDelta / 2, z);
+      const maxTile = latLonToTile(region.latitude - region.latitudeDelta / 2, region.longitude + region.longitudeDelta / 2, z);
+      for (let x = minTile.x; x <= maxTile.x; x++) {
+        for (let y = minTile.y; y <= maxTile.y; y++) {
+          tiles.push({ z, x, y });
+        }
+      }
+    });
+
+  let served = 0;
+  for (const { z, x, y } of tiles.slice(0, MAX_SERVED_TILES)) {
+    try {
+      if (await serveTile(z, x, y, source)) served++;
+    } catch (error) {
+      console.warn('[OfflineTiles] Could not serve tile:', error?.message || error);
     }
+  }
+  return served;
+};
+
+// Download a single tile - resolves with { z, x, y, data } or null
+const downloadTile = async (z, x, y, source = 'osm') => {
+  try {
+    const response = await fetch(getTileUrl(z, x, y, source));
+    if (!response.ok) return null;
+    const data = new Uint8Array(await response.arrayBuffer());
+    return data.length ? { z, x, y, data } : null;
+  } catch (error) {
     // Don't log every failure to avoid console spam
-    return false;
+    return null;
+  }
+};
+
+/**
+ * Move tiles from the old one-file-per-tile cache into the tile store. Each
+ * column directory is deleted once its tiles are stored, so an interrupted
+ * migration carries on where it stopped. Resolves with the number of tiles moved.
+ */
+let migrationPromise = null;
+export const migrateLegacyTileCache = (onProgress) => {
+  if (!migrationPromise) {
+    migrationPromise = runLegacyMigration(onProgress).finally(() => {
+      migrationPromise = null;
+    });
+  }
+  return migrationPromise;
+};
+
+const listDirectory = async (uri) => {
+  try {
+    return await FileSystem.readDirectoryAsync(uri);
+  } catch {
+    return [];
+  }
+};
+
+const runLegacyMigration = async (onProgress) => {
+  const rootInfo = await FileSystem.getInfoAsync(LEGACY_TILE_DIR);
+  if (!rootInfo.exists) return 0;
+
+  console.log('[OfflineTiles] Migrating tile directory cache into the tile store...');
+  let migrated = 0;
+  for (const source of await listDirectory(LEGACY_TILE_DIR)) {
+    for (const z of await listDirectory(`${LEGACY_TILE_DIR}${source}`)) {
+      for (const x of await listDirectory(`${LEGACY_TILE_DIR}${source}/${z}`)) {
+        const columnDir = `${LEGACY_TILE_DIR}${source}/${z}/${x}`;
+        const tiles = [];
+        for (const file of await listDirectory(columnDir)) {
+          const y = parseInt(file, 10);
+          if (!file.endsWith('.png') || Number.isNaN(y)) continue;
+          try {
+            const data = base64ToBytes(await FileSystem.readAsStringAsync(`${columnDir}/${file}`, {
+              encoding: FileSystem.EncodingType.Base64,
+            }));
+            if (data.length) tiles.push({ z: parseInt(z, 10), x: parseInt(x, 10), y, data });
+          } catch (error) {
+            console.warn('[OfflineTiles] Skipping unreadable tile:', `${z}/${x}/${file}`);
+          }
+        }
+        migrated += await putTiles(tiles, source);
+        // The old cache only ever held whole-city downloads
+        await addRegionTiles(CITY_REGION.id, tiles, source);
+        await FileSystem.deleteAsync(columnDir, { idempotent: true });
+        if (onProgress) onProgress({ migrated });
+      }
+    }
   }
+  await FileSystem.deleteAsync(LEGACY_TILE_DIR, { idempotent: true });
+
+  // The tile count in the metadata now comes from the store
+  const metadata = await getTileMetadata();
+  if (metadata || migrated) {
+    const { count } = await getTileStats();
+    await AsyncStorage.setItem('offline_tiles_metadata', JSON.stringify({
+      ...(metadata || { zoomLevels: ZOOM_LEVELS, bounds: DAVAO_BOUNDS, downloadComplete: false }),
+      downloadedAt: metadata?.downloadedAt || new Date().toISOString(),
+      totalTiles: count,
+    }));
+  }
+  console.log(`[OfflineTiles] Migrated ${migrated} tile(s) into the tile store`);
+  return migrated;
 };
 
-// Download tiles for Davao City area
-export const downloadTilesForArea = async (onProgress, isPaused, isCancelled) => {
-  const totalTiles = calculateTileCount();
-  let downloadedCount = 0;
-  let successCount = 0;
-  let failCount = 0;
+const saveTileMetadata = async (changes) => {
+  const metadata = await getTileMetadata();
+  await AsyncStorage.setItem('offline_tiles_metadata', JSON.stringify({ ...(metadata || {}), ...changes }));
+};
+
+// Sets the tile count LeafletMap checks before reading from the store to what the store holds
+export const syncTileMetadata = async () => {
+  const metadata = await getTileMetadata();
+  if (!metadata) return;
+  const { count } = await getTileStats();
+  await AsyncStorage.setItem('offline_tiles_metadata', JSON.stringify({ ...metadata, totalTiles: count }));
+};
+
+const BATCH_SIZE = 500; // tiles fetched concurrently, then stored in one transaction
+const MAX_RETRY_PASSES = 2; // extra passes over the tiles that failed
+const RETRY_PASS_POLICY = { ...DEFAULT_RETRY_POLICY, baseDelay: 5000 };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Download the tiles of region (see services/tileGeometry.js) - the whole
+ * city when none is given - and record them as the region's in the tile store.
+ * Tiles already stored are skipped unless refresh is set, which fetches them
+ * again and keeps the old copy when a fetch fails.
+ *
+ * The job is saved after every batch (services/tileDownloadJob.js), so calling
+ * this again for the same region and options after the app was killed carries
+ * on from the tiles it had done. Tiles that fail are tried again in up to
+ * MAX_RETRY_PASSES more passes. Progress reports { current, total, percentage,
+ * successCount, failCount, startCount, retrying, etaSeconds }.
+ */
+export const downloadTilesForArea = async (onProgress, isPaused, isCancelled, region = CITY_REGION, { refresh = false } = {}) => {
+  const totalTiles = calculateTileCount(region);
+  const saved = await getTileDownloadJob();
+  const resumed = isJobForRegion(saved, region, totalTiles, { refresh });
+  const job = resumed ? saved : createTileDownloadJob(region, totalTiles, { refresh });
+  const startCount = job.doneCount;
+  // Failures before a restart are retried as the pass walks over them again
+  job.failedCount = 0;
+  job.status = 'running';
+  await saveTileDownloadJob(job);
   let lastMetadataUpdate = Date.now();
-  
-  console.log(`[OfflineTiles] Starting download of ${totalTiles} tiles...`);
-  
-  // Large batch size for faster downloads - maximize concurrent requests
-  const BATCH_SIZE = 500;
-  
+  let activeSince = Date.now();
+
+  console.log(resumed
+    ? `[OfflineTiles] Resuming download for ${region.name || region.id}: ${job.doneCount}/${totalTiles} tiles done`
+    : `[OfflineTiles] Starting download of ${totalTiles} tiles for ${region.name || region.id}...`);
+
+  // Tiles still in the old directory cache are moved over instead of downloaded again
+  await migrateLegacyTileCache();
+  const bounds = getRegionBounds(region);
+  await setMetadata({
+    bounds: [bounds.minLon, bounds.minLat, bounds.maxLon, bounds.maxLat].join(','),
+    minzoom: region.minZoom,
+    maxzoom: region.maxZoom,
+  });
+
+  // Download time only - a paused job does not slow its ETA
+  const countActiveTime = () => {
+    const now = Date.now();
+    job.activeMs += now - activeSince;
+    activeSince = now;
+  };
+
+  const isJobCancelled = () => !!(isCancelled && isCancelled());
+
+  const reportProgress = () => {
+    if (!onProgress) return;
+    const current = Math.min(totalTiles, job.doneCount + job.failedCount);
+    onProgress({
+      current,
+      total: totalTiles,
+      percentage: Math.round((current / totalTiles) * 100),
+      successCount: job.doneCount,
+      failCount: job.failedCount,
+      startCount,
+      retrying: job.pass > 0,
+      etaSeconds: getJobEta(job),
+    });
+  };
+
   // Helper to save progress metadata (for persisting across navigation)
   const saveProgressMetadata = async () => {
-    await AsyncStorage.setItem('offline_tiles_metadata', JSON.stringify({
+    const { count } = await getTileStats();
+    await saveTileMetadata({
       downloadedAt: new Date().toISOString(),
-      totalTiles: successCount,
-      zoomLevels: ZOOM_LEVELS,
-      bounds: DAVAO_BOUNDS,
+      totalTiles: count,
+      regionId: region.id,
       downloadComplete: false,
       inProgress: true,
-      progress: Math.round((downloadedCount / totalTiles) * 100),
-    }));
+      progress: Math.round((job.doneCount / totalTiles) * 100),
+    });
   };
-  
-  for (const zoom of ZOOM_LEVELS) {
-    // Check if cancelled
-    if (isCancelled && isCancelled()) {
-      console.log('[OfflineTiles] Download cancelled by user');
-      return { total: totalTiles, success: successCount, cancelled: true };
-    }
-    
-    const minTile = latLonToTile(DAVAO_BOUNDS.maxLat, DAVAO_BOUNDS.minLon, zoom);
-    const maxTile = latLonToTile(DAVAO_BOUNDS.minLat, DAVAO_BOUNDS.maxLon, zoom);
-    
-    // Collect all tiles for this zoom level
-    const tilesToDownload = [];
-    for (let x = minTile.x; x <= maxTile.x; x++) {
-      for (let y = minTile.y; y <= maxTile.y; y++) {
-        tilesToDownload.push({ x, y, z: zoom });
-      }
+
+  // Wait out a pause with the job saved as paused; resolves true when it was cancelled instead
+  const waitWhilePaused = async () => {
+    if (!(isPaused && isPaused())) return false;
+    countActiveTime();
+    job.status = 'paused';
+    await saveTileDownloadJob(job);
+    while (isPaused() && !isJobCancelled()) {
+      await sleep(200);
     }
-    
-    // Download in batches
-    for (let i = 0; i < tilesToDownload.length; i += BATCH_SIZE) {
-      // Check if cancelled
-      if (isCancelled && isCancelled()) {
-        console.log('[OfflineTiles] Download cancelled by user');
-        return { total: totalTiles, success: successCount, cancelled: true };
-      }
-      
-      // Check if paused
-      if (isPaused && isPaused()) {
-        while (isPaused && isPaused() && !(isCancelled && isCancelled())) {
-          await new Promise(resolve => setTimeout(resolve, 200));
+    if (isJobCancelled()) return true;
+    activeSince = Date.now();
+    job.status = 'running';
+    await saveTileDownloadJob(job);
+    return false;
+  };
+
+  // One walk over every tile of the region, fetching those not done yet; resolves false when cancelled
+  const runPass = async () => {
+    let offset = 0; // place of the zoom level's first tile in the job
+    for (const zoom of getRegionZoomLevels(region)) {
+      const tilesAtZoom = getRegionTilesAtZoom(region, zoom);
+
+      for (let i = 0; i < tilesAtZoom.length; i += BATCH_SIZE) {
+        if (isJobCancelled() || await waitWhilePaused()) return false;
+
+        const batch = [];
+        tilesAtZoom.slice(i, i + BATCH_SIZE).forEach((tile, j) => {
+          if (!isTileDone(job, offset + i + j)) batch.push({ tile, index: offset + i + j });
+        });
+        if (!batch.length) continue;
+        const tiles = batch.map(({ tile }) => tile);
+
+        // Download the tiles the store does not have concurrently, then store them in one transaction
+        try {
+          const missing = await filterMissingTiles(tiles);
+          const results = await Promise.all(
+            (refresh ? tiles : missing).map(({ x, y, z }) => downloadTile(z, x, y))
+          );
+          const downloaded = results.filter(Boolean);
+          await putTiles(downloaded);
+
+          // A tile that failed to refresh keeps its old copy, so only never-stored tiles count as failed
+          const fetched = new Set(downloaded.map(tileKey));
+          const failed = new Set(missing.map(tileKey).filter((key) => !fetched.has(key)));
+          const stored = batch.filter(({ tile }) => !failed.has(tileKey(tile)));
+          await addRegionTiles(region.id, stored.map(({ tile }) => tile));
+
+          stored.forEach(({ index }) => markTileDone(job, index));
+          job.failedCount += failed.size;
+        } catch (batchError) {
+          job.failedCount += batch.length;
         }
-        // Check again if cancelled while paused
-        if (isCancelled && isCancelled()) {
-          return { total: totalTiles, success: successCount, cancelled: true };
+        job.processed += batch.length;
+        countActiveTime();
+        await saveTileDownloadJob(job);
+        reportProgress();
+
+        // Save progress metadata every 5 seconds (for persistence across navigation)
+        const now = Date.now();
+        if (now - lastMetadataUpdate >= 5000) {
+          await saveProgressMetadata();
+          lastMetadataUpdate = now;
         }
       }
+      offset += tilesAtZoom.length;
+    }
+    return true;
+  };
 
-      const batch = tilesToDownload.slice(i, i + BATCH_SIZE);
+  const cancel = async () => {
+    console.log('[OfflineTiles] Download cancelled by user');
+    await clearTileDownloadJob();
+    return { total: totalTiles, success: job.doneCount, cancelled: true };
+  };
 
-      // Download batch concurrently - no artificial delays
-      try {
-        const results = await Promise.all(
-          batch.map(({ x, y, z }) => downloadTile(z, x, y))
-        );
-        
-        results.forEach(success => {
-          if (success) successCount++;
-          else failCount++;
-          downloadedCount++;
-        });
-      } catch (batchError) {
-        downloadedCount += batch.length;
-        failCount += batch.length;
-      }
+  if (!(await runPass())) return cancel();
+  while (job.doneCount < totalTiles && job.pass < MAX_RETRY_PASSES) {
+    job.pass++;
+    console.log(`[OfflineTiles] Retrying ${totalTiles - job.doneCount} failed tile(s), pass ${job.pass}`);
+    job.failedCount = 0;
+    await saveTileDownloadJob(job);
 
-      // Report progress
-      if (onProgress) {
-        onProgress({
-          current: downloadedCount,
-          total: totalTiles,
-          percentage: Math.round((downloadedCount / totalTiles) * 100),
-          successCount,
-          failCount,
-        });
-      }
-      
-      // Save progress metadata every 5 seconds (for persistence across navigation)
-      const now = Date.now();
-      if (now - lastMetadataUpdate >= 5000) {
-        await saveProgressMetadata();
-        lastMetadataUpdate = now;
-      }
+    // Give a dropped connection or a rate-limited server time to recover
+    const retryAt = Date.now() + getRetryDelay(job.pass, RETRY_PASS_POLICY);
+    while (Date.now() < retryAt && !isJobCancelled()) {
+      await sleep(200);
     }
+    activeSince = Date.now();
+    if (!(await runPass())) return cancel();
   }
 
-  console.log(`[OfflineTiles] Download complete: ${successCount} success, ${failCount} failed`);
-  await AsyncStorage.setItem('offline_tiles_metadata', JSON.stringify({
+  const failCount = totalTiles - job.doneCount;
+  console.log(`[OfflineTiles] Download complete: ${job.doneCount} success, ${failCount} failed`);
+  await clearTileDownloadJob();
+  const { count } = await getTileStats();
+  await saveTileMetadata({
     downloadedAt: new Date().toISOString(),
-    totalTiles: successCount,
-    zoomLevels: ZOOM_LEVELS,
-    bounds: DAVAO_BOUNDS,
+    totalTiles: count,
+    regionId: region.id,
     downloadComplete: true,
-  }));
-  return { total: totalTiles, success: successCount };
-}
+    inProgress: false,
+    progress: 100,
+  });
+  return { total: totalTiles, success: job.doneCount, failed: failCount };
+};
+
+/**
+ * Fetch up to limit tiles that were downloaded more than maxAgeMs ago again,
+ * the most recently shown first. A tile whose fetch fails keeps its old copy
+ * and is tried on the next run. Resolves with { checked, refreshed }.
+ */
+export const refreshStaleTiles = async (maxAgeMs, { limit = 200, source = 'osm' } = {}) => {
+  const stale = await getStaleTiles(Date.now() - maxAgeMs, limit, source);
+  if (!stale.length) return { checked: 0, refreshed: 0 };
+
+  const results = (await Promise.all(stale.map(({ z, x, y }) => downloadTile(z, x, y, source)))).filter(Boolean);
+  const refreshed = await putTiles(results, source);
+  await clearServedTileCopies(results, source);
+  console.log(`[OfflineTiles] Refreshed ${refreshed} of ${stale.length} stale tile(s)`);
+  return { checked: stale.length, refreshed };
+};
+
+/**
+ * Notices offline tiles that vanished without the app deleting them - the
+ * system cleared the app's files, or a backup was restored without the tile
+ * store - and resets what still points at them, so the maps go back to online
+ * tiles and the next download starts from scratch. Resolves with
+ * { purged, lostTiles }.
+ */
+export const checkTileCacheHealth = async () => {
+  const metadata = await getTileMetadata();
+  if (!metadata?.totalTiles) return { purged: false, lostTiles: 0 };
+  const { count } = await getTileStats();
+  if (count > 0) return { purged: false, lostTiles: 0 };
 
-// Calculate storage used
+  console.warn(`[OfflineTiles] ${metadata.totalTiles} offline tile(s) are missing from the tile store`);
+  await saveTileMetadata({ totalTiles: 0, downloadComplete: false, inProgress: false, progress: 0 });
+  // Its done tiles are gone too
+  await clearTileDownloadJob();
+  return { purged: true, lostTiles: metadata.totalTiles };
+};
+
+// Calculate storage used (MB) - summed by the tile store, no directory walk
 export const calculateStorageUsed = async () => {
   try {
-    const cacheDir = getTileCacheDir();
-    if (!cacheDir.exists) return 0;
-    
-    // Estimate: average tile is ~15KB
-    const metadata = await AsyncStorage.getItem('offline_tiles_metadata');
-    if (metadata) {
-      const { totalTiles } = JSON.parse(metadata);
-      return (totalTiles * 15) / 1024; // Convert KB to MB
-    }
-    return 0;
+    const { bytes } = await getTileStats();
+    return bytes / (1024 * 1024);
   } catch {
     return 0;
   }
@@ -252,14 +520,16 @@ export const calculateStorageUsed = async () => {
 // Get cached tile count
 export const getCachedTileCount = async () => {
   try {
-    const metadata = await AsyncStorage.getItem('offline_tiles_metadata');
-    if (metadata) {
-      const { totalTiles } = JSON.parse(metadata);
-      return totalTiles || 0;
-    }
-    return 0;
+    const { count } = await getTileStats();
+    return count;
   } catch {
-    return 0;
+    // Fall back to the count saved with the last download
+    try {
+      const metadata = await AsyncStorage.getItem('offline_tiles_metadata');
+      return metadata ? JSON.parse(metadata).totalTiles || 0 : 0;
+    } catch {
+      return 0;
+    }
   }
 };
 
@@ -268,53 +538,22 @@ export const clearTileCache = async () => {
   console.log('[OfflineTiles] clearTileCache called');
   
   try {
-    // Always remove metadata first
+    // Always remove metadata first - and any saved download, whose done tiles are about to go
     await AsyncStorage.removeItem('offline_tiles_metadata');
+    await clearTileDownloadJob();
     console.log('[OfflineTiles] Metadata removed');
     
-    // Use legacy FileSystem API directly for the cache path
-    const cacheDirUri = FileSystem.cacheDirectory + 'map_tiles';
-    console.log('[OfflineTiles] Cache directory URI:', cacheDirUri);
-    
-    // Add timeout wrapper for getInfoAsync
-    const getInfoWithTimeout = (uri, timeout = 5000) => {
-      return Promise.race([
-        FileSystem.getInfoAsync(uri),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Timeout')), timeout)
-        )
-      ]);
-    };
-    
-    // Check if directory exists
-    let dirInfo;
-    try {
-      console.log('[OfflineTiles] Checking directory...');
-      dirInfo = await getInfoWithTimeout(cacheDirUri);
-      console.log('[OfflineTiles] Directory exists:', dirInfo?.exists);
-    } catch (infoError) {
-      console.log('[OfflineTiles] Could not get directory info:', infoError?.message);
-      // Try to delete anyway
-      try {
-        await FileSystem.deleteAsync(cacheDirUri, { idempotent: true });
-      } catch (e) {
-        // Ignore
-      }
-      return true;
-    }
-    
-    if (dirInfo && dirInfo.exists) {
-      console.log('[OfflineTiles] Deleting cache directory...');
-      
+    // One file delete for the tile store, whatever its size
+    await deleteTileStore();
+
+    // Served copies and any cache left from before the tile store
+    await Promise.all([SERVED_TILE_DIR, LEGACY_TILE_DIR].map(async (dirUri) => {
       try {
-        await FileSystem.deleteAsync(cacheDirUri, { idempotent: true });
-        console.log('[OfflineTiles] Cache directory deleted successfully');
+        await FileSystem.deleteAsync(dirUri, { idempotent: true });
       } catch (deleteError) {
         console.warn('[OfflineTiles] Error deleting directory:', deleteError?.message);
       }
-    } else {
-      console.log('[OfflineTiles] Cache directory does not exist');
-    }
+    }));
     
     console.log('[OfflineTiles] Tile cache cleared successfully');
     return true;
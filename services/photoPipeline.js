@@ -0,0 +1,222 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as ImageManipulator from 'expo-image-manipulator';
+
+const PHOTO_SETTINGS_KEY = 'photo_settings';
+const PHOTOS_DIR = `${FileSystem.documentDirectory}leak_photos/`;
+const PROCESSED_DIR = `${PHOTOS_DIR}processed/`;
+
+/**
+ * Photo Processing Pipeline
+ * Prepares leak/landmark photos for upload: downsizes to a max dimension,
+ * burns in a watermark (date/time, coordinates, RefNo) and recompresses until
+ * the file fits the target size. Originals stay in leak_photos/ until the
+ * report is confirmed on the server, then cleanupReportPhotos removes them.
+ */
+
+export const PHOTO_PRESETS = {
+  low: { label: 'Data Saver', maxDimension: 1280, targetKB: 250 },
+  normal: { label: 'Balanced', maxDimension: 1600, targetKB: 500 },
+  high: { label: 'High Detail', maxDimension: 2048, targetKB: 1000 },
+};
+
+const DEFAULT_SETTINGS = {
+  preset: 'normal',
+  watermark: true,
+};
+
+const START_QUALITY = 0.8;
+const MIN_QUALITY = 0.4;
+const QUALITY_STEP = 0.1;
+const MAX_PASSES = 8;
+
+const toPath = (uri) => (uri && uri.startsWith('file://') ? uri.slice(7) : uri);
+const toFileUri = (path) => (path && path.startsWith('file://') ? path : `file://${path}`);
+
+export const getPhotoSettings = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(PHOTO_SETTINGS_KEY);
+    const settings = { ...DEFAULT_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+    if (!PHOTO_PRESETS[settings.preset]) settings.preset = DEFAULT_SETTINGS.preset;
+    return settings;
+  } catch (error) {
+    console.warn('[PhotoPipeline] Failed to load photo settings:', error?.message || error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+export const savePhotoSettings = async (changes) => {
+  const settings = { ...(await getPhotoSettings()), ...changes };
+  await AsyncStorage.setItem(PHOTO_SETTINGS_KEY, JSON.stringify(settings));
+  return settings;
+};
+
+const getFileSize = async (uri) => {
+  const info = await FileSystem.getInfoAsync(toPath(uri));
+  return info.exists ? info.size || 0 : 0;
+};
+
+const ensureProcessedDir = async () => {
+  const dirInfo = await FileSystem.getInfoAsync(PROCESSED_DIR);
+  if (!dirInfo.exists) {
+    await FileSystem.makeDirectoryAsync(PROCESSED_DIR, { intermediates: true });
+  }
+};
+
+// Text burned into the bottom of every processed photo
+export const buildWatermarkLines = ({ refNo, coordinates, date = new Date() } = {}) => {
+  const lines = [date.toLocaleString()];
+  if (coordinates?.latitude && coordinates?.longitude) {
+    lines.push(`${Number(coordinates.latitude).toFixed(6)}, ${Number(coordinates.longitude).toFixed(6)}`);
+  }
+  if (refNo) lines.push(`Ref No: ${refNo}`);
+  return lines;
+};
+
+/**
+ * Process a single photo.
+ * @param {string} uri - Original photo in leak_photos/
+ * @param {Object} options
+ * @param {Object} options.settings - From getPhotoSettings()
+ * @param {string[]} options.watermarkLines - From buildWatermarkLines()
+ * @param {Function} options.renderWatermark - ({ uri, width, height, lines }) => Promise<uri>
+ * @returns {Promise<string>} file:// URI of the processed copy
+ */
+export const processPhoto = async (uri, { settings, watermarkLines, renderWatermark } = {}) => {
+  const { maxDimension, targetKB } = PHOTO_PRESETS[settings?.preset] || PHOTO_PRESETS[DEFAULT_SETTINGS.preset];
+  const targetBytes = targetKB * 1024;
+  const originalSize = await getFileSize(uri);
+
+  // 1. Downsize so the longest edge fits maxDimension
+  const original = await ImageManipulator.manipulateAsync(uri, []);
+  const longest = Math.max(original.width, original.height);
+  const resizeAction = longest > maxDimension
+    ? [{ resize: original.width >= original.height ? { width: maxDimension } : { height: maxDimension } }]
+    : [];
+  let current = await ImageManipulator.manipulateAsync(uri, resizeAction, {
+    compress: 0.95,
+    format: ImageManipulator.SaveFormat.JPEG,
+  });
+
+  // 2. Burn in the watermark
+  if (settings?.watermark !== false && renderWatermark && watermarkLines?.length) {
+    try {
+      const stampedUri = await renderWatermark({
+        uri: current.uri,
+        width: current.width,
+        height: current.height,
+        lines: watermarkLines,
+      });
+      if (stampedUri) current = { ...current, uri: stampedUri };
+    } catch (error) {
+      console.warn('[PhotoPipeline] Watermark failed, continuing without it:', error?.message || error);
+    }
+  }
+
+  // 3. Recompress until the file fits the target size
+  const source = current;
+  let quality = START_QUALITY;
+  let scale = 1;
+  let result = await ImageManipulator.manipulateAsync(source.uri, [], {
+    compress: quality,
+    format: ImageManipulator.SaveFormat.JPEG,
+  });
+  let size = await getFileSize(result.uri);
+
+  for (let pass = 0; size > targetBytes && pass < MAX_PASSES; pass++) {
+    if (quality - QUALITY_STEP >= MIN_QUALITY) {
+      quality -= QUALITY_STEP;
+    } else {
+      // Quality floor reached - shrink dimensions instead
+      scale *= 0.8;
+    }
+    const actions = scale < 1 ? [{ resize: { width: Math.round(source.width * scale) } }] : [];
+    result = await ImageManipulator.manipulateAsync(source.uri, actions, {
+      compress: quality,
+      format: ImageManipulator.SaveFormat.JPEG,
+    });
+    size = await getFileSize(result.uri);
+  }
+
+  // 4. Move into leak_photos/processed/ so the copy survives cache clearing
+  await ensureProcessedDir();
+  const baseName = (toPath(uri).split('/').pop() || `photo_${Date.now()}.jpg`).replace(/\.\w+$/, '');
+  const processedPath = `${PROCESSED_DIR}${baseName}_${Date.now()}.jpg`;
+  await FileSystem.copyAsync({ from: result.uri, to: processedPath });
+
+  console.log(`[PhotoPipeline] ${baseName}: ${Math.round(originalSize / 1024)}KB -> ${Math.round(size / 1024)}KB (q=${quality.toFixed(1)})`);
+  return toFileUri(processedPath);
+};
+
+const isRemote = (uri) => /^https?:/i.test(uri);
+
+/**
+ * Process every photo in a leak report payload.
+ * Returns a new payload with leakPhotos/landmarkPhoto pointing at the processed
+ * copies and the originals listed in originalPhotos. Photos that fail to process
+ * are sent as-is rather than blocking the report.
+ */
+export const processReportPhotos = async (payload, { renderWatermark } = {}) => {
+  // Already processed (e.g. a retry after a failed submit)
+  if (payload.photosProcessed) return payload;
+
+  const settings = await getPhotoSettings();
+  const watermarkLines = buildWatermarkLines({
+    refNo: payload.refNo,
+    coordinates: payload.coordinates,
+  });
+
+  const run = async (uri) => {
+    // Photos already on the server (editing a submitted report) are left as they are
+    if (!uri || isRemote(uri)) return uri;
+    try {
+      return await processPhoto(uri, { settings, watermarkLines, renderWatermark });
+    } catch (error) {
+      console.warn('[PhotoPipeline] Failed to process photo, uploading original:', error?.message || error);
+      return uri;
+    }
+  };
+
+  const leakPhotos = [];
+  for (const uri of payload.leakPhotos || []) {
+    leakPhotos.push(await run(uri));
+  }
+  const landmarkPhoto = payload.landmarkPhoto ? await run(payload.landmarkPhoto) : payload.landmarkPhoto;
+
+  return {
+    ...payload,
+    leakPhotos,
+    landmarkPhoto,
+    originalPhotos: [...(payload.leakPhotos || []), payload.landmarkPhoto].filter((uri) => uri && !isRemote(uri)),
+    photosProcessed: true,
+  };
+};
+
+// Delete originals and processed copies once the report is confirmed on the server.
+// With processedOnly the originals are kept (e.g. after a failed submit).
+export const cleanupReportPhotos = async (reportData, { processedOnly = false } = {}) => {
+  const processed = [...(reportData?.leakPhotos || []), reportData?.landmarkPhoto]
+    .filter((uri) => uri && uri.includes('leak_photos/processed/'));
+  const originals = processedOnly ? [] : (reportData?.originalPhotos || [])
+    .filter((uri) => uri && uri.includes('leak_photos'));
+  const uris = [...originals, ...processed];
+
+  for (const uri of new Set(uris)) {
+    try {
+      await FileSystem.deleteAsync(toPath(uri), { idempotent: true });
+    } catch (error) {
+      console.warn('[PhotoPipeline] Failed to delete photo:', uri, error?.message || error);
+    }
+  }
+  if (uris.length) console.log(`[PhotoPipeline] Cleaned up ${uris.length} photo file(s)`);
+};
+
+export default {
+  PHOTO_PRESETS,
+  getPhotoSettings,
+  savePhotoSettings,
+  buildWatermarkLines,
+  processPhoto,
+  processReportPhotos,
+  cleanupReportPhotos,
+};
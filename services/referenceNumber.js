@@ -0,0 +1,75 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const DEVICE_PREFIX_KEY = 'refNo_device_prefix';
+const PREFIX_LENGTH = 4;
+
+let cachedPrefix = null;
+let lastIssued = { month: null, sequence: -1 };
+
+/**
+ * Client reference numbers for leak reports
+ *
+ * Format: YYYYMM + device prefix (4) + seconds into the month (5) + random (2)
+ * e.g. 202510K7QD0A1B2X9
+ *
+ * The RefNo is generated once when a report is started and travels with the
+ * draft / queue item, so every retry of the same report sends the same RefNo.
+ */
+
+const randomBase36 = (length) => {
+  let out = '';
+  while (out.length < length) {
+    out += Math.random().toString(36).substring(2);
+  }
+  return out.substring(0, length).toUpperCase();
+};
+
+// Per-install prefix so two devices never generate the same sequence
+export const getDevicePrefix = async () => {
+  if (cachedPrefix) return cachedPrefix;
+
+  try {
+    let prefix = await AsyncStorage.getItem(DEVICE_PREFIX_KEY);
+    if (!prefix) {
+      prefix = randomBase36(PREFIX_LENGTH);
+      await AsyncStorage.setItem(DEVICE_PREFIX_KEY, prefix);
+      console.log('[RefNo] Generated device prefix:', prefix);
+    }
+    cachedPrefix = prefix;
+  } catch (error) {
+    console.error('[RefNo] Error loading device prefix:', error);
+    cachedPrefix = randomBase36(PREFIX_LENGTH);
+  }
+
+  return cachedPrefix;
+};
+
+export const generateRefNo = async () => {
+  const prefix = await getDevicePrefix();
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+
+  // Seconds since the start of the month, strictly increasing on this device
+  const monthStart = new Date(year, now.getMonth(), 1).getTime();
+  let sequence = Math.floor((now.getTime() - monthStart) / 1000);
+  if (lastIssued.month === `${year}${month}` && sequence <= lastIssued.sequence) {
+    sequence = lastIssued.sequence + 1;
+  }
+  lastIssued = { month: `${year}${month}`, sequence };
+
+  const seq = sequence.toString(36).toUpperCase().padStart(5, '0');
+  return `${year}${month}${prefix}${seq}${randomBase36(2)}`;
+};
+
+// Case-insensitive RefNo comparison (server may return RefNo or refNo)
+export const isSameRefNo = (a, b) => {
+  if (!a || !b) return false;
+  return a.toString().trim().toUpperCase() === b.toString().trim().toUpperCase();
+};
+
+export default {
+  generateRefNo,
+  getDevicePrefix,
+  isSameRefNo,
+};
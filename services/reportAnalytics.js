@@ -0,0 +1,172 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getReportStatus, buildStatusTimeline } from './reportStatus';
+import { DEFAULT_REPORT_FILTERS } from './reportQuery';
+import { fetchAllLeakReports } from './interceptor';
+
+const HISTORY_KEY = 'leakReportHistory'; // Removed by logout()
+const HISTORY_MAX_AGE_MS = 15 * 60 * 1000; // Re-download at most every 15 minutes
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Report Analytics
+ * Dashboard charts - reports per week, leak type and DMA breakdowns, days
+ * from reported to repaired and the repair rate. They are computed from the
+ * user's full report history, which is downloaded and cached in
+ * AsyncStorage (slimmed to the fields below) so the charts also work offline.
+ */
+
+// Statuses a report only reaches once the leak has been fixed
+const REPAIRED_STATUSES = ['repaired', 'turnover', 'after'];
+
+const toTimestamp = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+// The fields the charts need - cached per report instead of the full record
+export const toAnalyticsRecord = (report) => {
+  const repairedStep = buildStatusTimeline(report).find((step) => step.key === 'repaired');
+  return {
+    refNo: report.refNo || report.RefNo || null,
+    status: getReportStatus(report).key,
+    leakTypeId: parseInt(report.leakTypeId ?? report.LeakTypeId, 10) || null,
+    dmaCode: report.dmaCode || report.DmaCode || report.dma || null,
+    dtReported: report.dtReported || report.DtReported || null,
+    dtRepaired: repairedStep?.timestamp || null,
+  };
+};
+
+export const getCachedReportHistory = async (empId) => {
+  try {
+    const cached = await AsyncStorage.getItem(HISTORY_KEY);
+    const history = cached ? JSON.parse(cached) : null;
+    // Another inspector's history on a shared phone is not theirs to chart
+    return history && String(history.empId) === String(empId) ? history : null;
+  } catch (error) {
+    console.error('[ReportAnalytics] Error reading cached history:', error);
+    return null;
+  }
+};
+
+/**
+ * Download every report for empId and cache it.
+ * Returns the cached history while it is fresh, and falls back to it when the
+ * download fails (offline, server error). Resolves with
+ * { empId, savedAt, records } or null when nothing was ever cached.
+ */
+export const syncReportHistory = async (empId, forceRefresh = false) => {
+  if (!empId) return null;
+  const cached = await getCachedReportHistory(empId);
+  if (cached && !forceRefresh && Date.now() - new Date(cached.savedAt).getTime() < HISTORY_MAX_AGE_MS) {
+    return cached;
+  }
+
+  try {
+    const reports = await fetchAllLeakReports(DEFAULT_REPORT_FILTERS, { empId });
+    const records = reports.map(toAnalyticsRecord);
+
+    const history = { empId, savedAt: new Date().toISOString(), records };
+    await AsyncStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    console.log(`[ReportAnalytics] Cached ${records.length} report(s) for analytics`);
+    return history;
+  } catch (error) {
+    console.warn('[ReportAnalytics] Failed to download report history, using', cached ? 'cached copy' : 'nothing', '-', error?.message || error);
+    return cached;
+  }
+};
+
+// Monday 00:00 local time of the week containing date
+const startOfWeek = (date) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+const formatWeekLabel = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// Report counts for the last `weeks` weeks, oldest first, the current week last
+export const getWeeklyCounts = (records, { weeks = 8, now = new Date() } = {}) => {
+  const currentWeek = startOfWeek(now);
+  const buckets = Array.from({ length: weeks }, (_, index) => {
+    const weekStart = new Date(currentWeek);
+    weekStart.setDate(weekStart.getDate() - 7 * (weeks - 1 - index));
+    return { weekStart: weekStart.toISOString(), label: formatWeekLabel(weekStart), count: 0, start: weekStart.getTime() };
+  });
+  const windowStart = buckets[0].start;
+
+  records.forEach((record) => {
+    const reported = toTimestamp(record.dtReported);
+    if (reported === null || reported < windowStart) return;
+    const bucket = [...buckets].reverse().find((item) => reported >= item.start);
+    if (bucket) bucket.count += 1;
+  });
+  return buckets.map(({ start, ...bucket }) => bucket);
+};
+
+// Counts per key, largest first; everything past `limit` is folded into "Other"
+export const getBreakdown = (records, getKey, getLabel = (key) => key, limit = 5) => {
+  const counts = new Map();
+  records.forEach((record) => {
+    const key = getKey(record) ?? 'unknown';
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const items = [...counts.entries()]
+    .map(([key, count]) => ({ key, label: key === 'unknown' ? 'Unknown' : getLabel(key), count }))
+    .sort((a, b) => b.count - a.count);
+  if (items.length <= limit) return items;
+
+  const other = items.slice(limit - 1).reduce((sum, item) => sum + item.count, 0);
+  return [...items.slice(0, limit - 1), { key: 'other', label: 'Other', count: other }];
+};
+
+// Mean days from reported to repaired over the reports that have both dates
+export const getAverageRepairDays = (records) => {
+  const durations = records
+    .filter((record) => REPAIRED_STATUSES.includes(record.status))
+    .map((record) => {
+      const reported = toTimestamp(record.dtReported);
+      const repaired = toTimestamp(record.dtRepaired);
+      return reported !== null && repaired !== null && repaired >= reported ? (repaired - reported) / DAY_MS : null;
+    })
+    .filter((days) => days !== null);
+
+  if (!durations.length) return { averageDays: null, sampleSize: 0 };
+  const average = durations.reduce((sum, days) => sum + days, 0) / durations.length;
+  return { averageDays: Math.round(average * 10) / 10, sampleSize: durations.length };
+};
+
+// Share of the user's reports that ended in a repair
+export const getRepairRate = (records) => {
+  const repaired = records.filter((record) => REPAIRED_STATUSES.includes(record.status)).length;
+  return { repaired, total: records.length, rate: records.length ? repaired / records.length : 0 };
+};
+
+/**
+ * Everything the dashboard charts show. Withdrawn reports are left out - they
+ * were cancelled by the inspector and never became work for a crew.
+ */
+export const buildReportAnalytics = (records, catalog, now = new Date()) => {
+  const active = records.filter((record) => record.status !== 'withdrawn');
+  const leakTypeLabel = (leakTypeId) => catalog?.leakTypes?.find((it) => it.leakTypeId === leakTypeId)?.label || `Type ${leakTypeId}`;
+
+  return {
+    totalReports: active.length,
+    weekly: getWeeklyCounts(active, { now }),
+    byLeakType: getBreakdown(active, (record) => record.leakTypeId, leakTypeLabel),
+    byDma: getBreakdown(active, (record) => record.dmaCode),
+    repairTime: getAverageRepairDays(active),
+    repairRate: getRepairRate(active),
+  };
+};
+
+export default {
+  toAnalyticsRecord,
+  getCachedReportHistory,
+  syncReportHistory,
+  getWeeklyCounts,
+  getBreakdown,
+  getAverageRepairDays,
+  getRepairRate,
+  buildReportAnalytics,
+};
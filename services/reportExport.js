@@ -0,0 +1,182 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import { getReportStatus, getReportCoordinates, buildStatusTimeline } from './reportStatus';
+import { getCatalogs } from './catalogService';
+
+const EXPORT_DIR = `${FileSystem.documentDirectory}exports/`;
+const KEEP_EXPORTS = 5;
+
+/**
+ * Report Export
+ * Writes the inspector's reports to CSV, GeoJSON or KML in exports/ and opens
+ * the share sheet, for meetings and GIS review. Reporter names and contact
+ * numbers are left out - only the report itself, its status and its position.
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', UTI: 'public.comma-separated-values-text' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', UTI: 'public.json' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', UTI: 'com.google.earth.kml' },
+};
+
+// Columns in CSV order; GeoJSON properties and KML extended data use the same keys
+const EXPORT_COLUMNS = [
+  ['refNo', 'Reference No.'],
+  ['status', 'Status'],
+  ['leakType', 'Leak Type'],
+  ['dma', 'DMA'],
+  ['meterNumber', 'Meter No.'],
+  ['accountNumber', 'Account No.'],
+  ['address', 'Address'],
+  ['landmark', 'Landmark'],
+  ['dtReported', 'Date Reported'],
+  ['dtDispatched', 'Date Dispatched'],
+  ['dtRepaired', 'Date Repaired'],
+  ['latitude', 'Latitude'],
+  ['longitude', 'Longitude'],
+];
+
+const stepTimestamp = (timeline, key) => timeline.find((step) => step.key === key)?.timestamp || '';
+
+// One flat row per report, with the position parsed from geom/lat-lng
+export const toExportRow = (report, catalog) => {
+  const timeline = buildStatusTimeline(report);
+  const coordinates = getReportCoordinates(report);
+  const leakTypeId = parseInt(report.leakTypeId ?? report.LeakTypeId, 10);
+  const leakType = catalog?.leakTypes?.find((it) => it.leakTypeId === leakTypeId)?.label || '';
+
+  return {
+    refNo: report.refNo || report.RefNo || '',
+    status: getReportStatus(report).label,
+    leakType,
+    dma: report.dmaCode || report.DmaCode || report.dma || '',
+    meterNumber: report.referenceMtr || report.ReferenceMtr || '',
+    accountNumber: report.referenceRecaddrs || report.ReferenceRecaddrs || '',
+    address: report.reportedLocation || report.ReportedLocation || '',
+    landmark: report.reportedLandmark || report.ReportedLandmark || '',
+    dtReported: report.dtReported || report.DtReported || '',
+    dtDispatched: stepTimestamp(timeline, 'dispatched'),
+    dtRepaired: stepTimestamp(timeline, 'repaired'),
+    latitude: coordinates ? coordinates.latitude : '',
+    longitude: coordinates ? coordinates.longitude : '',
+  };
+};
+
+// Text a spreadsheet would run as a formula (=, +, - or @ first) is kept as text with a leading '.
+// Numbers such as a negative longitude are left alone.
+const csvCell = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const isFormula = typeof value === 'string' && /^[=+\-@]/.test(raw);
+  const text = isFormula ? `'${raw}` : raw;
+  return isFormula || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => [
+  EXPORT_COLUMNS.map(([, title]) => csvCell(title)).join(','),
+  ...rows.map((row) => EXPORT_COLUMNS.map(([key]) => csvCell(row[key])).join(',')),
+].join('\r\n');
+
+// Reports without a position keep a null geometry so nothing is silently dropped
+export const toGeoJson = (rows) => JSON.stringify({
+  type: 'FeatureCollection',
+  features: rows.map(({ latitude, longitude, ...properties }) => ({
+    type: 'Feature',
+    geometry: latitude === '' || longitude === '' ? null : { type: 'Point', coordinates: [longitude, latitude] },
+    properties,
+  })),
+}, null, 2);
+
+const xmlEscape = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Placemarks need a position, so reports without one are left out of KML
+export const toKml = (rows, name = 'Leak Reports') => {
+  const placemarks = rows
+    .filter((row) => row.latitude !== '' && row.longitude !== '')
+    .map((row) => {
+      const data = EXPORT_COLUMNS
+        .filter(([key]) => key !== 'latitude' && key !== 'longitude')
+        .map(([key, title]) => `        <Data name="${key}"><displayName>${xmlEscape(title)}</displayName><value>${xmlEscape(row[key])}</value></Data>`)
+        .join('\n');
+      return [
+        '    <Placemark>',
+        `      <name>${xmlEscape(row.refNo)}</name>`,
+        `      <description>${xmlEscape(`${row.status} - ${row.leakType || 'Leak'} - ${row.address}`)}</description>`,
+        '      <ExtendedData>',
+        data,
+        '      </ExtendedData>',
+        `      <Point><coordinates>${row.longitude},${row.latitude},0</coordinates></Point>`,
+        '    </Placemark>',
+      ].join('\n');
+    });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${xmlEscape(name)}</name>`,
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+  ].join('\n');
+};
+
+// Delete all but the newest few exports
+const pruneOldExports = async () => {
+  const files = (await FileSystem.readDirectoryAsync(EXPORT_DIR)).sort();
+  for (const name of files.slice(0, Math.max(0, files.length - KEEP_EXPORTS))) {
+    await FileSystem.deleteAsync(`${EXPORT_DIR}${name}`, { idempotent: true });
+  }
+};
+
+/**
+ * Write reports to exports/ in the given format and open the share sheet.
+ * @returns {Promise<{ fileUri: string, count: number }>}
+ */
+export const exportReports = async (reports, format = 'csv') => {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+
+  const catalog = await getCatalogs();
+  const rows = reports.map((report) => toExportRow(report, catalog));
+  const contents = format === 'csv' ? toCsv(rows) : format === 'geojson' ? toGeoJson(rows) : toKml(rows);
+
+  const dirInfo = await FileSystem.getInfoAsync(EXPORT_DIR);
+  if (!dirInfo.exists) {
+    await FileSystem.makeDirectoryAsync(EXPORT_DIR, { intermediates: true });
+  }
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const fileUri = `${EXPORT_DIR}leak-reports-${stamp}.${spec.extension}`;
+  await FileSystem.writeAsStringAsync(fileUri, contents);
+  try {
+    await pruneOldExports();
+  } catch (error) {
+    console.warn('[ReportExport] Could not prune old exports:', error?.message || error);
+  }
+
+  console.log(`[ReportExport] ${rows.length} report(s) written to ${fileUri}`);
+
+  if (await Sharing.isAvailableAsync()) {
+    await Sharing.shareAsync(fileUri, {
+      mimeType: spec.mimeType,
+      dialogTitle: `Share leak reports (${spec.label})`,
+      UTI: spec.UTI,
+    });
+  }
+
+  return { fileUri, count: rows.length };
+};
+
+export default {
+  EXPORT_FORMATS,
+  toExportRow,
+  toCsv,
+  toGeoJson,
+  toKml,
+  exportReports,
+};
@@ -0,0 +1,150 @@
+import { getReportStatus, REPORT_STATUSES } from './reportStatus';
+
+/**
+ * Report Query
+ * Search, filter, sort and paging options for the All Reports list.
+ * The filters are sent to GetLeakReports as query params; when the server
+ * answers with a plain unpaged list (older API versions ignore the params)
+ * the same filters are applied here instead.
+ */
+
+export const REPORT_PAGE_SIZE = 20;
+
+export const DATE_RANGES = [
+  { value: 'all', label: 'All time' },
+  { value: '7d', label: 'Last 7 days', days: 7 },
+  { value: '30d', label: 'Last 30 days', days: 30 },
+  { value: '90d', label: 'Last 90 days', days: 90 },
+  { value: 'year', label: 'This year' },
+];
+
+export const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest first', sortBy: 'dtReported', sortOrder: 'desc' },
+  { value: 'oldest', label: 'Oldest first', sortBy: 'dtReported', sortOrder: 'asc' },
+  { value: 'status', label: 'Status', sortBy: 'dispatchStat', sortOrder: 'asc' },
+  { value: 'refNo', label: 'Reference No.', sortBy: 'refNo', sortOrder: 'asc' },
+];
+
+export const DEFAULT_REPORT_FILTERS = {
+  search: '',
+  status: null, // REPORT_STATUSES key
+  leakTypeId: null,
+  dma: null,
+  dateRange: 'all',
+  sort: 'newest',
+};
+
+// One option per backend leakTypeId - several form values share an id, the first label wins
+export const getLeakTypeFilterOptions = (catalog) => {
+  const seen = new Set();
+  return catalog.leakTypes.reduce((options, leakType) => {
+    if (seen.has(leakType.leakTypeId)) return options;
+    seen.add(leakType.leakTypeId);
+    return [...options, { value: leakType.leakTypeId, label: leakType.label }];
+  }, []);
+};
+
+// Number of filters narrowing the list (search and sort order not counted)
+export const countActiveFilters = (filters) => ['status', 'leakTypeId', 'dma', 'dateRange']
+  .filter((key) => filters[key] !== DEFAULT_REPORT_FILTERS[key]).length;
+
+// { dateFrom, dateTo } as ISO strings for a DATE_RANGES value, null when unbounded
+export const getDateRangeBounds = (dateRange, now = new Date()) => {
+  const range = DATE_RANGES.find((item) => item.value === dateRange);
+  if (!range || range.value === 'all') return { dateFrom: null, dateTo: null };
+
+  const from = range.value === 'year'
+    ? new Date(now.getFullYear(), 0, 1)
+    : new Date(now.getFullYear(), now.getMonth(), now.getDate() - (range.days - 1));
+  return { dateFrom: from.toISOString(), dateTo: now.toISOString() };
+};
+
+const getSortOption = (sort) => SORT_OPTIONS.find((option) => option.value === sort) || SORT_OPTIONS[0];
+
+// GetLeakReports query params for one page of the list. No limit: older
+// servers that do not page would cut their full answer to it.
+export const toReportQueryParams = (filters, { page = 1, pageSize = REPORT_PAGE_SIZE } = {}, now = new Date()) => {
+  const { dateFrom, dateTo } = getDateRangeBounds(filters.dateRange, now);
+  const sort = getSortOption(filters.sort);
+  const status = filters.status ? REPORT_STATUSES[filters.status] : null;
+
+  const params = {
+    page,
+    pageSize,
+    sortBy: sort.sortBy,
+    sortOrder: sort.sortOrder,
+  };
+  const search = (filters.search || '').trim();
+  if (search) params.search = search;
+  if (status) {
+    // Withdrawn has no dispatchStat code
+    if (status.code === null) params.withdrawn = true;
+    else params.status = status.code;
+  }
+  if (filters.leakTypeId) params.leakTypeId = filters.leakTypeId;
+  if (filters.dma) params.dmaCode = filters.dma;
+  if (dateFrom) params.dateFrom = dateFrom;
+  if (dateTo) params.dateTo = dateTo;
+  return params;
+};
+
+const matchesSearch = (report, search) => {
+  if (!search) return true;
+  const needle = search.toLowerCase();
+  return [report.refNo, report.RefNo, report.referenceMtr, report.reportedLocation, report.reportedLandmark]
+    .some((value) => value && String(value).toLowerCase().includes(needle));
+};
+
+export const filterReports = (reports, filters, now = new Date()) => {
+  const { dateFrom, dateTo } = getDateRangeBounds(filters.dateRange, now);
+  const from = dateFrom ? new Date(dateFrom).getTime() : null;
+  const to = dateTo ? new Date(dateTo).getTime() : null;
+  const search = (filters.search || '').trim();
+
+  return reports.filter((report) => {
+    if (!matchesSearch(report, search)) return false;
+    if (filters.status && getReportStatus(report).key !== filters.status) return false;
+    if (filters.leakTypeId && parseInt(report.leakTypeId, 10) !== parseInt(filters.leakTypeId, 10)) return false;
+    if (filters.dma && (report.dmaCode || report.dma) !== filters.dma) return false;
+    if (from !== null || to !== null) {
+      const reported = new Date(report.dtReported).getTime();
+      if (Number.isNaN(reported)) return false;
+      if (from !== null && reported < from) return false;
+      if (to !== null && reported > to) return false;
+    }
+    return true;
+  });
+};
+
+export const sortReports = (reports, sort) => {
+  const { sortBy, sortOrder } = getSortOption(sort);
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  const valueOf = (report) => {
+    if (sortBy === 'dtReported') return new Date(report.dtReported).getTime() || 0;
+    if (sortBy === 'dispatchStat') return getReportStatus(report).code ?? Number.MAX_SAFE_INTEGER;
+    return String(report[sortBy] || '');
+  };
+
+  return [...reports].sort((a, b) => {
+    const left = valueOf(a);
+    const right = valueOf(b);
+    if (left === right) return 0;
+    return (left > right ? 1 : -1) * direction;
+  });
+};
+
+/**
+ * Filter, sort and slice a full report list the way the server would.
+ * Returns { reports, page, pageSize, totalCount, hasMore }.
+ */
+export const applyReportQuery = (reports, filters, { page = 1, pageSize = REPORT_PAGE_SIZE } = {}, now = new Date()) => {
+  const matching = sortReports(filterReports(reports, filters, now), filters.sort);
+  const start = (page - 1) * pageSize;
+  return {
+    reports: matching.slice(start, start + pageSize),
+    page,
+    pageSize,
+    totalCount: matching.length,
+    hasMore: start + pageSize < matching.length,
+  };
+};
@@ -0,0 +1,264 @@
+import { getApiBaseUrl } from './environment';
+import { findLeakTypeValue, findCoveringValue } from './catalogService';
+import { parseSeverityAnswers } from './severity';
+
+/**
+ * Report Status
+ * Normalises leak reports from GetLeakReports into what the dashboard and
+ * ReportDetail screen show: status label/colour/icon, the lifecycle timeline,
+ * photo URLs, map coordinates and the assigned crew. The API has returned
+ * these under different field names over time, so every lookup tries the
+ * known variants and anything missing is simply left out.
+ * It also maps a pending report back onto the leak report form for editing.
+ */
+
+// dispatchStat codes as counted by the backend (reportedCount, scheduledCount, ...)
+export const REPORT_STATUSES = {
+  reported: { code: 0, label: 'Reported', icon: 'alert-circle', color: '#2196F3' },
+  scheduled: { code: 1, label: 'Scheduled', icon: 'time', color: '#FF9800' },
+  dispatched: { code: 2, label: 'Dispatched', icon: 'send', color: '#4CAF50' },
+  repaired: { code: 3, label: 'Repaired', icon: 'checkmark-circle', color: '#9C27B0' },
+  notFound: { code: 4, label: 'Not Found', icon: 'close-circle', color: '#F44336' },
+  turnover: { code: 5, label: 'Turnover', icon: 'swap-horizontal', color: '#0EA5E9' },
+  after: { code: 6, label: 'After', icon: 'camera', color: '#14B8A6' },
+  // Set by the inspector from the app, not a dispatchStat code
+  withdrawn: { code: null, label: 'Withdrawn', icon: 'trash', color: '#64748b' },
+};
+
+const UNKNOWN_STATUS = { key: 'unknown', code: null, label: 'Unknown', icon: 'water', color: '#6b7280' };
+
+// Order a report normally moves through; "not found" or a withdrawal ends it early instead
+const LIFECYCLE = ['reported', 'dispatched', 'scheduled', 'repaired', 'turnover', 'after'];
+
+const TIMESTAMP_FIELDS = {
+  reported: ['dtReported', 'dateReported', 'reportedAt'],
+  dispatched: ['dtDispatched', 'dateDispatched', 'dispatchedAt'],
+  scheduled: ['dtScheduled', 'dateScheduled', 'scheduledAt', 'scheduleDate'],
+  repaired: ['dtRepaired', 'dateRepaired', 'repairedAt'],
+  turnover: ['dtTurnover', 'dateTurnover', 'turnoverAt'],
+  after: ['dtAfter', 'dateAfter', 'afterAt'],
+  notFound: ['dtNotFound', 'dateNotFound', 'notFoundAt'],
+  withdrawn: ['dtWithdrawn', 'dateWithdrawn', 'withdrawnAt'],
+};
+
+const ENDING_STATUSES = ['notFound', 'withdrawn'];
+
+const firstValue = (source, fields) => {
+  for (const field of fields) {
+    const value = source?.[field];
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return null;
+};
+
+// Status key from a dispatchStat code or a name such as "Not Found" / "NOT_FOUND"
+const toStatusKey = (status) => {
+  if (status === null || status === undefined || status === '') return null;
+  const code = Number(status);
+  if (!Number.isNaN(code)) {
+    return Object.keys(REPORT_STATUSES).find((key) => REPORT_STATUSES[key].code !== null && REPORT_STATUSES[key].code === code) || null;
+  }
+  const normalized = String(status).replace(/[\s_-]/g, '').toLowerCase();
+  return Object.keys(REPORT_STATUSES).find((key) => key.toLowerCase() === normalized) || null;
+};
+
+const isWithdrawn = (report) => Boolean(
+  firstValue(report, ['withdrawn', 'isWithdrawn', 'isCancelled']) || firstValue(report, TIMESTAMP_FIELDS.withdrawn)
+);
+
+export const getReportStatus = (reportOrCode) => {
+  const isReport = typeof reportOrCode === 'object' && reportOrCode !== null;
+  if (isReport && isWithdrawn(reportOrCode)) {
+    return { key: 'withdrawn', ...REPORT_STATUSES.withdrawn };
+  }
+  const status = isReport
+    ? firstValue(reportOrCode, ['dispatchStat', 'dispatchStatus', 'status'])
+    : reportOrCode;
+  const key = toStatusKey(status);
+  return key ? { key, ...REPORT_STATUSES[key] } : UNKNOWN_STATUS;
+};
+
+const getStatusHistory = (report) => {
+  const history = firstValue(report, ['statusHistory', 'history', 'timeline']);
+  return Array.isArray(history) ? history : [];
+};
+
+// Only reports nobody has acted on yet can be edited or withdrawn from the app
+export const isReportEditable = (report) => getReportStatus(report).key === 'reported';
+
+/**
+ * Lifecycle steps for a report:
+ * [{ key, label, icon, color, timestamp, note, crew, reached, current }]
+ * Steps after the current one are included as not reached; a "not found"
+ * or withdrawn report stops at that step.
+ */
+export const buildStatusTimeline = (report) => {
+  const current = getReportStatus(report);
+  const steps = {};
+
+  Object.keys(TIMESTAMP_FIELDS).forEach((key) => {
+    steps[key] = { timestamp: firstValue(report, TIMESTAMP_FIELDS[key]), note: null, crew: null };
+  });
+
+  // Explicit history entries fill in (and take precedence for) notes and crews
+  getStatusHistory(report).forEach((entry) => {
+    const key = toStatusKey(firstValue(entry, ['dispatchStat', 'status', 'statusCode', 'statusName']));
+    if (!key) return;
+    const step = steps[key];
+    step.timestamp = step.timestamp || firstValue(entry, ['date', 'dateTime', 'timestamp', 'dtStatus', 'createdAt']);
+    step.note = firstValue(entry, ['remarks', 'note', 'notes', 'comment']) || step.note;
+    step.crew = firstValue(entry, ['crew', 'crewName', 'updatedBy']) || step.crew;
+  });
+
+  const endedEarly = ENDING_STATUSES.includes(current.key);
+  const currentIndex = LIFECYCLE.indexOf(current.key);
+  const lastStampedIndex = LIFECYCLE.reduce((last, key, index) => (steps[key].timestamp ? index : last), -1);
+
+  const timeline = LIFECYCLE
+    .map((key, index) => ({
+      key,
+      ...REPORT_STATUSES[key],
+      ...steps[key],
+      reached: Boolean(steps[key].timestamp) || index <= currentIndex || index === 0,
+      current: key === current.key,
+    }))
+    // A report that ended early only shows the steps it actually went through
+    .filter((step, index) => !endedEarly || step.reached || index <= lastStampedIndex);
+
+  if (endedEarly) {
+    timeline.push({ key: current.key, ...REPORT_STATUSES[current.key], ...steps[current.key], reached: true, current: true });
+  }
+  return timeline;
+};
+
+const parseCoordinate = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Map position of a report, from latitude/longitude fields or the Geom we
+ * submitted ("lng, lat" or WKT "POINT(lng lat)"). Null when unknown.
+ */
+export const getReportCoordinates = (report) => {
+  const latitude = parseCoordinate(firstValue(report, ['latitude', 'lat', 'Latitude', 'LAT']));
+  const longitude = parseCoordinate(firstValue(report, ['longitude', 'lng', 'Longitude', 'LNG']));
+  if (latitude !== null && longitude !== null) return { latitude, longitude };
+
+  const geom = firstValue(report, ['geom', 'Geom']);
+  if (typeof geom === 'string') {
+    const numbers = geom.match(/-?\d+(\.\d+)?/g);
+    if (numbers && numbers.length >= 2) {
+      return { latitude: parseFloat(numbers[1]), longitude: parseFloat(numbers[0]) };
+    }
+  }
+  return null;
+};
+
+// Server paths are relative to the API host ("/uploads/x.jpg") or base URL ("uploads/x.jpg")
+export const resolvePhotoUrl = (path) => {
+  if (!path || typeof path !== 'string') return null;
+  if (/^(https?|file|data|content):/i.test(path)) return path;
+  const base = getApiBaseUrl().replace(/\/+$/, '');
+  if (path.startsWith('/')) {
+    const origin = /^https?:\/\/[^/]+/i.exec(base);
+    return `${origin ? origin[0] : base}${path}`;
+  }
+  return `${base}/${path}`;
+};
+
+// Every downloadable photo with where it came from: { uri, label, caption, category, landmark }
+const collectReportPhotos = (report) => {
+  const photos = [];
+  const add = (path, label, { caption = '', category = '', landmark = false } = {}) => {
+    const uri = resolvePhotoUrl(path);
+    if (uri && !photos.some((photo) => photo.uri === uri)) {
+      photos.push({ uri, label, caption, category, landmark });
+    }
+  };
+
+  add(firstValue(report, ['leakImage1', 'LeakImage1', 'leakImage1Url']), 'Leak photo 1');
+  add(firstValue(report, ['leakImage2', 'LeakImage2', 'leakImage2Url']), 'Leak photo 2');
+
+  const attachments = firstValue(report, ['attachments', 'Attachments']);
+  (Array.isArray(attachments) ? attachments : []).forEach((attachment, index) => {
+    const path = typeof attachment === 'string'
+      ? attachment
+      : firstValue(attachment, ['url', 'fileUrl', 'path', 'filePath', 'File']);
+    const category = attachment?.category || attachment?.Category || '';
+    add(path, category || `Photo ${index + 1}`, { caption: attachment?.caption || attachment?.Caption || '', category });
+  });
+
+  add(firstValue(report, ['landmarkImage', 'LandmarkImage', 'landmarkImageUrl']), 'Landmark', { landmark: true });
+  return photos;
+};
+
+/**
+ * Photos stored with the report: [{ uri, label, caption }].
+ * Attachments without a downloadable path are skipped.
+ */
+export const getReportPhotos = (report) => (
+  collectReportPhotos(report).map(({ uri, label, caption }) => ({ uri, label, caption }))
+);
+
+/**
+ * Crew responsible for the report, or null when the API does not say:
+ * { name, leader, contact, members }
+ */
+export const getReportCrew = (report) => {
+  const crew = firstValue(report, ['crew', 'assignedCrew', 'dispatchCrew']);
+  const name = (typeof crew === 'string' ? crew : firstValue(crew, ['name', 'crewName']))
+    || firstValue(report, ['crewName', 'dispatchedTo', 'teamName']);
+  const leader = firstValue(crew, ['leader', 'crewLeader']) || firstValue(report, ['crewLeader']);
+  const contact = firstValue(crew, ['contact', 'contactNumber']) || firstValue(report, ['crewContact']);
+  const members = firstValue(crew, ['members']) || firstValue(report, ['crewMembers']);
+
+  if (!name && !leader) return null;
+  return {
+    name: name || leader,
+    leader: leader || null,
+    contact: contact || null,
+    members: Array.isArray(members) ? members.map((member) => (typeof member === 'string' ? member : member?.name)).filter(Boolean) : [],
+  };
+};
+
+const LEAK_LOCATIONS = { 1: 'Surface', 2: 'Non-Surface' };
+
+/**
+ * Leak report form values for a server record, used to reopen a pending
+ * report for editing. Photos stay as server URLs; the amendment only uploads
+ * photos taken while editing.
+ */
+export const getReportFormValues = (report, catalog) => {
+  const photos = collectReportPhotos(report);
+  const leakPhotos = photos.filter((photo) => !photo.landmark);
+  const coordinates = getReportCoordinates(report);
+  const dma = firstValue(report, ['dmaCode', 'DmaCode', 'dma']) || '';
+
+  return {
+    refNo: firstValue(report, ['refNo', 'RefNo']) || '',
+    leakType: findLeakTypeValue(catalog, {
+      leakTypeId: firstValue(report, ['leakTypeId', 'LeakTypeId']),
+      jmsCode: firstValue(report, ['jmsCode', 'JmsCode']),
+    }),
+    location: LEAK_LOCATIONS[firstValue(report, ['leakLocation', 'LeakLocation'])] || '',
+    covering: findCoveringValue(catalog, firstValue(report, ['leakCovering', 'LeakCovering'])),
+    causeOfLeak: firstValue(report, ['causeOfLeak', 'leakCause']) || '',
+    contactName: firstValue(report, ['reporterName', 'ReporterName']) || '',
+    contactNumber: firstValue(report, ['reportedNumber', 'ReportedNumber']) || '',
+    landmark: firstValue(report, ['reportedLandmark', 'ReportedLandmark']) || '',
+    pressure: firstValue(report, ['pressure', 'Pressure']) || 'Low',
+    severity: parseSeverityAnswers(firstValue(report, ['severityAssessment', 'SeverityAssessment'])),
+    dma,
+    leakPhotos: leakPhotos.map((photo) => photo.uri),
+    leakPhotoDetails: leakPhotos.map((photo) => ({ category: photo.category, caption: photo.caption })),
+    landmarkPhoto: photos.find((photo) => photo.landmark)?.uri || null,
+    meterData: {
+      meterNumber: firstValue(report, ['referenceMtr', 'ReferenceMtr']) || '',
+      accountNumber: firstValue(report, ['referenceRecaddrs', 'ReferenceRecaddrs']) || '',
+      address: firstValue(report, ['reportedLocation', 'ReportedLocation']) || '',
+      dma,
+    },
+    coordinates,
+  };
+};
@@ -0,0 +1,296 @@
+import axios from 'axios';
+import NetInfo from '@react-native-community/netinfo';
+import { createLogger } from './logger';
+
+/**
+ * Retry Policy
+ * Shared retry, backoff and circuit breaker layer for axios instances.
+ *
+ * Usage:
+ *   applyRetryPolicy(devApi);
+ *   devApi.get('/admin/dmainlet/all');                              // default policy
+ *   devApi.get(url, { retry: { retries: 5, maxDelay: 60000 } });    // per-call override
+ *   devApi.post(url, body, { retry: { idempotent: true } });        // safe to repeat
+ *   devApi.post(url, body, { retry: false });                       // never retry
+ *
+ * Only idempotent requests are retried: GET/HEAD/OPTIONS/PUT/DELETE, or a
+ * POST marked `idempotent: true` (e.g. it carries a client-generated id the
+ * server de-duplicates on). Network errors, timeouts, 408/425/429 and 5xx are
+ * retried with exponential backoff and jitter; Retry-After is honoured.
+ *
+ * The circuit breaker counts consecutive network/timeout/5xx failures per
+ * host. Failures while the device is offline and timeouts of multipart
+ * uploads are not counted - they say nothing about the server. After
+ * `failureThreshold` of them it opens and requests fail fast with
+ * code ERR_CIRCUIT_OPEN until `cooldown` has passed; then one trial request is
+ * let through and its outcome closes or re-opens the circuit.
+ */
+
+const log = createLogger('Retry');
+
+export const DEFAULT_RETRY_POLICY = {
+  retries: 3,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  retryOnStatus: [408, 425, 429, 500, 502, 503, 504],
+  idempotent: undefined, // undefined = decide from the HTTP method
+};
+
+export const DEFAULT_CIRCUIT_OPTIONS = {
+  failureThreshold: 5,
+  cooldown: 30000,
+};
+
+export const CIRCUIT_OPEN_CODE = 'ERR_CIRCUIT_OPEN';
+
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'options', 'put', 'delete']);
+
+let circuitOptions = { ...DEFAULT_CIRCUIT_OPTIONS };
+const circuits = new Map(); // host -> { state, failures, openedAt, trialInFlight }
+
+// ---------------------------------------------------------------------------
+// Policy helpers
+// ---------------------------------------------------------------------------
+
+export const resolvePolicy = (overrides) => {
+  if (overrides === false) return { ...DEFAULT_RETRY_POLICY, retries: 0 };
+  return { ...DEFAULT_RETRY_POLICY, ...(overrides || {}) };
+};
+
+export const isIdempotentRequest = (config, policy = resolvePolicy(config?.retry)) => {
+  if (typeof policy.idempotent === 'boolean') return policy.idempotent;
+  return IDEMPOTENT_METHODS.has((config?.method || 'get').toLowerCase());
+};
+
+export const isCircuitOpenError = (error) => error?.code === CIRCUIT_OPEN_CODE;
+
+// Server or connection trouble - the kind of failure worth counting and retrying
+const isServerFailure = (error) => {
+  if (!error || axios.isCancel(error) || isCircuitOpenError(error)) return false;
+  if (!error.response) return true; // network error or timeout
+  return error.response.status >= 500;
+};
+
+// A timeout set by the app (axios `timeout`) rather than an answer from the server
+const isClientTimeout = (error) => !error?.response && (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT');
+
+// Multipart body, e.g. report photos - a slow uplink times these out while the server is fine
+const isUploadRequest = (config) => {
+  const contentType = config?.headers?.['Content-Type'] || config?.headers?.['content-type'] || '';
+  return /multipart\/form-data/i.test(contentType)
+    || (typeof FormData !== 'undefined' && config?.data instanceof FormData);
+};
+
+const isDeviceOffline = async () => {
+  try {
+    const state = await NetInfo.fetch();
+    return state.isConnected === false || state.isInternetReachable === false;
+  } catch {
+    return false;
+  }
+};
+
+// Whether a server failure should count towards opening the host's circuit
+const countsAgainstCircuit = async (error, config) => {
+  if (error.response) return true;
+  if (isClientTimeout(error) && isUploadRequest(config)) return false;
+  return !(await isDeviceOffline());
+};
+
+export const isRetryableError = (error, policy = DEFAULT_RETRY_POLICY) => {
+  if (!error || axios.isCancel(error) || isCircuitOpenError(error)) return false;
+  if (!error.response) return true;
+  return policy.retryOnStatus.includes(error.response.status);
+};
+
+// Delay before retry number `attempt` (1-based): exponential, capped, with
+// "equal jitter" so a burst of failing requests does not retry in lockstep
+export const getRetryDelay = (attempt, policy = DEFAULT_RETRY_POLICY) => {
+  const exponential = Math.min(policy.maxDelay, policy.baseDelay * policy.factor ** (attempt - 1));
+  if (!policy.jitter) return exponential;
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+};
+
+// Retry-After in seconds or as an HTTP date, in ms
+const getRetryAfter = (error) => {
+  const header = error?.response?.headers?.['retry-after'];
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new axios.CanceledError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new axios.CanceledError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener?.('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener?.('abort', onAbort);
+});
+
+// ---------------------------------------------------------------------------
+// Circuit breaker
+// ---------------------------------------------------------------------------
+
+const getHost = (config) => {
+  const url = config?.url || '';
+  const match = /^https?:\/\/[^/]+/i.exec(url) || /^https?:\/\/[^/]+/i.exec(config?.baseURL || '');
+  return match ? match[0].toLowerCase() : 'default';
+};
+
+const getCircuit = (host) => {
+  if (!circuits.has(host)) {
+    circuits.set(host, { state: 'closed', failures: 0, openedAt: 0, trialInFlight: false });
+  }
+  return circuits.get(host);
+};
+
+const createCircuitOpenError = (host, circuit) => {
+  const retryIn = Math.max(0, circuit.openedAt + circuitOptions.cooldown - Date.now());
+  const error = new Error(`Server unavailable, retrying in ${Math.ceil(retryIn / 1000)}s`);
+  error.code = CIRCUIT_OPEN_CODE;
+  error.host = host;
+  error.retryIn = retryIn;
+  return error;
+};
+
+// Decide whether a request may go out; marks the half-open trial
+const allowRequest = (host) => {
+  const circuit = getCircuit(host);
+  if (circuit.state === 'closed') return true;
+
+  if (circuit.state === 'open' && Date.now() - circuit.openedAt >= circuitOptions.cooldown) {
+    circuit.state = 'half-open';
+  }
+  if (circuit.state === 'half-open' && !circuit.trialInFlight) {
+    circuit.trialInFlight = true;
+    log.info(`Circuit half-open for ${host}, sending a trial request`);
+    return true;
+  }
+  return false;
+};
+
+const recordSuccess = (host) => {
+  const circuit = getCircuit(host);
+  if (circuit.state !== 'closed') {
+    log.info(`Circuit closed for ${host}`);
+  }
+  circuits.set(host, { state: 'closed', failures: 0, openedAt: 0, trialInFlight: false });
+};
+
+const recordFailure = (host) => {
+  const circuit = getCircuit(host);
+  circuit.failures += 1;
+  circuit.trialInFlight = false;
+  if (circuit.state === 'half-open' || (circuit.state === 'closed' && circuit.failures >= circuitOptions.failureThreshold)) {
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+    log.warn(`Circuit opened for ${host} after ${circuit.failures} failures, pausing for ${circuitOptions.cooldown / 1000}s`);
+  }
+};
+
+/**
+ * Circuit state for the host of `url` (absolute URL or origin):
+ * { state: 'closed' | 'open' | 'half-open', failures, retryIn }
+ */
+export const getCircuitState = (url) => {
+  const circuit = getCircuit(getHost({ url }));
+  const retryIn = circuit.state === 'open'
+    ? Math.max(0, circuit.openedAt + circuitOptions.cooldown - Date.now())
+    : 0;
+  return { state: circuit.state, failures: circuit.failures, retryIn };
+};
+
+// True while requests to the host of `url` are being refused
+export const isCircuitOpen = (url) => getCircuitState(url).retryIn > 0;
+
+export const configureCircuitBreaker = (options = {}) => {
+  circuitOptions = { ...circuitOptions, ...options };
+};
+
+export const resetCircuitBreaker = () => {
+  circuits.clear();
+  circuitOptions = { ...DEFAULT_CIRCUIT_OPTIONS };
+};
+
+// ---------------------------------------------------------------------------
+// Axios integration
+// ---------------------------------------------------------------------------
+
+/**
+ * Install the retry policy and circuit breaker on an axios instance.
+ * Per-call options: `retry` (false or policy overrides) and
+ * `circuitBreaker: false` to bypass the breaker for that request.
+ */
+export const applyRetryPolicy = (instance) => {
+  instance.interceptors.request.use((config) => {
+    if (config.circuitBreaker === false) return config;
+    const host = getHost(config);
+    if (!allowRequest(host)) {
+      throw createCircuitOpenError(host, getCircuit(host));
+    }
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    (response) => {
+      if (response.config?.circuitBreaker !== false) {
+        recordSuccess(getHost(response.config));
+      }
+      return response;
+    },
+    async (error) => {
+      const config = error?.config;
+      if (!config || isCircuitOpenError(error)) {
+        throw error;
+      }
+      if (axios.isCancel(error)) {
+        // A cancelled trial says nothing about the server - let the next request try
+        getCircuit(getHost(config)).trialInFlight = false;
+        throw error;
+      }
+
+      if (config.circuitBreaker !== false) {
+        const host = getHost(config);
+        if (isServerFailure(error)) {
+          if (await countsAgainstCircuit(error, config)) {
+            recordFailure(host);
+          } else {
+            // Not the server's fault - a half-open circuit lets the next request try
+            getCircuit(host).trialInFlight = false;
+          }
+        } else if (error.response) {
+          // The server answered (4xx) - it is up
+          recordSuccess(host);
+        }
+      }
+
+      const policy = resolvePolicy(config.retry);
+      const attempt = (config.__retryAttempt || 0) + 1;
+      if (attempt > policy.retries || !isRetryableError(error, policy) || !isIdempotentRequest(config, policy)) {
+        throw error;
+      }
+
+      const retryAfter = getRetryAfter(error);
+      const delay = retryAfter !== null ? Math.min(retryAfter, policy.maxDelay) : getRetryDelay(attempt, policy);
+      log.info(`Retrying ${(config.method || 'get').toUpperCase()} ${config.url} in ${delay}ms (attempt ${attempt}/${policy.retries})`, error.response?.status || error.code || error.message);
+
+      await wait(delay, config.signal);
+      config.__retryAttempt = attempt;
+      return instance(config);
+    }
+  );
+
+  return instance;
+};
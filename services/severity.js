@@ -0,0 +1,161 @@
+/**
+ * Severity Assessment
+ * A few quick questions on the leak form (flow, pressure, road impact,
+ * property risk, critical facilities) that add up to a score, which decides the
+ * Priority sent with the report. The questions, points and thresholds come from
+ * the catalog's severityRules so supervisors can tune them from the server;
+ * the defaults below are used until a catalog with rules has been downloaded.
+ */
+
+export const DEFAULT_SEVERITY_RULES = {
+  factors: [
+    {
+      key: 'flow',
+      label: 'Flow',
+      required: true,
+      options: [
+        { value: 'seeping', label: 'Seeping', points: 0 },
+        { value: 'trickle', label: 'Trickle', points: 1 },
+        { value: 'steady', label: 'Steady flow', points: 2 },
+        { value: 'gushing', label: 'Gushing', points: 4 },
+      ],
+    },
+    {
+      // Answered by the form's pressure field
+      key: 'pressure',
+      label: 'Pressure',
+      required: true,
+      options: [
+        { value: 'Low', label: 'Low', points: 0 },
+        { value: 'High', label: 'High', points: 2 },
+      ],
+    },
+    {
+      key: 'traffic',
+      label: 'Road / traffic impact',
+      options: [
+        { value: 'none', label: 'None', points: 0 },
+        { value: 'partial', label: 'Lane partly blocked', points: 1 },
+        { value: 'blocked', label: 'Road blocked / flooded', points: 3 },
+      ],
+    },
+    {
+      key: 'propertyRisk',
+      label: 'Property damage risk',
+      options: [
+        { value: 'none', label: 'None', points: 0 },
+        { value: 'possible', label: 'Possible', points: 1 },
+        { value: 'likely', label: 'Likely', points: 3 },
+      ],
+    },
+    {
+      key: 'criticalFacility',
+      label: 'Near a critical facility',
+      hint: 'Hospital, school, fire station or evacuation center',
+      options: [
+        { value: 'no', label: 'No', points: 0 },
+        { value: 'yes', label: 'Yes', points: 3 },
+      ],
+    },
+  ],
+  // The first level whose minScore the score reaches, checked from the highest minScore down
+  priorities: [
+    { priority: 1, label: 'Urgent', minScore: 7, color: '#dc2626' },
+    { priority: 2, label: 'Normal', minScore: 3, color: '#f59e0b' },
+    { priority: 3, label: 'Low', minScore: 0, color: '#10b981' },
+  ],
+  // Sent when nothing was assessed (reports queued before the assessment existed)
+  defaultPriority: 2,
+};
+
+// Server rules onto the shape above; anything unusable keeps the default
+export const normalizeSeverityRules = (raw) => {
+  const factors = (Array.isArray(raw?.factors) ? raw.factors : [])
+    .map((factor) => ({
+      key: factor?.key,
+      label: factor?.label || factor?.key,
+      hint: factor?.hint || '',
+      required: !!factor?.required,
+      options: (Array.isArray(factor?.options) ? factor.options : [])
+        .map((option) => ({
+          value: option?.value,
+          label: option?.label || String(option?.value ?? ''),
+          points: Number(option?.points) || 0,
+        }))
+        .filter((option) => option.value !== undefined && option.value !== null && option.value !== ''),
+    }))
+    .filter((factor) => factor.key && factor.options.length);
+
+  const priorities = (Array.isArray(raw?.priorities) ? raw.priorities : [])
+    .map((level) => ({
+      priority: parseInt(level?.priority, 10),
+      label: level?.label || `Priority ${level?.priority}`,
+      minScore: Number(level?.minScore) || 0,
+      color: level?.color || '#64748b',
+    }))
+    .filter((level) => !Number.isNaN(level.priority))
+    .sort((a, b) => b.minScore - a.minScore);
+
+  const defaultPriority = parseInt(raw?.defaultPriority, 10);
+  return {
+    factors: factors.length ? factors : DEFAULT_SEVERITY_RULES.factors,
+    priorities: priorities.length ? priorities : DEFAULT_SEVERITY_RULES.priorities,
+    defaultPriority: Number.isNaN(defaultPriority) ? DEFAULT_SEVERITY_RULES.defaultPriority : defaultPriority,
+  };
+};
+
+// Catalogs cached before severityRules existed fall back to the defaults
+export const getSeverityRules = (catalog) => catalog?.severityRules || DEFAULT_SEVERITY_RULES;
+
+export const getPriorityLevel = (rules, priority) => rules.priorities.find((level) => level.priority === priority)
+  || { priority, label: `Priority ${priority}`, color: '#64748b' };
+
+/**
+ * Score answers ({ [factor.key]: option.value }) against rules.
+ * Resolves to { assessed, score, priority, label, color, answers } - answers
+ * keeps only the answered factors, unassessed reports get defaultPriority.
+ */
+export const scoreSeverity = (rules, answers = {}) => {
+  const answered = {};
+  let score = 0;
+  rules.factors.forEach((factor) => {
+    const option = factor.options.find((item) => item.value === answers?.[factor.key]);
+    if (!option) return;
+    answered[factor.key] = option.value;
+    score += option.points;
+  });
+
+  if (!Object.keys(answered).length) {
+    return { assessed: false, score: null, answers: answered, ...getPriorityLevel(rules, rules.defaultPriority) };
+  }
+  const level = [...rules.priorities]
+    .sort((a, b) => b.minScore - a.minScore)
+    .find((item) => score >= item.minScore) || rules.priorities[rules.priorities.length - 1];
+  return { assessed: true, score, answers: answered, priority: level.priority, label: level.label, color: level.color };
+};
+
+// Required factors without a valid answer
+export const getMissingSeverityFactors = (rules, answers = {}) => rules.factors
+  .filter((factor) => factor.required && !factor.options.some((option) => option.value === answers?.[factor.key]));
+
+// Assessment stored on a server report - an object or its JSON string
+export const parseSeverityAnswers = (value) => {
+  if (!value) return {};
+  if (typeof value === 'object') return { ...value };
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+export default {
+  DEFAULT_SEVERITY_RULES,
+  normalizeSeverityRules,
+  getSeverityRules,
+  getPriorityLevel,
+  scoreSeverity,
+  getMissingSeverityFactors,
+  parseSeverityAnswers,
+};
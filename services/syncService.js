@@ -5,10 +5,15 @@ import {
   checkOnlineStatus,
   saveSyncStatus 
 } from './offlineQueue';
-import { submitLeakReport } from './interceptor';
+import { submitLeakReport, amendLeakReport, withdrawLeakReport, isReportNotPendingError } from './interceptor';
+import { cleanupReportPhotos } from './photoPipeline';
+import { getRetryDelay, isCircuitOpenError, resolvePolicy } from './retryPolicy';
 
 const MAX_RETRIES = 3;
 
+// Backoff between automatic sync runs while items are still pending
+const AUTO_SYNC_RETRY_POLICY = resolvePolicy({ baseDelay: 30000, maxDelay: 15 * 60 * 1000 });
+
 /**
  * Sync Service
  * Handles syncing offline queue to server
@@ -21,7 +26,21 @@ const processQueueItem = async (item) => {
   try {
     switch (item.type) {
       case 'leak_report':
-        await submitLeakReport(item.data);
+        // An earlier attempt may have reached the server before failing (timeout,
+        // app killed mid-upload) - check for the RefNo before sending it again
+        await submitLeakReport(item.data, { verifyExisting: Boolean(item.lastAttemptAt) });
+        // Report is on the server - original and processed photos are no longer needed
+        await cleanupReportPhotos(item.data);
+        break;
+      
+      case 'leak_report_amendment':
+        // Sending the same amendment twice leaves the report unchanged
+        await amendLeakReport(item.data);
+        await cleanupReportPhotos(item.data);
+        break;
+
+      case 'leak_report_withdrawal':
+        await withdrawLeakReport(item.data.refNo, { reason: item.data.reason });
         break;
       
       // Add more action types here in the future
@@ -41,8 +60,31 @@ const processQueueItem = async (item) => {
   }
 };
 
-// Sync all pending items
-export const syncOfflineQueue = async (onProgress) => {
+// The run in progress and the progress callbacks of every caller waiting on it
+let syncInFlight = null;
+const progressListeners = new Set();
+
+/**
+ * Sync all pending items. A manual sync and an automatic one (reconnect, retry
+ * timer) share one run: a call made while a run is in progress waits for it
+ * and gets its result, so no item is uploaded by two runs side by side.
+ */
+export const syncOfflineQueue = (onProgress) => {
+  if (onProgress) progressListeners.add(onProgress);
+  if (syncInFlight) {
+    console.log('[SyncService] Sync already in progress, waiting for it...');
+    return syncInFlight;
+  }
+  syncInFlight = runSync((progress) => {
+    progressListeners.forEach((listener) => listener(progress));
+  }).finally(() => {
+    syncInFlight = null;
+    progressListeners.clear();
+  });
+  return syncInFlight;
+};
+
+const runSync = async (onProgress) => {
   const isOnline = await checkOnlineStatus();
   
   if (!isOnline) {
@@ -58,7 +100,8 @@ export const syncOfflineQueue = async (onProgress) => {
   
   console.log('[SyncService] Starting sync...');
   const queue = await getQueue();
-  const pendingItems = queue.filter(item => item.status === 'pending');
+  // Items left in 'syncing' were interrupted (e.g. app closed mid-upload) - retry them too
+  const pendingItems = queue.filter(item => item.status === 'pending' || item.status === 'syncing');
   
   if (pendingItems.length === 0) {
     console.log('[SyncService] No pending items to sync');
@@ -73,6 +116,9 @@ export const syncOfflineQueue = async (onProgress) => {
   
   let synced = 0;
   let failed = 0;
+  let paused = false;
+  let retryIn = 0;
+  const syncedItems = [];
   
   for (let i = 0; i < pendingItems.length; i++) {
     const item = pendingItems[i];
@@ -89,7 +135,7 @@ export const syncOfflineQueue = async (onProgress) => {
     
     try {
       // Mark as syncing
-      await updateQueueItem(item.id, { status: 'syncing' });
+      await updateQueueItem(item.id, { status: 'syncing', lastAttemptAt: new Date().toISOString() });
       
       // Process the item
       const success = await processQueueItem(item);
@@ -98,6 +144,7 @@ export const syncOfflineQueue = async (onProgress) => {
         // Remove from queue on success
         await removeFromQueue(item.id);
         synced++;
+        syncedItems.push({ id: item.id, type: item.type });
         console.log(`[SyncService] ✓ Synced ${item.type}`);
       } else {
         // Mark as failed
@@ -109,6 +156,27 @@ export const syncOfflineQueue = async (onProgress) => {
         failed++;
       }
     } catch (error) {
+      if (isCircuitOpenError(error)) {
+        // Server is known to be down - stop here without using up the item's retries
+        await updateQueueItem(item.id, { status: 'pending', lastError: error.message });
+        paused = true;
+        retryIn = error.retryIn || 0;
+        console.log(`[SyncService] ⏸ Server unavailable, pausing sync (${pendingItems.length - i} item(s) left)`);
+        break;
+      }
+
+      if (isReportNotPendingError(error)) {
+        // Dispatch already picked the report up - retrying can never succeed
+        await updateQueueItem(item.id, {
+          status: 'failed',
+          retryCount: item.retryCount + 1,
+          lastError: 'Report is no longer pending - ask dispatch to change it from the web',
+        });
+        failed++;
+        console.log(`[SyncService] ✗ ${item.type} rejected, report ${item.data?.refNo} is no longer pending`);
+        continue;
+      }
+
       const retryCount = item.retryCount + 1;
       
       if (retryCount >= MAX_RETRIES) {
@@ -140,10 +208,13 @@ export const syncOfflineQueue = async (onProgress) => {
   });
   
   const result = {
-    success: failed === 0,
-    message: `Synced ${synced} items${failed > 0 ? `, ${failed} failed` : ''}`,
+    success: failed === 0 && !paused,
+    message: `Synced ${synced} items${failed > 0 ? `, ${failed} failed` : ''}${paused ? ', paused while the server is unavailable' : ''}`,
     synced,
     failed,
+    paused,
+    retryIn,
+    syncedItems,
     pending: await getQueue().then(q => q.filter(i => i.status === 'pending').length),
   };
   
@@ -154,9 +225,73 @@ export const syncOfflineQueue = async (onProgress) => {
 // Auto-sync when connection is restored
 let syncListener = null;
 let previousOnlineStatus = null;
-let isSyncInProgress = false;
+let retryTimer = null;
+let retryAttempt = 0;
+
+const clearRetryTimer = () => {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+};
+
+// Items still pending after a run (server errors, paused circuit) are retried
+// with backoff instead of waiting for the next reconnect
+const scheduleRetry = (result, onSyncComplete, onProgress) => {
+  clearRetryTimer();
+  if (!syncListener || !(result?.pending > 0)) {
+    retryAttempt = 0;
+    return;
+  }
 
-export const startAutoSync = (onSyncComplete) => {
+  retryAttempt++;
+  const delay = Math.max(getRetryDelay(retryAttempt, AUTO_SYNC_RETRY_POLICY), result.retryIn || 0);
+  console.log(`[SyncService] ⏳ ${result.pending} item(s) still pending, retrying in ${Math.round(delay / 1000)}s`);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    runAutoSync(onSyncComplete, onProgress);
+  }, delay);
+};
+
+// Sync pending items in the background. A run already in progress (manual or
+// automatic) is waited for and reports its own result.
+const runAutoSync = async (onSyncComplete, onProgress) => {
+  if (syncInFlight) {
+    console.log('[SyncService] Sync already in progress, skipping...');
+    await syncInFlight.catch(() => {});
+    return;
+  }
+  
+  const queue = await getQueue();
+  const pendingCount = queue.filter(item => item.status === 'pending').length;
+  
+  if (pendingCount === 0) {
+    console.log('[SyncService] No pending items to sync');
+    return;
+  }
+  
+  console.log(`[SyncService] 🔄 Found ${pendingCount} pending items, starting auto-sync...`);
+  
+  try {
+    const result = await syncOfflineQueue((progress) => {
+      console.log(`[SyncService] Progress: ${progress.percentage}% (${progress.current}/${progress.total})`);
+      if (onProgress) {
+        onProgress(progress);
+      }
+    });
+    
+    console.log('[SyncService] ✅ Auto-sync completed:', result);
+    
+    if (onSyncComplete) {
+      onSyncComplete(result);
+    }
+    scheduleRetry(result, onSyncComplete, onProgress);
+  } catch (error) {
+    console.error('[SyncService] ❌ Auto-sync error:', error);
+  }
+};
+
+export const startAutoSync = (onSyncComplete, onProgress) => {
   if (syncListener) {
     console.log('[SyncService] Auto-sync already running');
     return;
@@ -173,49 +308,25 @@ export const startAutoSync = (onSyncComplete) => {
     // Only trigger sync when transitioning from offline to online
     if (isOnline && previousOnlineStatus === false) {
       console.log('[SyncService] 📶 Connection restored, checking for pending items...');
-      
-      // Prevent multiple simultaneous syncs
-      if (isSyncInProgress) {
-        console.log('[SyncService] Sync already in progress, skipping...');
-        return;
-      }
-      
-      const queue = await getQueue();
-      const pendingCount = queue.filter(item => item.status === 'pending').length;
-      
-      if (pendingCount > 0) {
-        console.log(`[SyncService] 🔄 Found ${pendingCount} pending items, starting auto-sync...`);
-        
-        isSyncInProgress = true;
-        
-        try {
-          const result = await syncOfflineQueue((progress) => {
-            console.log(`[SyncService] Progress: ${progress.percentage}% (${progress.current}/${progress.total})`);
-          });
-          
-          console.log('[SyncService] ✅ Auto-sync completed:', result);
-          
-          if (onSyncComplete) {
-            onSyncComplete(result);
-          }
-        } catch (error) {
-          console.error('[SyncService] ❌ Auto-sync error:', error);
-        } finally {
-          isSyncInProgress = false;
-        }
-      } else {
-        console.log('[SyncService] No pending items to sync');
-      }
+      previousOnlineStatus = isOnline;
+      // Reconnecting is a fresh start - drop any backoff in progress
+      clearRetryTimer();
+      retryAttempt = 0;
+      await runAutoSync(onSyncComplete, onProgress);
+      return;
     }
     
     // Update previous status
     previousOnlineStatus = isOnline;
   });
   
-  // Get initial status
+  // Get initial status - items queued before the app was closed sync right away when online
   NetInfo.fetch().then((state) => {
     previousOnlineStatus = state.isConnected && state.isInternetReachable !== false;
     console.log('[SyncService] Initial connection status:', previousOnlineStatus ? 'Online' : 'Offline');
+    if (previousOnlineStatus) {
+      runAutoSync(onSyncComplete, onProgress);
+    }
   });
 };
 
@@ -224,7 +335,8 @@ export const stopAutoSync = () => {
     syncListener();
     syncListener = null;
     previousOnlineStatus = null;
-    isSyncInProgress = false;
+    clearRetryTimer();
+    retryAttempt = 0;
     console.log('[SyncService] Auto-sync stopped');
   }
 };
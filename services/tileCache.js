@@ -0,0 +1,109 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getTileStoreSize, evictLeastRecentlyUsed } from './tileStore';
+import { refreshStaleTiles, checkTileCacheHealth, syncTileMetadata, clearServedTiles } from './offlineTileManager';
+import { getOfflineRegions } from './offlineRegions';
+
+const TILE_CACHE_SETTINGS_KEY = 'tile_cache_settings';
+const LAST_REFRESH_KEY = 'tile_cache_last_refresh';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+/**
+ * Tile Cache
+ * Looks after the offline tile store between downloads: tiles older than the
+ * max age are fetched again in the background while online, and when the
+ * store grows past its storage budget the tiles shown least recently are
+ * deleted first - never those of a pinned offline region. Also notices when
+ * the system removed the tiles behind the app's back.
+ */
+
+export const TILE_MAX_AGE_OPTIONS = [7, 30, 90, 0]; // days, 0 = never refresh
+export const TILE_BUDGET_OPTIONS = [250, 500, 1024, 2048, 0]; // MB, 0 = no limit
+
+const DEFAULT_SETTINGS = {
+  maxAgeDays: 30,
+  budgetMB: 0,
+};
+
+const REFRESH_LIMIT = 200; // stale tiles fetched per background refresh
+const REFRESH_INTERVAL_MS = 60 * 60 * 1000; // so a flapping connection does not refresh over and over
+
+export const getTileCacheSettings = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(TILE_CACHE_SETTINGS_KEY);
+    const settings = { ...DEFAULT_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+    if (!TILE_MAX_AGE_OPTIONS.includes(settings.maxAgeDays)) settings.maxAgeDays = DEFAULT_SETTINGS.maxAgeDays;
+    if (!TILE_BUDGET_OPTIONS.includes(settings.budgetMB)) settings.budgetMB = DEFAULT_SETTINGS.budgetMB;
+    return settings;
+  } catch (error) {
+    console.warn('[TileCache] Failed to load settings:', error?.message || error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+export const saveTileCacheSettings = async (changes) => {
+  const settings = { ...(await getTileCacheSettings()), ...changes };
+  await AsyncStorage.setItem(TILE_CACHE_SETTINGS_KEY, JSON.stringify(settings));
+  return settings;
+};
+
+/**
+ * Deletes the least recently shown tiles of unpinned regions until the
+ * MBTiles file fits in budgetMB (0 = no limit). Resolves with { count, bytes, overBudget },
+ * overBudget meaning pinned regions alone take more than the budget.
+ */
+export const enforceTileBudget = async (budgetMB) => {
+  if (!budgetMB) return { count: 0, bytes: 0, overBudget: false };
+  const budget = budgetMB * MB;
+  let used = await getTileStoreSize();
+  if (used <= budget) return { count: 0, bytes: 0, overBudget: false };
+
+  const pinned = (await getOfflineRegions()).filter((region) => region.pinned).map((region) => region.id);
+  const evicted = { count: 0, bytes: 0 };
+  // The file holds indexes as well as tiles, so measure it again after each pass
+  while (used > budget) {
+    const pass = await evictLeastRecentlyUsed(used - budget, pinned);
+    if (!pass.count) break;
+    evicted.count += pass.count;
+    evicted.bytes += pass.bytes;
+    used = await getTileStoreSize();
+  }
+  // Served copies of evicted tiles would keep showing them
+  if (evicted.count) await clearServedTiles();
+  await syncTileMetadata();
+  console.log(`[TileCache] Evicted ${evicted.count} tile(s), ${(evicted.bytes / MB).toFixed(1)} MB, to stay within ${budgetMB} MB`);
+  return { ...evicted, overBudget: used > budget };
+};
+
+/**
+ * Run on app start and when the connection comes back, never during a
+ * download: drops the tile files served to OfflineTile, recovers from tiles
+ * the system removed, trims the store to its budget and, when online,
+ * refreshes a batch of expired tiles (at most once an hour). Resolves with
+ * { purged, lostTiles, evicted, overBudget, refreshed }.
+ */
+export const runTileCacheMaintenance = async ({ online = false } = {}) => {
+  const settings = await getTileCacheSettings();
+  // Keeps the files written out for OfflineTile from piling up outside the budget
+  await clearServedTiles();
+  const health = await checkTileCacheHealth();
+  const evicted = await enforceTileBudget(settings.budgetMB);
+
+  let refreshed = 0;
+  const lastRefresh = Number(await AsyncStorage.getItem(LAST_REFRESH_KEY)) || 0;
+  if (online && settings.maxAgeDays && Date.now() - lastRefresh >= REFRESH_INTERVAL_MS) {
+    await AsyncStorage.setItem(LAST_REFRESH_KEY, String(Date.now()));
+    ({ refreshed } = await refreshStaleTiles(settings.maxAgeDays * DAY_MS, { limit: REFRESH_LIMIT }));
+  }
+
+  return { ...health, evicted: evicted.count, overBudget: evicted.overBudget, refreshed };
+};
+
+export default {
+  TILE_MAX_AGE_OPTIONS,
+  TILE_BUDGET_OPTIONS,
+  getTileCacheSettings,
+  saveTileCacheSettings,
+  enforceTileBudget,
+  runTileCacheMaintenance,
+};
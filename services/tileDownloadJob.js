@@ -0,0 +1,95 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { bytesToBase64, base64ToBytes } from './tileStore';
+
+/**
+ * Tile Download Job
+ * The offline map download in progress, saved to AsyncStorage so it survives
+ * the app being killed. Every tile of the region has a fixed place in the
+ * order services/tileGeometry.js lists them (zoom by zoom), and the job keeps
+ * one bit per place for "stored", so a restarted download skips exactly the
+ * tiles that were done. Only one download runs at a time, so there is one job.
+ */
+
+const JOB_KEY = 'offline_tile_download_job';
+
+// The parts of a region that decide its tiles - a job only resumes for the same ones
+const regionSignature = (region) => JSON.stringify([
+  region.type,
+  region.bounds || null,
+  region.points || null,
+  region.bufferMeters || 0,
+  region.minZoom,
+  region.maxZoom,
+]);
+
+export const createTileDownloadJob = (region, total, { refresh = false, source = 'osm' } = {}) => ({
+  regionId: region.id,
+  region,
+  signature: regionSignature(region),
+  refresh,
+  source,
+  total,
+  done: new Uint8Array(Math.ceil(total / 8)),
+  doneCount: 0,
+  failedCount: 0, // tiles that failed in the current pass
+  pass: 0, // 0 = first pass, then one per retry of the failed tiles
+  processed: 0, // tiles fetched or checked, for the download rate
+  activeMs: 0, // time spent downloading, pauses excluded
+  status: 'running', // 'running' | 'paused'
+  startedAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString(),
+});
+
+// Whether job was started for region with the same tiles, total and options
+export const isJobForRegion = (job, region, total, { refresh = false, source = 'osm' } = {}) => !!job
+  && job.regionId === region.id
+  && job.signature === regionSignature(region)
+  && job.total === total
+  && job.refresh === refresh
+  && job.source === source;
+
+export const isTileDone = (job, index) => (job.done[index >> 3] & (1 << (index & 7))) !== 0;
+
+export const markTileDone = (job, index) => {
+  if (isTileDone(job, index)) return;
+  job.done[index >> 3] |= 1 << (index & 7);
+  job.doneCount++;
+};
+
+// The saved job, or null
+export const getTileDownloadJob = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(JOB_KEY);
+    if (!stored) return null;
+    const job = JSON.parse(stored);
+    return { ...job, done: base64ToBytes(job.done) };
+  } catch (error) {
+    console.warn('[TileJob] Discarding unreadable download job:', error?.message || error);
+    return null;
+  }
+};
+
+export const saveTileDownloadJob = async (job) => {
+  job.updatedAt = new Date().toISOString();
+  await AsyncStorage.setItem(JOB_KEY, JSON.stringify({ ...job, done: bytesToBase64(job.done) }));
+};
+
+export const clearTileDownloadJob = () => AsyncStorage.removeItem(JOB_KEY);
+
+// Seconds left at the job's average rate so far, or null until there is a rate
+export const getJobEta = (job) => {
+  if (job.processed <= 0 || job.activeMs <= 0) return null;
+  const remaining = job.total - job.doneCount;
+  return Math.round(remaining / (job.processed / (job.activeMs / 1000)));
+};
+
+export default {
+  createTileDownloadJob,
+  isJobForRegion,
+  isTileDone,
+  markTileDone,
+  getTileDownloadJob,
+  saveTileDownloadJob,
+  clearTileDownloadJob,
+  getJobEta,
+};
@@ -0,0 +1,193 @@
+/**
+ * Tile Geometry
+ * Which slippy-map tiles (XYZ) an offline region covers. A region is a
+ * rectangle (bounds), a polygon (points, optionally widened by bufferMeters -
+ * DMA areas are a padded hull) or a route (a polyline widened by bufferMeters),
+ * plus a minZoom..maxZoom range. Shapes are measured in fractional tile
+ * coordinates at each zoom, where Web Mercator keeps distances the same in x
+ * and y, so a tile is taken when its square comes within the buffer of the shape.
+ */
+
+const EARTH_CIRCUMFERENCE = 40075016.686; // metres at the equator
+
+// Fractional tile coordinates - the integer part is the tile, the rest the position inside it
+export const lonToTileX = (lon, zoom) => (lon + 180) / 360 * (2 ** zoom);
+
+export const latToTileY = (lat, zoom) => {
+  const rad = lat * Math.PI / 180;
+  return (1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * (2 ** zoom);
+};
+
+// Convert lat/lon to tile coordinates
+export const latLonToTile = (lat, lon, zoom) => ({
+  x: Math.floor(lonToTileX(lon, zoom)),
+  y: Math.floor(latToTileY(lat, zoom)),
+  z: zoom,
+});
+
+// Ground width of one tile at latitude
+export const metersPerTile = (lat, zoom) => EARTH_CIRCUMFERENCE * Math.cos(lat * Math.PI / 180) / (2 ** zoom);
+
+export const getRegionZoomLevels = (region) => {
+  const levels = [];
+  for (let zoom = region.minZoom; zoom <= region.maxZoom; zoom++) levels.push(zoom);
+  return levels;
+};
+
+// { minLat, maxLat, minLon, maxLon } around the shape, buffer not included
+export const getRegionBounds = (region) => {
+  if (region.type === 'rectangle' || !region.points?.length) return region.bounds;
+  const lats = region.points.map(([lat]) => lat);
+  const lons = region.points.map(([, lon]) => lon);
+  return {
+    minLat: Math.min(...lats),
+    maxLat: Math.max(...lats),
+    minLon: Math.min(...lons),
+    maxLon: Math.max(...lons),
+  };
+};
+
+const distanceToSegment = (px, py, ax, ay, bx, by) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+};
+
+const distanceToSquare = (px, py, x, y) => Math.hypot(
+  Math.max(x - px, 0, px - (x + 1)),
+  Math.max(y - py, 0, py - (y + 1))
+);
+
+// Liang-Barsky: does the segment a-b pass through the unit square at x, y?
+const segmentCrossesSquare = (ax, ay, bx, by, x, y) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  let t0 = 0;
+  let t1 = 1;
+  const edges = [[-dx, ax - x], [dx, x + 1 - ax], [-dy, ay - y], [dy, y + 1 - ay]];
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q < 0) return false;
+    } else {
+      const t = q / p;
+      if (p < 0) t0 = Math.max(t0, t);
+      else t1 = Math.min(t1, t);
+      if (t0 > t1) return false;
+    }
+  }
+  return true;
+};
+
+// Shortest distance between segment a-b and the unit square at x, y (0 when they touch)
+const segmentSquareDistance = (segment, x, y) => {
+  const [ax, ay, bx, by] = segment;
+  if (segmentCrossesSquare(ax, ay, bx, by, x, y)) return 0;
+  return Math.min(
+    distanceToSquare(ax, ay, x, y),
+    distanceToSquare(bx, by, x, y),
+    distanceToSegment(x, y, ax, ay, bx, by),
+    distanceToSegment(x + 1, y, ax, ay, bx, by),
+    distanceToSegment(x, y + 1, ax, ay, bx, by),
+    distanceToSegment(x + 1, y + 1, ax, ay, bx, by)
+  );
+};
+
+const pointInPolygon = (px, py, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+const rectangleTiles = (bounds, zoom) => {
+  const minTile = latLonToTile(bounds.maxLat, bounds.minLon, zoom);
+  const maxTile = latLonToTile(bounds.minLat, bounds.maxLon, zoom);
+  const tiles = [];
+  for (let x = minTile.x; x <= maxTile.x; x++) {
+    for (let y = minTile.y; y <= maxTile.y; y++) {
+      tiles.push({ x, y, z: zoom });
+    }
+  }
+  return tiles;
+};
+
+// Polygons and routes: every tile within the buffer of an edge, plus (polygons) the tiles inside
+const shapeTiles = (region, zoom) => {
+  const closed = region.type !== 'route';
+  const points = region.points.map(([lat, lon]) => [lonToTileX(lon, zoom), latToTileY(lat, zoom)]);
+  const bounds = getRegionBounds(region);
+  const buffer = (Number(region.bufferMeters) || 0) / metersPerTile((bounds.minLat + bounds.maxLat) / 2, zoom);
+
+  const segments = [];
+  for (let i = 0; i < points.length - (closed ? 0 : 1); i++) {
+    const [ax, ay] = points[i];
+    const [bx, by] = points[(i + 1) % points.length];
+    segments.push([ax, ay, bx, by]);
+  }
+
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  const minX = Math.floor(Math.min(...xs) - buffer);
+  const maxX = Math.floor(Math.max(...xs) + buffer);
+  const minY = Math.floor(Math.min(...ys) - buffer);
+  const maxY = Math.floor(Math.max(...ys) + buffer);
+
+  const tiles = [];
+  for (let y = minY; y <= maxY; y++) {
+    // Only the edges that reach this row of tiles
+    const rowSegments = segments.filter(([, ay, , by]) => Math.min(ay, by) - buffer <= y + 1 && Math.max(ay, by) + buffer >= y);
+    for (let x = minX; x <= maxX; x++) {
+      const covered = (closed && pointInPolygon(x + 0.5, y + 0.5, points))
+        || rowSegments.some((segment) => segmentSquareDistance(segment, x, y) <= buffer);
+      if (covered) tiles.push({ x, y, z: zoom });
+    }
+  }
+  return tiles;
+};
+
+// Tiles of region at one zoom level - [{ x, y, z }]
+export const getRegionTilesAtZoom = (region, zoom) => (region.type === 'rectangle'
+  ? rectangleTiles(region.bounds, zoom)
+  : shapeTiles(region, zoom));
+
+export const countRegionTiles = (region) => getRegionZoomLevels(region).reduce((total, zoom) => {
+  if (region.type !== 'rectangle') return total + getRegionTilesAtZoom(region, zoom).length;
+  const minTile = latLonToTile(region.bounds.maxLat, region.bounds.minLon, zoom);
+  const maxTile = latLonToTile(region.bounds.minLat, region.bounds.maxLon, zoom);
+  return total + (maxTile.x - minTile.x + 1) * (maxTile.y - minTile.y + 1);
+}, 0);
+
+// Convex hull of [[lat, lon]] (monotone chain), counter-clockwise
+export const convexHull = (points) => {
+  const sorted = [...points].sort((a, b) => (a[1] - b[1]) || (a[0] - b[0]));
+  if (sorted.length < 3) return sorted;
+  const cross = (o, a, b) => (a[1] - o[1]) * (b[0] - o[0]) - (a[0] - o[0]) * (b[1] - o[1]);
+  const lower = [];
+  sorted.forEach((point) => {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+    lower.push(point);
+  });
+  const upper = [];
+  [...sorted].reverse().forEach((point) => {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+    upper.push(point);
+  });
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+};
+
+export default {
+  lonToTileX,
+  latToTileY,
+  latLonToTile,
+  metersPerTile,
+  getRegionZoomLevels,
+  getRegionBounds,
+  getRegionTilesAtZoom,
+  countRegionTiles,
+  convexHull,
+};
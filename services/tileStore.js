@@ -0,0 +1,423 @@
+import * as SQLite from 'expo-sqlite';
+
+/**
+ * Tile Store
+ * Offline map tiles kept in one MBTiles file (SQLite) per tile source instead of
+ * one PNG per tile: counting, sizing and clearing the cache become single
+ * queries or one file delete. Follows the MBTiles 1.3 schema - the `tiles` table
+ * is keyed by zoom_level / tile_column / tile_row, where tile_row counts from
+ * the bottom (TMS), so rows are flipped from the XYZ y the maps use.
+ * region_tiles (not part of MBTiles) records which offline regions each tile
+ * was downloaded for, so a region can be sized and deleted without touching
+ * tiles another region still uses. tile_info keeps when each tile was fetched
+ * (for expiry) and last shown (for least-recently-used eviction).
+ * The file uses incremental auto_vacuum, so pages freed by evictions and
+ * region deletes are handed back to the system instead of sitting unused in
+ * the file.
+ */
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS metadata (name TEXT PRIMARY KEY, value TEXT);
+  CREATE TABLE IF NOT EXISTS tiles (
+    zoom_level INTEGER NOT NULL,
+    tile_column INTEGER NOT NULL,
+    tile_row INTEGER NOT NULL,
+    tile_data BLOB NOT NULL
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS tile_index ON tiles (zoom_level, tile_column, tile_row);
+  CREATE TABLE IF NOT EXISTS region_tiles (
+    region_id TEXT NOT NULL,
+    zoom_level INTEGER NOT NULL,
+    tile_column INTEGER NOT NULL,
+    tile_row INTEGER NOT NULL,
+    PRIMARY KEY (region_id, zoom_level, tile_column, tile_row)
+  );
+  CREATE INDEX IF NOT EXISTS region_tile_index ON region_tiles (zoom_level, tile_column, tile_row);
+  CREATE TABLE IF NOT EXISTS tile_info (
+    zoom_level INTEGER NOT NULL,
+    tile_column INTEGER NOT NULL,
+    tile_row INTEGER NOT NULL,
+    fetched_at INTEGER NOT NULL,
+    used_at INTEGER NOT NULL,
+    PRIMARY KEY (zoom_level, tile_column, tile_row)
+  );
+  CREATE INDEX IF NOT EXISTS tile_used_index ON tile_info (used_at);
+  CREATE INDEX IF NOT EXISTS tile_fetched_index ON tile_info (fetched_at);
+`;
+
+const SCHEMA_VERSION = 2;
+
+// A tile shown again within this long keeps its used_at, so reading tiles rarely writes
+const TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+
+const EVICTION_BATCH = 500;
+
+// PRAGMA auto_vacuum reads back 0 (none), 1 (full) or 2 (incremental)
+const AUTO_VACUUM_INCREMENTAL = 2;
+
+const openDatabases = new Map(); // source -> Promise<SQLiteDatabase>
+
+export const getTileStoreName = (source = 'osm') => `tiles_${source}.mbtiles`;
+
+// XYZ y <-> TMS tile_row (the flip is its own inverse)
+export const flipY = (z, y) => (2 ** z) - 1 - y;
+
+// Uint8Array <-> base64, in chunks so large tiles do not overflow the argument list
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  const chunkLen = 8192;
+  for (let i = 0; i < bytes.length; i += chunkLen) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, Math.min(i + chunkLen, bytes.length)));
+  }
+  return btoa(binary);
+};
+
+export const base64ToBytes = (base64) => {
+  const raw = atob(base64);
+  const bytes = new Uint8Array(raw.length);
+  for (let i = 0; i < raw.length; i++) {
+    bytes[i] = raw.charCodeAt(i);
+  }
+  return bytes;
+};
+
+// Brings a store written by an older version up to SCHEMA_VERSION
+const migrateSchema = async (db) => {
+  const row = await db.getFirstAsync('PRAGMA user_version');
+  const version = row?.user_version || 0;
+  if (version >= SCHEMA_VERSION) return;
+  if (version < 1) {
+    // Tiles stored before tile_info existed count as fetched and used now
+    const now = Date.now();
+    await db.runAsync(
+      `INSERT OR IGNORE INTO tile_info (zoom_level, tile_column, tile_row, fetched_at, used_at)
+       SELECT zoom_level, tile_column, tile_row, ?, ? FROM tiles`,
+      [now, now]
+    );
+  }
+  if (version < 2) {
+    // auto_vacuum only changes on a file that already has tables after a full VACUUM
+    const vacuum = await db.getFirstAsync('PRAGMA auto_vacuum');
+    if (vacuum?.auto_vacuum !== AUTO_VACUUM_INCREMENTAL) {
+      await db.execAsync('PRAGMA auto_vacuum = INCREMENTAL');
+      await db.execAsync('VACUUM');
+    }
+  }
+  await db.execAsync(`PRAGMA user_version = ${SCHEMA_VERSION}`);
+};
+
+export const openTileStore = (source = 'osm') => {
+  if (!openDatabases.has(source)) {
+    const opening = (async () => {
+      const db = await SQLite.openDatabaseAsync(getTileStoreName(source));
+      // Takes effect on a new file as long as it runs before the tables are created
+      await db.execAsync('PRAGMA auto_vacuum = INCREMENTAL');
+      await db.execAsync(SCHEMA);
+      await migrateSchema(db);
+      await db.runAsync('INSERT OR IGNORE INTO metadata (name, value) VALUES (?, ?), (?, ?), (?, ?)',
+        ['name', source, 'format', 'png', 'type', 'baselayer']);
+      console.log(`[TileStore] Opened ${getTileStoreName(source)}`);
+      return db;
+    })();
+    // A failed open is retried on the next call
+    opening.catch(() => openDatabases.delete(source));
+    openDatabases.set(source, opening);
+  }
+  return openDatabases.get(source);
+};
+
+// Hands the pages freed by deletes back to the system, shrinking the file
+const releaseFreePages = async (db) => {
+  try {
+    await db.execAsync('PRAGMA incremental_vacuum');
+  } catch (error) {
+    console.warn('[TileStore] Could not release free pages:', error?.message || error);
+  }
+};
+
+const touchTile = async (db, z, x, y) => {
+  try {
+    const now = Date.now();
+    await db.runAsync(
+      'UPDATE tile_info SET used_at = ? WHERE zoom_level = ? AND tile_column = ? AND tile_row = ? AND used_at < ?',
+      [now, z, x, flipY(z, y), now - TOUCH_INTERVAL_MS]
+    );
+  } catch (error) {
+    console.warn('[TileStore] Could not mark tile as used:', error?.message || error);
+  }
+};
+
+// The tile's bytes, or null. Reading a tile marks it as used for eviction.
+export const getTile = async (z, x, y, source = 'osm') => {
+  const db = await openTileStore(source);
+  const row = await db.getFirstAsync(
+    'SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?',
+    [z, x, flipY(z, y)]
+  );
+  if (!row) return null;
+  await touchTile(db, z, x, y);
+  return row.tile_data;
+};
+
+// Marks a shown tile as used for eviction without reading it - for copies served from files
+export const markTileUsed = async (z, x, y, source = 'osm') => {
+  const db = await openTileStore(source);
+  await touchTile(db, z, x, y);
+};
+
+// For the WebView map, which takes tiles as data URIs
+export const getTileBase64 = async (z, x, y, source = 'osm') => {
+  const data = await getTile(z, x, y, source);
+  return data ? bytesToBase64(data) : null;
+};
+
+export const hasTile = async (z, x, y, source = 'osm') => {
+  const db = await openTileStore(source);
+  const row = await db.getFirstAsync(
+    'SELECT 1 AS found FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?',
+    [z, x, flipY(z, y)]
+  );
+  return !!row;
+};
+
+// Tiles of `candidates` ([{ z, x, y }]) not in the store yet
+export const filterMissingTiles = async (candidates, source = 'osm') => {
+  if (!candidates.length) return [];
+  const db = await openTileStore(source);
+  const missing = [];
+  // One query per zoom level and column keeps the statements small
+  const groups = new Map();
+  candidates.forEach((tile) => {
+    const key = `${tile.z}/${tile.x}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(tile);
+  });
+  for (const tiles of groups.values()) {
+    const { z, x } = tiles[0];
+    const rows = await db.getAllAsync(
+      `SELECT tile_row FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row IN (${tiles.map(() => '?').join(', ')})`,
+      [z, x, ...tiles.map((tile) => flipY(z, tile.y))]
+    );
+    const stored = new Set(rows.map((row) => row.tile_row));
+    tiles.forEach((tile) => {
+      if (!stored.has(flipY(z, tile.y))) missing.push(tile);
+    });
+  }
+  return missing;
+};
+
+export const putTile = async (z, x, y, data, source = 'osm') => putTiles([{ z, x, y, data }], source);
+
+// Writes [{ z, x, y, data: Uint8Array }] in one transaction, stamped as fetched now
+export const putTiles = async (tiles, source = 'osm') => {
+  if (!tiles.length) return 0;
+  const db = await openTileStore(source);
+  const now = Date.now();
+  await db.withTransactionAsync(async () => {
+    for (const { z, x, y, data } of tiles) {
+      await db.runAsync(
+        'INSERT OR REPLACE INTO tiles (zoom_level, tile_column, tile_row, tile_data) VALUES (?, ?, ?, ?)',
+        [z, x, flipY(z, y), data]
+      );
+      // A refreshed tile keeps its used_at
+      await db.runAsync(
+        `INSERT INTO tile_info (zoom_level, tile_column, tile_row, fetched_at, used_at) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (zoom_level, tile_column, tile_row) DO UPDATE SET fetched_at = excluded.fetched_at`,
+        [z, x, flipY(z, y), now, now]
+      );
+    }
+  });
+  return tiles.length;
+};
+
+// Up to limit stored tiles ([{ z, x, y }]) fetched before olderThan (ms), the most recently used first
+export const getStaleTiles = async (olderThan, limit, source = 'osm') => {
+  const db = await openTileStore(source);
+  const rows = await db.getAllAsync(
+    'SELECT zoom_level, tile_column, tile_row FROM tile_info WHERE fetched_at < ? ORDER BY used_at DESC LIMIT ?',
+    [olderThan, limit]
+  );
+  return rows.map((row) => ({ z: row.zoom_level, x: row.tile_column, y: flipY(row.zoom_level, row.tile_row) }));
+};
+
+/**
+ * Deletes the least recently used tiles until bytesToFree bytes are freed,
+ * skipping every tile of the regions in keepRegionIds. Resolves with
+ * { count, bytes } deleted - less than asked when only kept tiles are left.
+ */
+export const evictLeastRecentlyUsed = async (bytesToFree, keepRegionIds = [], source = 'osm') => {
+  const db = await openTileStore(source);
+  const keep = keepRegionIds.length
+    ? `WHERE NOT EXISTS (
+         SELECT 1 FROM region_tiles r WHERE r.region_id IN (${keepRegionIds.map(() => '?').join(', ')})
+         AND r.zoom_level = i.zoom_level AND r.tile_column = i.tile_column AND r.tile_row = i.tile_row
+       )`
+    : '';
+  let count = 0;
+  let bytes = 0;
+  while (bytes < bytesToFree) {
+    const candidates = await db.getAllAsync(
+      `SELECT i.zoom_level, i.tile_column, i.tile_row, LENGTH(t.tile_data) AS bytes FROM tile_info i
+       JOIN tiles t ON t.zoom_level = i.zoom_level AND t.tile_column = i.tile_column AND t.tile_row = i.tile_row
+       ${keep} ORDER BY i.used_at LIMIT ?`,
+      [...keepRegionIds, EVICTION_BATCH]
+    );
+    if (!candidates.length) break;
+
+    const evicted = [];
+    for (const tile of candidates) {
+      if (bytes >= bytesToFree) break;
+      evicted.push(tile);
+      bytes += tile.bytes;
+    }
+    await db.withTransactionAsync(async () => {
+      for (const { zoom_level: z, tile_column: x, tile_row: row } of evicted) {
+        for (const table of ['tiles', 'region_tiles', 'tile_info']) {
+          await db.runAsync(`DELETE FROM ${table} WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?`, [z, x, row]);
+        }
+      }
+    });
+    count += evicted.length;
+  }
+  if (count) await releaseFreePages(db);
+  return { count, bytes };
+};
+
+// { count, bytes } straight from the database - no file walk
+export const getTileStats = async (source = 'osm') => {
+  const db = await openTileStore(source);
+  const row = await db.getFirstAsync('SELECT COUNT(*) AS count, SUM(LENGTH(tile_data)) AS bytes FROM tiles');
+  return { count: row?.count || 0, bytes: row?.bytes || 0 };
+};
+
+// Size of the MBTiles file in bytes, indexes and free pages included
+export const getTileStoreSize = async (source = 'osm') => {
+  const db = await openTileStore(source);
+  const pages = await db.getFirstAsync('PRAGMA page_count');
+  const pageSize = await db.getFirstAsync('PRAGMA page_size');
+  return (pages?.page_count || 0) * (pageSize?.page_size || 0);
+};
+
+export const getMetadata = async (source = 'osm') => {
+  const db = await openTileStore(source);
+  const rows = await db.getAllAsync('SELECT name, value FROM metadata');
+  return rows.reduce((metadata, row) => ({ ...metadata, [row.name]: row.value }), {});
+};
+
+export const setMetadata = async (values, source = 'osm') => {
+  const db = await openTileStore(source);
+  await db.withTransactionAsync(async () => {
+    for (const [name, value] of Object.entries(values)) {
+      await db.runAsync('INSERT OR REPLACE INTO metadata (name, value) VALUES (?, ?)', [name, String(value)]);
+    }
+  });
+};
+
+// Records [{ z, x, y }] as part of regionId
+export const addRegionTiles = async (regionId, tiles, source = 'osm') => {
+  if (!tiles.length) return 0;
+  const db = await openTileStore(source);
+  await db.withTransactionAsync(async () => {
+    for (const { z, x, y } of tiles) {
+      await db.runAsync(
+        'INSERT OR IGNORE INTO region_tiles (region_id, zoom_level, tile_column, tile_row) VALUES (?, ?, ?, ?)',
+        [regionId, z, x, flipY(z, y)]
+      );
+    }
+  });
+  return tiles.length;
+};
+
+// Gives regionId every stored tile no region has yet (tiles downloaded before regions existed)
+export const claimUnassignedTiles = async (regionId, source = 'osm') => {
+  const db = await openTileStore(source);
+  const result = await db.runAsync(
+    `INSERT OR IGNORE INTO region_tiles (region_id, zoom_level, tile_column, tile_row)
+     SELECT ?, zoom_level, tile_column, tile_row FROM tiles t WHERE NOT EXISTS (
+       SELECT 1 FROM region_tiles r WHERE r.zoom_level = t.zoom_level AND r.tile_column = t.tile_column AND r.tile_row = t.tile_row
+     )`,
+    [regionId]
+  );
+  return result?.changes || 0;
+};
+
+// { count, bytes } of the stored tiles in regionId - tiles shared with another region count for both
+export const getRegionTileStats = async (regionId, source = 'osm') => {
+  const db = await openTileStore(source);
+  const row = await db.getFirstAsync(
+    `SELECT COUNT(*) AS count, SUM(LENGTH(t.tile_data)) AS bytes FROM region_tiles r
+     JOIN tiles t ON t.zoom_level = r.zoom_level AND t.tile_column = r.tile_column AND t.tile_row = r.tile_row
+     WHERE r.region_id = ?`,
+    [regionId]
+  );
+  return { count: row?.count || 0, bytes: row?.bytes || 0 };
+};
+
+// Forgets regionId and deletes the tiles no other region uses. Resolves with the number of tiles deleted.
+export const deleteRegionTiles = async (regionId, source = 'osm') => {
+  const db = await openTileStore(source);
+  let deleted = 0;
+  await db.withTransactionAsync(async () => {
+    await db.runAsync('DELETE FROM region_tiles WHERE region_id = ?', [regionId]);
+    const result = await db.runAsync(
+      `DELETE FROM tiles WHERE NOT EXISTS (
+         SELECT 1 FROM region_tiles r WHERE r.zoom_level = tiles.zoom_level AND r.tile_column = tiles.tile_column AND r.tile_row = tiles.tile_row
+       )`
+    );
+    deleted = result?.changes || 0;
+    await db.runAsync(
+      `DELETE FROM tile_info WHERE NOT EXISTS (
+         SELECT 1 FROM tiles t WHERE t.zoom_level = tile_info.zoom_level AND t.tile_column = tile_info.tile_column AND t.tile_row = tile_info.tile_row
+       )`
+    );
+  });
+  await releaseFreePages(db);
+  return deleted;
+};
+
+// Drops the whole MBTiles file - one delete however many tiles it holds
+export const deleteTileStore = async (source = 'osm') => {
+  const opening = openDatabases.get(source);
+  openDatabases.delete(source);
+  if (opening) {
+    try {
+      const db = await opening;
+      await db.closeAsync();
+    } catch (error) {
+      console.warn('[TileStore] Error closing database:', error?.message || error);
+    }
+  }
+  try {
+    await SQLite.deleteDatabaseAsync(getTileStoreName(source));
+  } catch (error) {
+    // Nothing to delete when the store was never created
+    console.log('[TileStore] No database to delete:', error?.message || error);
+  }
+  console.log(`[TileStore] Deleted ${getTileStoreName(source)}`);
+};
+
+export default {
+  getTileStoreName,
+  flipY,
+  bytesToBase64,
+  base64ToBytes,
+  openTileStore,
+  getTile,
+  markTileUsed,
+  getTileBase64,
+  hasTile,
+  filterMissingTiles,
+  putTile,
+  putTiles,
+  getStaleTiles,
+  evictLeastRecentlyUsed,
+  getTileStats,
+  getTileStoreSize,
+  getMetadata,
+  setMetadata,
+  addRegionTiles,
+  claimUnassignedTiles,
+  getRegionTileStats,
+  deleteRegionTiles,
+  deleteTileStore,
+};
@@ -157,4 +157,66 @@ export const settingsStyles = StyleSheet.create({
         textAlign: 'right',
         fontWeight: '600',
     },
+
+    // Photo quality preset chips
+    presetRow: {
+        flexDirection: 'row',
+        marginTop: 8,
+        gap: 8,
+    },
+    presetChip: {
+        flex: 1,
+        alignItems: 'center',
+        backgroundColor: '#f9fafb',
+        borderRadius: 10,
+        borderWidth: 1,
+        borderColor: '#e5e7eb',
+        paddingVertical: 10,
+    },
+    presetChipActive: {
+        backgroundColor: '#1f3a8a',
+        borderColor: '#1f3a8a',
+    },
+    presetChipText: { color: '#1f2937', fontSize: 13, fontWeight: '500' },
+    presetChipHint: { color: '#6b7280', fontSize: 11, marginTop: 2 },
+    presetChipTextActive: { color: '#fff' },
+    environmentUrl: { color: '#6b7280', fontSize: 12, marginTop: 10 },
+
+    // Offline regions list
+    regionRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#f9fafb',
+        borderRadius: 10,
+        padding: 12,
+        marginTop: 8,
+    },
+    regionName: { color: '#111827', fontSize: 14, fontWeight: '500' },
+    regionMeta: { color: '#6b7280', fontSize: 12, marginTop: 2 },
+    regionIconBtn: {
+        width: 36,
+        height: 36,
+        borderRadius: 18,
+        alignItems: 'center',
+        justifyContent: 'center',
+        marginLeft: 4,
+    },
+    regionControls: {
+        flexDirection: 'row',
+        justifyContent: 'flex-end',
+        gap: 8,
+        marginTop: 8,
+    },
+    regionActionBtn: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+        backgroundColor: '#fff',
+        borderRadius: 10,
+        borderWidth: 1,
+        borderColor: '#e5e7eb',
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+    },
+    regionActionText: { color: '#1f3a8a', fontSize: 13, fontWeight: '500' },
 });
@@ -1,6 +1,14 @@
 import { makeObservable, observable, action, computed, runInAction, toJS } from 'mobx';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { fetchLeakReports } from '../services/interceptor';
+import { fetchLeakReports, fetchLeakReportsPage, fetchAllLeakReports, withdrawLeakReport } from '../services/interceptor';
+import { DEFAULT_REPORT_FILTERS, countActiveFilters } from '../services/reportQuery';
+import { getCachedReportHistory, syncReportHistory, buildReportAnalytics } from '../services/reportAnalytics';
+import { DEFAULT_CATALOG, getCatalogs } from '../services/catalogService';
+import { exportReports } from '../services/reportExport';
+import { isSameRefNo } from '../services/referenceNumber';
+
+// Reports are matched by RefNo, falling back to the server id
+const reportKey = (report) => report.refNo || report.RefNo || report.id;
 
 class DashboardStore {
   leakReportsData = null;
@@ -9,9 +17,29 @@ class DashboardStore {
   
   // UI state
   initialLoadComplete = false;
-  selectedActivity = null;
-  detailsModalVisible = false;
   allReportsModalVisible = false;
+
+  // All Reports list - filtered and paged on the server
+  reportFilters = { ...DEFAULT_REPORT_FILTERS };
+  reportList = [];
+  reportListPage = 0;
+  reportListTotal = 0;
+  reportListHasMore = false;
+  reportListLoading = false;
+  reportListLoadingMore = false;
+  reportListError = null;
+  exportingReports = false;
+
+  // Every report, unfiltered - fetched for the reports map
+  fullReports = [];
+  fullReportsLoading = false;
+  reportListRequest = 0; // Bumped per reload so late pages for old filters are dropped (not observable)
+
+  // Dashboard charts - computed from the cached report history
+  analyticsRecords = [];
+  analyticsUpdatedAt = null;
+  analyticsLoading = false;
+  analyticsCatalog = null;
   
   // Customer download state
   showDownloadPrompt = false;
@@ -32,9 +60,22 @@ class DashboardStore {
       loadingReports: observable,
       userData: observable,
       initialLoadComplete: observable,
-      selectedActivity: observable,
-      detailsModalVisible: observable,
       allReportsModalVisible: observable,
+      reportFilters: observable.ref,
+      reportList: observable.ref,
+      reportListPage: observable,
+      reportListTotal: observable,
+      reportListHasMore: observable,
+      reportListLoading: observable,
+      reportListLoadingMore: observable,
+      reportListError: observable,
+      exportingReports: observable,
+      fullReports: observable.ref,
+      fullReportsLoading: observable,
+      analyticsRecords: observable.ref,
+      analyticsUpdatedAt: observable,
+      analyticsLoading: observable,
+      analyticsCatalog: observable.ref,
       showDownloadPrompt: observable,
       downloadProgress: observable,
       downloadedRecords: observable,
@@ -45,8 +86,6 @@ class DashboardStore {
       customerDataCount: observable,
       customerDataStatus: observable,
       setInitialLoadComplete: action.bound,
-      setSelectedActivity: action.bound,
-      setDetailsModalVisible: action.bound,
       setAllReportsModalVisible: action.bound,
       setShowDownloadPrompt: action.bound,
       setDownloadProgress: action.bound,
@@ -59,6 +98,14 @@ class DashboardStore {
       setCustomerDataStatus: action.bound,
       loadUserData: action.bound,
       loadLeakReports: action.bound,
+      withdrawReport: action.bound,
+      setReportFilters: action.bound,
+      resetReportFilters: action.bound,
+      loadReportList: action.bound,
+      loadMoreReports: action.bound,
+      loadAnalytics: action.bound,
+      exportReportList: action.bound,
+      loadFullReports: action.bound,
       checkCustomerDataStatus: action.bound,
       totalReports: computed,
       reportedCount: computed,
@@ -72,6 +119,8 @@ class DashboardStore {
       userAvatar: computed,
       recentReports: computed,
       allReports: computed,
+      activeFilterCount: computed,
+      analytics: computed,
     });
   }
   
@@ -224,6 +273,166 @@ class DashboardStore {
     }
   }
 
+  // Withdraw a pending report; it shows as withdrawn right away and the list reloads in the background
+  async withdrawReport(refNo, reason = '') {
+    await withdrawLeakReport(refNo, { reason });
+    runInAction(() => {
+      const dtWithdrawn = new Date().toISOString();
+      const markWithdrawn = (reports) => reports.map((report) => (
+        isSameRefNo(report.refNo || report.RefNo, refNo) ? { ...report, withdrawn: true, dtWithdrawn } : report
+      ));
+      if (this.leakReportsData?.reports) {
+        this.leakReportsData = { ...this.leakReportsData, reports: markWithdrawn(this.leakReportsData.reports) };
+      }
+      this.reportList = markWithdrawn(this.reportList);
+      this.fullReports = markWithdrawn(this.fullReports);
+    });
+    this.loadLeakReports();
+  }
+
+  // Fetch every report for the map; offline the map keeps what allReports already has
+  async loadFullReports() {
+    if (this.fullReportsLoading) return;
+    this.fullReportsLoading = true;
+    try {
+      const reports = await fetchAllLeakReports(DEFAULT_REPORT_FILTERS, { empId: this.userData.empId });
+      runInAction(() => {
+        this.fullReports = reports;
+      });
+    } catch (error) {
+      console.warn('[DashboardStore] Could not load every report:', error?.message || error);
+    } finally {
+      runInAction(() => {
+        this.fullReportsLoading = false;
+      });
+    }
+  }
+
+  /**
+   * Export every report matching the current filters (csv, geojson or kml).
+   * Offline only the pages already loaded can be exported - partial is then true.
+   */
+  async exportReportList(format) {
+    this.exportingReports = true;
+    try {
+      let reports;
+      let partial = false;
+      try {
+        reports = await fetchAllLeakReports(toJS(this.reportFilters), { empId: this.userData.empId });
+      } catch (error) {
+        console.warn('[DashboardStore] Could not fetch reports for export, using the loaded list:', error?.message || error);
+        reports = this.reportList;
+        partial = true;
+      }
+      const result = await exportReports(reports, format);
+      return { ...result, partial };
+    } finally {
+      runInAction(() => {
+        this.exportingReports = false;
+      });
+    }
+  }
+
+  // Show the cached history straight away, then refresh it when the network allows
+  async loadAnalytics(forceRefresh = false) {
+    const { empId } = this.userData;
+    if (!empId) return;
+    this.analyticsLoading = true;
+
+    const applyHistory = (history) => {
+      if (!history) return;
+      this.analyticsRecords = history.records;
+      this.analyticsUpdatedAt = history.savedAt;
+    };
+
+    try {
+      const [cached, catalog] = await Promise.all([getCachedReportHistory(empId), getCatalogs()]);
+      runInAction(() => {
+        applyHistory(cached);
+        this.analyticsCatalog = catalog;
+      });
+
+      const history = await syncReportHistory(empId, forceRefresh);
+      runInAction(() => applyHistory(history));
+    } catch (error) {
+      console.error('[DashboardStore] Failed to load analytics:', error?.message || error);
+    } finally {
+      runInAction(() => {
+        this.analyticsLoading = false;
+      });
+    }
+  }
+
+  // Merge filter changes and reload the list from the first page
+  setReportFilters(changes) {
+    this.reportFilters = { ...this.reportFilters, ...changes };
+    return this.loadReportList();
+  }
+
+  // Clear the narrowing filters; the search text and sort order stay
+  resetReportFilters() {
+    const { search, sort } = this.reportFilters;
+    return this.setReportFilters({ ...DEFAULT_REPORT_FILTERS, search, sort });
+  }
+
+  async loadReportList() {
+    const request = ++this.reportListRequest;
+    this.reportListLoading = true;
+    this.reportListLoadingMore = false;
+    this.reportListError = null;
+
+    try {
+      const result = await fetchLeakReportsPage(toJS(this.reportFilters), { page: 1, empId: this.userData.empId });
+      runInAction(() => {
+        if (request !== this.reportListRequest) return;
+        this.reportList = result.reports;
+        this.reportListPage = result.page;
+        this.reportListTotal = result.totalCount;
+        this.reportListHasMore = result.hasMore;
+        this.reportListLoading = false;
+      });
+    } catch (error) {
+      console.error('[DashboardStore] Failed to load report list:', error?.message || error);
+      runInAction(() => {
+        if (request !== this.reportListRequest) return;
+        this.reportListError = error?.message || 'Failed to load reports';
+        this.reportListLoading = false;
+      });
+    }
+  }
+
+  // Next page for infinite scroll
+  async loadMoreReports() {
+    if (this.reportListLoading || this.reportListLoadingMore || !this.reportListHasMore) return;
+    const request = this.reportListRequest;
+    this.reportListLoadingMore = true;
+
+    try {
+      const result = await fetchLeakReportsPage(toJS(this.reportFilters), {
+        page: this.reportListPage + 1,
+        empId: this.userData.empId,
+      });
+      runInAction(() => {
+        if (request !== this.reportListRequest) return;
+        // New reports shift later pages - skip rows we already have
+        const known = new Set(this.reportList.map(reportKey));
+        this.reportList = [...this.reportList, ...result.reports.filter((report) => !known.has(reportKey(report)))];
+        this.reportListPage = result.page;
+        this.reportListTotal = result.totalCount;
+        this.reportListHasMore = result.hasMore;
+      });
+    } catch (error) {
+      console.error('[DashboardStore] Failed to load more reports:', error?.message || error);
+      runInAction(() => {
+        if (request === this.reportListRequest) this.reportListError = error?.message || 'Failed to load reports';
+      });
+    } finally {
+      runInAction(() => {
+        if (request === this.reportListRequest) this.reportListLoadingMore = false;
+      });
+    }
+  }
+
   // Computed values
   get totalReports() {
     return this.leakReportsData?.totalCount || 0;
@@ -269,21 +478,29 @@ class DashboardStore {
     return (this.leakReportsData?.reports || []).slice(0, 5);
   }
 
+  // Every report loaded so far - the All Reports pages, the map's full list and the dashboard's latest
   get allReports() {
-    return this.leakReportsData?.reports || [];
+    const seen = new Set();
+    return [...this.reportList, ...this.fullReports, ...(this.leakReportsData?.reports || [])]
+      .filter((report) => {
+        const key = reportKey(report);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
   }
 
-  // Setters
-  setInitialLoadComplete(value) {
-    this.initialLoadComplete = value;
+  get analytics() {
+    return buildReportAnalytics(this.analyticsRecords, this.analyticsCatalog || DEFAULT_CATALOG);
   }
 
-  setSelectedActivity(value) {
-    this.selectedActivity = value;
+  get activeFilterCount() {
+    return countActiveFilters(this.reportFilters);
   }
 
-  setDetailsModalVisible(value) {
-    this.detailsModalVisible = value;
+  // Setters
+  setInitialLoadComplete(value) {
+    this.initialLoadComplete = value;
   }
 
   setAllReportsModalVisible(value) {
@@ -322,9 +539,17 @@ class DashboardStore {
     this.leakReportsData = null;
     this.loadingReports = true;
     this.initialLoadComplete = false;
-    this.selectedActivity = null;
-    this.detailsModalVisible = false;
     this.allReportsModalVisible = false;
+    this.reportFilters = { ...DEFAULT_REPORT_FILTERS };
+    this.reportList = [];
+    this.reportListPage = 0;
+    this.reportListTotal = 0;
+    this.reportListHasMore = false;
+    this.reportListError = null;
+    this.reportListRequest++;
+    this.analyticsRecords = [];
+    this.analyticsUpdatedAt = null;
+    this.fullReports = [];
     this.showDownloadPrompt = false;
     this.downloadProgress = 0;
     this.isDownloading = false;
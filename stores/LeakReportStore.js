@@ -1,9 +1,23 @@
-import { makeObservable, observable, action, runInAction } from 'mobx';
+import { makeObservable, observable, action, computed, runInAction } from 'mobx';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { fetchDmaCodes, submitLeakReport } from '../services/interceptor';
+import { fetchDmaCodes, submitLeakReport, amendLeakReport, isSubmissionCancelled } from '../services/interceptor';
 import { addToQueue, checkOnlineStatus } from '../services/offlineQueue';
+import { generateRefNo } from '../services/referenceNumber';
+import { DEFAULT_CATALOG, fetchCatalogs, getCatalogs } from '../services/catalogService';
+import { getReportFormValues } from '../services/reportStatus';
+import { findDuplicateCandidates } from '../services/duplicateCheck';
+import { getSeverityRules, scoreSeverity, getMissingSeverityFactors } from '../services/severity';
+
+// Leak photos per report - the first two also go out as the legacy LeakImage1/LeakImage2 fields
+export const MAX_LEAK_PHOTOS = 6;
 
 class LeakReportStore {
+  // Client reference number - generated once per report and reused on every retry
+  refNo = '';
+
+  // Server record being edited - set while amending a submitted, still pending report
+  amendingReport = null;
+
   // Form fields
   leakType = '';
   location = '';
@@ -11,8 +25,10 @@ class LeakReportStore {
   contactNumber = '';
   landmark = '';
   leakPhotos = [];
+  leakPhotoDetails = []; // { category, caption } per leak photo, same order as leakPhotos
   landmarkPhoto = null;
   pressure = 'Low';
+  severity = {}; // Severity answers by factor key; pressure is kept in its own field
   covering = '';
   causeOfLeak = '';
   causeOther = '';
@@ -25,6 +41,14 @@ class LeakReportStore {
   leakLongitude = null;
   leakLocationMethod = null; // 'current' | 'dragPin' | null (same as meter)
 
+  // Lookup tables from the catalog service (bundled defaults until loaded)
+  leakTypeOptions = DEFAULT_CATALOG.leakTypes;
+  coveringOptions = DEFAULT_CATALOG.coverings;
+  causeOptions = DEFAULT_CATALOG.causes;
+  photoCategoryOptions = DEFAULT_CATALOG.photoCategories;
+  catalogVersion = DEFAULT_CATALOG.version;
+  severityRules = DEFAULT_CATALOG.severityRules;
+
   // UI state
   showDmaModal = false;
   dmaOptions = [];
@@ -34,17 +58,34 @@ class LeakReportStore {
   coveringExpanded = false;
   causeExpanded = false;
 
+  // Upload state for the preview/submit flow
+  uploadStage = 'idle'; // 'idle' | 'processing' | 'uploading' | 'cancelling'
+  uploadProgress = 0; // 0-100
+  uploadedBytes = 0;
+  uploadTotalBytes = 0;
+  uploadController = null; // AbortController for the in-flight upload (not observable)
+
+  // Duplicate check before a new report is sent
+  checkingDuplicates = false;
+  duplicateCandidates = []; // From findDuplicateCandidates, shown until the inspector decides
+  duplicatesResolved = false; // Inspector linked the report or confirmed a new leak
+  linkedRefNo = null; // Existing report this one duplicates, sent as LinkedRefNo
+
   constructor() {
     makeObservable(this, {
       // fields
+      refNo: observable,
+      amendingReport: observable.ref,
       leakType: observable,
       location: observable,
       contactName: observable,
       contactNumber: observable,
       landmark: observable,
       leakPhotos: observable,
+      leakPhotoDetails: observable,
       landmarkPhoto: observable,
       pressure: observable,
+      severity: observable.ref,
       covering: observable,
       causeOfLeak: observable,
       causeOther: observable,
@@ -54,6 +95,12 @@ class LeakReportStore {
       leakLatitude: observable,
       leakLongitude: observable,
       leakLocationMethod: observable,
+      leakTypeOptions: observable,
+      coveringOptions: observable,
+      causeOptions: observable,
+      photoCategoryOptions: observable,
+      catalogVersion: observable,
+      severityRules: observable.ref,
       showDmaModal: observable,
       dmaOptions: observable,
       dmaLoading: observable,
@@ -61,8 +108,17 @@ class LeakReportStore {
       leakTypeExpanded: observable,
       coveringExpanded: observable,
       causeExpanded: observable,
+      uploadStage: observable,
+      uploadProgress: observable,
+      uploadedBytes: observable,
+      uploadTotalBytes: observable,
+      checkingDuplicates: observable,
+      duplicateCandidates: observable.ref,
+      duplicatesResolved: observable,
+      linkedRefNo: observable,
 
       // actions
+      setRefNo: action.bound,
       setLeakType: action.bound,
       setLocation: action.bound,
       setContactName: action.bound,
@@ -70,9 +126,11 @@ class LeakReportStore {
       setLandmark: action.bound,
       addLeakPhoto: action.bound,
       removeLeakPhoto: action.bound,
+      setLeakPhotoDetails: action.bound,
       setLandmarkPhoto: action.bound,
       clearLandmarkPhoto: action.bound,
       setPressure: action.bound,
+      setSeverityAnswer: action.bound,
       setCovering: action.bound,
       setCauseOfLeak: action.bound,
       setCauseOther: action.bound,
@@ -85,26 +143,60 @@ class LeakReportStore {
       setLeakTypeExpanded: action.bound,
       setCoveringExpanded: action.bound,
       setCauseExpanded: action.bound,
+      setUploadStage: action.bound,
+      setUploadProgress: action.bound,
+      cancelUpload: action.bound,
+      linkToReport: action.bound,
+      confirmNewLeak: action.bound,
+      dismissDuplicates: action.bound,
       reset: action.bound,
 
+      // computed
+      severityAnswers: computed,
+      severityResult: computed,
+      missingSeverityFactors: computed,
+
       // async actions
+      ensureRefNo: action.bound,
+      loadFromReport: action.bound,
       loadDmaOptions: action.bound,
+      loadCatalogs: action.bound,
       autofillContactFromUser: action.bound,
+      uploadReport: action.bound,
+      checkForDuplicates: action.bound,
       submit: action.bound,
     });
   }
 
   // setters
+  setRefNo(v) { this.refNo = v; }
   setLeakType(v) { this.leakType = v; }
   setLocation(v) { this.location = v; }
   setContactName(v) { this.contactName = v; }
   setContactNumber(v) { this.contactNumber = v; }
   setLandmark(v) { this.landmark = v; }
-  addLeakPhoto(uri) { this.leakPhotos = [...this.leakPhotos, uri]; }
-  removeLeakPhoto(index) { this.leakPhotos = this.leakPhotos.filter((_, i) => i !== index); }
+  addLeakPhoto(uri, details = {}) {
+    if (this.leakPhotos.length >= MAX_LEAK_PHOTOS) return;
+    this.leakPhotos = [...this.leakPhotos, uri];
+    this.leakPhotoDetails = [...this.leakPhotoDetails, { category: details.category || '', caption: details.caption || '' }];
+  }
+  removeLeakPhoto(index) {
+    this.leakPhotos = this.leakPhotos.filter((_, i) => i !== index);
+    this.leakPhotoDetails = this.leakPhotoDetails.filter((_, i) => i !== index);
+  }
+  setLeakPhotoDetails(index, changes) {
+    this.leakPhotoDetails = this.leakPhotoDetails.map((details, i) => (i === index ? { ...details, ...changes } : details));
+  }
   setLandmarkPhoto(uri) { this.landmarkPhoto = uri; }
   clearLandmarkPhoto() { this.landmarkPhoto = null; }
   setPressure(v) { this.pressure = v; }
+  setSeverityAnswer(key, value) {
+    if (key === 'pressure') {
+      this.pressure = value;
+      return;
+    }
+    this.severity = { ...this.severity, [key]: value };
+  }
   setCovering(v) { this.covering = v; }
   setCauseOfLeak(v) { this.causeOfLeak = v; }
   setCauseOther(v) { this.causeOther = v; }
@@ -115,6 +207,12 @@ class LeakReportStore {
   setLeakTypeExpanded(v) { this.leakTypeExpanded = v; }
   setCoveringExpanded(v) { this.coveringExpanded = v; }
   setCauseExpanded(v) { this.causeExpanded = v; }
+  setUploadStage(v) { this.uploadStage = v; }
+  setUploadProgress({ loaded, total, percentage }) {
+    this.uploadedBytes = loaded;
+    this.uploadTotalBytes = total;
+    this.uploadProgress = percentage;
+  }
 
   // Leak location setters (where the actual leak is)
   setLeakLocation(lat, lng, method) {
@@ -122,23 +220,48 @@ class LeakReportStore {
     this.leakLatitude = lat;
     this.leakLongitude = lng;
     this.leakLocationMethod = method; // 'current' or 'dragPin'
+    this.duplicatesResolved = false; // Different spot, different neighbours
     console.log('🔴 LeakReportStore after set - leakLatitude:', this.leakLatitude, 'leakLongitude:', this.leakLongitude);
   }
   clearLeakLocation() {
     this.leakLatitude = null;
     this.leakLongitude = null;
     this.leakLocationMethod = null;
+    this.duplicatesResolved = false;
+  }
+
+  // Send this report as a duplicate of an existing one
+  linkToReport(refNo) {
+    this.linkedRefNo = refNo;
+    this.duplicateCandidates = [];
+    this.duplicatesResolved = true;
+  }
+
+  // The inspector checked the candidates and this is a separate leak
+  confirmNewLeak() {
+    this.linkedRefNo = null;
+    this.duplicateCandidates = [];
+    this.duplicatesResolved = true;
+  }
+
+  // Back to the form without deciding - the check runs again on the next send
+  dismissDuplicates() {
+    this.duplicateCandidates = [];
   }
 
   reset() {
+    this.refNo = '';
+    this.amendingReport = null;
     this.leakType = '';
     this.location = '';
     this.contactName = '';
     this.contactNumber = '';
     this.landmark = '';
     this.leakPhotos = [];
+    this.leakPhotoDetails = [];
     this.landmarkPhoto = null;
     this.pressure = 'Low';
+    this.severity = {};
     this.covering = '';
     this.causeOfLeak = '';
     this.causeOther = '';
@@ -155,6 +278,69 @@ class LeakReportStore {
     this.leakTypeExpanded = false;
     this.coveringExpanded = false;
     this.causeExpanded = false;
+    this.uploadStage = 'idle';
+    this.uploadProgress = 0;
+    this.uploadedBytes = 0;
+    this.uploadTotalBytes = 0;
+    this.uploadController = null;
+    this.checkingDuplicates = false;
+    this.duplicateCandidates = [];
+    this.duplicatesResolved = false;
+    this.linkedRefNo = null;
+  }
+
+  // Every severity answer, pressure included, as the scoring rules see them
+  get severityAnswers() {
+    return { ...this.severity, pressure: this.pressure };
+  }
+
+  // Score and Priority the report will be sent with
+  get severityResult() {
+    return scoreSeverity(this.severityRules, this.severityAnswers);
+  }
+
+  get missingSeverityFactors() {
+    return getMissingSeverityFactors(this.severityRules, this.severityAnswers);
+  }
+
+  // Assign a RefNo to a new report (drafts restore their own via setRefNo)
+  async ensureRefNo() {
+    if (this.refNo) return this.refNo;
+    const refNo = await generateRefNo();
+    runInAction(() => {
+      if (!this.refNo) this.refNo = refNo;
+    });
+    return this.refNo;
+  }
+
+  /**
+   * Fill the form from a submitted report so it can be amended.
+   * Resolves with the form values; the screen keeps meterData/coordinates itself.
+   */
+  async loadFromReport(report) {
+    this.reset();
+    this.amendingReport = report;
+    this.refNo = report?.refNo || report?.RefNo || '';
+
+    const values = getReportFormValues(report, await getCatalogs());
+    runInAction(() => {
+      // The report may have been closed or replaced while the catalog loaded
+      if (this.amendingReport !== report) return;
+      this.leakType = values.leakType;
+      this.location = values.location;
+      this.covering = values.covering;
+      this.causeOfLeak = values.causeOfLeak;
+      this.contactName = values.contactName;
+      this.contactNumber = values.contactNumber;
+      this.landmark = values.landmark;
+      this.pressure = values.pressure;
+      this.severity = values.severity;
+      this.dma = values.dma;
+      this.leakPhotos = values.leakPhotos;
+      this.leakPhotoDetails = values.leakPhotoDetails;
+      this.landmarkPhoto = values.landmarkPhoto;
+    });
+    return values;
   }
 
   async loadDmaOptions() {
@@ -173,6 +359,30 @@ class LeakReportStore {
     }
   }
 
+  // Show the cached catalog right away, then refresh it from the server when online
+  async loadCatalogs() {
+    const applyCatalog = (catalog) => {
+      runInAction(() => {
+        this.leakTypeOptions = catalog.leakTypes;
+        this.coveringOptions = catalog.coverings;
+        this.causeOptions = catalog.causes;
+        this.photoCategoryOptions = catalog.photoCategories || DEFAULT_CATALOG.photoCategories;
+        this.catalogVersion = catalog.version;
+        this.severityRules = getSeverityRules(catalog);
+      });
+    };
+
+    try {
+      applyCatalog(await getCatalogs());
+      const isOnline = await checkOnlineStatus();
+      if (isOnline) {
+        applyCatalog(await fetchCatalogs());
+      }
+    } catch (err) {
+      console.error('Failed to load leak catalogs:', err);
+    }
+  }
+
   async autofillContactFromUser() {
     try {
       const userDataStr = await AsyncStorage.getItem('userData');
@@ -193,12 +403,86 @@ class LeakReportStore {
     }
   }
 
+  // Abort the in-flight upload; uploadReport resolves with { cancelled: true }
+  cancelUpload() {
+    if (!this.uploadController || this.uploadStage === 'cancelling') return;
+    console.log('[LeakReportStore] Cancelling upload');
+    this.uploadStage = 'cancelling';
+    this.uploadController.abort();
+  }
+
+  /**
+   * Send a prepared payload with byte-level progress - as an amendment when
+   * a submitted report was loaded with loadFromReport.
+   * Resolves with the server result, or { cancelled: true } when cancelUpload()
+   * was called so the caller can queue the report instead.
+   */
+  async uploadReport(payload, options = {}) {
+    const controller = new AbortController();
+    this.uploadController = controller;
+    this.uploadStage = 'uploading';
+    this.uploadProgress = 0;
+    this.uploadedBytes = 0;
+    this.uploadTotalBytes = 0;
+
+    try {
+      const send = this.amendingReport ? amendLeakReport : submitLeakReport;
+      const result = await send(payload, {
+        ...options,
+        signal: controller.signal,
+        onUploadProgress: (progress) => {
+          if (this.uploadController === controller) this.setUploadProgress(progress);
+        },
+      });
+      return result;
+    } catch (err) {
+      if (isSubmissionCancelled(err) || controller.signal.aborted) {
+        return { cancelled: true };
+      }
+      throw err;
+    } finally {
+      runInAction(() => {
+        if (this.uploadController === controller) {
+          this.uploadController = null;
+          this.uploadStage = 'idle';
+        }
+      });
+    }
+  }
+
+  /**
+   * Look for open reports near position before a new report is sent.
+   * Resolves with the candidates, which stay in duplicateCandidates for the
+   * preview to show; an empty list means the report can go straight out.
+   */
+  async checkForDuplicates(position, cachedReports, { isOnline = false } = {}) {
+    if (this.amendingReport || this.duplicatesResolved || !position?.latitude || !position?.longitude) return [];
+    this.checkingDuplicates = true;
+    try {
+      const candidates = await findDuplicateCandidates(position, cachedReports, { isOnline, excludeRefNo: this.refNo });
+      runInAction(() => {
+        this.duplicateCandidates = candidates;
+      });
+      return candidates;
+    } catch (err) {
+      // Never block a report because the check itself failed
+      console.warn('[LeakReportStore] Duplicate check failed:', err?.message || err);
+      return [];
+    } finally {
+      runInAction(() => {
+        this.checkingDuplicates = false;
+      });
+    }
+  }
+
   async submit({ meterData, coordinates, geom }) {
     if (this.submitting) return { ok: false, message: 'Already submitting' };
     this.submitting = true;
 
     try {
+      await this.ensureRefNo();
       const payload = {
+        refNo: this.refNo,
         leakType: this.leakType,
         location: this.location,
         covering: this.covering,
@@ -209,8 +493,10 @@ class LeakReportStore {
         contactNumber: this.contactNumber,
         landmark: this.landmark,
         leakPhotos: this.leakPhotos,
+        leakPhotoDetails: this.leakPhotoDetails,
         landmarkPhoto: this.landmarkPhoto,
         pressure: this.pressure,
+        severity: this.severity,
         flagProjectLeak: this.flagProjectLeak,
         featuredId: this.featuredId,
         meterData,
@@ -259,6 +545,7 @@ class LeakReportStore {
       // On error, try to save to queue as fallback
       try {
         const payload = {
+          refNo: this.refNo,
           leakType: this.leakType,
           location: this.location,
           covering: this.covering,
@@ -269,8 +556,10 @@ class LeakReportStore {
           contactNumber: this.contactNumber,
           landmark: this.landmark,
           leakPhotos: this.leakPhotos,
+          leakPhotoDetails: this.leakPhotoDetails,
           landmarkPhoto: this.landmarkPhoto,
           pressure: this.pressure,
+          severity: this.severity,
           flagProjectLeak: this.flagProjectLeak,
           featuredId: this.featuredId,
           meterData: coordinates && coordinates.latitude ? { coordinates } : null,
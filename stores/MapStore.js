@@ -1,6 +1,13 @@
 import { makeAutoObservable, runInAction } from 'mobx';
 import * as FileSystem from 'expo-file-system/legacy';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { unzipSync } from 'fflate';
+import { getMapZipUrl } from '../services/environment';
+import { getTileCacheSettings } from '../services/tileCache';
+
+// { status: 'downloading' | 'ready', downloadedAt, sampleFiles } of the DCWD map package
+const PACKAGE_KEY = 'offline_map_package';
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class MapStore {
     downloadProgress = 0;
@@ -10,6 +17,9 @@ class MapStore {
     error = null;
     mapTilesPath = null;
     statusMessage = 'Initializing...';
+    downloadedAt = null;
+    maxAgeDays = 30; // from the tile cache settings, 0 = never out of date
+    wasPurged = false; // the map's files went missing since it was downloaded
 
     constructor() {
         makeAutoObservable(this);
@@ -44,16 +54,80 @@ class MapStore {
         this.statusMessage = message;
     }
 
+    setDownloadedAt(value) {
+        this.downloadedAt = value;
+    }
+
+    setMaxAgeDays(days) {
+        this.maxAgeDays = days;
+    }
+
+    setWasPurged(value) {
+        this.wasPurged = value;
+    }
+
+    // Downloaded longer ago than the max age - Settings offers to download it again
+    get isOutOfDate() {
+        if (!this.isReady || !this.downloadedAt || !this.maxAgeDays) return false;
+        return Date.now() - Date.parse(this.downloadedAt) > this.maxAgeDays * DAY_MS;
+    }
+
+    async loadPackageRecord() {
+        try {
+            const stored = await AsyncStorage.getItem(PACKAGE_KEY);
+            return stored ? JSON.parse(stored) : null;
+        } catch {
+            return null;
+        }
+    }
+
     async checkExistingMap() {
         try {
             const mapDir = `${FileSystem.documentDirectory}offline_maps/`;
+            const extractPath = `${mapDir}davroad/`;
             const extractedPath = `${mapDir}davroad/davroad/`;
 
+            const settings = await getTileCacheSettings();
+            runInAction(() => {
+                this.setMaxAgeDays(settings.maxAgeDays);
+            });
+
+            const record = await this.loadPackageRecord();
             const dirInfo = await FileSystem.getInfoAsync(extractedPath);
+
+            // A download or extraction that never finished, or files the system removed since
+            let missingFiles = !!record && (record.status !== 'ready' || !dirInfo.exists);
+            for (const file of (!missingFiles && record?.sampleFiles) || []) {
+                if (!(await FileSystem.getInfoAsync(`${extractPath}${file}`)).exists) {
+                    missingFiles = true;
+                    break;
+                }
+            }
+            if (missingFiles) {
+                console.warn('Offline map files are missing or incomplete - removing what is left');
+                await FileSystem.deleteAsync(mapDir, { idempotent: true });
+                await AsyncStorage.removeItem(PACKAGE_KEY);
+                runInAction(() => {
+                    this.setIsReady(false);
+                    this.setMapTilesPath(null);
+                    this.setDownloadedAt(null);
+                    this.setWasPurged(true);
+                    this.setStatusMessage('Offline map is missing files - download it again');
+                });
+                return;
+            }
+
             if (dirInfo.exists) {
                 console.log('Found existing map on startup');
+                // Maps extracted before the package was recorded are dated by their folder
+                const downloadedAt = record?.downloadedAt
+                    || new Date(dirInfo.modificationTime ? dirInfo.modificationTime * 1000 : Date.now()).toISOString();
+                if (!record) {
+                    await AsyncStorage.setItem(PACKAGE_KEY, JSON.stringify({ status: 'ready', downloadedAt, sampleFiles: [] }));
+                }
                 runInAction(() => {
                     this.setMapTilesPath(extractedPath);
+                    this.setDownloadedAt(downloadedAt);
                     this.setIsReady(true);
                     this.setStatusMessage('Map ready');
                 });
@@ -63,7 +137,7 @@ class MapStore {
         }
     }
 
-    async initializeMap(mapUrl = 'https://davao-water.gov.ph/dcwdApps/mobileApps/reactMap/davroad.zip', notificationCallback = null) {
+    async initializeMap(mapUrl = getMapZipUrl(), notificationCallback = null) {
         try {
             this.setError(null);
             this.setIsReady(false);
@@ -85,6 +159,9 @@ class MapStore {
             // Create directory if it doesn't exist
             await FileSystem.makeDirectoryAsync(mapDir, { intermediates: true });
 
+            // Until it is 'ready', a map found on startup is a leftover of an interrupted download
+            await AsyncStorage.setItem(PACKAGE_KEY, JSON.stringify({ status: 'downloading' }));
+
             // Download map with background notification support
             await this.downloadMap(mapUrl, zipPath, notificationCallback);
 
@@ -97,13 +174,22 @@ class MapStore {
             }
 
             // Unzip map
-            await this.unzipMap(zipPath, extractPath, notificationCallback);
+            const files = await this.unzipMap(zipPath, extractPath, notificationCallback);
 
             // Clean up zip file
             await FileSystem.deleteAsync(zipPath, { idempotent: true });
 
+            // A few files to check on startup that the map is still all there
+            const sampleFiles = [...new Set([0, Math.floor(files.length / 2), files.length - 1])]
+                .filter((index) => index >= 0)
+                .map((index) => files[index]);
+            const downloadedAt = new Date().toISOString();
+            await AsyncStorage.setItem(PACKAGE_KEY, JSON.stringify({ status: 'ready', downloadedAt, sampleFiles }));
+
             runInAction(() => {
                 this.setMapTilesPath(extractedPath);
+                this.setDownloadedAt(downloadedAt);
+                this.setWasPurged(false);
                 this.setIsReady(true);
                 this.setStatusMessage('Map ready!');
             });
@@ -312,6 +398,8 @@ class MapStore {
                 this.setIsUnzipping(false);
                 this.setStatusMessage('Extraction complete');
             });
+            // The files written, relative to extractPath
+            return filenames.filter((filename) => !filename.endsWith('/') && extracted[filename]?.length > 0);
         } catch (error) {
             console.error('Unzip error:', error);
             runInAction(() => {
@@ -326,12 +414,15 @@ class MapStore {
         try {
             const mapDir = `${FileSystem.documentDirectory}offline_maps/`;
             await FileSystem.deleteAsync(mapDir, { idempotent: true });
+            await AsyncStorage.removeItem(PACKAGE_KEY);
 
             runInAction(() => {
                 this.setIsDownloading(false);
                 this.setIsUnzipping(false);
                 this.setIsReady(false);
                 this.setMapTilesPath(null);
+                this.setDownloadedAt(null);
+                this.setWasPurged(false);
                 this.setDownloadProgress(0);
                 this.setStatusMessage('Map data cleared');
                 this.setError(null);
@@ -3,12 +3,14 @@ import NetInfo from '@react-native-community/netinfo';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { 
   getQueue, 
-  getPendingCount, 
+  addToQueue,
+  removeFromQueue,
   getFailedItems,
   retryFailedItem,
   clearQueue 
 } from '../services/offlineQueue';
 import { syncOfflineQueue, startAutoSync, stopAutoSync } from '../services/syncService';
+import { pushNotification, showNotification } from '../services/notifications';
 import { Alert } from 'react-native';
 
 const OFFLINE_TIMEOUT_MS = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
@@ -19,6 +21,7 @@ class OfflineStore {
   isSyncing = false;
   pendingCount = 0;
   failedCount = 0;
+  queueItems = [];
   syncProgress = 0;
   lastSyncTime = null;
   lastOnlineTime = null;
@@ -31,6 +34,7 @@ class OfflineStore {
       isSyncing: observable,
       pendingCount: observable,
       failedCount: observable,
+      queueItems: observable,
       syncProgress: observable,
       lastSyncTime: observable,
       lastOnlineTime: observable,
@@ -42,6 +46,11 @@ class OfflineStore {
       setLastSyncTime: action,
       setLastOnlineTime: action,
       updateCounts: action,
+      enqueueLeakReport: action,
+      enqueueReportAmendment: action,
+      enqueueReportWithdrawal: action,
+      retryItem: action,
+      removeItem: action,
       startSync: action,
       retryFailed: action,
       clearAllQueue: action,
@@ -178,18 +187,82 @@ class OfflineStore {
 
   async updateCounts() {
     try {
-      const pending = await getPendingCount();
-      const failed = await getFailedItems();
+      const queue = await getQueue();
       
       runInAction(() => {
-        this.pendingCount = pending;
-        this.failedCount = failed.length;
+        this.queueItems = queue;
+        this.pendingCount = queue.filter(item => item.status === 'pending').length;
+        this.failedCount = queue.filter(item => item.status === 'failed').length;
       });
     } catch (error) {
       console.error('[OfflineStore] Error updating counts:', error);
     }
   }
 
+  // Queue a leak report for submission once the device is back online
+  // options.attempted: an upload was started (e.g. cancelled mid-way), so the
+  // sync checks the server for the RefNo before sending it again
+  async enqueueLeakReport(payload, options = {}) {
+    const id = await addToQueue({
+      type: 'leak_report',
+      data: payload,
+      ...(options.attempted ? { lastAttemptAt: new Date().toISOString() } : {}),
+    });
+    await this.updateCounts();
+    return id;
+  }
+
+  // Changes to a submitted (still pending) report, sent in order with queued reports
+  async enqueueReportAmendment(payload) {
+    const id = await addToQueue({ type: 'leak_report_amendment', data: payload });
+    await this.updateCounts();
+    return id;
+  }
+
+  async enqueueReportWithdrawal(refNo, reason = '') {
+    const id = await addToQueue({ type: 'leak_report_withdrawal', data: { refNo, reason } });
+    await this.updateCounts();
+    return id;
+  }
+
+  async retryItem(id) {
+    try {
+      await retryFailedItem(id);
+      await this.updateCounts();
+
+      if (this.isOnline) {
+        await this.startSync();
+      }
+    } catch (error) {
+      console.error('[OfflineStore] Error retrying item:', error);
+    }
+  }
+
+  async removeItem(id) {
+    try {
+      await removeFromQueue(id);
+      await this.updateCounts();
+    } catch (error) {
+      console.error('[OfflineStore] Error removing queue item:', error);
+    }
+  }
+
+  // Let the user know queued reports reached the server while the app was in the background
+  async notifySynced(result) {
+    const reportCount = (result.syncedItems || []).filter(item => item.type === 'leak_report').length;
+    if (reportCount === 0) return;
+
+    const title = 'Offline reports submitted';
+    const body = `${reportCount} queued leak report${reportCount > 1 ? 's were' : ' was'} submitted to the server.`;
+
+    try {
+      await pushNotification({ title, body });
+      await showNotification(title, body);
+    } catch (error) {
+      console.warn('[OfflineStore] Failed to notify sync result:', error);
+    }
+  }
+
   async startSync() {
     if (this.isSyncing) {
       console.log('[OfflineStore] Sync already in progress');
@@ -211,6 +284,7 @@ class OfflineStore {
         runInAction(() => {
           this.syncProgress = progress.percentage;
         });
+        this.updateCounts();
       });
 
       runInAction(() => {
@@ -334,19 +408,27 @@ class OfflineStore {
       console.log('[OfflineStore] Auto-sync completed:', result);
       runInAction(() => {
         this.lastSyncTime = new Date().toISOString();
+        this.isSyncing = false;
+        this.syncProgress = 0;
       });
       this.updateCounts();
       
       // Only show notification if items were actually synced
       if (result.synced > 0) {
         console.log(`✅ Auto-sync: ${result.synced} item(s) synced to server`);
-        // You can optionally show a toast notification here instead of Alert
-        // For now, we'll just log it - less disruptive than Alert
+        this.notifySynced(result);
       }
       
       if (result.failed > 0) {
         console.warn(`⚠️ Auto-sync: ${result.failed} item(s) failed to sync`);
       }
+    }, (progress) => {
+      runInAction(() => {
+        this.isSyncing = true;
+        this.syncProgress = progress.percentage;
+      });
+      // Refresh per-item status shown in the Drafts tab
+      this.updateCounts();
     });
 
     console.log('[OfflineStore] Initialized successfully');
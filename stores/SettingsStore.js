@@ -3,6 +3,9 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Alert } from 'react-native';
 import { preCacheCustomers, checkCustomerDataIntegrity, resumeCustomerDownload } from '../services/interceptor';
 import { forceCheckNewData } from '../services/dataChecker';
+import { getPhotoSettings, savePhotoSettings } from '../services/photoPipeline';
+import { exportDiagnosticBundle } from '../services/diagnostics';
+import { getDuplicateCheckSettings, saveDuplicateCheckSettings } from '../services/duplicateCheck';
 import {
   downloadTilesForArea,
   calculateTileCount,
@@ -10,7 +13,25 @@ import {
   calculateStorageUsed,
   clearTileCache,
   hasOfflineTiles,
+  migrateLegacyTileCache,
+  CITY_REGION,
 } from '../services/offlineTileManager';
+import {
+  getOfflineRegionsWithStats,
+  saveOfflineRegion,
+  deleteOfflineRegion,
+  downloadOfflineRegion,
+  setOfflineRegionPinned,
+} from '../services/offlineRegions';
+import { getTileDownloadJob, clearTileDownloadJob } from '../services/tileDownloadJob';
+import {
+  getTileCacheSettings,
+  saveTileCacheSettings,
+  enforceTileBudget,
+  runTileCacheMaintenance,
+} from '../services/tileCache';
+import notificationStore from './NotificationStore';
+import MapStore from './MapStore';
 
 export class SettingsStore {
   // Maps
@@ -21,10 +42,17 @@ export class SettingsStore {
   mapsPaused = false;
   mapsCancelled = false; // Track if download was cancelled
   mapsDownloadSpeed = 0; // tiles per second
+  mapsEta = null; // seconds left at the download's average rate, null until known
+  offlineRegions = []; // saved regions with storedTiles / bytes (see services/offlineRegions)
+  downloadingRegionId = null;
   updateModalVisible = false;
   updateProgress = 0;
   updateSuccess = false;
 
+  // Offline tile upkeep (see services/tileCache)
+  tileMaxAgeDays = 30; // 0 = never refresh
+  tileBudgetMB = 0; // 0 = no limit
+
   // Cache
   clearCacheModalVisible = false;
   clearingCache = false;
@@ -43,9 +71,18 @@ export class SettingsStore {
   clientSuccess = false;
   isDownloadingUpdate = false;
 
+  // Report photos
+  photoPreset = 'normal'; // 'low' | 'normal' | 'high' (see PHOTO_PRESETS)
+  photoWatermark = true;
+
+  // Duplicate check before sending a report (see services/duplicateCheck)
+  duplicateRadius = 50; // metres
+  duplicateWindowDays = 7;
+
   // Updates & logout
   logoutModalVisible = false;
   checkingUpdates = false;
+  exportingDiagnostics = false;
 
   constructor() {
     makeObservable(this, {
@@ -57,9 +94,14 @@ export class SettingsStore {
       mapsPaused: observable,
       mapsCancelled: observable,
       mapsDownloadSpeed: observable,
+      mapsEta: observable,
+      offlineRegions: observable,
+      downloadingRegionId: observable,
       updateModalVisible: observable,
       updateProgress: observable,
       updateSuccess: observable,
+      tileMaxAgeDays: observable,
+      tileBudgetMB: observable,
       clearCacheModalVisible: observable,
       clearingCache: observable,
       clientDataAvailable: observable,
@@ -74,8 +116,13 @@ export class SettingsStore {
       clientProgress: observable,
       clientSuccess: observable,
       isDownloadingUpdate: observable,
+      photoPreset: observable,
+      photoWatermark: observable,
+      duplicateRadius: observable,
+      duplicateWindowDays: observable,
       logoutModalVisible: observable,
       checkingUpdates: observable,
+      exportingDiagnostics: observable,
 
       // Actions
       setMapsStatus: action,
@@ -103,8 +150,22 @@ export class SettingsStore {
       setCheckingUpdates: action,
       checkCachedData: action,
       loadPreset: action,
+      loadPhotoSettings: action,
+      savePhotoPreset: action,
+      setPhotoWatermark: action,
+      loadDuplicateCheckSettings: action,
+      saveDuplicateCheckSetting: action,
       updateMaps: action,
       startMapDownload: action,
+      loadOfflineRegions: action,
+      saveOfflineRegion: action,
+      startRegionDownload: action,
+      resumeSavedMapDownload: action,
+      deleteOfflineRegion: action,
+      setRegionPinned: action,
+      loadTileCacheSettings: action,
+      saveTileCacheSetting: action,
+      maintainTileCache: action,
       pauseMapDownload: action,
       resumeMapDownload: action,
       cancelMapDownload: action,
@@ -120,6 +181,7 @@ export class SettingsStore {
       downloadClientData: action,
       startClientDownload: action,
       checkForDataUpdates: action,
+      exportDiagnostics: action,
       reset: action,
     });
   }
@@ -226,6 +288,18 @@ export class SettingsStore {
       if (this.mapsLoading) {
         console.log('🔍 Map download in progress, skipping cached data check for maps');
       } else {
+        // Tiles saved one file each by older versions move into the tile store first
+        try {
+          await migrateLegacyTileCache((progress) => {
+            runInAction(() => {
+              this.mapsStatus = `Migrating offline tiles (${progress.migrated})...`;
+            });
+          });
+        } catch (error) {
+          console.warn('📍 Offline tile migration failed, will retry:', error?.message || error);
+        }
+        await this.loadOfflineRegions();
+
         // Check offline map tiles status
         const tilesAvailable = await hasOfflineTiles();
         if (tilesAvailable) {
@@ -356,6 +430,51 @@ export class SettingsStore {
     }
   }
 
+  async loadPhotoSettings() {
+    const settings = await getPhotoSettings();
+    runInAction(() => {
+      this.photoPreset = settings.preset;
+      this.photoWatermark = settings.watermark;
+    });
+  }
+
+  async savePhotoPreset(preset) {
+    try {
+      this.photoPreset = preset;
+      await savePhotoSettings({ preset });
+    } catch (e) {
+      console.warn('Failed to save photo preset:', e?.message || e);
+    }
+  }
+
+  async setPhotoWatermark(value) {
+    try {
+      this.photoWatermark = value;
+      await savePhotoSettings({ watermark: value });
+    } catch (e) {
+      console.warn('Failed to save watermark setting:', e?.message || e);
+    }
+  }
+
+  async loadDuplicateCheckSettings() {
+    const settings = await getDuplicateCheckSettings();
+    runInAction(() => {
+      this.duplicateRadius = settings.radiusMeters;
+      this.duplicateWindowDays = settings.windowDays;
+    });
+  }
+
+  // changes: { radiusMeters } and/or { windowDays }
+  async saveDuplicateCheckSetting(changes) {
+    try {
+      if (changes.radiusMeters !== undefined) this.duplicateRadius = changes.radiusMeters;
+      if (changes.windowDays !== undefined) this.duplicateWindowDays = changes.windowDays;
+      await saveDuplicateCheckSettings(changes);
+    } catch (e) {
+      console.warn('Failed to save duplicate check setting:', e?.message || e);
+    }
+  }
+
   updateMaps() {
     this.updateModalVisible = true;
     // If paused, just show modal to resume; otherwise reset
@@ -365,48 +484,84 @@ export class SettingsStore {
     }
   }
 
+  // The whole city, as before regions could be chosen
   async startMapDownload() {
+    await this.startRegionDownload(CITY_REGION);
+  }
+
+  async loadOfflineRegions() {
+    const regions = await getOfflineRegionsWithStats();
+    runInAction(() => {
+      this.offlineRegions = regions;
+    });
+    // The running download keeps its own live totals
+    if (!this.mapsLoading) {
+      const tileCount = await getCachedTileCount();
+      const storage = await calculateStorageUsed();
+      runInAction(() => {
+        this.cachedTiles = tileCount;
+        this.storageUsed = parseFloat(storage.toFixed(2));
+      });
+    }
+  }
+
+  // Saves a new or edited region, then downloads it. Resolves with the saved region, or null when it was refused.
+  async saveOfflineRegion(region) {
+    try {
+      const saved = await saveOfflineRegion(region);
+      await this.loadOfflineRegions();
+      this.startRegionDownload(saved);
+      return saved;
+    } catch (error) {
+      Alert.alert('Cannot Save Region', error?.message || 'Failed to save the offline region.');
+      return null;
+    }
+  }
+
+  // refresh fetches the tiles already stored again (Update); otherwise only missing tiles are downloaded.
+  // A download saved for the same region and refresh carries on where it stopped; paused starts it paused.
+  async startRegionDownload(region, { refresh = false, paused = false } = {}) {
+    if (this.mapsLoading) {
+      Alert.alert('Download In Progress', 'Wait for the current map download to finish or cancel it first.');
+      return;
+    }
+
     // Check if download is already complete
-    const metadata = await AsyncStorage.getItem('offline_tiles_metadata');
-    if (metadata) {
-      try {
-        const data = JSON.parse(metadata);
-        const expectedTiles = calculateTileCount();
-
-        // If we have all tiles downloaded, don't re-download
-        if (data.totalTiles >= expectedTiles && data.downloadComplete === true) {
-          console.log(`[OfflineMaps] Download already complete: ${data.totalTiles} tiles`);
-          this.updateSuccess = true;
-          this.updateProgress = 100;
-          Alert.alert(
-            'Already Downloaded',
-            `Offline maps are already downloaded (${data.totalTiles} tiles).`,
-            [{ text: 'OK' }]
-          );
-          return;
-        }
-      } catch (e) {
-        console.warn('[OfflineMaps] Failed to parse metadata, proceeding with download');
-      }
+    const stats = this.offlineRegions.find((item) => item.id === region.id);
+    if (!refresh && stats && stats.tileCount > 0 && stats.storedTiles >= stats.tileCount) {
+      console.log(`[OfflineMaps] ${region.name} already complete: ${stats.storedTiles} tiles`);
+      this.updateSuccess = true;
+      this.updateProgress = 100;
+      Alert.alert(
+        'Already Downloaded',
+        `${region.name} is already downloaded (${stats.storedTiles} tiles).`,
+        [{ text: 'OK' }]
+      );
+      return;
     }
 
     this.mapsLoading = true;
-    this.mapsPaused = false;
+    this.mapsPaused = paused;
     this.mapsCancelled = false; // Reset cancelled flag
+    this.downloadingRegionId = region.id;
     this.updateProgress = 0;
     this.updateSuccess = false;
     this.mapsDownloadSpeed = 0;
-    this.mapsStatus = 'Downloading...';
+    this.mapsEta = null;
+    this.mapsStatus = paused ? 'Paused' : (refresh ? 'Updating...' : 'Downloading...');
 
     try {
-      const totalTiles = calculateTileCount();
-      console.log(`[OfflineMaps] Starting download of ${totalTiles} tiles for Davao City...`);
+      const totalTiles = calculateTileCount(region);
+      console.log(`[OfflineMaps] Starting download of ${totalTiles} tiles for ${region.name}...`);
       let lastUpdate = Date.now();
-      let lastCount = 0;
-      await downloadTilesForArea(
+      let lastCount = null;
+      const baseTiles = this.cachedTiles;
+      await downloadOfflineRegion(
+        region,
         async (progress) => {
-          // Calculate download speed (tiles per second)
+          // Calculate download speed (tiles per second) - a resumed download starts from its saved count
           const now = Date.now();
+          if (lastCount === null) lastCount = progress.startCount || 0;
           const timeDiff = (now - lastUpdate) / 1000; // seconds
           if (timeDiff >= 1) { // Update speed every second
             const tilesDiff = progress.current - lastCount;
@@ -420,14 +575,19 @@ export class SettingsStore {
           // Update progress with real-time values from download progress
           runInAction(() => {
             this.updateProgress = progress.percentage;
-            // Use successCount directly for real-time tile count
-            this.cachedTiles = progress.successCount || 0;
+            this.mapsEta = progress.etaSeconds ?? null;
+            if (!this.mapsPaused) {
+              this.mapsStatus = progress.retrying ? 'Retrying failed tiles...' : (refresh ? 'Updating...' : 'Downloading...');
+            }
+            // Tiles of other regions stay in the count; shared tiles may be counted twice until the final update
+            this.cachedTiles = baseTiles + (progress.successCount || 0) - (progress.startCount || 0);
             // Calculate storage: average tile ~15KB, convert to MB
-            this.storageUsed = parseFloat(((progress.successCount || 0) * 15 / 1024).toFixed(2));
+            this.storageUsed = parseFloat((this.cachedTiles * 15 / 1024).toFixed(2));
           });
         },
         () => this.mapsPaused, // Pass pause check function
-        () => this.mapsCancelled // Pass cancel check function
+        () => this.mapsCancelled, // Pass cancel check function
+        { refresh }
       );
 
       // Check if download was cancelled
@@ -437,27 +597,143 @@ export class SettingsStore {
         return;
       }
 
+      // The new tiles may take the store past its storage limit
+      try {
+        await enforceTileBudget(this.tileBudgetMB);
+      } catch (error) {
+        console.warn('[OfflineMaps] Storage limit check failed:', error?.message || error);
+      }
+
       // Final update - only if not cancelled
       const tileCount = await getCachedTileCount();
       const storage = await calculateStorageUsed();
-      this.cachedTiles = tileCount;
-      this.storageUsed = parseFloat(storage.toFixed(2));
-      this.mapsStatus = tileCount > 0 ? 'Offline Tiles Available' : 'No Offline Tiles';
-      this.mapsLoading = false;
-      this.mapsPaused = false;
-      this.mapsDownloadSpeed = 0;
-      this.updateSuccess = true;
+      await this.loadOfflineRegions();
+      runInAction(() => {
+        this.cachedTiles = tileCount;
+        this.storageUsed = parseFloat(storage.toFixed(2));
+        this.mapsStatus = tileCount > 0 ? 'Offline Tiles Available' : 'No Offline Tiles';
+        this.mapsLoading = false;
+        this.mapsPaused = false;
+        this.mapsDownloadSpeed = 0;
+        this.mapsEta = null;
+        this.downloadingRegionId = null;
+        this.updateSuccess = true;
+      });
       console.log(`[OfflineMaps] Download complete: ${tileCount} tiles, ${storage.toFixed(2)} MB`);
     } catch (error) {
       console.error('[OfflineMaps] Download failed:', error);
-      this.mapsStatus = 'Download Failed';
-      this.mapsLoading = false;
-      this.mapsPaused = false;
-      this.mapsDownloadSpeed = 0;
+      runInAction(() => {
+        this.mapsStatus = 'Download Failed';
+        this.mapsLoading = false;
+        this.mapsPaused = false;
+        this.mapsDownloadSpeed = 0;
+        this.mapsEta = null;
+        this.downloadingRegionId = null;
+      });
       Alert.alert('Download Failed', 'Failed to download offline maps. Please try again.');
     }
   }
 
+  /**
+   * Carries on with a map download the app was closed during (e.g. Android
+   * killed it in the background). Called on app start; a download the user
+   * had paused comes back paused.
+   */
+  async resumeSavedMapDownload() {
+    if (this.mapsLoading) return;
+    const job = await getTileDownloadJob();
+    if (!job) return;
+
+    await this.loadOfflineRegions();
+    const stats = this.offlineRegions.find((item) => item.id === job.regionId);
+    if (!job.refresh && stats && stats.storedTiles >= stats.tileCount) {
+      // Finished just before the app closed
+      await clearTileDownloadJob();
+      return;
+    }
+    console.log(`[OfflineMaps] Resuming ${job.region.name || job.regionId}: ${job.doneCount}/${job.total} tiles done`);
+    await this.startRegionDownload(job.region, { refresh: job.refresh, paused: job.status === 'paused' });
+  }
+
+  async deleteOfflineRegion(regionId) {
+    if (this.downloadingRegionId === regionId) {
+      Alert.alert('Download In Progress', 'Cancel the download before deleting this region.');
+      return;
+    }
+    try {
+      await deleteOfflineRegion(regionId);
+      await this.loadOfflineRegions();
+      runInAction(() => {
+        this.mapsStatus = this.cachedTiles > 0 ? 'Offline Tiles Available' : 'No Offline Tiles';
+      });
+    } catch (error) {
+      console.error('[OfflineMaps] Delete region failed:', error);
+      Alert.alert('Error', 'Failed to delete the offline region.');
+    }
+  }
+
+  // Pinned regions keep their tiles when the storage limit is enforced
+  async setRegionPinned(regionId, pinned) {
+    try {
+      await setOfflineRegionPinned(regionId, pinned);
+      await this.loadOfflineRegions();
+    } catch (error) {
+      console.error('[OfflineMaps] Pin region failed:', error);
+      Alert.alert('Error', 'Failed to update the offline region.');
+    }
+  }
+
+  async loadTileCacheSettings() {
+    const settings = await getTileCacheSettings();
+    runInAction(() => {
+      this.tileMaxAgeDays = settings.maxAgeDays;
+      this.tileBudgetMB = settings.budgetMB;
+    });
+    MapStore.setMaxAgeDays(settings.maxAgeDays);
+  }
+
+  // changes: { maxAgeDays } and/or { budgetMB }
+  async saveTileCacheSetting(changes) {
+    try {
+      if (changes.maxAgeDays !== undefined) {
+        this.tileMaxAgeDays = changes.maxAgeDays;
+        MapStore.setMaxAgeDays(changes.maxAgeDays);
+      }
+      if (changes.budgetMB !== undefined) this.tileBudgetMB = changes.budgetMB;
+      await saveTileCacheSettings(changes);
+
+      // A lower limit applies now; during a download it applies when the download ends
+      if (changes.budgetMB && !this.mapsLoading) {
+        const evicted = await enforceTileBudget(changes.budgetMB);
+        if (evicted.count > 0) await this.loadOfflineRegions();
+        if (evicted.overBudget) {
+          Alert.alert('Storage Limit', 'Pinned regions alone take more space than this limit. Unpin a region to free more space.');
+        }
+      }
+    } catch (e) {
+      console.warn('Failed to save tile cache setting:', e?.message || e);
+    }
+  }
+
+  /**
+   * Offline tile upkeep, run on app start and whenever the connection comes
+   * back: recovers from tiles the system removed, keeps the store within its
+   * storage limit and refreshes expired tiles. Skipped while a download runs.
+   */
+  async maintainTileCache({ online = false } = {}) {
+    if (this.mapsLoading) return;
+    const result = await runTileCacheMaintenance({ online });
+    if (result.purged) {
+      runInAction(() => {
+        this.mapsStatus = 'No Offline Tiles';
+      });
+      notificationStore.addNotification('error', 'Offline map tiles were removed by the system. Download your regions again.');
+    }
+    if (result.purged || result.evicted > 0 || result.refreshed > 0) {
+      await this.loadOfflineRegions();
+    }
+  }
+
   pauseMapDownload() {
     this.mapsPaused = true;
     this.mapsStatus = 'Paused';
@@ -476,7 +752,11 @@ export class SettingsStore {
     this.mapsLoading = false;
     this.mapsPaused = false;
     this.mapsDownloadSpeed = 0;
+    this.mapsEta = null;
+    this.downloadingRegionId = null;
     this.updateProgress = 0;
+    // Not resumed on the next start - the download loop also drops it when it sees the cancel
+    await clearTileDownloadJob();
 
     // Update status based on current cache
     const tileCount = await getCachedTileCount();
@@ -501,6 +781,7 @@ export class SettingsStore {
     } else {
       this.mapsStatus = 'No Offline Tiles';
     }
+    await this.loadOfflineRegions();
 
     console.log('[OfflineMaps] Download canceled');
   }
@@ -518,6 +799,8 @@ export class SettingsStore {
     try {
       const success = await clearTileCache();
       console.log('[OfflineMaps] Clear cache result:', success);
+      // Regions stay listed so they can be downloaded again
+      await this.loadOfflineRegions();
 
       runInAction(() => {
         if (success) {
@@ -700,7 +983,7 @@ export class SettingsStore {
       const allKeys = await AsyncStorage.getAllKeys();
       console.log(`📦 Found ${allKeys.length} storage keys`);
 
-      const keysToPreserve = ['savedUsername', 'savedPassword', 'rememberMe', 'authToken', 'refreshToken', 'userData'];
+      const keysToPreserve = ['savedUsername', 'savedPassword', 'rememberMe', 'authToken', 'refreshToken', 'userData', 'api_environment'];
       const keysToRemove = allKeys.filter(key => !keysToPreserve.includes(key));
 
       console.log(`🔒 Preserving ${keysToPreserve.length} authentication keys`);
@@ -824,14 +1107,34 @@ export class SettingsStore {
     }
   }
 
+  // Package recent logs, queue state and device info and open the share sheet
+  async exportDiagnostics() {
+    this.exportingDiagnostics = true;
+    try {
+      await exportDiagnosticBundle();
+    } catch (error) {
+      console.error('Failed to export diagnostics:', error);
+      Alert.alert('Export Failed', 'Could not create the diagnostic file: ' + (error?.message || 'Unknown error'));
+    } finally {
+      runInAction(() => {
+        this.exportingDiagnostics = false;
+      });
+    }
+  }
+
   reset() {
     this.mapsStatus = 'Checking...';
     this.cachedTiles = 0;
     this.storageUsed = 0;
     this.mapsLoading = false;
+    this.mapsEta = null;
+    this.offlineRegions = [];
+    this.downloadingRegionId = null;
     this.updateModalVisible = false;
     this.updateProgress = 0;
     this.updateSuccess = false;
+    this.tileMaxAgeDays = 30;
+    this.tileBudgetMB = 0;
     this.clearCacheModalVisible = false;
     this.clearingCache = false;
     this.clientDataAvailable = false;
@@ -500,97 +500,6 @@ export const dashboardStyles = StyleSheet.create({
     shadowRadius: 12,
     elevation: 12,
   },
-  modalHeader: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    paddingHorizontal: 20,
-    paddingTop: 20,
-    paddingBottom: 16,
-    borderBottomWidth: 1,
-    borderBottomColor: '#e2e8f0',
-  },
-  modalTitle: {
-    fontSize: 22,
-    fontWeight: '700',
-    color: '#1e293b',
-  },
-  modalContent: {
-    paddingHorizontal: 20,
-    paddingTop: 16,
-  },
-  detailRow: {
-    flexDirection: 'row',
-    alignItems: 'flex-start',
-    marginBottom: 18,
-    paddingBottom: 18,
-    borderBottomWidth: 1,
-    borderBottomColor: '#f1f5f9',
-  },
-  detailIconContainer: {
-    width: 44,
-    height: 44,
-    borderRadius: 22,
-    backgroundColor: '#e6f0fb',
-    justifyContent: 'center',
-    alignItems: 'center',
-    marginRight: 14,
-  },
-  detailTextContainer: {
-    flex: 1,
-  },
-  detailLabel: {
-    fontSize: 11,
-    color: '#64748b',
-    marginBottom: 6,
-    textTransform: 'uppercase',
-    fontWeight: '700',
-    letterSpacing: 0.5,
-  },
-  detailValue: {
-    fontSize: 16,
-    color: '#1e293b',
-    fontWeight: '600',
-    lineHeight: 22,
-  },
-  statusBadge: {
-    paddingHorizontal: 14,
-    paddingVertical: 8,
-    borderRadius: 20,
-    alignSelf: 'flex-start',
-    marginTop: 6,
-  },
-  statusBadgeText: {
-    fontSize: 13,
-    fontWeight: '700',
-    letterSpacing: 0.3,
-  },
-  modalActions: {
-    flexDirection: 'row',
-    gap: 12,
-    marginTop: 16,
-    paddingTop: 8,
-  },
-  modalActionButton: {
-    flex: 1,
-    flexDirection: 'row',
-    alignItems: 'center',
-    justifyContent: 'center',
-    backgroundColor: '#1e5a8e',
-    paddingVertical: 16,
-    borderRadius: 14,
-    gap: 8,
-    shadowColor: '#1e5a8e',
-    shadowOffset: { width: 0, height: 3 },
-    shadowOpacity: 0.25,
-    shadowRadius: 6,
-    elevation: 5,
-  },
-  modalActionText: {
-    color: '#fff',
-    fontSize: 15,
-    fontWeight: '700',
-  },
   // Download Modal Styles
   downloadModalOverlay: {
     flex: 1,
@@ -680,6 +589,62 @@ export const dashboardStyles = StyleSheet.create({
     fontWeight: '700',
   },
 
+  // Analytics
+  analyticsUpdated: {
+    fontSize: 12,
+    color: '#94a3b8',
+  },
+  chartCard: {
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    padding: 16,
+    marginHorizontal: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.06,
+    shadowRadius: 8,
+    elevation: 2,
+  },
+  chartTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#1e293b',
+    marginBottom: 12,
+  },
+  chartEmptyText: {
+    fontSize: 13,
+    color: '#94a3b8',
+    textAlign: 'center',
+  },
+  analyticsStatRow: {
+    flexDirection: 'row',
+    marginHorizontal: 16,
+    gap: 12,
+  },
+  analyticsStatCard: {
+    flex: 1,
+    marginHorizontal: 0,
+    alignItems: 'center',
+  },
+  analyticsStatValue: {
+    fontSize: 36,
+    fontWeight: '800',
+    color: '#1e5a8e',
+    marginTop: 8,
+  },
+  analyticsStatUnit: {
+    fontSize: 12,
+    color: '#64748b',
+    fontWeight: '600',
+  },
+  analyticsStatCaption: {
+    fontSize: 11,
+    color: '#94a3b8',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+
   // All Reports Modal Styles
   allReportsModalContainer: {
     backgroundColor: '#fff',
@@ -726,6 +691,39 @@ export const dashboardStyles = StyleSheet.create({
     color: '#64748b',
     marginTop: 2,
   },
+  allReportsHeaderActions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  allReportsExportPanel: {
+    marginHorizontal: 16,
+    marginTop: 12,
+    padding: 12,
+    backgroundColor: '#f8fafc',
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  allReportsExportText: {
+    fontSize: 13,
+    color: '#475569',
+    fontWeight: '600',
+    marginBottom: 10,
+  },
+  allReportsExportBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1e5a8e',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 10,
+    gap: 6,
+  },
+  allReportsExportBtnText: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '700',
+  },
   allReportsCloseBtn: {
     width: 36,
     height: 36,
@@ -812,6 +810,138 @@ export const dashboardStyles = StyleSheet.create({
     fontSize: 14,
     color: '#94a3b8',
   },
+  allReportsClearBtn: {
+    marginTop: 16,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 10,
+    backgroundColor: '#e6f0fb',
+  },
+  allReportsClearText: {
+    color: '#1e5a8e',
+    fontSize: 14,
+    fontWeight: '700',
+  },
+  allReportsFooter: {
+    paddingVertical: 16,
+  },
+
+  // All Reports search and filters
+  allReportsSearchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    gap: 10,
+  },
+  allReportsSearchBox: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f1f5f9',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    height: 44,
+    gap: 8,
+  },
+  allReportsSearchInput: {
+    flex: 1,
+    fontSize: 14,
+    color: '#1e293b',
+  },
+  allReportsFilterBtn: {
+    width: 44,
+    height: 44,
+    borderRadius: 12,
+    backgroundColor: '#e6f0fb',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  allReportsFilterBtnActive: {
+    backgroundColor: '#1e5a8e',
+  },
+  allReportsFilterBadge: {
+    position: 'absolute',
+    top: -4,
+    right: -4,
+    minWidth: 18,
+    height: 18,
+    borderRadius: 9,
+    backgroundColor: '#F44336',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 4,
+  },
+  allReportsFilterBadgeText: {
+    color: '#fff',
+    fontSize: 10,
+    fontWeight: '700',
+  },
+  allReportsFilterPanel: {
+    maxHeight: 260,
+    marginHorizontal: 16,
+    paddingHorizontal: 12,
+    paddingBottom: 8,
+    backgroundColor: '#f8fafc',
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  allReportsResetBtn: {
+    alignSelf: 'flex-start',
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  allReportsResetText: {
+    color: '#dc2626',
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  allReportsSortHint: {
+    fontSize: 12,
+    color: '#64748b',
+    paddingHorizontal: 20,
+    paddingTop: 4,
+  },
+  filterGroupLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#64748b',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  filterChipRow: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    gap: 8,
+  },
+  filterChipWrap: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  filterChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#f1f5f9',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  filterChipActive: {
+    backgroundColor: '#1e5a8e',
+    borderColor: '#1e5a8e',
+  },
+  filterChipText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#475569',
+  },
+  filterChipTextActive: {
+    color: '#fff',
+  },
 });
 
 export default dashboardStyles;
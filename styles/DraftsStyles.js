@@ -155,6 +155,69 @@ export const draftsStyles = StyleSheet.create({
     fontWeight: '600',
     marginLeft: 4,
   },
+  queueSection: {
+    marginBottom: 4,
+  },
+  queueHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#334155',
+    marginBottom: 8,
+  },
+  queueHint: {
+    fontSize: 12,
+    color: '#64748b',
+    marginBottom: 10,
+  },
+  syncNowBtn: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8,
+    backgroundColor: '#eff6ff',
+    marginBottom: 8,
+  },
+  syncNowText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  queueStatusBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 6,
+    alignSelf: 'flex-start',
+  },
+  queueStatusText: {
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  queueErrorText: {
+    fontSize: 12,
+    color: '#dc2626',
+    marginTop: 6,
+  },
+  queueRetryBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: '#3b82f6',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 6,
+    marginTop: 8,
+  },
+  queueRetryText: {
+    fontSize: 12,
+    color: '#fff',
+    fontWeight: '600',
+    marginLeft: 4,
+  },
   emptyState: {
     alignItems: 'center',
     padding: 32,
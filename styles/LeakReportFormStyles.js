@@ -253,6 +253,40 @@ export const leakReportFormStyles = StyleSheet.create({
     backgroundColor: '#fff',
     borderRadius: 12,
   },
+  photoTile: { width: 100 },
+  photoCategoryBadge: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    paddingVertical: 3,
+    paddingHorizontal: 6,
+    backgroundColor: 'rgba(15,23,42,0.6)',
+  },
+  photoCategoryText: { fontSize: 11, color: '#fff', fontWeight: '600' },
+  photoCaption: { fontSize: 11, color: '#64748b', marginTop: 4 },
+  photoDetailsImage: {
+    width: '100%',
+    height: 160,
+    borderRadius: 10,
+    marginBottom: 12,
+    resizeMode: 'cover',
+  },
+  photoDetailsLabel: { fontSize: 13, color: '#6b7280', fontWeight: '600', marginBottom: 8 },
+  photoCategoryRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 14,
+  },
+  photoCategoryChip: {
+    backgroundColor: '#fff',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
 
   footerNote: {
     flexDirection: 'row',
@@ -317,6 +351,30 @@ export const leakReportFormStyles = StyleSheet.create({
   radioListRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 8 },
   radioListLabel: { marginLeft: 10, fontSize: 14, color: '#334155' },
 
+  // Severity assessment
+  severityHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  priorityBadge: { paddingHorizontal: 10, paddingVertical: 4, borderRadius: 12 },
+  priorityBadgeText: { fontSize: 12, fontWeight: '700' },
+  severityFactor: { marginBottom: 12 },
+  severityHint: { fontSize: 12, color: '#9ca3af', marginTop: -6, marginBottom: 8 },
+  severityOptions: { flexDirection: 'row', flexWrap: 'wrap', gap: 8 },
+  severityChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  severityChipActive: { backgroundColor: '#1e5a8e', borderColor: '#1e5a8e' },
+  severityChipText: { fontSize: 13, color: '#334155', fontWeight: '600' },
+  severityChipTextActive: { color: '#fff' },
+
   collapseHeader: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -422,6 +480,8 @@ export const leakReportFormStyles = StyleSheet.create({
     height: 60,
     borderRadius: 8,
   },
+  previewPhotoTile: { width: 60 },
+  previewPhotoCaption: { fontSize: 10, color: '#64748b', marginTop: 2 },
   previewActions: {
     flexDirection: 'row',
     paddingHorizontal: 16,
@@ -454,6 +514,111 @@ export const leakReportFormStyles = StyleSheet.create({
     fontWeight: '700',
     color: '#fff',
   },
+  // Duplicate check step in the preview
+  duplicateNotice: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 8,
+    marginTop: 12,
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: '#fffbeb',
+    borderWidth: 1,
+    borderColor: '#fde68a',
+  },
+  duplicateNoticeText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#92400e',
+    lineHeight: 18,
+  },
+  duplicateMap: {
+    height: 180,
+    marginTop: 12,
+    borderRadius: 12,
+    overflow: 'hidden',
+  },
+  duplicateMapCaption: {
+    fontSize: 11,
+    color: '#94a3b8',
+    marginTop: 4,
+    marginBottom: 4,
+  },
+  duplicateItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f1f5f9',
+  },
+  duplicateIndex: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  duplicateIndexText: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#fff',
+  },
+  duplicateRefNo: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  duplicateMeta: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  duplicateLinkBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 10,
+    backgroundColor: '#e0ecf7',
+  },
+  duplicateLinkText: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#1e5a8e',
+  },
+  uploadProgressSection: {
+    marginHorizontal: 16,
+    marginTop: 12,
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: '#f8fafc',
+  },
+  uploadProgressLabel: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: '#475569',
+    marginBottom: 8,
+  },
+  uploadProgressBar: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#e2e8f0',
+    overflow: 'hidden',
+  },
+  uploadProgressFill: {
+    height: '100%',
+    borderRadius: 4,
+    backgroundColor: '#1e5a8e',
+  },
+  uploadProgressText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#64748b',
+    textAlign: 'right',
+    marginTop: 4,
+  },
 });
 
 export default leakReportFormStyles;
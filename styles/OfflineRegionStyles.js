@@ -0,0 +1,160 @@
+import { StyleSheet } from 'react-native';
+
+export const offlineRegionStyles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f0f4f8',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    paddingTop: 50,
+  },
+  backBtn: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 12,
+  },
+  headerTitle: { color: '#fff', fontSize: 18, fontWeight: '700' },
+  headerSubtitle: { color: 'rgba(255,255,255,0.9)', fontSize: 12, marginTop: 2 },
+  // Rectangle / Polygon / DMA / Route
+  typeRow: {
+    flexDirection: 'row',
+    padding: 12,
+    gap: 8,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  typeChip: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 4,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    backgroundColor: '#f8fafc',
+  },
+  typeChipActive: {
+    backgroundColor: '#1e5a8e',
+    borderColor: '#1e5a8e',
+  },
+  typeChipText: { fontSize: 12, color: '#1e5a8e', fontWeight: '600' },
+  typeChipTextActive: { color: '#fff' },
+  mapContainer: {
+    flex: 1,
+  },
+  // Undo / clear over the map
+  mapTools: {
+    position: 'absolute',
+    left: 12,
+    top: 12,
+    gap: 8,
+  },
+  mapToolBtn: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#fff',
+    alignItems: 'center',
+    justifyContent: 'center',
+    shadowColor: '#000',
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+    shadowOffset: { width: 0, height: 2 },
+    elevation: 3,
+  },
+  panel: {
+    maxHeight: '45%',
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: '#e2e8f0',
+  },
+  panelContent: {
+    padding: 16,
+    paddingBottom: 28,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#334155',
+    marginTop: 10,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    backgroundColor: '#f8fafc',
+  },
+  zoomChip: {
+    width: 40,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    backgroundColor: '#f8fafc',
+  },
+  chipActive: {
+    backgroundColor: '#1e5a8e',
+    borderColor: '#1e5a8e',
+  },
+  chipText: { fontSize: 13, color: '#1e293b', fontWeight: '500' },
+  chipTextActive: { color: '#fff' },
+  input: {
+    marginTop: 8,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: '#0f172a',
+  },
+  // Tile count and size before downloading
+  estimate: {
+    marginTop: 14,
+    padding: 12,
+    borderRadius: 10,
+    backgroundColor: '#f1f5f9',
+    alignItems: 'center',
+  },
+  estimateValue: { fontSize: 16, fontWeight: '700', color: '#0f172a' },
+  estimateHint: { fontSize: 12, color: '#64748b', marginTop: 2, textAlign: 'center' },
+  saveBtn: {
+    marginTop: 14,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#1e5a8e',
+    borderRadius: 12,
+    paddingVertical: 12,
+  },
+  saveBtnDisabled: {
+    backgroundColor: '#94a3b8',
+  },
+  saveBtnText: { color: '#fff', fontSize: 15, fontWeight: '600' },
+});
+
+export default offlineRegionStyles;
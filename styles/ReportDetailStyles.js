@@ -0,0 +1,292 @@
+import { StyleSheet } from 'react-native';
+
+export const reportDetailStyles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f0f4f8',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    paddingTop: 50,
+  },
+  backBtn: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 12,
+  },
+  headerTitle: { color: '#fff', fontSize: 18, fontWeight: '700' },
+  headerSubtitle: { color: 'rgba(255,255,255,0.9)', fontSize: 12, marginTop: 2 },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.06,
+    shadowRadius: 8,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1e293b',
+    marginBottom: 12,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  statusBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    gap: 6,
+  },
+  statusBadgeText: {
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  reportedAt: {
+    fontSize: 12,
+    color: '#64748b',
+  },
+  detailRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f1f5f9',
+  },
+  detailRowLast: {
+    borderBottomWidth: 0,
+  },
+  detailIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#e6f0fb',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 12,
+  },
+  detailText: { flex: 1 },
+  detailLabel: {
+    fontSize: 11,
+    color: '#64748b',
+    marginBottom: 2,
+    textTransform: 'uppercase',
+    fontWeight: '700',
+    letterSpacing: 0.5,
+  },
+  detailValue: {
+    fontSize: 15,
+    color: '#1e293b',
+    fontWeight: '600',
+  },
+  // Timeline
+  timelineStep: {
+    flexDirection: 'row',
+    minHeight: 56,
+  },
+  timelineRail: {
+    width: 32,
+    alignItems: 'center',
+  },
+  timelineDot: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#e2e8f0',
+  },
+  timelineLine: {
+    flex: 1,
+    width: 2,
+    backgroundColor: '#e2e8f0',
+    marginVertical: 2,
+  },
+  timelineBody: {
+    flex: 1,
+    paddingLeft: 12,
+    paddingBottom: 14,
+  },
+  timelineLabel: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  timelineLabelPending: {
+    color: '#94a3b8',
+    fontWeight: '600',
+  },
+  timelineTime: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  timelineNote: {
+    fontSize: 12,
+    color: '#475569',
+    marginTop: 4,
+  },
+  currentTag: {
+    fontSize: 10,
+    fontWeight: '700',
+    color: '#fff',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 6,
+    overflow: 'hidden',
+    marginLeft: 8,
+  },
+  // Photos
+  photoRow: {
+    gap: 10,
+  },
+  photo: {
+    width: 120,
+    height: 120,
+    borderRadius: 12,
+    backgroundColor: '#e2e8f0',
+  },
+  photoLabel: {
+    fontSize: 11,
+    color: '#64748b',
+    marginTop: 4,
+    width: 120,
+  },
+  emptyText: {
+    fontSize: 13,
+    color: '#94a3b8',
+  },
+  // Map
+  mapContainer: {
+    height: 200,
+    borderRadius: 12,
+    overflow: 'hidden',
+    marginBottom: 12,
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#1e5a8e',
+    paddingVertical: 12,
+    borderRadius: 12,
+    gap: 8,
+  },
+  actionButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '700',
+  },
+  // Edit / withdraw
+  manageRow: {
+    flexDirection: 'row',
+    gap: 12,
+    marginBottom: 16,
+  },
+  manageButton: {
+    flex: 1,
+  },
+  withdrawButton: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#fecaca',
+  },
+  withdrawButtonText: {
+    color: '#dc2626',
+  },
+  queuedNotice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fef3c7',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+    gap: 8,
+  },
+  queuedNoticeText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#92400e',
+    fontWeight: '600',
+  },
+  withdrawOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  withdrawCard: {
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    padding: 20,
+  },
+  withdrawHint: {
+    fontSize: 13,
+    color: '#64748b',
+    marginBottom: 12,
+  },
+  withdrawInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 12,
+    padding: 12,
+    minHeight: 72,
+    textAlignVertical: 'top',
+    fontSize: 14,
+    color: '#1e293b',
+    marginBottom: 16,
+  },
+  cancelButton: {
+    backgroundColor: '#f1f5f9',
+  },
+  cancelButtonText: {
+    color: '#475569',
+  },
+  withdrawConfirmButton: {
+    backgroundColor: '#dc2626',
+  },
+  // Full-screen photo viewer
+  viewerOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.92)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  viewerImage: {
+    width: '100%',
+    height: '75%',
+  },
+  viewerCaption: {
+    color: '#fff',
+    fontSize: 14,
+    marginTop: 12,
+    paddingHorizontal: 20,
+    textAlign: 'center',
+  },
+  viewerClose: {
+    position: 'absolute',
+    top: 50,
+    right: 20,
+  },
+});
+
+export default reportDetailStyles;